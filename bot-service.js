@@ -1,4 +1,18 @@
 const fetch = require('node-fetch');
+const path = require('path');
+const { AsyncLocalStorage } = require('async_hooks');
+const actions = require('./lib/actions');
+const { TemplateLibrary, timeOfDay, excerpt } = require('./lib/templates');
+const { MemoryStore } = require('./lib/store');
+const { ActionMetrics, classifyError } = require('./lib/metrics');
+const { ApiError, AuthError, TargetNotFoundError, DryRunError } = require('./lib/errors');
+const { isRetryable, parseRetryAfter, backoffDelay } = require('./lib/request-policy');
+const { RateLimiter, endpointGroup } = require('./lib/rate-limiter');
+const { BotInstruments } = require('./lib/bot-instruments');
+const { CircuitBreakers } = require('./lib/circuit-breaker');
+const { PostDiscovery } = require('./lib/post-discovery');
+const { assessHealth, DEFAULTS: HEALTH_DEFAULTS } = require('./lib/health');
+const { logger } = require('./lib/logging');
 
 /**
  * Robust Bot Service for automated actions
@@ -8,13 +22,51 @@ class BotService {
     constructor(config) {
         this.baseUrl = config.baseUrl || 'http://localhost:5001';
         this.username = config.username;
+        this.name = config.name || config.username;
+        this.timezone = config.timezone || 'UTC';
+        this.templates = config.templates || TemplateLibrary.load(path.join(__dirname, 'templates'));
+        this.commentRules = config.commentRules || null;
+        this.history = config.history || null;
+        this.doNotContact = config.doNotContact || null;
+        this.targeting = config.targeting || {};
+        // UserDirectory the message action picks users from; without one, a random search
+        this.directory = config.directory || null;
+        // Paging, age window, filters and ranking for the posts to comment on
+        this.postDiscovery = new PostDiscovery(this, config.posts);
+        // Dry run: read calls only; messages, comments and reports are logged, not sent
+        this.dryRun = Boolean(config.dryRun);
         this.password = config.password;
         this.token = null;
         this.userId = null;
-        this.activityLog = [];
+        this.logger = (config.logger || logger).child({ bot: this.name });
+        this.store = config.store || new MemoryStore();
+        this.maxLogEntries = config.maxLogEntries || 500;
+        // Most recent entries only; the full log lives in the store
+        this.activityLog = this.store.readRecent('activity', this.maxLogEntries);
+        this.metrics = new ActionMetrics({ store: this.store });
+        // Prometheus metrics, shared between bots when passed in
+        this.instruments = config.instruments || new BotInstruments();
+        this.instruments.track(this);
+        // Live /events stream, shared between bots when passed in
+        this.events = config.events || null;
+        // Per-attempt context (retries used) that follows the async call chain
+        this.attemptContext = new AsyncLocalStorage();
         this.errorCount = 0;
-        this.maxRetries = 3;
-        this.retryDelay = 2000; // 2 seconds
+        this.maxRetries = config.maxRetries === undefined ? 3 : config.maxRetries;
+        this.retryDelay = config.retryDelay || 2000; // base backoff, doubles per retry
+        this.maxRetryDelay = config.maxRetryDelay || 30000;
+        this.maxRetryAfter = config.maxRetryAfter || 120000; // longest Retry-After we will wait
+        this.maxReauthAttempts = config.maxReauthAttempts === undefined ? 1 : config.maxReauthAttempts;
+        this.requestTimeout = config.requestTimeout || 15000;
+        this.rateLimiter = new RateLimiter(config.rateLimits || {}, { sleep: ms => this.sleep(ms) });
+        this.breakers = new CircuitBreakers({
+            ...config.circuitBreaker,
+            onStateChange: breaker => this.logCircuit(breaker)
+        });
+        // Health signals: the last sign-in failure, and requests in a row that got no response
+        this.authError = null;
+        this.transportFailures = 0;
+        this.lastTransportError = null;
     }
 
     /**
@@ -25,21 +77,80 @@ class BotService {
     }
 
     /**
-     * Log activity with timestamp
+     * Log activity: kept in the activity log and the store, and written to
+     * the logger. type is info / success / warning / error; fields are
+     * structured extras (target, chatId, postId, ...). Inside runAction the
+     * action type is added automatically.
      */
-    log(message, type = 'info') {
+    log(message, type = 'info', fields = {}) {
         const timestamp = new Date().toISOString();
         const logEntry = { timestamp, message, type };
         this.activityLog.push(logEntry);
-        
-        const emoji = {
-            info: 'ℹ️',
-            success: '✅',
-            error: '❌',
-            warning: '⚠️'
-        }[type] || 'ℹ️';
-        
-        console.log(`${emoji} [${timestamp}] ${message}`);
+        if (this.activityLog.length > this.maxLogEntries) {
+            this.activityLog.splice(0, this.activityLog.length - this.maxLogEntries);
+        }
+
+        try {
+            this.store.append('activity', logEntry);
+        } catch (error) {
+            this.logger.error('Failed to persist activity', { error });
+        }
+
+        const attempt = this.attemptContext.getStore();
+        const level = { success: 'info', warning: 'warn', error: 'error' }[type] || 'info';
+        this.logger.log(level, message, {
+            action: attempt ? attempt.action : undefined,
+            success: type === 'success' || undefined,
+            ...fields
+        });
+    }
+
+    /**
+     * fetch() against the backend, recording the attempt's status and latency.
+     * Goes through the endpoint's circuit breaker: throws CircuitOpenError
+     * without calling the backend while the circuit is open.
+     */
+    async timedFetch(endpoint, options) {
+        const breaker = this.breakers.get(endpoint);
+        breaker.check();
+
+        const startedAt = Date.now();
+        try {
+            const response = await fetch(`${this.baseUrl}${endpoint}`, { ...options, timeout: this.requestTimeout });
+            const latencyMs = Date.now() - startedAt;
+            this.transportFailures = 0;
+            if (response.status >= 500) {
+                breaker.failure(`HTTP ${response.status}`);
+            } else {
+                breaker.success();
+            }
+            this.instruments.recordRequest(this.name, endpoint, response.status, latencyMs);
+            this.logger.debug('Backend request', { endpoint, method: options.method || 'GET', status: response.status, latencyMs });
+            return response;
+        } catch (error) {
+            const status = error.type === 'request-timeout' ? 'timeout' : 'network_error';
+            const latencyMs = Date.now() - startedAt;
+            this.transportFailures++;
+            this.lastTransportError = error.message;
+            breaker.failure(error);
+            this.instruments.recordRequest(this.name, endpoint, status, latencyMs);
+            this.logger.debug('Backend request failed', { endpoint, method: options.method || 'GET', status, latencyMs, error });
+            throw error;
+        }
+    }
+
+    /**
+     * Log a circuit breaker changing state
+     */
+    logCircuit(breaker) {
+        const fields = { endpoint: breaker.endpoint, circuit: breaker.state };
+        if (breaker.state === 'open') {
+            this.log(`🔌 Circuit opened for ${breaker.endpoint} (${breaker.lastError}); pausing it for ${Math.round(breaker.cooldownMs / 1000)}s`, 'warning', fields);
+        } else if (breaker.state === 'half_open') {
+            this.log(`🔌 Probing ${breaker.endpoint} after its cooldown`, 'info', fields);
+        } else {
+            this.log(`🔌 Circuit closed for ${breaker.endpoint}`, 'success', fields);
+        }
     }
 
     /**
@@ -48,8 +159,9 @@ class BotService {
     async authenticate() {
         try {
             this.log(`Authenticating as "${this.username}"...`);
-            
-            const response = await fetch(`${this.baseUrl}/api/auth/signin`, {
+
+            await this.rateLimiter.acquire('auth');
+            const response = await this.timedFetch('/api/auth/signin', {
                 method: 'POST',
                 headers: { 'Content-Type': 'application/json' },
                 body: JSON.stringify({
@@ -59,62 +171,122 @@ class BotService {
             });
 
             if (!response.ok) {
-                const error = await response.text();
-                throw new Error(`Authentication failed: ${error}`);
+                const body = await response.text();
+                const retryAfterMs = parseRetryAfter(response.headers.get('retry-after'));
+                // Rejected credentials will never succeed; anything else (429, 5xx) may
+                if (response.status === 400 || response.status === 401 || response.status === 403) {
+                    throw new AuthError(response.status, body, { endpoint: '/api/auth/signin' });
+                }
+                throw new ApiError(response.status, body, { endpoint: '/api/auth/signin', retryAfterMs });
             }
 
             const data = await response.json();
             this.token = data.token;
             this.userId = data.user.id;
+            this.store.setState('bot', {
+                ...this.store.getState('bot', {}),
+                userId: this.userId,
+                lastAuthenticatedAt: new Date().toISOString()
+            });
             
+            this.authError = null;
+            this.instruments.recordAuth(this.name, true);
+            this.publish('auth', { success: true, userId: this.userId });
             this.log(`Authenticated successfully! User ID: ${this.userId}`, 'success');
             return true;
         } catch (error) {
-            this.log(`Authentication error: ${error.message}`, 'error');
+            this.authError = error.message;
+            this.instruments.recordAuth(this.name, false);
+            this.publish('auth', { success: false, error: error.message });
+            this.log(`Authentication error: ${error.message}`, 'error', { error });
             throw error;
         }
     }
 
     /**
-     * Make authenticated API request with retry logic
+     * Make authenticated API request.
+     * - Waits for a token from the endpoint group's rate limiter
+     * - Retries only retryable failures (network, timeout, 408/429/5xx) with
+     *   exponential backoff and jitter, or the server's Retry-After
+     * - Re-authenticates on 401 at most maxReauthAttempts times per request
+     * - Refuses anything but GET in dry-run mode
      */
-    async makeRequest(endpoint, options = {}, retryCount = 0) {
-        try {
-            // Ensure we're authenticated
-            if (!this.token) {
-                await this.authenticate();
-            }
+    async makeRequest(endpoint, options = {}) {
+        const method = (options.method || 'GET').toUpperCase();
+        if (this.dryRun && method !== 'GET') {
+            throw new DryRunError(method, endpoint);
+        }
+
+        const group = endpointGroup(endpoint);
+        let retries = 0;
+        let reauths = 0;
 
-            const response = await fetch(`${this.baseUrl}${endpoint}`, {
-                ...options,
-                headers: {
-                    ...options.headers,
-                    'Authorization': `Bearer ${this.token}`,
-                    'Content-Type': 'application/json'
+        while (true) {
+            try {
+                // Ensure we're authenticated
+                if (!this.token) {
+                    await this.authenticate();
                 }
-            });
 
-            // Handle token expiration
-            if (response.status === 401) {
-                this.log('Token expired, re-authenticating...', 'warning');
-                this.token = null;
-                await this.authenticate();
-                return this.makeRequest(endpoint, options, retryCount);
-            }
+                await this.rateLimiter.acquire(group);
+                const response = await this.timedFetch(endpoint, {
+                    ...options,
+                    headers: {
+                        ...options.headers,
+                        'Authorization': `Bearer ${this.token}`,
+                        'Content-Type': 'application/json'
+                    }
+                });
 
-            if (!response.ok) {
-                const error = await response.text();
-                throw new Error(`API Error (${response.status}): ${error}`);
-            }
+                // Handle token expiration, without looping on a token that is rejected right away
+                if (response.status === 401) {
+                    const body = await response.text();
+                    if (reauths >= this.maxReauthAttempts) {
+                        throw new AuthError(401, `still unauthorized after ${reauths} re-authentication(s): ${body}`, { endpoint });
+                    }
+                    reauths++;
+                    this.log('Token expired, re-authenticating...', 'warning');
+                    this.token = null;
+                    continue;
+                }
 
-            return await response.json();
-        } catch (error) {
-            if (retryCount < this.maxRetries) {
-                this.log(`Request failed, retrying (${retryCount + 1}/${this.maxRetries})...`, 'warning');
-                await this.sleep(this.retryDelay);
-                return this.makeRequest(endpoint, options, retryCount + 1);
+                if (!response.ok) {
+                    const body = await response.text();
+                    throw new ApiError(response.status, body, {
+                        endpoint,
+                        retryAfterMs: parseRetryAfter(response.headers.get('retry-after'))
+                    });
+                }
+
+                return await response.json();
+            } catch (error) {
+                if (!isRetryable(error) || retries >= this.maxRetries) {
+                    throw error;
+                }
+
+                let delay = backoffDelay(retries, this.retryDelay, this.maxRetryDelay);
+                if (error.retryAfterMs !== null && error.retryAfterMs !== undefined) {
+                    if (error.retryAfterMs > this.maxRetryAfter) {
+                        throw error;
+                    }
+                    delay = error.retryAfterMs;
+                    // Hold the whole endpoint group, not just this request
+                    this.rateLimiter.pause(group, delay);
+                }
+
+                retries++;
+                const attempt = this.attemptContext.getStore();
+                if (attempt) attempt.retries++;
+
+                this.log(`Request to ${endpoint} failed (${error.message}), retrying in ${Math.round(delay / 100) / 10}s (${retries}/${this.maxRetries})...`, 'warning', {
+                    endpoint,
+                    status: error.status,
+                    retry: retries,
+                    delayMs: delay,
+                    error
+                });
+                await this.sleep(delay);
             }
-            throw error;
         }
     }
 
@@ -123,17 +295,19 @@ class BotService {
      */
     async getActiveUsers() {
         try {
-            // Search for users with common letters (requires min 2 chars)
-            const searchQueries = ['er', 'an', 'on', 'in', 'ar', 'te', 'st'];
-            const randomQuery = searchQueries[Math.floor(Math.random() * searchQueries.length)];
-            
-            const data = await this.makeRequest(`/api/users/search?q=${randomQuery}`);
-            
-            // Handle different response formats
-            let users = Array.isArray(data) ? data : (data.users || data.results || []);
+            let users;
+            if (this.directory) {
+                // The crawled directory, after its filters
+                users = await this.directory.candidates();
+            } else {
+                // Search for users with common letters (requires min 2 chars)
+                const searchQueries = ['er', 'an', 'on', 'in', 'ar', 'te', 'st'];
+                const randomQuery = searchQueries[Math.floor(Math.random() * searchQueries.length)];
+                users = await this.searchUsers(randomQuery);
+            }
             
-            // Filter out self
-            users = users.filter(u => u.id !== this.userId);
+            // Filter out self and anyone who asked not to be contacted
+            users = users.filter(u => u.id !== this.userId && !this.isDoNotContact(u));
             
             if (users.length === 0) {
                 this.log('No active users found', 'warning');
@@ -141,11 +315,40 @@ class BotService {
             
             return users;
         } catch (error) {
-            this.log(`Error fetching users: ${error.message}`, 'error');
+            this.log(`Error fetching users: ${error.message}`, 'error', { error });
             return [];
         }
     }
 
+    /**
+     * Whether a user is on the do-not-contact list
+     */
+    isDoNotContact(user) {
+        return Boolean(this.doNotContact && this.doNotContact.has(user));
+    }
+
+    /**
+     * Look up a user by exact username, or null
+     */
+    async findUser(username) {
+        const users = await this.searchUsers(username);
+        return users.find(user => user.username === username) || null;
+    }
+
+    /**
+     * Users matching a search query (at least 2 characters), unfiltered.
+     * paging: { page, limit } for one page of the results
+     */
+    async searchUsers(query, paging = {}) {
+        let endpoint = `/api/users/search?q=${encodeURIComponent(query)}`;
+        if (paging.page) endpoint += `&page=${paging.page}`;
+        if (paging.limit) endpoint += `&limit=${paging.limit}`;
+        const data = await this.makeRequest(endpoint);
+
+        // Handle different response formats
+        return Array.isArray(data) ? data : (data.users || data.results || []);
+    }
+
     /**
      * Get random user from list
      */
@@ -154,57 +357,169 @@ class BotService {
         return users[Math.floor(Math.random() * users.length)];
     }
 
+    /**
+     * Render a message/comment template with the standard variables filled in
+     */
+    renderTemplate(action, options = {}) {
+        return this.templates.render(action, {
+            category: options.category,
+            targetKey: options.targetKey,
+            // Recent templates per target live in the persisted target history
+            memory: this.history,
+            vars: {
+                bot_name: this.name,
+                time_of_day: timeOfDay(new Date(), this.timezone),
+                random: Math.floor(Math.random() * 1000),
+                ...options.vars
+            }
+        });
+    }
+
+    /**
+     * Pick a target for an action, honouring cooldowns and the selection
+     * strategy when target history is available
+     */
+    selectTarget(actionType, candidates, options = {}) {
+        const action = actions.getAction(actionType);
+        if (!this.history || !action.targetKind) {
+            return candidates[Math.floor(Math.random() * candidates.length)] || null;
+        }
+
+        const settings = this.targeting[actionType] || {};
+        return this.history.select(action.targetKind, candidates, {
+            cooldown: settings.cooldown,
+            strategy: settings.strategy,
+            activityOf: options.activityOf || action.activityOf
+        });
+    }
+
+    /**
+     * Remember that a target was contacted
+     */
+    recordTarget(kind, id, label) {
+        if (this.history) {
+            this.history.record(kind, id, label);
+        }
+    }
+
     /**
      * Get or create direct chat with a user
      */
-    async getOrCreateChat(userId) {
+    async getOrCreateChat(userId, username) {
         try {
             const data = await this.makeRequest('/api/chats/direct', {
                 method: 'POST',
                 body: JSON.stringify({ otherUserId: userId })
             });
             
+            this.trackChat(data.chatId, { userId, username });
             return data.chatId;
         } catch (error) {
-            this.log(`Error creating chat with user ${userId}: ${error.message}`, 'error');
+            this.log(`Error creating chat with user ${userId}: ${error.message}`, 'error', { target: username, userId, error });
             throw error;
         }
     }
 
+    /**
+     * Remember a direct chat so the inbox listener can poll it.
+     * touch = false updates bookkeeping without marking the chat active.
+     */
+    trackChat(chatId, details = {}, touch = true) {
+        const chats = this.store.getState('chats', {});
+        const chat = chats[chatId] || { userId: details.userId, lastSeenId: null, replies: [] };
+
+        chats[chatId] = {
+            ...chat,
+            ...details,
+            username: details.username || chat.username,
+            lastActiveAt: touch ? new Date().toISOString() : chat.lastActiveAt
+        };
+        this.store.setState('chats', chats);
+        return chats[chatId];
+    }
+
+    /**
+     * Known direct chats, keyed by chat ID
+     */
+    getTrackedChats() {
+        return this.store.getState('chats', {});
+    }
+
+    /**
+     * Post a text message to a chat; returns the created message
+     * (in dry-run mode, a simulated one without an ID)
+     */
+    async sendChatMessage(chatId, content) {
+        if (this.dryRun) {
+            this.log(`🧪 [dry run] Would send to chat ${chatId}: "${content}"`, 'info', { chatId, simulated: true });
+            return { id: null, content, simulated: true };
+        }
+        return this.makeRequest(`/api/chats/${chatId}/messages`, {
+            method: 'POST',
+            body: JSON.stringify({
+                content,
+                type: 'text'
+            })
+        });
+    }
+
+    /**
+     * Messages of a chat, oldest first
+     */
+    async getChatMessages(chatId) {
+        const data = await this.makeRequest(`/api/chats/${chatId}/messages`);
+        const messages = Array.isArray(data) ? data : (data.messages || []);
+
+        const time = message => Date.parse(message.created_at || message.createdAt || '') || 0;
+        return messages.slice().sort((a, b) => time(a) - time(b) || (Number(a.id) || 0) - (Number(b.id) || 0));
+    }
+
     /**
      * Send message to a user
      */
-    async sendMessage(userId, username) {
+    async sendMessage(userId, username, options = {}) {
+        // Refuse outright; this is a policy decision, not a bot error
+        if (this.isDoNotContact({ userId, username })) {
+            this.log(`Not messaging @${username}: on the do-not-contact list`, 'warning', { target: username, userId });
+            return {
+                success: false,
+                action: 'message',
+                target: username,
+                error: 'on the do-not-contact list',
+                errorClass: 'do_not_contact',
+                timestamp: new Date().toISOString()
+            };
+        }
+
+        // options.text replaces the template, e.g. for a one-off message from the CLI
+        const render = () => options.text || this.renderTemplate('message', {
+            category: options.category,
+            targetKey: `user:${userId}`,
+            vars: { username }
+        }).text;
+
+        if (this.dryRun) {
+            const content = render();
+            return this.simulated('message', username, `message @${username} (ID: ${userId})`, content, { userId });
+        }
+
         try {
             // Get or create chat
-            const chatId = await this.getOrCreateChat(userId);
+            const chatId = await this.getOrCreateChat(userId, username);
             
-            // Generate random message
-            const messages = [
-                'Hey! How are you doing?',
-                'Just checking in! 👋',
-                'Hope you\'re having a great day!',
-                'What\'s new with you?',
-                'Greetings from the bot! 🤖',
-                'Random message incoming!',
-                'Testing the chat system!',
-                'Bot says hello! 👋',
-                'Automated message #' + Math.floor(Math.random() * 1000),
-                'Beep boop! 🤖'
-            ];
+            // Render message from the template library
+            const content = render();
             
-            const content = messages[Math.floor(Math.random() * messages.length)];
-            
-            // Send message
-            await this.makeRequest(`/api/chats/${chatId}/messages`, {
-                method: 'POST',
-                body: JSON.stringify({
-                    content,
-                    type: 'text'
-                })
+            // Send message; replies after it are what the inbox listener looks for
+            const sent = await this.sendChatMessage(chatId, content);
+            const sentMessage = (sent && sent.message) || sent || {};
+            this.trackChat(chatId, {
+                lastSeenId: sentMessage.id || null,
+                lastSeenAt: sentMessage.created_at || sentMessage.createdAt || new Date().toISOString()
             });
             
-            this.log(`Sent message to @${username} (ID: ${userId}): "${content}"`, 'success');
+            this.recordTarget('user', userId, username);
+            this.log(`Sent message to @${username} (ID: ${userId}): "${content}"`, 'success', { target: username, userId, chatId });
             this.errorCount = 0; // Reset error count on success
             
             return {
@@ -216,41 +531,64 @@ class BotService {
             };
         } catch (error) {
             this.errorCount++;
-            this.log(`Failed to send message to @${username}: ${error.message}`, 'error');
+            this.log(`Failed to send message to @${username}: ${error.message}`, 'error', { target: username, userId, error });
             return {
                 success: false,
                 action: 'message',
                 target: username,
                 error: error.message,
+                errorClass: classifyError(error),
                 timestamp: new Date().toISOString()
             };
         }
     }
 
     /**
-     * Get list of posts
+     * Posts worth commenting on, ranked best first: [{ post, score, ageMs }]
      */
-    async getPosts() {
+    async getPostCandidates() {
         try {
-            const data = await this.makeRequest('/api/posts');
-            
-            // Handle different response formats
-            let posts = Array.isArray(data) ? data : (data.posts || []);
+            const candidates = await this.postDiscovery.discover();
+            const { pages, seen, skipped } = this.postDiscovery.lastRun;
             
-            // Filter out deleted posts and posts by self
-            posts = posts.filter(p => !p.is_deleted && p.user_id !== this.userId);
-            
-            if (posts.length === 0) {
+            if (candidates.length === 0) {
                 this.log('No posts available to comment on', 'warning');
             }
+            this.log(`🔍 ${candidates.length} of ${seen} post(s) to comment on (${pages} page(s); skipped ${skipped.tooOld + skipped.tooNew} outside the age window, ${skipped.commented} already commented, ${skipped.filtered} filtered)`, 'info', { skipped });
             
-            return posts;
+            return candidates;
         } catch (error) {
-            this.log(`Error fetching posts: ${error.message}`, 'error');
+            this.log(`Error fetching posts: ${error.message}`, 'error', { error });
             return [];
         }
     }
 
+    /**
+     * Get list of posts, ranked best first
+     */
+    async getPosts() {
+        return (await this.getPostCandidates()).map(candidate => candidate.post);
+    }
+
+    /**
+     * One page of the feed without the posts the bot may never comment on;
+     * unlike getPosts(), request errors are thrown.
+     * paging: { page, limit } for one page of the feed
+     */
+    async listPosts(paging = {}) {
+        const query = [];
+        if (paging.page) query.push(`page=${paging.page}`);
+        if (paging.limit) query.push(`limit=${paging.limit}`);
+        const data = await this.makeRequest(`/api/posts${query.length ? `?${query.join('&')}` : ''}`);
+
+        // Handle different response formats
+        const posts = Array.isArray(data) ? data : (data.posts || []);
+
+        // Filter out deleted posts, posts by self and by users on the do-not-contact list
+        return posts.filter(p => !p.is_deleted && p.user_id !== this.userId
+            && !this.isDoNotContact({ userId: p.user_id, username: p.username }));
+    }
+
     /**
      * Get random post from list
      */
@@ -262,110 +600,233 @@ class BotService {
     /**
      * Comment on a post
      */
-    async commentOnPost(postId, postOwner) {
+    async commentOnPost(postId, postOwner, options = {}) {
+        // One description for every outcome, so metrics group them together
+        const target = `post ${postId} by @${postOwner}`;
         try {
-            // Generate random comment
-            const comments = [
-                'Great post! 👍',
-                'Interesting perspective!',
-                'Thanks for sharing!',
-                'Love this! ❤️',
-                'Very insightful!',
-                'Couldn\'t agree more!',
-                'This is awesome! 🔥',
-                'Well said!',
-                'Bot approved! ✅',
-                'Random comment #' + Math.floor(Math.random() * 1000)
-            ];
-            
-            const content = comments[Math.floor(Math.random() * comments.length)];
+            // Render comment from the template library, unless options.text is given
+            const post = options.post || {};
+            const content = options.text || this.renderTemplate('comment', {
+                category: options.category,
+                targetKey: `post:${postId}`,
+                vars: {
+                    username: postOwner,
+                    post_excerpt: excerpt(post.content || post.text || '')
+                }
+            }).text;
             
+            if (this.dryRun) {
+                return this.simulated('comment', target, `comment on ${target}`, content, { postId });
+            }
+
             // Post comment
-            await this.makeRequest('/api/comments', {
-                method: 'POST',
-                body: JSON.stringify({
-                    post_id: postId,
-                    content
-                })
-            });
+            await this.postComment(postId, content);
             
-            this.log(`Commented on post ${postId} by @${postOwner}: "${content}"`, 'success');
+            this.recordTarget('post', postId, postOwner);
+            this.log(`Commented on post ${postId} by @${postOwner}: "${content}"`, 'success', { target: postOwner, postId });
             this.errorCount = 0; // Reset error count on success
             
             return {
                 success: true,
                 action: 'comment',
-                target: `post ${postId} by @${postOwner}`,
+                target,
                 content,
                 timestamp: new Date().toISOString()
             };
         } catch (error) {
             this.errorCount++;
-            this.log(`Failed to comment on post ${postId}: ${error.message}`, 'error');
+            this.log(`Failed to comment on post ${postId}: ${error.message}`, 'error', { target: postOwner, postId, error });
             return {
                 success: false,
                 action: 'comment',
-                target: `post ${postId}`,
+                target,
                 error: error.message,
+                errorClass: classifyError(error),
                 timestamp: new Date().toISOString()
             };
         }
     }
 
     /**
-     * Send activity report to another user
+     * Post a comment on a post; returns the backend's response
+     * (in dry-run mode, a simulated comment without an ID)
+     */
+    async postComment(postId, content) {
+        if (this.dryRun) {
+            this.log(`🧪 [dry run] Would comment on post ${postId}: "${content}"`, 'info', { postId, simulated: true });
+            return { id: null, content, simulated: true };
+        }
+        return this.makeRequest('/api/comments', {
+            method: 'POST',
+            body: JSON.stringify({
+                post_id: postId,
+                content
+            })
+        });
+    }
+
+    /**
+     * Dry-run result: what would have been sent, never counted as a success
      */
-    async sendReport(reportUserId, reportUsername, activity) {
+    simulated(action, target, description, content, fields = {}) {
+        this.log(`🧪 [dry run] Would ${description}: "${content}"`, 'info', { target, simulated: true, ...fields });
+        return {
+            success: true,
+            simulated: true,
+            action,
+            target,
+            content,
+            timestamp: new Date().toISOString()
+        };
+    }
+
+    /**
+     * Run a registered action: find a target, then execute against it.
+     * options.target aims the run at a specific target instead (see resolveTarget
+     * in the action registry); a target that can't be resolved throws.
+     * options.text replaces the rendered text of actions that send one.
+     * Every attempt is recorded in the action metrics.
+     * Returns the action result, or null when no target was available.
+     */
+    async runAction(type, options = {}) {
+        const action = actions.getAction(type);
+
+        if (!this.isHealthy()) {
+            this.log(`Bot is unhealthy, skipping ${type} action`, 'warning');
+            return null;
+        }
+
+        let target = null;
+        if (options.target) {
+            if (!action.resolveTarget) {
+                throw new TargetNotFoundError(`Action "${type}" can't be aimed at a specific target`);
+            }
+            target = await action.resolveTarget(this, options.target);
+        }
+
+        const attempt = { action: type, retries: 0 };
+        const startedAt = Date.now();
+        let result = null;
+
         try {
-            const chatId = await this.getOrCreateChat(reportUserId);
-            
-            let message;
-            if (activity.success) {
-                if (activity.action === 'message') {
-                    message = `✅ Sent message to @${activity.target}: "${activity.content}"`;
-                } else if (activity.action === 'comment') {
-                    message = `✅ Commented on ${activity.target}: "${activity.content}"`;
+            await this.attemptContext.run(attempt, async () => {
+                target = target || await action.findTarget(this);
+                if (target) {
+                    this.log(`🎯 Selected ${action.describeTarget(target)}`);
+                    result = await action.execute(this, target, { text: options.text });
                 }
-            } else {
-                message = `❌ Failed to ${activity.action} ${activity.target}: ${activity.error}`;
-            }
-            
-            await this.makeRequest(`/api/chats/${chatId}/messages`, {
-                method: 'POST',
-                body: JSON.stringify({
-                    content: message,
-                    type: 'text'
-                })
             });
+        } catch (error) {
+            this.errorCount++;
+            this.log(`Error in ${type} action: ${error.message}`, 'error', { action: type, error });
+            result = {
+                success: false,
+                action: type,
+                target: target ? action.describeTarget(target) : 'no target',
+                error: error.message,
+                errorClass: classifyError(error),
+                timestamp: new Date().toISOString()
+            };
+        }
+
+        const record = {
+            action: type,
+            target: result ? result.target : null,
+            outcome: !result ? 'skipped' : result.simulated ? 'simulated' : result.success ? 'success' : 'failure',
+            errorClass: result ? result.errorClass : 'no_target',
+            error: result ? result.error : null,
+            latencyMs: Date.now() - startedAt,
+            retries: attempt.retries
+        };
+        this.metrics.record(record);
+        this.instruments.recordAction(this.name, record);
+        this.publish('action', { ...record, content: result ? result.content || null : null });
+        this.logger.debug('Action finished', {
+            action: type,
+            outcome: record.outcome,
+            target: record.target,
+            latencyMs: record.latencyMs,
+            retries: record.retries,
+            errorClass: record.errorClass
+        });
+
+        return result;
+    }
+
+    /**
+     * Send a report to another user: an action result or ready-made text.
+     * Returns whether it was delivered (never in a dry run).
+     */
+    async sendReport(reportUserId, reportUsername, report) {
+        const message = typeof report === 'string' ? report : actions.formatReport(report);
+
+        if (this.dryRun) {
+            this.log(`Report to @${reportUsername} (not sent): ${message}`, 'info', { target: reportUsername, simulated: true });
+            this.publish('report', { recipient: reportUsername, delivered: false, simulated: true, text: message });
+            return false;
+        }
+
+        try {
+            const chatId = await this.getOrCreateChat(reportUserId, reportUsername);
             
-            this.log(`Sent report to @${reportUsername}`, 'success');
+            await this.sendChatMessage(chatId, message);
+            
+            this.log(`Sent report to @${reportUsername}`, 'success', { target: reportUsername, chatId });
+            this.publish('report', { recipient: reportUsername, delivered: true, text: message });
+            return true;
         } catch (error) {
-            this.log(`Failed to send report to @${reportUsername}: ${error.message}`, 'error');
+            this.log(`Failed to send report to @${reportUsername}: ${error.message}`, 'error', { target: reportUsername, error });
+            this.publish('report', { recipient: reportUsername, delivered: false, error: error.message, text: message });
+            return false;
         }
     }
 
     /**
-     * Get activity statistics
+     * Put an event on the live /events stream, if there is one
+     */
+    publish(type, data) {
+        if (this.events) {
+            this.events.publish(type, { bot: this.name, ...data });
+        }
+    }
+
+    /**
+     * Get action statistics: all-time totals plus rolling windows
      */
     getStats() {
-        const total = this.activityLog.length;
-        const successes = this.activityLog.filter(a => a.type === 'success').length;
-        const errors = this.activityLog.filter(a => a.type === 'error').length;
+        const { lastHour, last24h, sinceStart, allTime } = this.metrics.getSummary();
         
         return {
-            total,
-            successes,
-            errors,
-            successRate: total > 0 ? ((successes / total) * 100).toFixed(2) + '%' : '0%'
+            total: allTime.attempts,
+            successes: allTime.success,
+            errors: allTime.failure,
+            skipped: allTime.skipped,
+            simulated: allTime.simulated,
+            successRate: allTime.successRate,
+            byAction: allTime.byAction,
+            windows: { lastHour, last24h, sinceStart }
         };
     }
 
     /**
-     * Check if bot is healthy
+     * Health from recent activity: { status: healthy | degraded | down, reasons }
+     */
+    getHealth() {
+        return assessHealth({
+            authError: this.authError,
+            consecutiveErrors: this.errorCount,
+            transportFailures: this.transportFailures,
+            lastTransportError: this.lastTransportError,
+            trippedCircuits: this.breakers.tripped(),
+            recent: this.metrics.window(HEALTH_DEFAULTS.recentWindowMs)
+        });
+    }
+
+    /**
+     * Whether the bot can work at all (degraded still counts)
      */
     isHealthy() {
-        // Consider unhealthy if more than 5 consecutive errors
-        return this.errorCount < 5;
+        return this.getHealth().status !== 'down';
     }
 }
 
@@ -0,0 +1,19 @@
+#!/usr/bin/env node
+
+/**
+ * Bot Cop - Command Line
+ *
+ *   node cli.js send --to anna_stone --text "Hi!"
+ *   node cli.js posts list --json
+ *   node cli.js run
+ *
+ * See lib/cli.js, or `node cli.js --help`, for every command.
+ */
+
+const { main } = require('./lib/cli');
+
+main(process.argv.slice(2)).then((code) => {
+    if (code !== undefined) {
+        process.exitCode = code;
+    }
+});
@@ -4,289 +4,313 @@
  * Bot Cop - Standalone Automated Bot (Web Service Mode)
  * 
  * Features:
- * - Sends messages to random users every 2 minutes
- * - Comments on random posts every 2 minutes (alternating with messages)
- * - Reports all activities to user "phone"
- * - Robust error handling and recovery
+ * - Runs one or more bot identities from a single process
+ * - Runs registered actions (messages, comments, ...) on a staggered interval
+ * - Reports all activities to each bot's report user
+ * - Robust error handling and recovery, isolated per bot
  * - Health monitoring
  * - Graceful shutdown
  * - HTTP server for Render.com free tier compatibility
  */
 
 const http = require('http');
-const BotService = require('./bot-service');
-
-// Configuration from environment variables
-const CONFIG = {
-    baseUrl: process.env.BOT_BASE_URL || 'http://localhost:5001',
-    copUsername: process.env.BOT_USERNAME || 'cop',
-    copPassword: process.env.BOT_PASSWORD || '123456',
-    phoneUsername: process.env.REPORT_USERNAME || 'phone',
-    intervalMinutes: parseInt(process.env.INTERVAL_MINUTES || '2'),
-    healthCheckInterval: 30000, // 30 seconds
-    port: parseInt(process.env.PORT || '3000'), // HTTP server port
-};
+const path = require('path');
+const BotRunner = require('./lib/bot-runner');
+const { loadConfig } = require('./lib/config');
+const { createStore } = require('./lib/store');
+const { DoNotContactList } = require('./lib/do-not-contact');
+const { AdminApi } = require('./lib/admin-api');
+const { BotInstruments } = require('./lib/bot-instruments');
+const { Notifier } = require('./lib/notifier');
+const { worstStatus } = require('./lib/health');
+const { ConfigWatcher } = require('./lib/config-watcher');
+const { CONTENT_TYPE } = require('./lib/prometheus');
+const { EventStream } = require('./lib/event-stream');
+const { renderDashboard } = require('./lib/dashboard');
+const { logger, configureLogging } = require('./lib/logging');
+
+// Configuration from environment variables and the optional bots file
+let CONFIG = null;
 
 // Bot instances
-let copBot = null;
-let phoneUserId = null;
-let phoneUsername = CONFIG.phoneUsername;
+let runners = [];
+let sharedStore = null;
+let doNotContact = null;
+let adminApi = null;
+let instruments = null;
+let notifier = null;
+let events = null;
+let server = null;
+let configWatcher = null;
 let isRunning = false;
-let messageInterval = null;
-let commentInterval = null;
-let healthCheckInterval = null;
 
 /**
  * Initialize the bot system
  */
-async function initialize() {
-    console.log('🤖 Initializing Bot Cop System...\n');
-    console.log('Configuration:');
-    console.log(`  Base URL: ${CONFIG.baseUrl}`);
-    console.log(`  Bot User: ${CONFIG.copUsername}`);
-    console.log(`  Report User: ${CONFIG.phoneUsername}`);
-    console.log(`  Interval: Every ${CONFIG.intervalMinutes} minutes\n`);
-
-    try {
-        // Create bot service instance
-        copBot = new BotService({
-            baseUrl: CONFIG.baseUrl,
-            username: CONFIG.copUsername,
-            password: CONFIG.copPassword
+function initialize() {
+    CONFIG = loadConfig();
+    configureLogging(CONFIG.logging);
+
+    logger.info('🤖 Initializing Bot Cop System...');
+    logger.info('⚙️  Configuration loaded', {
+        configFile: CONFIG.sources.configFile || 'none',
+        envFile: CONFIG.sources.envFile,
+        production: CONFIG.production,
+        hotReload: CONFIG.sources.watch
+    });
+    for (const identity of CONFIG.bots) {
+        logger.info('Bot configuration', {
+            bot: identity.name,
+            baseUrl: identity.baseUrl,
+            username: identity.username,
+            reports: identity.reports.map(report => `${report.username} (${report.mode})`),
+            dryRun: identity.dryRun,
+            intervalMinutes: identity.intervalMinutes,
+            timezone: identity.schedule.timezone,
+            actions: identity.actions
         });
+    }
 
-        // Authenticate
-        await copBot.authenticate();
-
-        // Get phone user ID by searching
-        const searchResult = await copBot.makeRequest(`/api/users/search?q=${CONFIG.phoneUsername}`);
-        const users = searchResult.users || [];
-        const phoneUser = users.find(u => u.username === CONFIG.phoneUsername);
-
-        if (!phoneUser) {
-            console.log(`⚠️  Warning: Report user "${CONFIG.phoneUsername}" not found. Reports will be skipped.`);
-            phoneUserId = null;
-        } else {
-            phoneUserId = phoneUser.id;
-            phoneUsername = phoneUser.username;
-            console.log(`✅ Initialization complete!\n`);
-            console.log(`📱 Reports will be sent to @${phoneUsername} (ID: ${phoneUserId})\n`);
-        }
+    // State shared by every bot, such as the do-not-contact list
+    sharedStore = createStore({ ...CONFIG.store, dir: path.join(CONFIG.dataDir, 'shared') });
+    doNotContact = new DoNotContactList({
+        store: sharedStore,
+        initial: CONFIG.doNotContact,
+        optOutKeywords: CONFIG.optOutKeywords
+    });
+    logger.info(`🚫 Do-not-contact list: ${doNotContact.list().length} user(s)`);
 
-        return true;
-    } catch (error) {
-        console.error('❌ Initialization failed:', error.message);
-        throw error;
+    // Prometheus metrics for every bot, served on /metrics
+    instruments = new BotInstruments();
+
+    // Webhook alerts, which still work when the backend (and so chat reports) is down
+    notifier = new Notifier(CONFIG.notifications);
+    if (notifier.enabled) {
+        logger.info(`🔔 Webhook notifications to ${notifier.webhooks.length} endpoint(s)`);
     }
+
+    // Live activity of every bot, served on /events and shown on /status
+    events = new EventStream();
+
+    const peerUsernames = CONFIG.bots.map(identity => identity.username);
+    runners = CONFIG.bots.map(identity => new BotRunner(identity, {
+        healthCheckInterval: CONFIG.healthCheckInterval,
+        peerUsernames,
+        doNotContact,
+        instruments,
+        notifier,
+        events
+    }));
+
+    adminApi = new AdminApi({
+        runners,
+        doNotContact,
+        store: sharedStore,
+        tokens: CONFIG.admin.tokens
+    });
 }
 
 /**
- * Send message to random user
+ * Start the bot
  */
-async function sendRandomMessage() {
-    if (!copBot.isHealthy()) {
-        copBot.log('Bot is unhealthy, skipping message action', 'warning');
+async function start() {
+    if (isRunning) {
+        logger.warn('Bot is already running!');
         return;
     }
 
     try {
-        copBot.log('🔍 Fetching active users...');
-        const users = await copBot.getActiveUsers();
+        initialize();
+        isRunning = true;
 
-        if (users.length === 0) {
-            copBot.log('No users available to message', 'warning');
-            return;
-        }
+        logger.info(`🚀 Starting ${runners.length} bot(s)...`);
+
+        // Start every bot independently; a failing bot retries on its own
+        await Promise.all(runners.map(runner => runner.start()));
 
-        const randomUser = copBot.getRandomUser(users);
-        copBot.log(`🎯 Selected user: @${randomUser.username} (ID: ${randomUser.id})`);
+        const ready = runners.filter(runner => runner.initialized).length;
+        logger.info(`Bot Cop is now running! (${ready}/${runners.length} bots initialized)`, { success: true });
+        notifier.notify('startup', {
+            message: `Bot Cop started: ${ready}/${runners.length} bots initialized`,
+            details: { bots: runners.map(runner => ({ name: runner.name, initialized: runner.initialized })) }
+        }).catch(() => {});
 
-        const result = await copBot.sendMessage(randomUser.id, randomUser.username);
+        // Start HTTP server for Render.com
+        await startHttpServer();
 
-        // Send report to phone
-        if (phoneUserId) {
-            await copBot.sendReport(phoneUserId, phoneUsername, result);
+        if (CONFIG.sources.watch) {
+            watchConfig();
         }
+
     } catch (error) {
-        copBot.log(`Error in sendRandomMessage: ${error.message}`, 'error');
+        logger.error('Failed to start bot', { error });
+        throw error;
     }
 }
 
 /**
- * Comment on random post
+ * Files that change what a reload applies: the config and .env files and
+ * every bot's templates, comment rules and inbox rules
  */
-async function commentOnRandomPost() {
-    if (!copBot.isHealthy()) {
-        copBot.log('Bot is unhealthy, skipping comment action', 'warning');
-        return;
-    }
-
-    try {
-        copBot.log('🔍 Fetching posts...');
-        const posts = await copBot.getPosts();
-
-        if (posts.length === 0) {
-            copBot.log('No posts available to comment on', 'warning');
-            return;
-        }
-
-        const randomPost = copBot.getRandomPost(posts);
-        copBot.log(`🎯 Selected post: ID ${randomPost.id} by @${randomPost.username}`);
-
-        const result = await copBot.commentOnPost(randomPost.id, randomPost.username);
-
-        // Send report to phone
-        if (phoneUserId) {
-            await copBot.sendReport(phoneUserId, phoneUsername, result);
-        }
-    } catch (error) {
-        copBot.log(`Error in commentOnRandomPost: ${error.message}`, 'error');
+function watchedFiles() {
+    const files = [CONFIG.sources.configFile, CONFIG.sources.envFile];
+    for (const { identity } of runners) {
+        files.push(identity.templatesPath, identity.commentRulesPath);
+        if (identity.inbox.enabled) files.push(identity.inbox.rulesPath);
     }
+    return Array.from(new Set(files.filter(Boolean)));
 }
 
 /**
- * Health check and status report
+ * Reload whenever a watched file changes
  */
-async function performHealthCheck() {
-    const stats = copBot.getStats();
-    const isHealthy = copBot.isHealthy();
-
-    console.log('\n📊 Bot Health Status:');
-    console.log(`  Status: ${isHealthy ? '✅ Healthy' : '❌ Unhealthy'}`);
-    console.log(`  Total Actions: ${stats.total}`);
-    console.log(`  Successes: ${stats.successes}`);
-    console.log(`  Errors: ${stats.errors}`);
-    console.log(`  Success Rate: ${stats.successRate}`);
-    console.log(`  Consecutive Errors: ${copBot.errorCount}\n`);
-
-    // If unhealthy, try to recover
-    if (!isHealthy) {
-        copBot.log('Bot is unhealthy, attempting recovery...', 'warning');
-        try {
-            await copBot.authenticate();
-            copBot.errorCount = 0;
-            copBot.log('Recovery successful!', 'success');
-        } catch (error) {
-            copBot.log(`Recovery failed: ${error.message}`, 'error');
-        }
+function watchConfig() {
+    if (!configWatcher) {
+        configWatcher = new ConfigWatcher({ onChange: file => reload(`${path.basename(file)} changed`) });
     }
+    const watching = configWatcher.watch(watchedFiles());
+    logger.debug(`👀 Watching ${watching} location(s) for config changes`);
 }
 
 /**
- * Start the bot
+ * Re-read the configuration and apply what can change while running:
+ * schedules, templates, comment and inbox rules, and targeting. A
+ * configuration that fails validation is logged and ignored, and so is a
+ * bot whose new files don't load; everything else needs a restart.
+ * Returns whether every bot took the new configuration.
  */
-async function start() {
-    if (isRunning) {
-        console.log('⚠️  Bot is already running!');
-        return;
+function reload(reason = 'requested') {
+    if (!isRunning) {
+        return false;
     }
 
+    let next;
     try {
-        await initialize();
-        isRunning = true;
+        next = loadConfig();
+    } catch (error) {
+        logger.error(`🔁 Reload (${reason}) failed, keeping the current configuration: ${error.message}`);
+        return false;
+    }
 
-        const intervalMs = CONFIG.intervalMinutes * 60 * 1000;
-
-        console.log('🚀 Starting Bot Cop...\n');
-        console.log(`⏰ Message interval: Every ${CONFIG.intervalMinutes} minutes`);
-        console.log(`⏰ Comment interval: Every ${CONFIG.intervalMinutes} minutes (offset by 1 minute)\n`);
-
-        // Send initial message immediately
-        await sendRandomMessage();
-
-        // Set up message interval (every 2 minutes)
-        messageInterval = setInterval(async () => {
-            console.log('\n' + '='.repeat(60));
-            console.log('💬 MESSAGE ACTION');
-            console.log('='.repeat(60) + '\n');
-            await sendRandomMessage();
-        }, intervalMs);
-
-        // Set up comment interval (every 2 minutes, offset by 1 minute)
-        setTimeout(() => {
-            // Send initial comment after 1 minute
-            (async () => {
-                console.log('\n' + '='.repeat(60));
-                console.log('💭 COMMENT ACTION');
-                console.log('='.repeat(60) + '\n');
-                await commentOnRandomPost();
-            })();
-
-            // Then repeat every 2 minutes
-            commentInterval = setInterval(async () => {
-                console.log('\n' + '='.repeat(60));
-                console.log('💭 COMMENT ACTION');
-                console.log('='.repeat(60) + '\n');
-                await commentOnRandomPost();
-            }, intervalMs);
-        }, 60 * 1000); // 1 minute offset
-
-        // Set up health check
-        healthCheckInterval = setInterval(performHealthCheck, CONFIG.healthCheckInterval);
-
-        console.log('✅ Bot Cop is now running!');
-        console.log('Press Ctrl+C to stop.\n');
+    let applied = true;
+    for (const runner of runners) {
+        const identity = next.bots.find(bot => bot.name === runner.name);
+        if (!identity) {
+            logger.warn(`🔁 Bot "${runner.name}" is no longer configured; restart to remove it`, { bot: runner.name });
+            continue;
+        }
+        try {
+            const restartFields = runner.reload(identity);
+            if (restartFields.length > 0) {
+                logger.warn(`🔁 Changes to ${restartFields.join(', ')} apply after a restart`, { bot: runner.name });
+            }
+        } catch (error) {
+            applied = false;
+            logger.error(`🔁 Reload failed, keeping the current setup: ${error.message}`, { bot: runner.name });
+        }
+    }
 
-        // Start HTTP server for Render.com
-        startHttpServer();
+    const added = next.bots.filter(identity => !runners.some(runner => runner.name === identity.name));
+    if (added.length > 0) {
+        logger.warn(`🔁 New bot(s) ${added.map(identity => identity.name).join(', ')} start after a restart`);
+    }
 
-    } catch (error) {
-        console.error('❌ Failed to start bot:', error.message);
-        process.exit(1);
+    CONFIG.sources = next.sources;
+    if (configWatcher) {
+        watchConfig();
     }
+    if (applied) {
+        logger.info(`🔁 Configuration reloaded (${reason})`, { success: true });
+    } else {
+        logger.warn(`🔁 Configuration reloaded (${reason}), but some bots kept their previous setup`);
+    }
+    return applied;
+}
+
+/**
+ * Status of every bot plus the overall health: the worst bot's status
+ */
+function getStatus() {
+    const bots = runners.map(runner => runner.getStatus());
+    const status = worstStatus(bots.map(bot => bot.health.status));
+    return {
+        status,
+        healthy: status !== 'down',
+        doNotContact: doNotContact ? doNotContact.list().length : 0,
+        webhooks: notifier ? notifier.getStatus() : [],
+        events: events ? events.getStatus() : null,
+        bots
+    };
+}
+
+/**
+ * The /status dashboard: current state, 24h charts and the recent events
+ * the page picks the live stream up from
+ */
+function renderStatusPage() {
+    return renderDashboard({
+        status: getStatus(),
+        uptime: process.uptime(),
+        bots: Object.fromEntries(runners.map(runner => [runner.name, {
+            activity: runner.bot.metrics.hourly(),
+            failures: runner.bot.metrics.recentFailures()
+        }])),
+        events: events.recent({ limit: 50 }),
+        lastEventId: events.getStatus().published,
+        log: logger.buffer ? logger.buffer.recent(25) : []
+    });
 }
 
 /**
  * Start HTTP server for health checks and keeping service alive
  */
 function startHttpServer() {
-    const server = http.createServer((req, res) => {
+    server = http.createServer((req, res) => {
         const url = req.url;
 
-        // Health check endpoint
-        if (url === '/' || url === '/health') {
-            const stats = copBot ? copBot.getStats() : { total: 0, successes: 0, errors: 0 };
-            const isHealthy = copBot ? copBot.isHealthy() : false;
+        // Token-protected admin routes
+        if (url === '/admin' || url.startsWith('/admin/') || url.startsWith('/admin?')) {
+            adminApi.handle(req, res);
+        }
+        // Health check endpoint: 503 when a bot is down, 200 when healthy or degraded
+        else if (url === '/' || url === '/health') {
+            const status = getStatus();
             
-            res.writeHead(200, { 'Content-Type': 'application/json' });
+            res.writeHead(status.healthy ? 200 : 503, { 'Content-Type': 'application/json' });
             res.end(JSON.stringify({
-                status: 'running',
-                healthy: isHealthy,
+                status: status.status,
+                healthy: status.healthy,
                 uptime: process.uptime(),
-                stats: stats,
+                doNotContact: status.doNotContact,
+                bots: status.bots,
                 message: '🤖 Bot Cop is running!'
             }));
         }
-        // Status endpoint
+        // Liveness: the process is up and serving; only a shutdown fails it
+        else if (url === '/livez') {
+            res.writeHead(isRunning ? 200 : 503, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ status: isRunning ? 'alive' : 'shutting down', uptime: process.uptime() }));
+        }
+        // Readiness: every bot signed in and none of them down
+        else if (url === '/readyz') {
+            const bots = runners.map(runner => ({ name: runner.name, initialized: runner.initialized, ...runner.getHealth() }));
+            const ready = isRunning && bots.every(bot => bot.initialized && bot.status !== 'down');
+            res.writeHead(ready ? 200 : 503, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ ready, bots }));
+        }
+        // Prometheus scrape endpoint
+        else if (url === '/metrics') {
+            res.writeHead(200, { 'Content-Type': CONTENT_TYPE });
+            res.end(instruments.render());
+        }
+        // Live activity as Server-Sent Events
+        else if (url === '/events' || url.startsWith('/events?')) {
+            events.handle(req, res);
+        }
+        // Live dashboard
         else if (url === '/status') {
-            const stats = copBot ? copBot.getStats() : { total: 0, successes: 0, errors: 0 };
-            
-            res.writeHead(200, { 'Content-Type': 'text/html' });
-            res.end(`
-                <!DOCTYPE html>
-                <html>
-                <head>
-                    <title>Bot Cop Status</title>
-                    <style>
-                        body { font-family: Arial; max-width: 600px; margin: 50px auto; padding: 20px; }
-                        h1 { color: #333; }
-                        .stat { background: #f0f0f0; padding: 10px; margin: 10px 0; border-radius: 5px; }
-                        .healthy { color: green; }
-                        .unhealthy { color: red; }
-                    </style>
-                </head>
-                <body>
-                    <h1>🤖 Bot Cop Status</h1>
-                    <div class="stat">Status: <strong class="${copBot && copBot.isHealthy() ? 'healthy' : 'unhealthy'}">${copBot && copBot.isHealthy() ? '✅ Healthy' : '❌ Unhealthy'}</strong></div>
-                    <div class="stat">Uptime: <strong>${Math.floor(process.uptime())} seconds</strong></div>
-                    <div class="stat">Total Actions: <strong>${stats.total}</strong></div>
-                    <div class="stat">Successes: <strong>${stats.successes}</strong></div>
-                    <div class="stat">Errors: <strong>${stats.errors}</strong></div>
-                    <div class="stat">Success Rate: <strong>${stats.successRate}</strong></div>
-                    <p><em>Bot sends messages and comments every ${CONFIG.intervalMinutes} minutes</em></p>
-                </body>
-                </html>
-            `);
+            res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+            res.end(renderStatusPage());
         }
         // 404
         else {
@@ -295,67 +319,119 @@ function startHttpServer() {
         }
     });
 
-    server.listen(CONFIG.port, '0.0.0.0', () => {
-        console.log(`\n🌐 HTTP Server running on port ${CONFIG.port}`);
-        console.log(`   Health check: http://localhost:${CONFIG.port}/health`);
-        console.log(`   Status page: http://localhost:${CONFIG.port}/status\n`);
+    return new Promise(resolve => {
+        server.listen(CONFIG.port, '0.0.0.0', () => {
+            // PORT=0 picks a free port, so report the one we got
+            const port = server.address().port;
+            logger.info(`🌐 HTTP Server running on port ${port}`, {
+                health: `http://localhost:${port}/health`,
+                probes: `http://localhost:${port}/livez, http://localhost:${port}/readyz`,
+                status: `http://localhost:${port}/status`,
+                events: `http://localhost:${port}/events`,
+                metrics: `http://localhost:${port}/metrics`,
+                admin: adminApi.enabled ? `http://localhost:${port}/admin` : 'disabled (set ADMIN_TOKEN)'
+            });
+            resolve(server);
+        });
     });
 }
 
 /**
- * Stop the bot gracefully
+ * Address of the HTTP server while it is listening
  */
-async function stop() {
+function getAddress() {
+    return server && server.listening ? server.address() : null;
+}
+
+/**
+ * Stop every bot and the HTTP server without exiting the process
+ */
+async function shutdown() {
     if (!isRunning) {
         return;
     }
 
-    console.log('\n\n🛑 Stopping Bot Cop...');
+    logger.info('🛑 Stopping Bot Cop...');
 
     isRunning = false;
 
-    // Clear intervals
-    if (messageInterval) clearInterval(messageInterval);
-    if (commentInterval) clearInterval(commentInterval);
-    if (healthCheckInterval) clearInterval(healthCheckInterval);
+    // Clear timers
+    if (configWatcher) {
+        configWatcher.close();
+        configWatcher = null;
+    }
+    runners.forEach(runner => runner.stop());
+    if (sharedStore) sharedStore.close();
+
+    // Give the shutdown webhook a few seconds, retries included, but never hang on it
+    if (notifier && notifier.enabled) {
+        await Promise.race([
+            notifier.notify('shutdown', { message: 'Bot Cop is shutting down' }),
+            new Promise(resolve => setTimeout(resolve, 5000).unref())
+        ]);
+    }
 
     // Print final stats
-    if (copBot) {
-        console.log('\n📊 Final Statistics:');
-        const stats = copBot.getStats();
-        console.log(`  Total Actions: ${stats.total}`);
-        console.log(`  Successes: ${stats.successes}`);
-        console.log(`  Errors: ${stats.errors}`);
-        console.log(`  Success Rate: ${stats.successRate}`);
+    for (const runner of runners) {
+        const stats = runner.bot.getStats();
+        logger.info('📊 Final statistics', {
+            bot: runner.name,
+            total: stats.total,
+            successes: stats.successes,
+            errors: stats.errors,
+            skipped: stats.skipped,
+            simulated: stats.simulated,
+            successRate: stats.successRate
+        });
     }
 
-    console.log('\n✅ Bot Cop stopped gracefully.\n');
-    process.exit(0);
+    // Open event streams would keep the server from closing
+    if (events) events.close();
+    if (server) {
+        await new Promise(resolve => server.close(() => resolve()));
+        server = null;
+    }
+
+    logger.info('Bot Cop stopped gracefully.', { success: true });
 }
 
 /**
- * Handle graceful shutdown
+ * Stop the bot gracefully and exit
  */
-process.on('SIGINT', stop);
-process.on('SIGTERM', stop);
+async function stop() {
+    await shutdown();
+    process.exit(0);
+}
 
-// Handle uncaught errors
-process.on('uncaughtException', (error) => {
-    console.error('❌ Uncaught Exception:', error);
-    stop();
-});
+/**
+ * Run as the long-lived service: start, and stop on signals and crashes.
+ * Used by `node index.js` and `cli.js run`; tests call start() instead so
+ * they can start and shut down the service in-process.
+ */
+function run() {
+    process.on('SIGINT', stop);
+    process.on('SIGTERM', stop);
+    process.on('SIGHUP', () => reload('SIGHUP'));
+
+    // Handle uncaught errors
+    process.on('uncaughtException', (error) => {
+        logger.error('Uncaught exception', { error, stack: error.stack });
+        stop();
+    });
 
-process.on('unhandledRejection', (reason, promise) => {
-    console.error('❌ Unhandled Rejection at:', promise, 'reason:', reason);
-    stop();
-});
+    process.on('unhandledRejection', (reason) => {
+        logger.error('Unhandled rejection', { error: reason, stack: reason && reason.stack });
+        stop();
+    });
 
-// Start the bot
-if (require.main === module) {
-    start().catch((error) => {
-        console.error('❌ Fatal error:', error);
+    return start().catch((error) => {
+        logger.error('Fatal error', { error, stack: error.stack });
         process.exit(1);
     });
 }
 
-module.exports = { start, stop };
+if (require.main === module) {
+    run();
+}
+
+module.exports = { start, stop, shutdown, reload, run, getStatus, getAddress };
@@ -0,0 +1,105 @@
+const { TargetNotFoundError } = require('../errors');
+
+/**
+ * Comment Action
+ * Leaves a comment on one of the posts post discovery ranks highest
+ */
+module.exports = {
+    type: 'comment',
+    label: '💭 COMMENT ACTION',
+    templates: true,
+    targetKind: 'post',
+
+    /**
+     * Pick a discovered post that is not in its comment cooldown and that the
+     * comment rules don't tell us to skip; weighted-activity weighs posts by
+     * their rank score
+     */
+    async findTarget(bot) {
+        bot.log('🔍 Fetching posts...');
+        const candidates = await bot.getPostCandidates();
+
+        if (candidates.length === 0) {
+            bot.log('No posts available to comment on', 'warning');
+            return null;
+        }
+
+        const scores = new Map(candidates.map(({ post, score }) => [post, score]));
+        let remaining = candidates.map(candidate => candidate.post);
+        while (remaining.length > 0) {
+            const post = bot.selectTarget('comment', remaining, { activityOf: candidate => scores.get(candidate) });
+            if (!post) {
+                bot.log('Every remaining post was commented on recently', 'warning');
+                return null;
+            }
+            remaining = remaining.filter(p => p !== post);
+
+            if (!bot.commentRules) {
+                return { post, category: null, rule: null };
+            }
+
+            const decision = bot.commentRules.evaluate(post);
+            if (!decision.skip) {
+                return { post, category: decision.category, rule: decision.rule };
+            }
+            bot.log(`Skipping post ${post.id} (rule: ${decision.rule || 'no default category'})`, 'info', { postId: post.id });
+        }
+
+        bot.log('Comment rules skipped every available post', 'warning');
+        return null;
+    },
+
+    /**
+     * A specific post from the feed: { postId }. Cooldowns, the age window
+     * and the discovery filters are bypassed, but comment rules that skip the
+     * post still apply.
+     */
+    async resolveTarget(bot, ref) {
+        if (ref.postId === undefined || ref.postId === null) {
+            throw new TargetNotFoundError('A comment target needs a "postId"');
+        }
+
+        const { posts } = await bot.postDiscovery.fetch({ window: false });
+        const post = posts.find(candidate => String(candidate.id) === String(ref.postId));
+        if (!post) {
+            throw new TargetNotFoundError(`Post ${ref.postId} is not in the feed (or can't be commented on)`);
+        }
+
+        if (!bot.commentRules) {
+            return { post, category: null, rule: null };
+        }
+        const decision = bot.commentRules.evaluate(post);
+        if (decision.skip) {
+            throw new TargetNotFoundError(`Post ${ref.postId} is skipped by the comment rules (rule: ${decision.rule || 'no default category'})`);
+        }
+        return { post, category: decision.category, rule: decision.rule };
+    },
+
+    /**
+     * Likes plus comments: the engagement half of a post's rank score
+     */
+    activityOf(post) {
+        const count = value => Array.isArray(value) ? value.length : (Number(value) || 0);
+        return count(post.likes_count || post.like_count || post.likes)
+            + count(post.comments_count || post.comment_count || post.comments);
+    },
+
+    describeTarget({ post, category, rule }) {
+        const reason = category ? ` [${category}${rule ? ` via ${rule}` : ''}]` : '';
+        return `post ID ${post.id} by @${post.username}${reason}`;
+    },
+
+    async execute(bot, { post, category }, options = {}) {
+        return bot.commentOnPost(post.id, post.username, { post, category, text: options.text });
+    },
+
+    formatReport(result) {
+        if (result.simulated) {
+            return `🧪 [dry run] Would comment on ${result.target}: "${result.content}"`;
+        }
+        if (!result.success) {
+            return `❌ Failed to comment on ${result.target}: ${result.error}`;
+        }
+        return `✅ Commented on ${result.target}: "${result.content}"`;
+    }
+};
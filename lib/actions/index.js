@@ -0,0 +1,100 @@
+/**
+ * Action Registry
+ * Every action type (message, comment, ...) is a self-contained module that
+ * knows how to discover a target, execute against it and format its report.
+ *
+ * An action module exports:
+ *   type          - unique action name, also used in results and reports
+ *   label         - banner shown in the logs when the action runs
+ *   findTarget    - async (bot) => target | null
+ *   describeTarget - (target) => short human-readable description
+ *   execute       - async (bot, target, options) => result ({ success, action, target, ... });
+ *                   dry-run results also carry simulated: true. options.text, when
+ *                   set, replaces the text the action would render
+ *   formatReport  - (result) => report message text
+ *   templates     - optional; true if the action renders texts from the template library
+ *   targetKind    - optional; "user" / "post", enables cooldowns via the target history
+ *   activityOf    - optional; (target) => number, used by the weighted-activity strategy
+ *   resolveTarget - optional; async (bot, ref) => target, for runs aimed at a specific
+ *                   target (admin "run now"); throws TargetNotFoundError if there is none
+ */
+
+const actions = new Map();
+
+const REQUIRED_FUNCTIONS = ['findTarget', 'describeTarget', 'execute', 'formatReport'];
+
+/**
+ * Register an action module
+ */
+function registerAction(action) {
+    if (!action || typeof action.type !== 'string' || !action.type) {
+        throw new Error('Action must have a non-empty "type"');
+    }
+
+    for (const fn of REQUIRED_FUNCTIONS) {
+        if (typeof action[fn] !== 'function') {
+            throw new Error(`Action "${action.type}" must implement ${fn}()`);
+        }
+    }
+
+    if (actions.has(action.type)) {
+        throw new Error(`Action "${action.type}" is already registered`);
+    }
+
+    actions.set(action.type, action);
+    return action;
+}
+
+/**
+ * Look up a registered action, throwing if it is unknown
+ */
+function getAction(type) {
+    const action = actions.get(type);
+    if (!action) {
+        throw new Error(`Unknown action "${type}". Registered actions: ${listActions().join(', ')}`);
+    }
+    return action;
+}
+
+/**
+ * Check whether an action type is registered
+ */
+function hasAction(type) {
+    return actions.has(type);
+}
+
+/**
+ * Names of all registered actions
+ */
+function listActions() {
+    return Array.from(actions.keys());
+}
+
+/**
+ * Render a report line for any action result
+ */
+function formatReport(result) {
+    const action = actions.get(result.action);
+    if (action) {
+        return action.formatReport(result);
+    }
+
+    if (result.simulated) {
+        return `🧪 [dry run] Would ${result.action} ${result.target}`;
+    }
+    return result.success
+        ? `✅ ${result.action} on ${result.target}`
+        : `❌ Failed to ${result.action} ${result.target}: ${result.error}`;
+}
+
+// Built-in actions
+registerAction(require('./message'));
+registerAction(require('./comment'));
+
+module.exports = {
+    registerAction,
+    getAction,
+    hasAction,
+    listActions,
+    formatReport
+};
@@ -0,0 +1,74 @@
+const { TargetNotFoundError } = require('../errors');
+
+/**
+ * Message Action
+ * Sends a direct message to a random active user
+ */
+module.exports = {
+    type: 'message',
+    label: '💬 MESSAGE ACTION',
+    templates: true,
+    targetKind: 'user',
+
+    /**
+     * Pick an active user that is not in their message cooldown
+     */
+    async findTarget(bot) {
+        bot.log('🔍 Fetching active users...');
+        const users = await bot.getActiveUsers();
+
+        if (users.length === 0) {
+            bot.log('No users available to message', 'warning');
+            return null;
+        }
+
+        const user = bot.selectTarget('message', users);
+        if (!user) {
+            bot.log('Every available user was messaged recently', 'warning');
+        }
+        return user;
+    },
+
+    /**
+     * Look up a specific user: { username } or { userId, username }
+     */
+    async resolveTarget(bot, ref) {
+        if (!ref.username) {
+            throw new TargetNotFoundError('A message target needs a "username"');
+        }
+        if (ref.userId) {
+            return { id: ref.userId, username: ref.username };
+        }
+
+        const user = await bot.findUser(ref.username);
+        if (!user) {
+            throw new TargetNotFoundError(`User @${ref.username} not found`);
+        }
+        return user;
+    },
+
+    /**
+     * Busier users get picked more often by the weighted-activity strategy
+     */
+    activityOf(user) {
+        return user.posts_count || user.post_count || user.followers_count || 0;
+    },
+
+    describeTarget(user) {
+        return `user @${user.username} (ID: ${user.id})`;
+    },
+
+    async execute(bot, user, options = {}) {
+        return bot.sendMessage(user.id, user.username, { text: options.text });
+    },
+
+    formatReport(result) {
+        if (result.simulated) {
+            return `🧪 [dry run] Would message @${result.target}: "${result.content}"`;
+        }
+        if (!result.success) {
+            return `❌ Failed to message @${result.target}: ${result.error}`;
+        }
+        return `✅ Sent message to @${result.target}: "${result.content}"`;
+    }
+};
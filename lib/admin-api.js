@@ -0,0 +1,411 @@
+const crypto = require('crypto');
+const actions = require('./actions');
+const { parseIdentifier } = require('./do-not-contact');
+const { ApiError, TargetNotFoundError } = require('./errors');
+const { logger } = require('./logging');
+
+/**
+ * Admin API
+ * Token-protected control routes on the built-in HTTP server. Every request
+ * needs "Authorization: Bearer <token>"; tokens are named (ADMIN_TOKENS) so
+ * each change lands in the audit log with who made it.
+ *
+ *   GET    /admin/bots                               status of every bot
+ *   POST   /admin/pause | /admin/resume              every bot; body { action? }
+ *   POST   /admin/bots/:bot/pause | resume           one bot; body { action? }
+ *   POST   /admin/bots/:bot/actions/:action/run      run now; body { target? }
+ *   GET    /admin/bots/:bot/scenarios                scenarios and their last runs
+ *   POST   /admin/bots/:bot/scenarios/:name/run      run now and wait; body { vars? }
+ *   PUT    /admin/bots/:bot/schedule/:rule           body { every } or { cron }
+ *   POST   /admin/bots/:bot/reauth                   force a re-authentication
+ *   GET    /admin/do-not-contact                     list entries
+ *   POST   /admin/do-not-contact                     body { username?, userId?, reason? }
+ *   DELETE /admin/do-not-contact/:user               username or "id:123"
+ *   GET    /admin/audit?limit=50                     recent changes
+ *
+ * Errors are JSON: { "error": { "code": "...", "message": "..." } }.
+ * Runtime changes last until the next restart; config stays the source of truth.
+ */
+
+const MAX_BODY_BYTES = 64 * 1024;
+
+/**
+ * Error with the HTTP status and machine-readable code to answer with
+ */
+class HttpError extends Error {
+    constructor(status, code, message) {
+        super(message);
+        this.name = 'HttpError';
+        this.status = status;
+        this.code = code;
+    }
+}
+
+/**
+ * Compile "/admin/bots/:bot" into a regex with named groups
+ */
+function compilePath(pattern) {
+    const source = pattern.replace(/:(\w+)/g, '(?<$1>[^/]+)');
+    return new RegExp(`^${source}/?$`);
+}
+
+/**
+ * Compare secrets without leaking their length or content through timing
+ */
+function tokensMatch(given, expected) {
+    const hash = value => crypto.createHash('sha256').update(String(value)).digest();
+    return crypto.timingSafeEqual(hash(given), hash(expected));
+}
+
+/**
+ * Read and parse a JSON request body ({} when empty)
+ */
+function readJsonBody(req) {
+    return new Promise((resolve, reject) => {
+        let size = 0;
+        const chunks = [];
+
+        const onData = chunk => {
+            size += chunk.length;
+            if (size > MAX_BODY_BYTES) {
+                // Drain the rest unread so the 413 can still be sent; the
+                // connection is closed after it
+                req.removeListener('data', onData);
+                req.resume();
+                reject(Object.assign(new HttpError(413, 'payload_too_large', `Request body is larger than ${MAX_BODY_BYTES} bytes`), { closeConnection: true }));
+                return;
+            }
+            chunks.push(chunk);
+        };
+        req.on('data', onData);
+        req.on('error', reject);
+        req.on('end', () => {
+            if (size > MAX_BODY_BYTES) return;
+            const text = Buffer.concat(chunks).toString('utf8').trim();
+            if (!text) return resolve({});
+
+            let body;
+            try {
+                body = JSON.parse(text);
+            } catch (error) {
+                return reject(new HttpError(400, 'invalid_json', `Request body is not valid JSON: ${error.message}`));
+            }
+            if (!body || typeof body !== 'object' || Array.isArray(body)) {
+                return reject(new HttpError(400, 'invalid_body', 'Request body must be a JSON object'));
+            }
+            resolve(body);
+        });
+    });
+}
+
+function sendJson(res, status, payload, headers = {}) {
+    res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+    res.end(JSON.stringify(payload));
+}
+
+class AdminApi {
+    constructor(options = {}) {
+        this.runners = options.runners || [];
+        this.doNotContact = options.doNotContact || null;
+        // Audit records are appended to the "audit" stream of this store
+        this.store = options.store || null;
+        this.tokens = options.tokens || [];
+        this.logger = (options.logger || logger).child({ component: 'admin' });
+        this.routes = this.createRoutes();
+    }
+
+    get enabled() {
+        return this.tokens.length > 0;
+    }
+
+    createRoutes() {
+        const route = (method, pattern, handler) => ({ method, pattern, regex: compilePath(pattern), handler: handler.bind(this) });
+
+        return [
+            route('GET', '/admin/bots', this.listBots),
+            route('POST', '/admin/pause', context => this.setPaused(context, this.runners, true)),
+            route('POST', '/admin/resume', context => this.setPaused(context, this.runners, false)),
+            route('POST', '/admin/bots/:bot/pause', context => this.setPaused(context, [this.findRunner(context.params.bot)], true)),
+            route('POST', '/admin/bots/:bot/resume', context => this.setPaused(context, [this.findRunner(context.params.bot)], false)),
+            route('POST', '/admin/bots/:bot/actions/:action/run', this.runNow),
+            route('GET', '/admin/bots/:bot/scenarios', this.listScenarios),
+            route('POST', '/admin/bots/:bot/scenarios/:scenario/run', this.runScenario),
+            route('PUT', '/admin/bots/:bot/schedule/:rule', this.reschedule),
+            route('POST', '/admin/bots/:bot/reauth', this.reauthenticate),
+            route('GET', '/admin/do-not-contact', this.listDoNotContact),
+            route('POST', '/admin/do-not-contact', this.addDoNotContact),
+            route('DELETE', '/admin/do-not-contact/:user', this.removeDoNotContact),
+            route('GET', '/admin/audit', this.listAudit)
+        ];
+    }
+
+    /**
+     * Answer a request under /admin. Never throws; every failure becomes a JSON error.
+     */
+    async handle(req, res) {
+        try {
+            const url = new URL(req.url, 'http://localhost');
+            const actor = this.authenticate(req);
+
+            const matches = this.routes
+                .map(route => ({ route, match: route.regex.exec(url.pathname) }))
+                .filter(({ match }) => match);
+            if (matches.length === 0) {
+                throw new HttpError(404, 'not_found', `No admin route for ${url.pathname}`);
+            }
+
+            const found = matches.find(({ route }) => route.method === req.method);
+            if (!found) {
+                const allowed = matches.map(({ route }) => route.method);
+                throw Object.assign(new HttpError(405, 'method_not_allowed', `${req.method} is not allowed here (use ${allowed.join(', ')})`), { allowed });
+            }
+
+            const body = req.method === 'GET' ? {} : await readJsonBody(req);
+            const params = {};
+            for (const [key, value] of Object.entries(found.match.groups || {})) {
+                try {
+                    params[key] = decodeURIComponent(value);
+                } catch (error) {
+                    throw new HttpError(400, 'invalid_path', `Malformed ${key} "${value}" in the path: ${error.message}`);
+                }
+            }
+
+            const result = await found.route.handler({ actor, params, body, query: url.searchParams });
+            sendJson(res, 200, result);
+        } catch (error) {
+            const httpError = this.toHttpError(error);
+            if (httpError.status >= 500) {
+                this.logger.error(`${req.method} ${req.url} failed`, { error, stack: error.stack });
+            }
+            const headers = {};
+            if (httpError.status === 401) headers['WWW-Authenticate'] = 'Bearer';
+            if (httpError.allowed) headers.Allow = httpError.allowed.join(', ');
+            if (httpError.closeConnection) headers.Connection = 'close';
+            sendJson(res, httpError.status, { error: { code: httpError.code, message: httpError.message } }, headers);
+        }
+    }
+
+    /**
+     * Name of the token holder, or a 401/503
+     */
+    authenticate(req) {
+        if (!this.enabled) {
+            throw new HttpError(503, 'admin_disabled', 'The admin API is disabled; set ADMIN_TOKEN or ADMIN_TOKENS to enable it');
+        }
+
+        const header = req.headers.authorization || '';
+        const match = /^Bearer\s+(.+)$/i.exec(header);
+        if (!match) {
+            throw new HttpError(401, 'unauthorized', 'Missing "Authorization: Bearer <token>" header');
+        }
+
+        const holder = this.tokens.find(({ token }) => tokensMatch(match[1].trim(), token));
+        if (!holder) {
+            this.logger.warn('Rejected invalid admin token', { ip: req.socket.remoteAddress });
+            throw new HttpError(401, 'unauthorized', 'Invalid admin token');
+        }
+        return holder.name;
+    }
+
+    /**
+     * Map errors from the bots to HTTP statuses
+     */
+    toHttpError(error) {
+        if (error instanceof HttpError) return error;
+        if (error instanceof TargetNotFoundError) return new HttpError(404, 'target_not_found', error.message);
+        if (error instanceof ApiError) return new HttpError(502, 'upstream_error', error.message);
+        return new HttpError(500, 'internal_error', error.message);
+    }
+
+    /**
+     * Record a change with who made it
+     */
+    audit(actor, change, details = {}) {
+        const record = { at: new Date().toISOString(), actor, change, ...details };
+        if (this.store) {
+            this.store.append('audit', record);
+        }
+        this.logger.info(`📝 ${actor}: ${change}`, { actor, change, ...details });
+        return record;
+    }
+
+    findRunner(name) {
+        const runner = this.runners.find(candidate => candidate.name === name);
+        if (!runner) {
+            throw new HttpError(404, 'unknown_bot', `Unknown bot "${name}" (bots: ${this.runners.map(r => r.name).join(', ')})`);
+        }
+        return runner;
+    }
+
+    requireAction(type) {
+        if (!actions.hasAction(type)) {
+            throw new HttpError(404, 'unknown_action', `Unknown action "${type}" (actions: ${actions.listActions().join(', ')})`);
+        }
+    }
+
+    listBots() {
+        return { bots: this.runners.map(runner => runner.getStatus()) };
+    }
+
+    setPaused({ actor, body }, runners, paused) {
+        const type = body.action || null;
+        if (type) this.requireAction(type);
+
+        for (const runner of runners) {
+            if (paused) runner.pause(type);
+            else runner.resume(type);
+        }
+
+        this.audit(actor, paused ? 'pause' : 'resume', {
+            bots: runners.map(runner => runner.name),
+            action: type
+        });
+        return {
+            bots: runners.map(runner => ({
+                name: runner.name,
+                paused: runner.paused,
+                pausedActions: Array.from(runner.pausedActions)
+            }))
+        };
+    }
+
+    async runNow({ actor, params, body }) {
+        const runner = this.findRunner(params.bot);
+        this.requireAction(params.action);
+        if (!runner.initialized) {
+            throw new HttpError(409, 'not_initialized', `Bot "${runner.name}" has not authenticated yet`);
+        }
+        if (body.target !== undefined && (!body.target || typeof body.target !== 'object')) {
+            throw new HttpError(400, 'invalid_target', '"target" must be an object, e.g. { "username": "alice" } or { "postId": 42 }');
+        }
+
+        const details = { bots: [runner.name], action: params.action, target: body.target || null };
+        let result;
+        try {
+            result = await runner.runAction(params.action, { target: body.target, manual: true });
+        } catch (error) {
+            this.audit(actor, 'run', { ...details, success: false, error: error.message });
+            throw error;
+        }
+
+        this.audit(actor, 'run', { ...details, success: result ? result.success : null });
+        return { result, message: result ? undefined : 'Nothing was run: no target available or the bot is unhealthy' };
+    }
+
+    listScenarios({ params }) {
+        const runner = this.findRunner(params.bot);
+        return { scenarios: runner.getScenarios() };
+    }
+
+    async runScenario({ actor, params, body }) {
+        const runner = this.findRunner(params.bot);
+        if (!runner.scenarios.has(params.scenario)) {
+            throw new HttpError(404, 'unknown_scenario', `Bot "${runner.name}" has no scenario "${params.scenario}" (scenarios: ${runner.scenarios.names().join(', ') || 'none'})`);
+        }
+        if (!runner.initialized) {
+            throw new HttpError(409, 'not_initialized', `Bot "${runner.name}" has not authenticated yet`);
+        }
+        if (body.vars !== undefined && (!body.vars || typeof body.vars !== 'object' || Array.isArray(body.vars))) {
+            throw new HttpError(400, 'invalid_vars', '"vars" must be an object, e.g. { "user": "alice" }');
+        }
+
+        const details = { bots: [runner.name], scenario: params.scenario };
+        let run;
+        try {
+            run = await runner.runScenario(params.scenario, { vars: body.vars, manual: true, trigger: 'admin' });
+        } catch (error) {
+            this.audit(actor, 'scenario', { ...details, passed: false, error: error.message });
+            throw error;
+        }
+
+        this.audit(actor, 'scenario', { ...details, runId: run.runId, passed: run.passed });
+        return { run };
+    }
+
+    reschedule({ actor, params, body }) {
+        const runner = this.findRunner(params.bot);
+        if (!runner.scheduler.rules.some(rule => rule.name === params.rule)) {
+            throw new HttpError(404, 'unknown_rule', `Bot "${runner.name}" has no schedule rule "${params.rule}" (rules: ${runner.scheduler.rules.map(rule => rule.name).join(', ')})`);
+        }
+
+        let rule;
+        try {
+            rule = runner.reschedule(params.rule, { every: body.every, cron: body.cron });
+        } catch (error) {
+            throw new HttpError(400, 'invalid_schedule', error.message);
+        }
+
+        this.audit(actor, 'reschedule', {
+            bots: [runner.name],
+            rule: params.rule,
+            every: body.every || null,
+            cron: body.cron || null
+        });
+        return { rule };
+    }
+
+    async reauthenticate({ actor, params }) {
+        const runner = this.findRunner(params.bot);
+        try {
+            await runner.reauthenticate();
+        } catch (error) {
+            this.audit(actor, 'reauth', { bots: [runner.name], success: false, error: error.message });
+            throw error;
+        }
+        this.audit(actor, 'reauth', { bots: [runner.name], success: true });
+        return { bot: runner.name, authenticated: true, initialized: runner.initialized };
+    }
+
+    requireDoNotContact() {
+        if (!this.doNotContact) {
+            throw new HttpError(503, 'do_not_contact_unavailable', 'The do-not-contact list is not loaded');
+        }
+        return this.doNotContact;
+    }
+
+    listDoNotContact() {
+        return { entries: this.requireDoNotContact().list() };
+    }
+
+    addDoNotContact({ actor, body }) {
+        const list = this.requireDoNotContact();
+        if (!body.username && (body.userId === undefined || body.userId === null || body.userId === '')) {
+            throw new HttpError(400, 'invalid_user', 'Give a "username" and/or a "userId"');
+        }
+
+        const { entry, added } = list.add({ userId: body.userId, username: body.username }, {
+            source: 'admin',
+            by: actor,
+            reason: body.reason
+        });
+        if (added) {
+            this.audit(actor, 'do_not_contact_add', { user: body.username || `id:${body.userId}`, reason: body.reason || null });
+        }
+        return { entry, added };
+    }
+
+    removeDoNotContact({ actor, params }) {
+        const list = this.requireDoNotContact();
+        const user = parseIdentifier(params.user);
+
+        let removed;
+        try {
+            removed = list.remove(user);
+        } catch (error) {
+            throw new HttpError(409, 'config_entry', error.message);
+        }
+        if (!removed) {
+            throw new HttpError(404, 'not_listed', `${params.user} is not on the do-not-contact list`);
+        }
+
+        this.audit(actor, 'do_not_contact_remove', { user: params.user });
+        return { removed: true };
+    }
+
+    listAudit({ query }) {
+        const limit = Math.min(Math.max(parseInt(query.get('limit') || '50', 10) || 50, 1), 1000);
+        return { entries: this.store ? this.store.readRecent('audit', limit) : [] };
+    }
+}
+
+module.exports = { AdminApi, HttpError };
@@ -0,0 +1,154 @@
+const { Registry } = require('./prometheus');
+const { STATUSES } = require('./health');
+
+/**
+ * Bot Instruments
+ * The Prometheus metrics BotService records into as it works. One set is
+ * shared by every bot in the process and each series is labelled by bot name.
+ */
+
+const LATENCY_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+
+// Gauge values for circuit breaker states
+const CIRCUIT_VALUES = { closed: 0, open: 1, half_open: 2 };
+
+/**
+ * Endpoint label without IDs or query: /api/chats/12/messages?x=1 -> /api/chats/:id/messages
+ */
+function endpointLabel(endpoint) {
+    return String(endpoint)
+        .split('?')[0]
+        .replace(/\/(\d+|[0-9a-f]{8}-[0-9a-f-]{27,})(?=\/|$)/gi, '/:id');
+}
+
+class BotInstruments {
+    constructor(registry = new Registry()) {
+        this.registry = registry;
+        this.bots = new Set();
+
+        this.actionAttempts = registry.counter({
+            name: 'botcop_action_attempts_total',
+            help: 'Action attempts by outcome (success, failure, skipped)',
+            labelNames: ['bot', 'action', 'outcome']
+        });
+        this.actionFailures = registry.counter({
+            name: 'botcop_action_failures_total',
+            help: 'Failed action attempts by error class',
+            labelNames: ['bot', 'action', 'error_class']
+        });
+        this.actionDuration = registry.histogram({
+            name: 'botcop_action_duration_seconds',
+            help: 'Time from picking a target to the action result, retries included',
+            labelNames: ['bot', 'action'],
+            buckets: LATENCY_BUCKETS
+        });
+        this.lastSuccess = registry.gauge({
+            name: 'botcop_action_last_success_timestamp_seconds',
+            help: 'Unix time of the last successful action per type',
+            labelNames: ['bot', 'action']
+        });
+        this.requests = registry.counter({
+            name: 'botcop_backend_requests_total',
+            help: 'Backend requests by endpoint and status code (timeout / network_error when there was no response)',
+            labelNames: ['bot', 'endpoint', 'status']
+        });
+        this.requestDuration = registry.histogram({
+            name: 'botcop_backend_request_duration_seconds',
+            help: 'Backend request latency per attempt',
+            labelNames: ['bot', 'endpoint'],
+            buckets: LATENCY_BUCKETS
+        });
+        this.authRefreshes = registry.counter({
+            name: 'botcop_auth_refreshes_total',
+            help: 'Authentications (initial sign-in and token refreshes) by outcome',
+            labelNames: ['bot', 'outcome']
+        });
+        this.lastAuth = registry.gauge({
+            name: 'botcop_last_auth_timestamp_seconds',
+            help: 'Unix time of the last successful authentication',
+            labelNames: ['bot']
+        });
+        this.consecutiveErrors = registry.gauge({
+            name: 'botcop_consecutive_errors',
+            help: 'Consecutive action errors (errorCount); the bot is unhealthy at 5',
+            labelNames: ['bot'],
+            collect: gauge => this.bots.forEach(bot => gauge.set({ bot: bot.name }, bot.errorCount))
+        });
+        this.healthy = registry.gauge({
+            name: 'botcop_healthy',
+            help: '1 when the bot is authenticated and not down',
+            labelNames: ['bot'],
+            collect: gauge => this.bots.forEach(bot => gauge.set({ bot: bot.name }, bot.token && bot.isHealthy() ? 1 : 0))
+        });
+        this.healthStatus = registry.gauge({
+            name: 'botcop_health_status',
+            help: 'Health per bot: 0 healthy, 1 degraded, 2 down',
+            labelNames: ['bot'],
+            collect: gauge => this.bots.forEach(bot => gauge.set({ bot: bot.name }, STATUSES.indexOf(bot.getHealth().status)))
+        });
+        this.circuitState = registry.gauge({
+            name: 'botcop_circuit_state',
+            help: 'Circuit breaker per endpoint: 0 closed, 1 open, 2 half-open',
+            labelNames: ['bot', 'endpoint'],
+            collect: gauge => this.bots.forEach(bot => bot.breakers.getStatus().forEach(circuit => {
+                gauge.set({ bot: bot.name, endpoint: circuit.endpoint }, CIRCUIT_VALUES[circuit.state]);
+            }))
+        });
+        this.directoryUsers = registry.gauge({
+            name: 'botcop_directory_users',
+            help: 'Users known to the crawled user directory',
+            labelNames: ['bot'],
+            collect: gauge => this.bots.forEach(bot => {
+                if (bot.directory) gauge.set({ bot: bot.name }, bot.directory.all().length);
+            })
+        });
+    }
+
+    /**
+     * Include a bot in the gauges read at scrape time
+     */
+    track(bot) {
+        this.bots.add(bot);
+    }
+
+    /**
+     * One backend request attempt; status is the HTTP code or "timeout" / "network_error"
+     */
+    recordRequest(bot, endpoint, status, latencyMs) {
+        const label = endpointLabel(endpoint);
+        this.requests.inc({ bot, endpoint: label, status: String(status) });
+        this.requestDuration.observe({ bot, endpoint: label }, latencyMs / 1000);
+    }
+
+    /**
+     * One action attempt, as recorded in the action metrics
+     */
+    recordAction(bot, { action, outcome, errorClass, latencyMs }) {
+        this.actionAttempts.inc({ bot, action, outcome });
+        if (outcome === 'failure') {
+            this.actionFailures.inc({ bot, action, error_class: errorClass || 'unknown' });
+        }
+        if (outcome !== 'skipped') {
+            this.actionDuration.observe({ bot, action }, latencyMs / 1000);
+        }
+        if (outcome === 'success') {
+            this.lastSuccess.set({ bot, action }, Date.now() / 1000);
+        }
+    }
+
+    /**
+     * One authentication attempt
+     */
+    recordAuth(bot, success) {
+        this.authRefreshes.inc({ bot, outcome: success ? 'success' : 'failure' });
+        if (success) {
+            this.lastAuth.set({ bot }, Date.now() / 1000);
+        }
+    }
+
+    render() {
+        return this.registry.render();
+    }
+}
+
+module.exports = { BotInstruments, endpointLabel };
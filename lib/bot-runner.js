@@ -0,0 +1,711 @@
+const path = require('path');
+const BotService = require('../bot-service');
+const actions = require('./actions');
+const Scheduler = require('./scheduler');
+const { TemplateLibrary } = require('./templates');
+const CommentRules = require('./comment-rules');
+const { TargetHistory, parseCooldown, STRATEGIES } = require('./target-history');
+const { createStore } = require('./store');
+const { InboxListener, InboxRules } = require('./inbox');
+const { parseDuration } = require('./duration');
+const { Reporter } = require('./reporter');
+const { UserDirectory } = require('./user-directory');
+const { PostDiscovery } = require('./post-discovery');
+const { ScenarioLibrary, ScenarioRunner, formatRun } = require('./scenarios');
+const { TargetNotFoundError } = require('./errors');
+
+// Identity fields a config reload applies right away; changes to the others
+// (credentials, backend, store, reports, ...) wait for a restart
+const RELOADABLE_FIELDS = ['intervalMinutes', 'actions', 'schedule', 'templatesPath', 'commentRulesPath', 'scenariosPath', 'targeting', 'posts'];
+
+/**
+ * Bot Runner
+ * Owns one BotService identity: initialization, report user lookup,
+ * its action scheduler and health checks. Each runner is independent so one
+ * bot's failures never stall the others.
+ */
+class BotRunner {
+    constructor(identity, options = {}) {
+        this.identity = identity;
+        this.name = identity.name;
+        this.healthCheckInterval = options.healthCheckInterval || 30000;
+        // Usernames of every bot in this process, never answered by the inbox
+        this.peerUsernames = options.peerUsernames || [];
+        this.doNotContact = options.doNotContact || null;
+        this.instruments = options.instruments || null;
+        // Webhook alerts for health changes and failure spikes
+        this.notifier = options.notifier || null;
+        // Live /events stream; health changes are published here
+        this.events = options.events || null;
+        this.lastHealthStatus = null;
+        this.lastRecoveryAlert = null;
+        this.lastThresholdAlertAt = null;
+        this.templates = TemplateLibrary.load(identity.templatesPath);
+        this.commentRules = this.loadCommentRules();
+        this.store = createStore({
+            ...identity.store,
+            dir: path.join(identity.dataDir, identity.name)
+        });
+        this.history = new TargetHistory({ store: this.store });
+        this.validateTargeting();
+        this.bot = new BotService({
+            name: identity.name,
+            baseUrl: identity.baseUrl,
+            username: identity.username,
+            password: identity.password,
+            timezone: (identity.schedule || {}).timezone,
+            requestTimeout: identity.requests.timeout,
+            maxRetries: identity.requests.maxRetries,
+            maxReauthAttempts: identity.requests.maxReauthAttempts,
+            rateLimits: identity.requests.rateLimits,
+            circuitBreaker: identity.requests.circuitBreaker,
+            store: this.store,
+            maxLogEntries: identity.activityLogLimit,
+            dryRun: identity.dryRun,
+            templates: this.templates,
+            commentRules: this.commentRules,
+            history: this.history,
+            doNotContact: this.doNotContact,
+            instruments: this.instruments,
+            events: this.events,
+            targeting: identity.targeting,
+            posts: identity.posts
+        });
+        this.reporter = new Reporter(this.bot, identity.reports || [], {
+            timezone: (identity.schedule || {}).timezone,
+            templates: this.templates,
+            doNotContact: this.doNotContact,
+            store: this.store
+        });
+        this.initialized = false;
+        this.isRunning = false;
+        this.healthTimer = null;
+        this.lastError = null;
+        this.inboxTimer = null;
+        this.directoryTimer = null;
+        // Set from the admin API; paused bots and actions skip their scheduled runs
+        this.paused = false;
+        this.pausedActions = new Set();
+        this.inbox = this.createInbox();
+        this.directory = this.createDirectory();
+        this.scenarios = ScenarioLibrary.load(identity.scenariosPath);
+        this.scheduler = this.createScheduler();
+    }
+
+    /**
+     * Load the comment rules and make sure every category they pick has templates
+     */
+    loadCommentRules(identity = this.identity, templates = this.templates) {
+        const rules = CommentRules.load(identity.commentRulesPath);
+        const missing = rules.categories().filter(category => !templates.has('comment', category));
+        if (missing.length > 0) {
+            throw new Error(`Comment rules use categories with no comment templates: ${missing.join(', ')}`);
+        }
+        return rules;
+    }
+
+    /**
+     * Set up the inbox listener, if enabled, and check its reply templates
+     */
+    createInbox() {
+        const settings = this.identity.inbox || {};
+        if (!settings.enabled) return null;
+
+        const rules = this.loadInboxRules(settings);
+        this.inboxPollMs = parseDuration(settings.pollInterval, 'inbox poll interval');
+        return new InboxListener(this.bot, rules, {
+            ignoreUserIds: () => this.reporter.recipientIds(),
+            ignoreUsernames: [...this.peerUsernames, ...(settings.ignoreUsernames || [])]
+        });
+    }
+
+    /**
+     * Load the inbox rules and make sure every category they pick has reply templates
+     */
+    loadInboxRules(settings, templates = this.templates) {
+        const rules = InboxRules.load(settings.rulesPath);
+        const needed = [...rules.categories(), ...(this.doNotContact ? ['opt_out'] : [])];
+        const missing = needed.filter(category => !templates.has('reply', category));
+        if (missing.length > 0) {
+            throw new Error(`Inbox rules use categories with no reply templates: ${missing.join(', ')}`);
+        }
+        return rules;
+    }
+
+    /**
+     * Start polling the inbox
+     */
+    startInbox() {
+        if (!this.inbox || this.inboxTimer) return;
+
+        this.inboxTimer = setInterval(() => {
+            if (this.paused) return;
+            this.inbox.poll().catch(error => {
+                this.bot.log(`Inbox poll failed: ${error.message}`, 'error', { error });
+            });
+        }, this.inboxPollMs);
+        this.bot.log(`📥 Polling inbox every ${Math.round(this.inboxPollMs / 1000)}s`);
+    }
+
+    /**
+     * Set up the user directory the message action picks from, if enabled
+     */
+    createDirectory() {
+        const settings = this.identity.directory || {};
+        if (!settings.enabled) return null;
+
+        const directory = new UserDirectory(this.bot, {
+            ...settings,
+            store: this.store,
+            peerUsernames: this.peerUsernames
+        });
+        this.bot.directory = directory;
+        return directory;
+    }
+
+    /**
+     * Crawl the user directory a batch at a time, starting now
+     */
+    startDirectory() {
+        if (!this.directory || this.directoryTimer) return;
+
+        const crawl = () => {
+            if (this.paused) return;
+            this.directory.step().catch(error => {
+                this.bot.log(`User directory crawl failed: ${error.message}`, 'error', { error });
+            });
+        };
+        this.directoryTimer = setInterval(crawl, this.directory.crawlIntervalMs);
+        crawl();
+    }
+
+    /**
+     * Check cooldowns and strategies at startup
+     */
+    validateTargeting(targeting = this.identity.targeting) {
+        for (const [type, settings] of Object.entries(targeting || {})) {
+            try {
+                parseCooldown(settings.cooldown);
+            } catch (error) {
+                throw new Error(`Targeting for "${type}": ${error.message}`);
+            }
+            if (settings.strategy && !STRATEGIES.includes(settings.strategy)) {
+                throw new Error(`Targeting for "${type}": unknown strategy "${settings.strategy}" (expected ${STRATEGIES.join(', ')})`);
+            }
+        }
+    }
+
+    /**
+     * Target kinds whose history must never be pruned ("forever" cooldowns)
+     */
+    permanentTargetKinds() {
+        return Object.entries(this.identity.targeting || {})
+            .filter(([type, settings]) => actions.hasAction(type) && parseCooldown(settings.cooldown) === Infinity)
+            .map(([type]) => actions.getAction(type).targetKind)
+            .filter(Boolean);
+    }
+
+    /**
+     * Build the scheduler from the identity's schedule config.
+     * Without explicit rules, every enabled action runs on the bot's interval,
+     * spread evenly so they alternate. A rule with "scenario" runs that
+     * scenario instead of an action.
+     */
+    createScheduler(identity = this.identity, templates = this.templates, scenarios = this.scenarios) {
+        const schedule = identity.schedule || {};
+        const scheduler = new Scheduler({
+            timezone: schedule.timezone,
+            quietHours: schedule.quietHours,
+            activeWindows: schedule.activeWindows,
+            log: (message, type) => this.bot.log(message, type)
+        });
+
+        let rules = schedule.rules;
+        if (!rules || rules.length === 0) {
+            const intervalMs = identity.intervalMinutes * 60 * 1000;
+            const stagger = intervalMs / identity.actions.length;
+            rules = identity.actions.map((action, index) => ({
+                action,
+                every: intervalMs,
+                offset: Math.round(index * stagger),
+                jitter: schedule.jitter
+            }));
+        }
+
+        for (const rule of rules) {
+            if (rule.scenario) {
+                if (!scenarios.has(rule.scenario)) {
+                    throw new Error(`Schedule rule "${rule.name || rule.scenario}": unknown scenario "${rule.scenario}" (scenarios: ${scenarios.names().join(', ') || 'none'})`);
+                }
+                scheduler.addRule({ ...rule, actions: [`scenario:${rule.scenario}`] }, () => this.runScenario(rule.scenario));
+                continue;
+            }
+            const ruleActions = rule.actions || [rule.action];
+            // Fail fast on unknown action names and missing templates
+            ruleActions.filter(Boolean).forEach(type => {
+                if (actions.getAction(type).templates && !templates.has(type)) {
+                    throw new Error(`Action "${type}" needs templates, but ${identity.templatesPath} has none for it`);
+                }
+            });
+            scheduler.addRule(rule, type => this.runAction(type));
+        }
+
+        // Status pages list what this bot actually runs
+        identity.actions = Array.from(new Set(scheduler.rules.flatMap(rule => rule.actions))).filter(type => actions.hasAction(type));
+        return scheduler;
+    }
+
+    /**
+     * Authenticate and look up the report recipients
+     */
+    async initialize() {
+        await this.bot.authenticate();
+        await this.reporter.resolveRecipients();
+
+        this.initialized = true;
+        this.lastError = null;
+    }
+
+    /**
+     * Initialize, then start everything that needs a signed-in bot: the
+     * schedule, the inbox and the user directory crawl
+     */
+    async startUp() {
+        await this.initialize();
+        this.scheduleActions();
+        this.startInbox();
+        this.startDirectory();
+    }
+
+    /**
+     * Run a registered action and report the result.
+     * options: { target, text, manual } - manual runs (admin "run now", the
+     * CLI) ignore pauses; text replaces the rendered message or comment.
+     */
+    async runAction(type, options = {}) {
+        const action = actions.getAction(type);
+
+        if (!options.manual && this.isPaused(type)) {
+            this.bot.log(`⏸️  Skipping ${type}: paused`);
+            return null;
+        }
+
+        this.bot.logger.info(action.label, { action: type, manual: options.manual || undefined });
+
+        const result = await this.bot.runAction(type, { target: options.target, text: options.text });
+
+        if (result) {
+            await this.reporter.record(result);
+        }
+        if (result && !result.success && !result.simulated) {
+            this.checkFailureThreshold();
+        }
+        await this.reportHealth(result && result.error);
+        return result;
+    }
+
+    /**
+     * Run a scenario (a name or a loaded Scenario) and report how it went.
+     * options: { vars, trigger, manual } - manual runs ignore pauses.
+     * Returns the run report, or null when paused.
+     */
+    async runScenario(scenario, options = {}) {
+        if (typeof scenario === 'string') {
+            const found = this.scenarios.get(scenario);
+            if (!found) {
+                throw new TargetNotFoundError(`No scenario "${scenario}" (scenarios: ${this.scenarios.names().join(', ') || 'none'})`);
+            }
+            scenario = found;
+        }
+
+        if (!options.manual && this.paused) {
+            this.bot.log(`⏸️  Skipping scenario ${scenario.name}: paused`);
+            return null;
+        }
+
+        this.bot.logger.info(`🎬 Running scenario ${scenario.name}`, { scenario: scenario.name, manual: options.manual || undefined });
+        const run = await new ScenarioRunner(this.bot).run(scenario, {
+            vars: options.vars,
+            trigger: options.trigger || (options.manual ? 'manual' : 'schedule')
+        });
+
+        this.store.append('scenarios', run);
+        this.bot.publish('scenario', {
+            scenario: run.scenario,
+            runId: run.runId,
+            trigger: run.trigger,
+            passed: run.passed,
+            counts: run.counts,
+            durationMs: run.durationMs,
+            failures: run.steps.filter(step => step.status === 'failed').map(step => `${step.id} ${step.name || step.type}: ${step.failures.join('; ')}`)
+        });
+        this.bot.log(formatRun(run), run.passed ? 'success' : 'error', { scenario: run.scenario, runId: run.runId });
+        await this.reporter.recordScenario(run);
+        return run;
+    }
+
+    /**
+     * Loaded scenarios with the outcome of each one's last run
+     */
+    getScenarios() {
+        const runs = this.store.readRecent('scenarios', 100);
+        return this.scenarios.list().map(scenario => {
+            const last = runs.filter(run => run.scenario === scenario.name).pop();
+            return {
+                name: scenario.name,
+                description: scenario.description,
+                lastRun: last ? { runId: last.runId, at: last.startedAt, passed: last.passed, counts: last.counts, durationMs: last.durationMs } : null
+            };
+        });
+    }
+
+    /**
+     * Tell the reporter and the webhooks whether the bot is up (healthy or
+     * degraded) or down right now; the event stream gets every status change
+     */
+    async reportHealth(lastError = null) {
+        const health = this.getHealth();
+        const healthy = health.status !== 'down';
+        if (health.status !== this.lastHealthStatus) {
+            this.bot.publish('health', { status: health.status, previous: this.lastHealthStatus, reasons: health.reasons });
+            this.lastHealthStatus = health.status;
+        }
+        let detail = null;
+        if (!this.initialized) {
+            detail = `can't sign in${lastError ? `: ${lastError}` : ''}`;
+        } else if (!healthy) {
+            detail = `${health.reasons.join(', ')}${lastError ? `, last: ${lastError}` : ''}`;
+        }
+
+        if (healthy !== this.reporter.healthy) {
+            if (healthy) this.lastRecoveryAlert = null;
+            this.notify(
+                healthy ? 'recovered' : 'unhealthy',
+                healthy ? `${this.name} is healthy again` : `${this.name} is unhealthy: ${detail}`,
+                { status: health.status, reasons: health.reasons, consecutiveErrors: this.bot.errorCount, initialized: this.initialized, lastError }
+            );
+        }
+        await this.reporter.noteHealth(healthy, detail);
+    }
+
+    /**
+     * Webhook alert for a failed recovery. The same error is repeated at
+     * most once per failure window, as recovery is retried every health check.
+     */
+    alertRecoveryFailed(error) {
+        const last = this.lastRecoveryAlert;
+        const windowMs = this.notifier ? this.notifier.failureWindowMs : 0;
+        if (last && last.error === error.message && Date.now() - last.at < windowMs) return;
+
+        this.lastRecoveryAlert = { error: error.message, at: Date.now() };
+        this.notify('recovery_failed', `${this.name} could not recover: ${error.message}`, {
+            error: error.message,
+            initialized: this.initialized
+        });
+    }
+
+    /**
+     * Webhook alert when failed actions within the window reach the threshold,
+     * at most once per window
+     */
+    checkFailureThreshold() {
+        if (!this.notifier || !this.notifier.failureThreshold) return;
+
+        const { failureThreshold, failureWindowMs } = this.notifier;
+        const failures = this.bot.metrics.window(failureWindowMs).failure;
+        if (failures < failureThreshold) return;
+        if (this.lastThresholdAlertAt && Date.now() - this.lastThresholdAlertAt < failureWindowMs) return;
+
+        this.lastThresholdAlertAt = Date.now();
+        this.notify('failure_threshold', `${this.name} had ${failures} failed actions in the last ${Math.round(failureWindowMs / 60000)} min`, {
+            failures,
+            threshold: failureThreshold,
+            windowMs: failureWindowMs
+        });
+    }
+
+    /**
+     * Send a webhook notification without waiting for it
+     */
+    notify(event, message, details = {}) {
+        if (!this.notifier || !this.notifier.enabled) return;
+        this.notifier.notify(event, { bot: this.name, message, details }).catch(error => {
+            this.bot.log(`Notification failed: ${error.message}`, 'error', { error });
+        });
+    }
+
+    /**
+     * Pause one action, or the whole bot (actions and inbox) when none is given
+     */
+    pause(type = null) {
+        if (type) {
+            actions.getAction(type);
+            this.pausedActions.add(type);
+        } else {
+            this.paused = true;
+        }
+        this.bot.log(`⏸️  Paused ${type || 'all activity'}`, 'warning');
+    }
+
+    /**
+     * Resume one action, or the bot as a whole; per-action pauses stay until resumed individually
+     */
+    resume(type = null) {
+        if (type) {
+            actions.getAction(type);
+            this.pausedActions.delete(type);
+        } else {
+            this.paused = false;
+        }
+        this.bot.log(`▶️  Resumed ${type || 'all activity'}`, 'success');
+    }
+
+    isPaused(type = null) {
+        return this.paused || Boolean(type && this.pausedActions.has(type));
+    }
+
+    /**
+     * Change a schedule rule's interval or cron expression until the next restart
+     */
+    reschedule(ruleName, timing) {
+        const rule = this.scheduler.reschedule(ruleName, timing);
+        const description = rule.cron ? `cron "${rule.cron.expression}"` : `every ${Math.round(rule.everyMs / 1000)}s`;
+        this.bot.log(`⏰ ${rule.name} now runs ${description}${rule.nextRunAt ? `, next run ${rule.nextRunAt.toISOString()}` : ''}`);
+        return this.scheduler.getSchedule().find(entry => entry.name === rule.name);
+    }
+
+    /**
+     * Get a fresh token now; a bot that never initialized finishes starting up
+     */
+    async reauthenticate() {
+        if (!this.initialized) {
+            await this.startUp();
+            return;
+        }
+
+        await this.bot.authenticate();
+        this.bot.errorCount = 0;
+        this.lastError = null;
+        await this.reportHealth();
+    }
+
+    /**
+     * Start the health check loop and, once initialized, the action schedule.
+     * A bot that cannot initialize keeps retrying from its health check.
+     */
+    async start() {
+        if (this.isRunning) {
+            return;
+        }
+        this.isRunning = true;
+        this.store.increment('starts');
+        if (this.bot.dryRun) {
+            this.bot.log('🧪 DRY RUN: reading only; messages, comments and reports are logged, not sent', 'warning');
+        }
+
+        this.healthTimer = setInterval(() => {
+            this.performHealthCheck().catch(error => {
+                this.bot.log(`Health check failed: ${error.message}`, 'error', { error });
+            });
+        }, this.healthCheckInterval);
+
+        try {
+            await this.startUp();
+        } catch (error) {
+            this.lastError = error.message;
+            this.bot.log(`Initialization failed, will retry: ${error.message}`, 'error');
+            await this.reportHealth(error.message);
+        }
+    }
+
+    /**
+     * Apply a reloaded identity: the schedule, templates, comment and inbox
+     * rules, scenarios, targeting and post discovery change right away. Everything is built and checked
+     * before anything is swapped, so a bad file throws and leaves the bot as
+     * it was. Returns the changed fields that only apply after a restart.
+     */
+    reload(identity) {
+        const templates = TemplateLibrary.load(identity.templatesPath);
+        const commentRules = this.loadCommentRules(identity, templates);
+        this.validateTargeting(identity.targeting);
+        const inboxRules = this.inbox ? this.loadInboxRules(identity.inbox || {}, templates) : null;
+        const scenarios = ScenarioLibrary.load(identity.scenariosPath);
+        const scheduler = this.createScheduler(identity, templates, scenarios);
+        const postDiscovery = new PostDiscovery(this.bot, identity.posts);
+
+        const restartFields = Object.keys({ ...this.identity, ...identity })
+            .filter(field => !RELOADABLE_FIELDS.includes(field))
+            .filter(field => {
+                // Inbox rules reload; the rest of the inbox settings don't
+                const [before, after] = field === 'inbox'
+                    ? [{ ...this.identity.inbox, rulesPath: null }, { ...identity.inbox, rulesPath: null }]
+                    : [this.identity[field], identity[field]];
+                return JSON.stringify(before) !== JSON.stringify(after);
+            });
+
+        const wasRunning = this.scheduler.running;
+        this.scheduler.stop();
+        this.scheduler = scheduler;
+        RELOADABLE_FIELDS.forEach(field => { this.identity[field] = identity[field]; });
+        this.identity.inbox = { ...this.identity.inbox, rulesPath: (identity.inbox || {}).rulesPath };
+
+        this.templates = templates;
+        this.commentRules = commentRules;
+        this.scenarios = scenarios;
+        this.bot.templates = templates;
+        this.bot.commentRules = commentRules;
+        this.bot.targeting = identity.targeting;
+        this.bot.postDiscovery = postDiscovery;
+        this.reporter.templates = this.reporter.pickTemplates(templates);
+        if (this.inbox) this.inbox.rules = inboxRules;
+
+        this.bot.log('🔁 Reloaded schedule, templates, comment and inbox rules, scenarios, targeting and post discovery', 'success');
+        if (wasRunning) {
+            this.scheduler.start();
+            this.logSchedule();
+        }
+        return restartFields;
+    }
+
+    /**
+     * Start the scheduler and print the upcoming runs
+     */
+    scheduleActions() {
+        this.scheduler.start();
+        this.reporter.start();
+        this.logSchedule();
+    }
+
+    logSchedule() {
+        for (const rule of this.scheduler.getSchedule()) {
+            const timing = rule.cron ? `cron "${rule.cron}"` : `every ${Math.round(rule.every / 1000)}s`;
+            this.bot.log(`⏰ ${rule.name}: ${timing}, next run ${rule.nextRunAt}`);
+        }
+        for (const report of this.reporter.getStatus().filter(entry => entry.nextDigestAt)) {
+            this.bot.log(`📬 ${report.mode} digest to @${report.username}, next ${report.nextDigestAt}`);
+        }
+    }
+
+    /**
+     * Health check, recovery and delayed initialization
+     */
+    async performHealthCheck() {
+        if (!this.initialized) {
+            try {
+                await this.startUp();
+                this.bot.log('Initialization succeeded on retry', 'success');
+                await this.reportHealth();
+            } catch (error) {
+                this.lastError = error.message;
+                this.bot.log(`Initialization retry failed: ${error.message}`, 'error');
+                this.alertRecoveryFailed(error);
+            }
+            return;
+        }
+
+        this.history.prune(this.permanentTargetKinds());
+
+        const stats = this.bot.getStats();
+        const health = this.bot.getHealth();
+
+        this.bot.logger.log(health.status === 'healthy' ? 'info' : 'warn', `📊 Health: ${health.status}${health.reasons.length ? ` (${health.reasons.join(', ')})` : ''}`, {
+            status: health.status,
+            total: stats.total,
+            successes: stats.successes,
+            errors: stats.errors,
+            skipped: stats.skipped,
+            simulated: stats.simulated,
+            successRate: stats.successRate,
+            lastHourAttempts: stats.windows.lastHour.attempts,
+            lastHourSuccessRate: stats.windows.lastHour.successRate,
+            consecutiveErrors: this.bot.errorCount
+        });
+
+        // If down, try to recover: a fresh sign-in also probes the backend
+        if (health.status === 'down') {
+            this.bot.log('Bot is down, attempting recovery...', 'warning');
+            try {
+                await this.bot.authenticate();
+                this.bot.errorCount = 0;
+                this.lastError = null;
+                this.bot.log('Recovery successful!', 'success');
+                await this.reportHealth();
+            } catch (error) {
+                this.lastError = error.message;
+                this.bot.log(`Recovery failed: ${error.message}`, 'error');
+                this.alertRecoveryFailed(error);
+            }
+        }
+    }
+
+    /**
+     * Stop all timers for this bot
+     */
+    stop() {
+        this.isRunning = false;
+        this.scheduler.stop();
+        this.reporter.stop();
+        if (this.inboxTimer) clearInterval(this.inboxTimer);
+        this.inboxTimer = null;
+        if (this.directoryTimer) clearInterval(this.directoryTimer);
+        this.directoryTimer = null;
+        try {
+            this.store.close();
+        } catch (error) {
+            this.bot.log(`Failed to save state: ${error.message}`, 'error');
+        }
+        if (this.healthTimer) clearInterval(this.healthTimer);
+        this.healthTimer = null;
+    }
+
+    /**
+     * The bot's health; a bot that hasn't initialized yet is down
+     */
+    getHealth() {
+        const health = this.bot.getHealth();
+        if (this.initialized || health.status === 'down') {
+            return health;
+        }
+        return { status: 'down', reasons: ['not initialized yet', ...health.reasons] };
+    }
+
+    /**
+     * Up (healthy or degraded) once initialized
+     */
+    isHealthy() {
+        return this.getHealth().status !== 'down';
+    }
+
+    /**
+     * Snapshot for the /health and /status endpoints
+     */
+    getStatus() {
+        const health = this.getHealth();
+        return {
+            name: this.name,
+            username: this.identity.username,
+            initialized: this.initialized,
+            healthy: health.status !== 'down',
+            health,
+            circuits: this.bot.breakers.getStatus(),
+            dryRun: this.bot.dryRun,
+            paused: this.paused,
+            pausedActions: Array.from(this.pausedActions),
+            consecutiveErrors: this.bot.errorCount,
+            lastError: this.lastError,
+            reportUser: this.reporter.primaryUsername(),
+            reports: this.reporter.getStatus(),
+            intervalMinutes: this.identity.intervalMinutes,
+            actions: this.identity.actions,
+            schedule: this.scheduler.getSchedule(),
+            targets: this.history.getSummary(),
+            inbox: this.inbox ? this.inbox.getStatus() : null,
+            directory: this.directory ? this.directory.getStatus() : null,
+            posts: this.bot.postDiscovery.getStatus(),
+            scenarios: this.getScenarios(),
+            stats: this.bot.getStats()
+        };
+    }
+}
+
+module.exports = BotRunner;
@@ -0,0 +1,132 @@
+const { CircuitOpenError } = require('./errors');
+const { endpointLabel } = require('./bot-instruments');
+const { parseDuration } = require('./duration');
+
+/**
+ * Circuit Breaker
+ * Stops calling a backend endpoint that keeps failing, so a broken endpoint
+ * costs one fast error per request instead of a timeout and a full retry
+ * cycle. One breaker per endpoint (IDs collapsed, as in the metrics):
+ *   closed    - requests go through; failureThreshold consecutive failures open it
+ *   open      - requests fail right away with CircuitOpenError, for cooldown
+ *   half_open - after the cooldown one probe request goes through: success
+ *               closes the circuit, failure opens it for another cooldown
+ * Failures are requests without a response (network errors, timeouts) and
+ * 5xx responses. Any other response - 4xx and 429 included - counts as success:
+ * the endpoint is up, it just said no.
+ */
+
+const STATES = ['closed', 'open', 'half_open'];
+
+class CircuitBreaker {
+    /**
+     * options: { failureThreshold, cooldown, onStateChange(breaker, previousState) }
+     */
+    constructor(endpoint, options = {}) {
+        this.endpoint = endpoint;
+        this.failureThreshold = options.failureThreshold === undefined ? 5 : options.failureThreshold;
+        this.cooldownMs = parseDuration(options.cooldown === undefined ? '30s' : options.cooldown, 'circuit breaker cooldown');
+        if (!(this.failureThreshold >= 1)) {
+            throw new Error('Circuit breaker "failureThreshold" must be at least 1');
+        }
+        this.onStateChange = options.onStateChange || null;
+        this.state = 'closed';
+        this.failures = 0;
+        this.openedAt = null;
+        this.probing = false;
+        this.lastError = null;
+    }
+
+    get retryAt() {
+        return this.openedAt === null ? null : this.openedAt + this.cooldownMs;
+    }
+
+    /**
+     * Throws CircuitOpenError unless a request may go out now. In half_open
+     * only the first caller gets through, as the probe.
+     */
+    check() {
+        if (this.state === 'open' && Date.now() >= this.retryAt) {
+            this.transition('half_open');
+        }
+        if (this.state === 'open' || (this.state === 'half_open' && this.probing)) {
+            throw new CircuitOpenError(this.endpoint, this.retryAt);
+        }
+        if (this.state === 'half_open') {
+            this.probing = true;
+        }
+    }
+
+    success() {
+        this.failures = 0;
+        this.lastError = null;
+        if (this.state !== 'closed') {
+            this.openedAt = null;
+            this.transition('closed');
+        }
+    }
+
+    failure(error = null) {
+        this.failures++;
+        this.lastError = error ? error.message || String(error) : null;
+        if (this.state === 'half_open' || (this.state === 'closed' && this.failures >= this.failureThreshold)) {
+            this.openedAt = Date.now();
+            this.transition('open');
+        }
+    }
+
+    transition(state) {
+        const previous = this.state;
+        this.state = state;
+        this.probing = false;
+        if (this.onStateChange && previous !== state) {
+            this.onStateChange(this, previous);
+        }
+    }
+
+    getStatus() {
+        return {
+            endpoint: this.endpoint,
+            state: this.state,
+            failures: this.failures,
+            lastError: this.lastError,
+            retryAt: this.state === 'open' ? new Date(this.retryAt).toISOString() : null
+        };
+    }
+}
+
+/**
+ * One breaker per endpoint label, created on first use
+ */
+class CircuitBreakers {
+    /**
+     * options: { failureThreshold, cooldown, onStateChange }
+     */
+    constructor(options = {}) {
+        this.options = options;
+        this.breakers = new Map();
+        // Fail on bad settings now rather than on the first request
+        new CircuitBreaker('/', options);
+    }
+
+    get(endpoint) {
+        const label = endpointLabel(endpoint);
+        if (!this.breakers.has(label)) {
+            this.breakers.set(label, new CircuitBreaker(label, this.options));
+        }
+        return this.breakers.get(label);
+    }
+
+    /**
+     * Breakers that are not closed
+     */
+    tripped() {
+        return Array.from(this.breakers.values()).filter(breaker => breaker.state !== 'closed');
+    }
+
+    getStatus() {
+        return Array.from(this.breakers.values()).map(breaker => breaker.getStatus());
+    }
+}
+
+module.exports = { CircuitBreaker, CircuitBreakers, STATES };
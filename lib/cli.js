@@ -0,0 +1,539 @@
+const path = require('path');
+const BotRunner = require('./bot-runner');
+const actions = require('./actions');
+const { loadConfig } = require('./config');
+const { ConfigError } = require('./config-schema');
+const { createStore } = require('./store');
+const { DoNotContactList } = require('./do-not-contact');
+const { TargetNotFoundError } = require('./errors');
+const { parseDuration } = require('./duration');
+const { excerpt } = require('./templates');
+const { Scenario, ScenarioError, formatRun } = require('./scenarios');
+const { logger, StdoutSink } = require('./logging');
+
+/**
+ * Command Line
+ * One-shot commands on the same bots index.js runs, for scripts and
+ * manual checks:
+ *
+ *   send --to <username> [--text <text>]   message one user now
+ *   comment --post <id> [--text <text>]    comment on one post now
+ *   users search <query>                   users the bot finds for a query
+ *   posts list [--limit <n>]               the first page of the feed
+ *   report [--since <duration>]            send the report users a summary
+ *   scenario list                          scenarios and their last runs
+ *   scenario run <name|file> [--var k=v]   run a scenario now, with a step-by-step report
+ *   stats                                  persisted statistics (no backend needed)
+ *   run                                    the full service, like `node index.js`
+ *
+ * Logs go to stderr (warnings only, unless --verbose), so stdout holds just
+ * the result; with --json that is one JSON document. Exit codes are in EXIT.
+ */
+
+const EXIT = {
+    ok: 0,
+    failed: 1, // the action failed, or the backend couldn't be reached
+    usage: 2, // unknown command, bad or missing options
+    config: 3, // the configuration (or a scenario file) is invalid
+    notFound: 4 // the user or post asked for doesn't exist
+};
+
+const GLOBAL_OPTIONS = {
+    bot: 'string',
+    config: 'string',
+    'dry-run': 'boolean',
+    json: 'boolean',
+    verbose: 'boolean',
+    help: 'boolean'
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Wrong command line; shown with a pointer to --help
+ */
+class UsageError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'UsageError';
+    }
+}
+
+const COMMANDS = {
+    send: {
+        usage: 'send --to <username> [--text <text>]',
+        summary: 'Message a user now (from the templates unless --text is given)',
+        options: { to: 'string', text: 'string' },
+        run: send
+    },
+    comment: {
+        usage: 'comment --post <id> [--text <text>]',
+        summary: 'Comment on a post now (from the templates unless --text is given)',
+        options: { post: 'string', text: 'string' },
+        run: comment
+    },
+    'users search': {
+        usage: 'users search <query>',
+        summary: 'List the users a search finds, with do-not-contact and last contact',
+        options: {},
+        run: searchUsers
+    },
+    'posts list': {
+        usage: 'posts list [--limit <n>]',
+        summary: 'List the first page of the feed, with what the comment rules decide',
+        options: { limit: 'string' },
+        run: listPosts
+    },
+    report: {
+        usage: 'report [--since <duration>]',
+        summary: 'Send every report user a summary of the last 24h (or --since, at most 24h)',
+        options: { since: 'string' },
+        run: sendReport
+    },
+    'scenario list': {
+        usage: 'scenario list',
+        summary: 'List the loaded scenarios and how their last run went',
+        options: {},
+        run: listScenarios
+    },
+    'scenario run': {
+        usage: 'scenario run <name|file> [--var <name=value>]...',
+        summary: 'Run a scenario (by name, or a .json/.yaml file) and print its report',
+        options: { var: 'repeated' },
+        run: runScenario
+    },
+    stats: {
+        usage: 'stats',
+        summary: 'Show persisted statistics of every bot (or --bot), without the backend',
+        options: {},
+        run: showStats
+    },
+    run: {
+        usage: 'run',
+        summary: 'Run the full service: schedules, inbox, HTTP server',
+        options: {},
+        run: runService
+    }
+};
+
+function usage() {
+    const width = Math.max(...Object.values(COMMANDS).map(command => command.usage.length));
+    return [
+        'Usage: node cli.js <command> [options]',
+        '',
+        'Commands:',
+        ...Object.values(COMMANDS).map(command => `  ${command.usage.padEnd(width)}  ${command.summary}`),
+        '',
+        'Options:',
+        '  --bot <name>     Bot to use (default: the first configured bot)',
+        '  --config <file>  Config file to load (instead of CONFIG_FILE)',
+        '  --dry-run        Read only; log what would be sent',
+        '  --json           Print the result as JSON',
+        '  --verbose        Log progress to stderr',
+        '  --help           Show this help',
+        '',
+        `Exit codes: ${Object.entries(EXIT).map(([name, code]) => `${code} ${name}`).join(', ')}`
+    ].join('\n');
+}
+
+/**
+ * Split argv into options and positionals. "--name value", "--name=value"
+ * and boolean "--flag" are understood; every option must be known.
+ * Repeated options collect their values in a list.
+ */
+function parseArgs(argv) {
+    const known = { ...GLOBAL_OPTIONS };
+    Object.values(COMMANDS).forEach(command => Object.assign(known, command.options));
+
+    const options = {};
+    const positionals = [];
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--') {
+            positionals.push(...argv.slice(i + 1));
+            break;
+        }
+        if (arg === '-h') {
+            options.help = true;
+            continue;
+        }
+        if (!arg.startsWith('--')) {
+            positionals.push(arg);
+            continue;
+        }
+
+        const separator = arg.indexOf('=');
+        const name = separator === -1 ? arg.slice(2) : arg.slice(2, separator);
+        const type = known[name];
+        if (!type) {
+            throw new UsageError(`Unknown option --${name}`);
+        }
+        if (type === 'boolean') {
+            if (separator !== -1) throw new UsageError(`--${name} takes no value`);
+            options[name] = true;
+            continue;
+        }
+
+        const value = separator === -1 ? argv[++i] : arg.slice(separator + 1);
+        if (value === undefined || (separator === -1 && value.startsWith('--'))) {
+            throw new UsageError(`--${name} needs a value`);
+        }
+        options[name] = type === 'repeated' ? [...(options[name] || []), value] : value;
+    }
+    return { options, positionals };
+}
+
+/**
+ * The command named by the leading positionals ("send", "users search", ...)
+ * and its remaining arguments
+ */
+function findCommand(positionals) {
+    const [first, second] = positionals;
+    if (COMMANDS[`${first} ${second}`]) {
+        return { name: `${first} ${second}`, command: COMMANDS[`${first} ${second}`], args: positionals.slice(2) };
+    }
+    if (COMMANDS[first]) {
+        return { name: first, command: COMMANDS[first], args: positionals.slice(1) };
+    }
+
+    const group = Object.keys(COMMANDS).filter(name => name.startsWith(`${first} `));
+    if (group.length > 0) {
+        throw new UsageError(`"${first}" needs a subcommand: ${group.join(', ')}`);
+    }
+    throw new UsageError(`Unknown command "${positionals.join(' ')}"`);
+}
+
+function checkOptions(name, command, options) {
+    for (const option of Object.keys(options)) {
+        if (!GLOBAL_OPTIONS[option] && !command.options[option]) {
+            throw new UsageError(`--${option} is not an option of "${name}"`);
+        }
+    }
+}
+
+function requireOption(options, name) {
+    if (!options[name]) {
+        throw new UsageError(`--${name} is required`);
+    }
+    return options[name];
+}
+
+function configIdentities(config, options) {
+    if (!options.bot) return config.bots;
+
+    const identity = config.bots.find(candidate => candidate.name === options.bot);
+    if (!identity) {
+        throw new UsageError(`No bot named "${options.bot}"; configured: ${config.bots.map(candidate => candidate.name).join(', ')}`);
+    }
+    return [identity];
+}
+
+/**
+ * Run fn with a BotRunner for --bot (default: the first bot), sharing the
+ * service's do-not-contact list and data directory; state is saved after
+ */
+async function withBot(config, options, fn) {
+    const identity = configIdentities(config, options)[0];
+    if (options['dry-run']) identity.dryRun = true;
+
+    const sharedStore = createStore({ ...config.store, dir: path.join(config.dataDir, 'shared') });
+    const doNotContact = new DoNotContactList({
+        store: sharedStore,
+        initial: config.doNotContact,
+        optOutKeywords: config.optOutKeywords
+    });
+    const runner = new BotRunner(identity, {
+        peerUsernames: config.bots.map(candidate => candidate.username),
+        doNotContact
+    });
+
+    try {
+        return await fn(runner);
+    } finally {
+        runner.stop();
+        sharedStore.close();
+    }
+}
+
+function isoTime(ms) {
+    return ms === null || ms === undefined ? null : new Date(ms).toISOString();
+}
+
+/**
+ * Result of a one-off action run
+ */
+function actionOutcome(result) {
+    if (!result) {
+        return { data: { result: null }, text: 'Nothing was run: the bot is unhealthy', code: EXIT.failed };
+    }
+    return { data: result, text: actions.formatReport(result), code: result.success ? EXIT.ok : EXIT.failed };
+}
+
+async function send(config, options) {
+    const username = requireOption(options, 'to').replace(/^@/, '');
+
+    return withBot(config, options, async runner => {
+        await runner.initialize();
+        const result = await runner.runAction('message', { target: { username }, text: options.text, manual: true });
+        return actionOutcome(result);
+    });
+}
+
+async function comment(config, options) {
+    const postId = requireOption(options, 'post');
+
+    return withBot(config, options, async runner => {
+        await runner.initialize();
+        const result = await runner.runAction('comment', { target: { postId }, text: options.text, manual: true });
+        return actionOutcome(result);
+    });
+}
+
+async function searchUsers(config, options, args) {
+    const query = args.join(' ').trim();
+    if (query.length < 2) {
+        throw new UsageError('users search needs a query of at least 2 characters');
+    }
+
+    return withBot(config, options, async runner => {
+        const { bot } = runner;
+        await bot.authenticate();
+
+        const users = (await bot.searchUsers(query)).map(user => ({
+            id: user.id,
+            username: user.username,
+            self: user.id === bot.userId,
+            doNotContact: bot.isDoNotContact({ userId: user.id, username: user.username }),
+            lastMessagedAt: isoTime(runner.history.lastContact('user', user.id))
+        }));
+
+        const lines = users.map(user => {
+            const notes = [
+                user.self && 'this bot',
+                user.doNotContact && 'do not contact',
+                user.lastMessagedAt && `last messaged ${user.lastMessagedAt}`
+            ].filter(Boolean);
+            return `  @${user.username} (ID: ${user.id})${notes.length ? `  ${notes.join(', ')}` : ''}`;
+        });
+        return {
+            data: { query, users },
+            text: [`${users.length} user(s) found for "${query}"`, ...lines].join('\n'),
+            code: EXIT.ok
+        };
+    });
+}
+
+async function listPosts(config, options) {
+    const limit = options.limit === undefined ? 20 : Number(options.limit);
+    if (!Number.isInteger(limit) || limit < 1) {
+        throw new UsageError(`--limit must be a whole number above 0, got "${options.limit}"`);
+    }
+
+    return withBot(config, options, async runner => {
+        const { bot } = runner;
+        await bot.authenticate();
+
+        const available = await bot.listPosts();
+        const posts = available.slice(0, limit).map(post => {
+            const decision = bot.commentRules ? bot.commentRules.evaluate(post) : { skip: false, category: null, rule: null };
+            return {
+                id: post.id,
+                username: post.username,
+                excerpt: excerpt(post.content || post.text || ''),
+                skip: decision.skip,
+                category: decision.category,
+                rule: decision.rule,
+                lastCommentedAt: isoTime(runner.history.lastContact('post', post.id))
+            };
+        });
+
+        const lines = posts.map(post => {
+            const decision = post.skip
+                ? `skipped (${post.rule || 'no default category'})`
+                : `${post.category || 'default'}${post.rule ? ` via ${post.rule}` : ''}`;
+            const commented = post.lastCommentedAt ? `, last commented ${post.lastCommentedAt}` : '';
+            return `  ${post.id} @${post.username} "${post.excerpt}"  ${decision}${commented}`;
+        });
+        return {
+            data: { total: available.length, posts },
+            text: [`${available.length} post(s) available${available.length > posts.length ? `, showing ${posts.length}` : ''}`, ...lines].join('\n'),
+            code: EXIT.ok
+        };
+    });
+}
+
+async function sendReport(config, options) {
+    let sinceMs;
+    try {
+        sinceMs = parseDuration(options.since || '24h', '--since');
+    } catch (error) {
+        throw new UsageError(error.message);
+    }
+    if (sinceMs > DAY_MS) {
+        throw new UsageError('--since can be at most 24h; older activity is only in the activity log');
+    }
+
+    return withBot(config, options, async runner => {
+        if (runner.reporter.recipients.length === 0) {
+            return { data: { text: null, sent: [], failed: [] }, text: `${runner.name} has no report users`, code: EXIT.failed };
+        }
+
+        await runner.initialize();
+        const since = Date.now() - sinceMs;
+        const outcome = await runner.reporter.sendSummary(since);
+        const data = { since: isoTime(since), dryRun: runner.bot.dryRun, ...outcome };
+
+        if (!outcome.text) {
+            return { data, text: `Nothing to report since ${data.since}`, code: EXIT.ok };
+        }
+        const lines = [outcome.text, ''];
+        if (runner.bot.dryRun) {
+            lines.push(`🧪 [dry run] Not sent to ${outcome.failed.map(username => `@${username}`).join(', ')}`);
+        } else {
+            if (outcome.sent.length) lines.push(`✅ Sent to ${outcome.sent.map(username => `@${username}`).join(', ')}`);
+            if (outcome.failed.length) lines.push(`❌ Not delivered to ${outcome.failed.map(username => `@${username}`).join(', ')}`);
+        }
+        return {
+            data,
+            text: lines.join('\n'),
+            code: outcome.failed.length > 0 && !runner.bot.dryRun ? EXIT.failed : EXIT.ok
+        };
+    });
+}
+
+async function listScenarios(config, options) {
+    return withBot(config, options, async runner => {
+        const scenarios = runner.getScenarios();
+        const lines = scenarios.map(scenario => {
+            const last = scenario.lastRun
+                ? `last run ${scenario.lastRun.at}: ${scenario.lastRun.passed ? 'passed' : 'failed'}`
+                : 'never run';
+            return `  ${scenario.name}${scenario.description ? ` - ${scenario.description}` : ''}  (${last})`;
+        });
+        return {
+            data: { scenarios },
+            text: [`${scenarios.length} scenario(s) in ${runner.scenarios.origin}`, ...lines].join('\n'),
+            code: EXIT.ok
+        };
+    });
+}
+
+/**
+ * "--var name=value" options as an object
+ */
+function parseVars(values = []) {
+    const vars = {};
+    for (const value of values) {
+        const separator = value.indexOf('=');
+        if (separator < 1) {
+            throw new UsageError(`--var must look like name=value, got "${value}"`);
+        }
+        vars[value.slice(0, separator)] = value.slice(separator + 1);
+    }
+    return vars;
+}
+
+async function runScenario(config, options, args) {
+    if (args.length !== 1) {
+        throw new UsageError('scenario run needs one scenario name or file');
+    }
+    const vars = parseVars(options.var);
+    const [reference] = args;
+
+    return withBot(config, options, async runner => {
+        // A path runs that file; anything else is a loaded scenario's name
+        const scenario = /\.(json|ya?ml)$/i.test(reference) ? Scenario.load(reference) : reference;
+
+        await runner.initialize();
+        const run = await runner.runScenario(scenario, { vars, manual: true, trigger: 'cli' });
+        return { data: run, text: formatRun(run, { all: true }), code: run.passed ? EXIT.ok : EXIT.failed };
+    });
+}
+
+async function showStats(config, options) {
+    const bots = configIdentities(config, options).map(identity => {
+        const runner = new BotRunner(identity);
+        try {
+            return { name: runner.name, ...runner.bot.getStats(), counters: runner.store.getCounters() };
+        } finally {
+            runner.stop();
+        }
+    });
+
+    const text = bots.map(stats => {
+        const { lastHour, last24h } = stats.windows;
+        return [
+            `${stats.name}: ${stats.total} action(s), ${stats.successes} succeeded, ${stats.errors} failed, ${stats.skipped} skipped - ${stats.successRate} success rate`,
+            ...Object.entries(stats.byAction).map(([action, counts]) =>
+                `  ${action}: ${counts.attempts} attempt(s), ${counts.success} succeeded, ${counts.failure} failed`),
+            `  last hour: ${lastHour.attempts} attempt(s), last 24h: ${last24h.attempts} attempt(s), ${stats.counters.starts || 0} start(s)`
+        ].join('\n');
+    }).join('\n');
+
+    return { data: { bots }, text, code: EXIT.ok };
+}
+
+/**
+ * Hand over to index.js; the process then runs until it is stopped
+ */
+async function runService(options) {
+    if (options.config) process.env.CONFIG_FILE = options.config;
+    if (options['dry-run']) process.env.DRY_RUN = 'true';
+    await require('../index').run();
+    return null;
+}
+
+function exitCode(error) {
+    if (error instanceof UsageError) return EXIT.usage;
+    if (error instanceof ConfigError || error instanceof ScenarioError) return EXIT.config;
+    if (error instanceof TargetNotFoundError) return EXIT.notFound;
+    return EXIT.failed;
+}
+
+/**
+ * Run the CLI; resolves with the exit code (undefined for "run", which keeps going).
+ * io: { env, stdout, stderr } for tests
+ */
+async function main(argv, io = {}) {
+    const env = io.env || process.env;
+    const stdout = io.stdout || process.stdout;
+    const stderr = io.stderr || process.stderr;
+
+    let options = {};
+    try {
+        const parsed = parseArgs(argv);
+        options = parsed.options;
+        if (options.help || parsed.positionals.length === 0) {
+            (options.help ? stdout : stderr).write(`${usage()}\n`);
+            return options.help ? EXIT.ok : EXIT.usage;
+        }
+
+        const { name, command, args } = findCommand(parsed.positionals);
+        checkOptions(name, command, options);
+        if (name === 'run') {
+            await runService(options);
+            return undefined;
+        }
+
+        const config = loadConfig(options.config ? { ...env, CONFIG_FILE: options.config } : env);
+        logger.configure({
+            level: options.verbose ? config.logging.level : 'warn',
+            sinks: [new StdoutSink({ stream: stderr, format: config.logging.format })]
+        });
+
+        const outcome = await command.run(config, options, args);
+        stdout.write(`${options.json ? JSON.stringify(outcome.data, null, 2) : outcome.text}\n`);
+        return outcome.code;
+    } catch (error) {
+        const code = exitCode(error);
+        if (options.json) {
+            stdout.write(`${JSON.stringify({ error: error.message, errorClass: error.name, exitCode: code }, null, 2)}\n`);
+        } else {
+            stderr.write(`❌ ${error.message}\n`);
+            if (code === EXIT.usage) stderr.write('Run "node cli.js --help" for usage.\n');
+        }
+        return code;
+    }
+}
+
+module.exports = { main, parseArgs, EXIT };
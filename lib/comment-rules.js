@@ -0,0 +1,216 @@
+const fs = require('fs');
+const path = require('path');
+const { tokenize, containsKeyword } = require('./text-match');
+
+/**
+ * Comment Rules
+ * Local, rule-based engine that looks at a post (text, keywords, simple
+ * sentiment, media, age) and decides which comment category fits it, or
+ * whether to leave the post alone.
+ *
+ * Rules are checked in order and the first match wins:
+ *   {
+ *     "defaultCategory": "generic",
+ *     "sentiment": { "positive": ["stoked"], "negative": ["meh"] },
+ *     "rules": [
+ *       { "name": "stale", "when": { "minAgeHours": 168 }, "skip": true },
+ *       { "name": "complaint", "when": { "sentiment": "negative" }, "category": "supportive" }
+ *     ]
+ *   }
+ *
+ * Conditions (all given ones must hold):
+ *   keywords / excludeKeywords - any of these words or phrases (case-insensitive)
+ *   sentiment                  - "positive" | "negative" | "neutral"
+ *   hasMedia                   - true / false
+ *   minAgeHours / maxAgeHours  - post age
+ *   minLength / maxLength      - text length in characters
+ */
+
+const POSITIVE_WORDS = [
+    'love', 'loved', 'great', 'awesome', 'amazing', 'happy', 'excited', 'beautiful', 'best',
+    'good', 'nice', 'wonderful', 'fantastic', 'glad', 'thanks', 'thank', 'fun', 'perfect',
+    'enjoy', 'enjoyed', 'cool', 'proud', 'win', 'won', 'yay'
+];
+
+const NEGATIVE_WORDS = [
+    'hate', 'bad', 'terrible', 'awful', 'worst', 'sad', 'angry', 'broken', 'annoyed',
+    'annoying', 'disappointed', 'disappointing', 'problem', 'issue', 'scam', 'sucks', 'ugh',
+    'lost', 'sick', 'tired', 'frustrated', 'frustrating', 'rude', 'late', 'refund'
+];
+
+const NEGATIONS = ['not', 'no', "don't", 'dont', "isn't", 'isnt', "wasn't", 'wasnt', "didn't", 'didnt', 'never'];
+
+const CONDITIONS = ['keywords', 'excludeKeywords', 'sentiment', 'hasMedia', 'minAgeHours', 'maxAgeHours', 'minLength', 'maxLength'];
+
+const SENTIMENTS = ['positive', 'negative', 'neutral'];
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Post text, whatever the backend calls it
+ */
+function postText(post) {
+    return String(post.content || post.text || post.body || post.caption || '');
+}
+
+/**
+ * Whether the post carries an image, video or other attachment
+ */
+function postHasMedia(post) {
+    const single = post.image_url || post.imageUrl || post.media_url || post.mediaUrl || post.video_url || post.image;
+    const lists = [post.media, post.images, post.attachments];
+    return Boolean(single) || lists.some(list => Array.isArray(list) && list.length > 0);
+}
+
+class CommentRules {
+    constructor(config = {}, options = {}) {
+        this.origin = options.origin || 'comment rules';
+        this.defaultCategory = config.defaultCategory === undefined ? 'generic' : config.defaultCategory;
+
+        const sentiment = config.sentiment || {};
+        this.positiveWords = new Set([...POSITIVE_WORDS, ...(sentiment.positive || [])].map(w => w.toLowerCase()));
+        this.negativeWords = new Set([...NEGATIVE_WORDS, ...(sentiment.negative || [])].map(w => w.toLowerCase()));
+
+        this.rules = (config.rules || []).map((rule, index) => this.validateRule(rule, index));
+    }
+
+    /**
+     * Load rules from a JSON file
+     */
+    static load(rulesPath) {
+        const resolved = path.resolve(rulesPath);
+        let config;
+        try {
+            config = JSON.parse(fs.readFileSync(resolved, 'utf8'));
+        } catch (error) {
+            throw new Error(`Could not read comment rules ${resolved}: ${error.message}`);
+        }
+        return new CommentRules(config, { origin: resolved });
+    }
+
+    /**
+     * Check a rule's shape so mistakes show up at startup
+     */
+    validateRule(rule, index) {
+        const name = (rule && rule.name) || `#${index + 1}`;
+        const fail = message => { throw new Error(`${this.origin}: rule "${name}" ${message}`); };
+
+        if (!rule || typeof rule !== 'object') fail('must be an object');
+        if (!rule.skip && typeof rule.category !== 'string') fail('needs a "category" or "skip": true');
+
+        const when = rule.when || {};
+        for (const key of Object.keys(when)) {
+            if (!CONDITIONS.includes(key)) fail(`has unknown condition "${key}" (known: ${CONDITIONS.join(', ')})`);
+        }
+        for (const key of ['keywords', 'excludeKeywords']) {
+            if (when[key] !== undefined && !(Array.isArray(when[key]) && when[key].every(k => typeof k === 'string'))) {
+                fail(`"${key}" must be an array of strings`);
+            }
+        }
+        if (when.sentiment !== undefined && !SENTIMENTS.includes(when.sentiment)) {
+            fail(`"sentiment" must be one of ${SENTIMENTS.join(', ')}`);
+        }
+        if (when.hasMedia !== undefined && typeof when.hasMedia !== 'boolean') fail('"hasMedia" must be true or false');
+        for (const key of ['minAgeHours', 'maxAgeHours', 'minLength', 'maxLength']) {
+            if (when[key] !== undefined && (typeof when[key] !== 'number' || when[key] < 0)) {
+                fail(`"${key}" must be a non-negative number`);
+            }
+        }
+
+        return { name, when, skip: Boolean(rule.skip), category: rule.category || null };
+    }
+
+    /**
+     * Categories the rules can produce (for checking against the templates)
+     */
+    categories() {
+        const categories = new Set(this.rules.filter(rule => !rule.skip).map(rule => rule.category));
+        if (this.defaultCategory) categories.add(this.defaultCategory);
+        return Array.from(categories);
+    }
+
+    /**
+     * Score text sentiment by counting lexicon words, flipping after a negation
+     */
+    sentiment(text) {
+        const words = tokenize(text);
+        let score = 0;
+
+        words.forEach((word, index) => {
+            const negated = index > 0 && NEGATIONS.includes(words[index - 1]);
+            let value = 0;
+            if (this.positiveWords.has(word)) value = 1;
+            else if (this.negativeWords.has(word)) value = -1;
+            score += negated ? -value : value;
+        });
+
+        return {
+            score,
+            label: score > 0 ? 'positive' : score < 0 ? 'negative' : 'neutral'
+        };
+    }
+
+    /**
+     * Features of a post the rules can match on
+     */
+    analyze(post, now = new Date()) {
+        const text = postText(post);
+        const created = Date.parse(post.created_at || post.createdAt || '');
+        const sentiment = this.sentiment(text);
+
+        return {
+            text,
+            lowerText: text.toLowerCase(),
+            words: tokenize(text),
+            length: text.trim().length,
+            hasMedia: postHasMedia(post),
+            ageHours: isNaN(created) ? null : Math.max(0, (now.getTime() - created) / HOUR_MS),
+            sentiment: sentiment.label,
+            sentimentScore: sentiment.score
+        };
+    }
+
+    /**
+     * Whether every condition of a rule holds for the analysis
+     */
+    matches(when, analysis) {
+        const has = keyword => containsKeyword(analysis.lowerText, analysis.words, keyword);
+
+        if (when.keywords && !when.keywords.some(has)) return false;
+        if (when.excludeKeywords && when.excludeKeywords.some(has)) return false;
+        if (when.sentiment && when.sentiment !== analysis.sentiment) return false;
+        if (when.hasMedia !== undefined && when.hasMedia !== analysis.hasMedia) return false;
+        if (when.minLength !== undefined && analysis.length < when.minLength) return false;
+        if (when.maxLength !== undefined && analysis.length > when.maxLength) return false;
+
+        // Age conditions never match posts without a timestamp
+        if (when.minAgeHours !== undefined && (analysis.ageHours === null || analysis.ageHours < when.minAgeHours)) return false;
+        if (when.maxAgeHours !== undefined && (analysis.ageHours === null || analysis.ageHours > when.maxAgeHours)) return false;
+
+        return true;
+    }
+
+    /**
+     * Decide how to comment on a post.
+     * Returns { skip, category, rule, analysis }.
+     */
+    evaluate(post, now = new Date()) {
+        const analysis = this.analyze(post, now);
+        const { lowerText, words, ...features } = analysis;
+
+        for (const rule of this.rules) {
+            if (this.matches(rule.when, analysis)) {
+                return { skip: rule.skip, category: rule.skip ? null : rule.category, rule: rule.name, analysis: features };
+            }
+        }
+
+        return {
+            skip: !this.defaultCategory,
+            category: this.defaultCategory || null,
+            rule: null,
+            analysis: features
+        };
+    }
+}
+
+module.exports = CommentRules;
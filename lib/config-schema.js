@@ -0,0 +1,402 @@
+const path = require('path');
+const { parseDuration } = require('./duration');
+const { assertTimezone } = require('./timezone');
+const { parseCooldown, STRATEGIES } = require('./target-history');
+const { MODES } = require('./reporter');
+const { FORMATS } = require('./notifier');
+const { STORE_TYPES } = require('./store');
+const { LEVELS } = require('./logging/levels');
+
+/**
+ * Config Schema
+ * Every setting, its type and its default. Settings use the env var names
+ * wherever they come from (environment, .env or the config file's "env"
+ * section), and values are checked and converted here, so a typo fails at
+ * startup with a clear message instead of turning into NaN later.
+ * Bot entries in the config file are checked against BOT_FIELDS.
+ */
+
+const ROOT = path.join(__dirname, '..');
+
+// Only for local development against the mock backend; refused in production
+const DEFAULT_PASSWORD = '123456';
+
+/**
+ * All problems found in the configuration, reported together
+ */
+class ConfigError extends Error {
+    constructor(problems) {
+        super(`Invalid configuration:\n${problems.map(problem => `  - ${problem}`).join('\n')}`);
+        this.name = 'ConfigError';
+        this.problems = problems;
+    }
+}
+
+function show(value) {
+    return typeof value === 'string' ? `"${value}"` : JSON.stringify(value);
+}
+
+/**
+ * Type checks: each returns the converted value or throws with what it expected.
+ * Values are strings from the environment, or any JSON/YAML value from a file.
+ */
+const TYPES = {
+    string(value) {
+        if (typeof value === 'number') return String(value);
+        if (typeof value !== 'string') throw new Error('expected a string');
+        return value;
+    },
+    url(value) {
+        if (typeof value !== 'string' || !/^https?:\/\/[^\s/]+/.test(value)) throw new Error('expected an http(s) URL');
+        return value;
+    },
+    integer(value, spec) {
+        const number = typeof value === 'number' ? value : /^-?\d+$/.test(String(value).trim()) ? Number(value) : NaN;
+        const inRange = Number.isInteger(number) && (spec.min === undefined || number >= spec.min) && (spec.max === undefined || number <= spec.max);
+        if (!inRange) {
+            const range = spec.max !== undefined ? ` from ${spec.min} to ${spec.max}` : spec.min !== undefined ? ` >= ${spec.min}` : '';
+            throw new Error(`expected a whole number${range}`);
+        }
+        return number;
+    },
+    positiveNumber(value) {
+        const number = typeof value === 'number' ? value : String(value).trim() === '' ? NaN : Number(value);
+        if (!Number.isFinite(number) || number <= 0) throw new Error('expected a number above 0');
+        return number;
+    },
+    boolean(value) {
+        if (typeof value === 'boolean') return value;
+        const text = String(value).trim().toLowerCase();
+        if (['true', '1', 'yes', 'on'].includes(text)) return true;
+        if (['false', '0', 'no', 'off'].includes(text)) return false;
+        throw new Error('expected true or false');
+    },
+    enum(value, spec) {
+        const text = spec.lowercase ? String(value).toLowerCase() : value;
+        if (!spec.values.includes(text)) throw new Error(`expected one of ${spec.values.join(', ')}`);
+        return text;
+    },
+    list(value) {
+        if (Array.isArray(value)) {
+            if (!value.every(item => typeof item === 'string' || typeof item === 'number')) throw new Error('expected a list of strings');
+            return value.map(String);
+        }
+        if (typeof value !== 'string') throw new Error('expected a comma-separated list');
+        return value.split(',').map(item => item.trim()).filter(Boolean);
+    },
+    json(value) {
+        if (typeof value === 'object' && value !== null && !Array.isArray(value)) return value;
+        try {
+            const parsed = JSON.parse(value);
+            if (parsed && typeof parsed === 'object' && !Array.isArray(parsed)) return parsed;
+        } catch (error) {
+            // reported below
+        }
+        throw new Error('expected a JSON object');
+    },
+    duration(value) {
+        try {
+            parseDuration(value);
+        } catch (error) {
+            throw new Error('expected a duration like "30s", "2m" or "1h"');
+        }
+        return value;
+    },
+    cooldown(value) {
+        try {
+            parseCooldown(value);
+        } catch (error) {
+            throw new Error('expected a duration, "forever" or "none"');
+        }
+        return value;
+    },
+    timezone(value) {
+        try {
+            assertTimezone(value);
+        } catch (error) {
+            throw new Error('expected an IANA timezone like "Europe/Berlin"');
+        }
+        return value;
+    }
+};
+
+/**
+ * Every setting by env var name. secret: never echoed in errors.
+ * source: 'environment' for settings that locate the config files themselves.
+ */
+const SETTINGS = {
+    BOT_BASE_URL: { type: 'url', default: 'http://localhost:5001' },
+    BOT_USERNAME: { type: 'string', default: 'cop' },
+    BOT_PASSWORD: { type: 'string', default: DEFAULT_PASSWORD, secret: true },
+    REPORT_USERNAME: { type: 'string', default: 'phone' },
+    REPORT_MODE: { type: 'enum', values: MODES, default: 'immediate' },
+    REPORTS: { type: 'list' },
+    INTERVAL_MINUTES: { type: 'positiveNumber', default: 2 },
+    BOT_ACTIONS: { type: 'list', default: ['message', 'comment'] },
+    TEMPLATES_PATH: { type: 'string', default: path.join(ROOT, 'templates') },
+    COMMENT_RULES_PATH: { type: 'string', default: path.join(ROOT, 'comment-rules.json') },
+    SCENARIOS_PATH: { type: 'string', default: path.join(ROOT, 'scenarios') },
+    DATA_DIR: { type: 'string', default: path.join(ROOT, 'data') },
+    STORE_TYPE: { type: 'enum', values: Object.keys(STORE_TYPES), default: 'jsonl' },
+    STORE_MAX_BYTES: { type: 'integer', min: 1, default: 1024 * 1024 },
+    STORE_MAX_FILES: { type: 'integer', min: 1, default: 3 },
+    ACTIVITY_LOG_LIMIT: { type: 'integer', min: 1, default: 500 },
+    DRY_RUN: { type: 'boolean', default: false },
+    REQUEST_TIMEOUT_MS: { type: 'integer', min: 1, default: 15000 },
+    MAX_RETRIES: { type: 'integer', min: 0, default: 3 },
+    RATE_LIMITS: { type: 'json', default: {} },
+    CIRCUIT_FAILURE_THRESHOLD: { type: 'integer', min: 1, default: 5 },
+    CIRCUIT_COOLDOWN: { type: 'duration', default: '30s' },
+    INBOX_ENABLED: { type: 'boolean', default: true },
+    INBOX_RULES_PATH: { type: 'string', default: path.join(ROOT, 'inbox-rules.json') },
+    INBOX_POLL_INTERVAL: { type: 'duration', default: '1m' },
+    INBOX_IGNORE_USERNAMES: { type: 'list', default: [] },
+    DIRECTORY_ENABLED: { type: 'boolean', default: true },
+    DIRECTORY_TTL: { type: 'duration', default: '6h' },
+    DIRECTORY_CRAWL_INTERVAL: { type: 'duration', default: '1m' },
+    DIRECTORY_BATCH_SIZE: { type: 'integer', min: 1, default: 10 },
+    DIRECTORY_PAGE_SIZE: { type: 'integer', min: 1, default: 50 },
+    DIRECTORY_MAX_PAGES: { type: 'integer', min: 1, default: 20 },
+    DIRECTORY_QUERIES: { type: 'list', default: [] },
+    DIRECTORY_ALPHABET: { type: 'string', default: 'abcdefghijklmnopqrstuvwxyz0123456789' },
+    DIRECTORY_EXCLUDE_BOTS: { type: 'boolean', default: true },
+    DIRECTORY_EXCLUDE_DO_NOT_CONTACT: { type: 'boolean', default: true },
+    DIRECTORY_NEWEST_FIRST: { type: 'boolean', default: false },
+    DIRECTORY_LIMIT: { type: 'integer', min: 1 },
+    DIRECTORY_INCLUDE: { type: 'list', default: [] },
+    DIRECTORY_EXCLUDE: { type: 'list', default: [] },
+    POSTS_MAX_PAGES: { type: 'integer', min: 1, default: 5 },
+    POSTS_PAGE_SIZE: { type: 'integer', min: 1, default: 20 },
+    POSTS_MAX_AGE: { type: 'duration', default: '7d' },
+    POSTS_MIN_AGE: { type: 'duration', default: '0s' },
+    POSTS_SKIP_COMMENTED: { type: 'boolean', default: true },
+    POSTS_INCLUDE_AUTHORS: { type: 'list', default: [] },
+    POSTS_EXCLUDE_AUTHORS: { type: 'list', default: [] },
+    POSTS_INCLUDE_KEYWORDS: { type: 'list', default: [] },
+    POSTS_EXCLUDE_KEYWORDS: { type: 'list', default: [] },
+    MESSAGE_COOLDOWN: { type: 'cooldown', default: '24h' },
+    MESSAGE_STRATEGY: { type: 'enum', values: STRATEGIES, default: 'least-recent' },
+    COMMENT_COOLDOWN: { type: 'cooldown', default: 'forever' },
+    COMMENT_STRATEGY: { type: 'enum', values: STRATEGIES, default: 'weighted-activity' },
+    TIMEZONE: { type: 'timezone', default: 'UTC' },
+    QUIET_HOURS: { type: 'list', default: [] },
+    ACTIVE_HOURS: { type: 'list', default: [] },
+    SCHEDULE_JITTER: { type: 'duration', default: '0s' },
+    DO_NOT_CONTACT: { type: 'list', default: [] },
+    OPT_OUT_KEYWORDS: { type: 'list' },
+    ADMIN_TOKEN: { type: 'string', secret: true },
+    ADMIN_TOKENS: { type: 'string', secret: true },
+    WEBHOOK_URL: { type: 'list', default: [] },
+    WEBHOOK_FORMAT: { type: 'enum', values: FORMATS, default: 'generic' },
+    WEBHOOK_SECRET: { type: 'string', secret: true },
+    WEBHOOK_EVENTS: { type: 'list' },
+    ALERT_FAILURE_THRESHOLD: { type: 'integer', min: 0, default: 10 },
+    ALERT_FAILURE_WINDOW: { type: 'duration', default: '1h' },
+    LOG_LEVEL: { type: 'enum', values: Object.keys(LEVELS), lowercase: true, default: 'info' },
+    LOG_FORMAT: { type: 'enum', values: ['json', 'pretty'] },
+    LOG_FILE: { type: 'string' },
+    LOG_FILE_MAX_BYTES: { type: 'integer', min: 1, default: 10 * 1024 * 1024 },
+    LOG_FILE_MAX_FILES: { type: 'integer', min: 1, default: 5 },
+    LOG_BUFFER_SIZE: { type: 'integer', min: 1, default: 500 },
+    PORT: { type: 'integer', min: 0, max: 65535, default: 3000 },
+    NODE_ENV: { type: 'string', default: 'development' },
+    CONFIG_WATCH: { type: 'boolean', default: true },
+    CONFIG_FILE: { type: 'string', source: 'environment' },
+    BOTS_CONFIG: { type: 'string', source: 'environment' },
+    ENV_FILE: { type: 'string', source: 'environment' }
+};
+
+/**
+ * Fields of a bot entry in the config file; "fields" nests, "any" is
+ * checked where it is used
+ */
+const BOT_FIELDS = {
+    name: { type: 'string' },
+    username: { type: 'string' },
+    password: { type: 'string', secret: true },
+    passwordEnv: { type: 'string' },
+    baseUrl: { type: 'url' },
+    reports: { type: 'any' },
+    reportUsername: { type: 'any' },
+    reportMode: { type: 'enum', values: MODES },
+    intervalMinutes: { type: 'positiveNumber' },
+    actions: { type: 'list' },
+    templatesPath: { type: 'string' },
+    commentRulesPath: { type: 'string' },
+    scenariosPath: { type: 'string' },
+    dryRun: { type: 'boolean' },
+    requests: {
+        fields: {
+            timeout: { type: 'integer', min: 1 },
+            maxRetries: { type: 'integer', min: 0 },
+            maxReauthAttempts: { type: 'integer', min: 0 },
+            rateLimits: { type: 'json' },
+            circuitBreaker: {
+                fields: {
+                    failureThreshold: { type: 'integer', min: 1 },
+                    cooldown: { type: 'duration' }
+                }
+            }
+        }
+    },
+    inbox: {
+        fields: {
+            enabled: { type: 'boolean' },
+            rulesPath: { type: 'string' },
+            pollInterval: { type: 'duration' },
+            ignoreUsernames: { type: 'list' }
+        }
+    },
+    directory: {
+        fields: {
+            enabled: { type: 'boolean' },
+            ttl: { type: 'duration' },
+            crawlInterval: { type: 'duration' },
+            batchSize: { type: 'integer', min: 1 },
+            pageSize: { type: 'integer', min: 1 },
+            maxPages: { type: 'integer', min: 1 },
+            queries: { type: 'list' },
+            alphabet: { type: 'string' },
+            excludeBots: { type: 'boolean' },
+            excludeDoNotContact: { type: 'boolean' },
+            newestFirst: { type: 'boolean' },
+            limit: { type: 'integer', min: 1 },
+            include: { type: 'list' },
+            exclude: { type: 'list' }
+        }
+    },
+    posts: {
+        fields: {
+            maxPages: { type: 'integer', min: 1 },
+            pageSize: { type: 'integer', min: 1 },
+            maxAge: { type: 'duration' },
+            minAge: { type: 'duration' },
+            skipCommented: { type: 'boolean' },
+            includeAuthors: { type: 'list' },
+            excludeAuthors: { type: 'list' },
+            includeKeywords: { type: 'list' },
+            excludeKeywords: { type: 'list' }
+        }
+    },
+    targeting: {
+        each: {
+            fields: {
+                cooldown: { type: 'cooldown' },
+                strategy: { type: 'enum', values: STRATEGIES }
+            }
+        }
+    },
+    schedule: {
+        fields: {
+            timezone: { type: 'timezone' },
+            quietHours: { type: 'any' },
+            activeWindows: { type: 'any' },
+            jitter: { type: 'duration' },
+            rules: { type: 'any' }
+        }
+    }
+};
+
+// Top-level keys of the config file
+const FILE_KEYS = ['env', 'bots', 'webhooks', 'doNotContact', 'optOutKeywords'];
+
+function isEmpty(value) {
+    return value === undefined || value === null || value === '';
+}
+
+/**
+ * Check one value against its spec, returning the converted value or
+ * adding a problem to the list
+ */
+function checkValue(value, spec, label, problems) {
+    if (spec.type === 'any') return value;
+    try {
+        return TYPES[spec.type](value, spec);
+    } catch (error) {
+        problems.push(`${label}: ${error.message}${spec.secret ? '' : `, got ${show(value)}`}`);
+        return undefined;
+    }
+}
+
+/**
+ * Resolve every setting from layers ordered highest precedence first:
+ * [{ origin, values, strict }]. Strict layers (the config file) may only
+ * use known names. Returns { settings, origins }; throws ConfigError.
+ */
+function resolveSettings(layers) {
+    const problems = [];
+    const settings = {};
+    const origins = {};
+
+    for (const layer of layers.filter(candidate => candidate.strict)) {
+        const unknown = Object.keys(layer.values).filter(name => !SETTINGS[name] || SETTINGS[name].source === 'environment');
+        unknown.forEach(name => problems.push(`${name} (${layer.origin}): unknown setting`));
+    }
+
+    for (const [name, spec] of Object.entries(SETTINGS)) {
+        const layer = layers.find(candidate => !isEmpty(candidate.values[name]) && !(candidate.strict && spec.source));
+        if (!layer) {
+            settings[name] = spec.default;
+            origins[name] = 'default';
+            continue;
+        }
+        settings[name] = checkValue(layer.values[name], spec, `${name} (${layer.origin})`, problems);
+        origins[name] = layer.origin;
+    }
+
+    if (problems.length > 0) throw new ConfigError(problems);
+    return { settings, origins };
+}
+
+/**
+ * Check an object against nested field specs, collecting problems.
+ * Returns a copy holding the converted values ("off" -> false, "3" -> 3).
+ */
+function checkFields(value, fields, label, problems) {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) {
+        problems.push(`${label}: expected an object`);
+        return undefined;
+    }
+    const checked = {};
+    for (const [key, item] of Object.entries(value)) {
+        const spec = fields[key];
+        const itemLabel = `${label}.${key}`;
+        if (!spec) {
+            problems.push(`${itemLabel}: unknown field`);
+        } else if (spec.fields) {
+            checked[key] = checkFields(item, spec.fields, itemLabel, problems);
+        } else if (spec.each) {
+            if (!item || typeof item !== 'object') {
+                problems.push(`${itemLabel}: expected an object`);
+            } else {
+                checked[key] = {};
+                for (const [name, entry] of Object.entries(item)) {
+                    checked[key][name] = checkFields(entry, spec.each.fields, `${itemLabel}.${name}`, problems);
+                }
+            }
+        } else {
+            checked[key] = checkValue(item, spec, itemLabel, problems);
+        }
+    }
+    return checked;
+}
+
+/**
+ * Check one bot entry of the config file: { entry, problems }, where entry
+ * holds the converted values to resolve the bot from
+ */
+function checkBotEntry(entry, label) {
+    const problems = [];
+    const checked = checkFields(entry, BOT_FIELDS, label, problems);
+    return { entry: checked, problems };
+}
+
+module.exports = {
+    SETTINGS,
+    BOT_FIELDS,
+    FILE_KEYS,
+    DEFAULT_PASSWORD,
+    ConfigError,
+    resolveSettings,
+    checkBotEntry
+};
@@ -0,0 +1,80 @@
+const fs = require('fs');
+const path = require('path');
+const { logger } = require('./logging');
+
+/**
+ * Config Watcher
+ * Calls onChange once when any watched file changes, after things settle
+ * (editors often write a file in several steps). Watches the parent
+ * directory rather than the file, so files replaced by a rename - as most
+ * editors save - or created later are still seen. A watched directory
+ * (e.g. templates/) reacts to any file inside it.
+ */
+class ConfigWatcher {
+    /**
+     * options: { onChange, debounce, logger }
+     */
+    constructor(options = {}) {
+        this.onChange = options.onChange;
+        this.debounceMs = options.debounce === undefined ? 500 : options.debounce;
+        this.logger = (options.logger || logger).child({ component: 'config-watcher' });
+        this.watchers = [];
+        this.timer = null;
+    }
+
+    /**
+     * Watch a set of files and directories, replacing whatever was watched before
+     */
+    watch(paths) {
+        this.close();
+
+        // directory -> file names in it to react to (null: any file)
+        const targets = new Map();
+        for (const target of paths.filter(Boolean).map(item => path.resolve(item))) {
+            const isDirectory = fs.existsSync(target) && fs.statSync(target).isDirectory();
+            const dir = isDirectory ? target : path.dirname(target);
+            if (!fs.existsSync(dir)) continue;
+
+            if (isDirectory) {
+                targets.set(dir, null);
+            } else if (targets.get(dir) !== null) {
+                targets.set(dir, (targets.get(dir) || new Set()).add(path.basename(target)));
+            }
+        }
+
+        for (const [dir, names] of targets) {
+            try {
+                const watcher = fs.watch(dir, (event, filename) => {
+                    if (!names || (filename && names.has(filename.toString()))) {
+                        this.changed(filename ? path.join(dir, filename.toString()) : dir);
+                    }
+                });
+                watcher.on('error', error => this.logger.warn(`Stopped watching ${dir}: ${error.message}`));
+                watcher.unref();
+                this.watchers.push(watcher);
+            } catch (error) {
+                this.logger.warn(`Can't watch ${dir} for changes: ${error.message}`);
+            }
+        }
+        return targets.size;
+    }
+
+    changed(file) {
+        this.lastChanged = file;
+        if (this.timer) clearTimeout(this.timer);
+        this.timer = setTimeout(() => {
+            this.timer = null;
+            this.onChange(this.lastChanged);
+        }, this.debounceMs);
+        this.timer.unref();
+    }
+
+    close() {
+        this.watchers.forEach(watcher => watcher.close());
+        this.watchers = [];
+        if (this.timer) clearTimeout(this.timer);
+        this.timer = null;
+    }
+}
+
+module.exports = { ConfigWatcher };
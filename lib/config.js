@@ -0,0 +1,433 @@
+const fs = require('fs');
+const path = require('path');
+const { parseYaml } = require('./yaml');
+const { readEnvFile } = require('./env-file');
+const { resolveSettings, checkBotEntry, ConfigError, FILE_KEYS, DEFAULT_PASSWORD } = require('./config-schema');
+
+/**
+ * Configuration loading
+ * Settings come from, highest precedence first:
+ *   1. environment variables
+ *   2. the .env file (ENV_FILE, default ./.env)
+ *   3. the "env" section of the config file
+ *   4. built-in defaults (see config-schema.js)
+ * The config file (CONFIG_FILE, else BOTS_CONFIG, else the first of
+ * bots.json / bots.yaml / bots.yml) is JSON or YAML and also holds the bot
+ * identities, whose own fields override the settings for that bot.
+ * Everything is validated; all problems are reported in one ConfigError.
+ */
+
+const DEFAULT_CONFIG_FILES = ['bots.json', 'bots.yaml', 'bots.yml'];
+
+/**
+ * Split a comma-separated list, dropping blanks
+ */
+function parseList(value) {
+    return String(value).split(',').map(item => item.trim()).filter(Boolean);
+}
+
+/**
+ * Parse a report recipient: "phone", "phone:daily" or "phone:daily@18:30"
+ */
+function parseRecipient(value, defaultMode) {
+    const match = /^@?([^:@\s]+)(?::(\w+)(?:@(\d{1,2}:\d{2}))?)?$/.exec(String(value).trim());
+    if (!match) {
+        throw new Error(`Invalid report recipient "${value}" (expected user, user:mode or user:daily@HH:MM)`);
+    }
+    const recipient = { username: match[1], mode: match[2] || defaultMode };
+    if (match[3]) recipient.at = match[3];
+    return recipient;
+}
+
+/**
+ * Report recipients from REPORTS ("phone:daily,ops:failures"),
+ * else REPORT_USERNAME with REPORT_MODE
+ */
+function loadReports(settings) {
+    const mode = settings.REPORT_MODE;
+    if (settings.REPORTS) {
+        return settings.REPORTS.map(item => parseRecipient(item, mode));
+    }
+    return [{ username: settings.REPORT_USERNAME, mode }];
+}
+
+/**
+ * Report recipients of one bots-file entry: "reports" (strings or objects),
+ * "reportUsername" (null disables reports) or the defaults
+ */
+function resolveReports(entry, defaults) {
+    if (Array.isArray(entry.reports)) {
+        return entry.reports.map(item => (typeof item === 'string' ? parseRecipient(item, 'immediate') : { ...item }));
+    }
+    if (entry.reportUsername === null) return [];
+    if (entry.reportUsername) {
+        return [{ username: entry.reportUsername, mode: entry.reportMode || defaults.reportMode }];
+    }
+    return defaults.reports;
+}
+
+/**
+ * Defaults shared by every bot, taken from the resolved settings
+ */
+function loadDefaults(settings) {
+    return {
+        baseUrl: settings.BOT_BASE_URL,
+        username: settings.BOT_USERNAME,
+        password: settings.BOT_PASSWORD,
+        reports: loadReports(settings),
+        reportMode: settings.REPORT_MODE,
+        intervalMinutes: settings.INTERVAL_MINUTES,
+        actions: settings.BOT_ACTIONS,
+        templatesPath: settings.TEMPLATES_PATH,
+        commentRulesPath: settings.COMMENT_RULES_PATH,
+        scenariosPath: settings.SCENARIOS_PATH,
+        dataDir: settings.DATA_DIR,
+        store: {
+            type: settings.STORE_TYPE,
+            maxBytes: settings.STORE_MAX_BYTES,
+            maxFiles: settings.STORE_MAX_FILES
+        },
+        activityLogLimit: settings.ACTIVITY_LOG_LIMIT,
+        dryRun: settings.DRY_RUN,
+        requests: {
+            timeout: settings.REQUEST_TIMEOUT_MS,
+            maxRetries: settings.MAX_RETRIES,
+            maxReauthAttempts: 1,
+            rateLimits: settings.RATE_LIMITS,
+            circuitBreaker: {
+                failureThreshold: settings.CIRCUIT_FAILURE_THRESHOLD,
+                cooldown: settings.CIRCUIT_COOLDOWN
+            }
+        },
+        inbox: {
+            enabled: settings.INBOX_ENABLED,
+            rulesPath: settings.INBOX_RULES_PATH,
+            pollInterval: settings.INBOX_POLL_INTERVAL,
+            ignoreUsernames: settings.INBOX_IGNORE_USERNAMES
+        },
+        directory: {
+            enabled: settings.DIRECTORY_ENABLED,
+            ttl: settings.DIRECTORY_TTL,
+            crawlInterval: settings.DIRECTORY_CRAWL_INTERVAL,
+            batchSize: settings.DIRECTORY_BATCH_SIZE,
+            pageSize: settings.DIRECTORY_PAGE_SIZE,
+            maxPages: settings.DIRECTORY_MAX_PAGES,
+            queries: settings.DIRECTORY_QUERIES,
+            alphabet: settings.DIRECTORY_ALPHABET,
+            excludeBots: settings.DIRECTORY_EXCLUDE_BOTS,
+            excludeDoNotContact: settings.DIRECTORY_EXCLUDE_DO_NOT_CONTACT,
+            newestFirst: settings.DIRECTORY_NEWEST_FIRST,
+            limit: settings.DIRECTORY_LIMIT || null,
+            include: settings.DIRECTORY_INCLUDE,
+            exclude: settings.DIRECTORY_EXCLUDE
+        },
+        posts: {
+            maxPages: settings.POSTS_MAX_PAGES,
+            pageSize: settings.POSTS_PAGE_SIZE,
+            maxAge: settings.POSTS_MAX_AGE,
+            minAge: settings.POSTS_MIN_AGE,
+            skipCommented: settings.POSTS_SKIP_COMMENTED,
+            includeAuthors: settings.POSTS_INCLUDE_AUTHORS,
+            excludeAuthors: settings.POSTS_EXCLUDE_AUTHORS,
+            includeKeywords: settings.POSTS_INCLUDE_KEYWORDS,
+            excludeKeywords: settings.POSTS_EXCLUDE_KEYWORDS
+        },
+        targeting: {
+            message: {
+                cooldown: settings.MESSAGE_COOLDOWN,
+                strategy: settings.MESSAGE_STRATEGY
+            },
+            comment: {
+                cooldown: settings.COMMENT_COOLDOWN,
+                strategy: settings.COMMENT_STRATEGY
+            }
+        },
+        schedule: {
+            timezone: settings.TIMEZONE,
+            quietHours: settings.QUIET_HOURS,
+            activeWindows: settings.ACTIVE_HOURS,
+            jitter: settings.SCHEDULE_JITTER
+        }
+    };
+}
+
+/**
+ * Merge per-action targeting settings over the defaults
+ */
+function mergeTargeting(defaults, overrides = {}) {
+    const merged = { ...defaults };
+    for (const [action, settings] of Object.entries(overrides)) {
+        merged[action] = { ...(defaults[action] || {}), ...settings };
+    }
+    return merged;
+}
+
+/**
+ * Resolve one bot entry from the config file against the defaults
+ */
+function resolveBot(entry, defaults, index, env) {
+    if (!entry || typeof entry !== 'object') {
+        throw new Error(`Bot #${index + 1} must be an object`);
+    }
+    if (!entry.username) {
+        throw new Error(`Bot #${index + 1} is missing "username"`);
+    }
+
+    // Keep secrets out of the shared file by naming an env var instead
+    let password = entry.password;
+    if (entry.passwordEnv) {
+        password = env[entry.passwordEnv];
+        if (!password) {
+            throw new Error(`Bot "${entry.username}" expects a password in $${entry.passwordEnv}, which is not set`);
+        }
+    }
+
+    return {
+        name: entry.name || entry.username,
+        baseUrl: entry.baseUrl || defaults.baseUrl,
+        username: entry.username,
+        password: password || defaults.password,
+        reports: resolveReports(entry, defaults),
+        intervalMinutes: entry.intervalMinutes || defaults.intervalMinutes,
+        actions: Array.isArray(entry.actions) ? entry.actions
+            : entry.actions ? parseList(entry.actions)
+            : defaults.actions,
+        templatesPath: entry.templatesPath || defaults.templatesPath,
+        commentRulesPath: entry.commentRulesPath || defaults.commentRulesPath,
+        scenariosPath: entry.scenariosPath || defaults.scenariosPath,
+        dataDir: defaults.dataDir,
+        store: defaults.store,
+        activityLogLimit: defaults.activityLogLimit,
+        dryRun: entry.dryRun === undefined ? defaults.dryRun : Boolean(entry.dryRun),
+        requests: {
+            ...defaults.requests,
+            ...(entry.requests || {}),
+            rateLimits: { ...defaults.requests.rateLimits, ...((entry.requests || {}).rateLimits || {}) },
+            circuitBreaker: { ...defaults.requests.circuitBreaker, ...((entry.requests || {}).circuitBreaker || {}) }
+        },
+        inbox: { ...defaults.inbox, ...(entry.inbox || {}) },
+        directory: { ...defaults.directory, ...(entry.directory || {}) },
+        posts: { ...defaults.posts, ...(entry.posts || {}) },
+        targeting: mergeTargeting(defaults.targeting, entry.targeting),
+        schedule: { ...defaults.schedule, ...(entry.schedule || {}) }
+    };
+}
+
+/**
+ * Read the config file, JSON or YAML by extension, or null when there is none
+ */
+function readBotsFile(env) {
+    const configured = env.CONFIG_FILE || env.BOTS_CONFIG;
+    const file = configured
+        ? path.resolve(configured)
+        : DEFAULT_CONFIG_FILES.map(name => path.resolve(name)).find(candidate => fs.existsSync(candidate));
+
+    if (!file) return null;
+    if (!fs.existsSync(file)) {
+        throw new Error(`Config file not found: ${file}`);
+    }
+
+    let parsed;
+    try {
+        const text = fs.readFileSync(file, 'utf8');
+        parsed = /\.ya?ml$/i.test(file) ? parseYaml(text, file) : JSON.parse(text);
+    } catch (error) {
+        throw new Error(`Could not read config file ${file}: ${error.message}`);
+    }
+
+    // A bare array is shorthand for { "bots": [...] }
+    if (Array.isArray(parsed)) return { file, bots: parsed };
+    if (!parsed || typeof parsed !== 'object') {
+        throw new ConfigError([`${file}: expected an object with "bots" and/or "env"`]);
+    }
+
+    const problems = Object.keys(parsed)
+        .filter(key => !FILE_KEYS.includes(key))
+        .map(key => `${file}: unknown key "${key}" (expected ${FILE_KEYS.join(', ')})`);
+    if (parsed.env !== undefined && (!parsed.env || typeof parsed.env !== 'object' || Array.isArray(parsed.env))) {
+        problems.push(`${file}: "env" must map setting names to values`);
+    }
+    if (problems.length > 0) throw new ConfigError(problems);
+
+    return { file, ...parsed };
+}
+
+/**
+ * Setting sources, highest precedence first: the environment, the .env
+ * file and the config file's "env" section
+ */
+function settingLayers(env, botsFile, envFile = null) {
+    const layers = [{ origin: 'environment', values: env }];
+    if (envFile) {
+        layers.push({ origin: envFile.file, values: envFile.values });
+    }
+    if (botsFile && botsFile.env) {
+        layers.push({ origin: botsFile.file, values: botsFile.env, strict: true });
+    }
+    return layers;
+}
+
+/**
+ * Resolve every bot entry, collecting all problems before failing
+ */
+function buildBots(settings, botsFile, env) {
+    const defaults = loadDefaults(settings);
+
+    if (!botsFile || botsFile.bots === undefined) {
+        return [resolveBot({ username: defaults.username }, defaults, 0, env)];
+    }
+
+    const entries = botsFile.bots;
+    if (!Array.isArray(entries) || entries.length === 0) {
+        throw new ConfigError([`${botsFile.file}: "bots" must be a non-empty list`]);
+    }
+
+    const problems = [];
+    const bots = [];
+    entries.forEach((entry, index) => {
+        const label = `${botsFile.file}: bots[${index}]`;
+        // Resolve from the checked values, so "off" in a file is false and "3" is 3
+        const checked = entry && typeof entry === 'object' ? checkBotEntry(entry, label) : { entry, problems: [] };
+        problems.push(...checked.problems);
+        try {
+            bots.push(resolveBot(checked.entry || entry, defaults, index, env));
+        } catch (error) {
+            problems.push(`${label}: ${error.message}`);
+        }
+    });
+
+    const names = new Set();
+    for (const bot of bots) {
+        if (names.has(bot.name)) {
+            problems.push(`${botsFile.file}: duplicate bot name "${bot.name}"`);
+        }
+        names.add(bot.name);
+    }
+
+    if (problems.length > 0) throw new ConfigError(problems);
+    return bots;
+}
+
+/**
+ * Load bot identities, falling back to a single bot built from env vars
+ */
+function loadBots(env = process.env, botsFile = readBotsFile(env)) {
+    const { settings } = resolveSettings(settingLayers(env, botsFile));
+    return buildBots(settings, botsFile, env);
+}
+
+/**
+ * Admin API tokens: ADMIN_TOKENS="alice:token,bob:token" names who made each
+ * change; a bare ADMIN_TOKEN is recorded as "admin"
+ */
+function loadAdminTokens(settings) {
+    const tokens = parseList(settings.ADMIN_TOKENS || '').map(item => {
+        const separator = item.indexOf(':');
+        if (separator <= 0 || separator === item.length - 1) {
+            throw new ConfigError(['ADMIN_TOKENS: entries must look like "name:token"']);
+        }
+        return { name: item.slice(0, separator), token: item.slice(separator + 1) };
+    });
+    if (settings.ADMIN_TOKEN) {
+        tokens.push({ name: 'admin', token: settings.ADMIN_TOKEN });
+    }
+    return tokens;
+}
+
+/**
+ * Logging: LOG_LEVEL, LOG_FORMAT (json when stdout is not a terminal),
+ * LOG_FILE with rotation, LOG_BUFFER_SIZE records kept for the status page
+ */
+function loadLogging(settings) {
+    return {
+        level: settings.LOG_LEVEL,
+        format: settings.LOG_FORMAT || (process.stdout.isTTY ? 'pretty' : 'json'),
+        file: settings.LOG_FILE ? {
+            path: settings.LOG_FILE,
+            maxBytes: settings.LOG_FILE_MAX_BYTES,
+            maxFiles: settings.LOG_FILE_MAX_FILES
+        } : null,
+        bufferSize: settings.LOG_BUFFER_SIZE
+    };
+}
+
+/**
+ * Webhook notifications: WEBHOOK_URL (comma-separated) with WEBHOOK_FORMAT,
+ * WEBHOOK_SECRET and WEBHOOK_EVENTS, plus "webhooks" in the config file
+ */
+function loadNotifications(settings, shared = {}, env = {}) {
+    const fromEnv = settings.WEBHOOK_URL.map(url => ({
+        url,
+        format: settings.WEBHOOK_FORMAT,
+        secret: settings.WEBHOOK_SECRET || null,
+        events: settings.WEBHOOK_EVENTS
+    }));
+
+    // Secrets in the config file can name an env var, like bot passwords
+    const fromFile = (shared.webhooks || []).map(webhook => ({
+        ...webhook,
+        secret: webhook.secretEnv ? env[webhook.secretEnv] : webhook.secret
+    }));
+
+    return {
+        webhooks: [...fromEnv, ...fromFile],
+        failureThreshold: settings.ALERT_FAILURE_THRESHOLD,
+        failureWindow: settings.ALERT_FAILURE_WINDOW
+    };
+}
+
+/**
+ * Refuse the development defaults when NODE_ENV=production
+ */
+function checkProduction(settings, bots) {
+    if (settings.NODE_ENV !== 'production') return;
+
+    const problems = bots
+        .filter(bot => bot.password === DEFAULT_PASSWORD)
+        .map(bot => `Bot "${bot.name}" uses the default password; set BOT_PASSWORD (or "passwordEnv" in the config file) before running in production`);
+    if (problems.length > 0) throw new ConfigError(problems);
+}
+
+/**
+ * Load the full process configuration
+ */
+function loadConfig(env = process.env) {
+    const envPath = path.resolve(env.ENV_FILE || '.env');
+    const envFile = { file: envPath, values: readEnvFile(envPath) };
+    // .env may say where the config file is, and hold the passwords it refers to
+    const lookup = { ...envFile.values, ...env };
+    const botsFile = readBotsFile(lookup);
+    const shared = botsFile || {};
+
+    const { settings, origins } = resolveSettings(settingLayers(env, botsFile, envFile));
+    const bots = buildBots(settings, botsFile, lookup);
+    checkProduction(settings, bots);
+    const defaults = loadDefaults(settings);
+
+    return {
+        bots,
+        dataDir: defaults.dataDir,
+        store: defaults.store,
+        // Users no bot may contact: env list plus "doNotContact" in the config file
+        doNotContact: [
+            ...settings.DO_NOT_CONTACT,
+            ...(shared.doNotContact || [])
+        ],
+        optOutKeywords: settings.OPT_OUT_KEYWORDS || shared.optOutKeywords,
+        admin: { tokens: loadAdminTokens(settings) },
+        notifications: loadNotifications(settings, shared, lookup),
+        logging: loadLogging(settings),
+        production: settings.NODE_ENV === 'production',
+        // Files that hot reload watches, and where each setting came from
+        sources: {
+            configFile: botsFile ? botsFile.file : null,
+            envFile: envPath,
+            watch: settings.CONFIG_WATCH,
+            origins
+        },
+        healthCheckInterval: 30000, // 30 seconds
+        port: settings.PORT // HTTP server port
+    };
+}
+
+module.exports = { loadConfig, loadBots };
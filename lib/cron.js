@@ -0,0 +1,178 @@
+const { zonedParts } = require('./timezone');
+
+/**
+ * Cron expressions
+ * Standard five fields: minute hour day-of-month month day-of-week.
+ * Supports "*", lists ("1,15"), ranges ("9-17"), steps ("*\/5", "0-30/10")
+ * and weekday / month names. As in classic cron, when both day fields are
+ * restricted a match on either one is enough.
+ */
+
+const FIELDS = [
+    { name: 'minute', min: 0, max: 59 },
+    { name: 'hour', min: 0, max: 23 },
+    { name: 'day of month', min: 1, max: 31 },
+    { name: 'month', min: 1, max: 12, names: ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'] },
+    { name: 'day of week', min: 0, max: 7, names: ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'] }
+];
+
+const MINUTE_MS = 60 * 1000;
+
+// Longest each month can be, 29 February included
+const MONTH_DAYS = [31, 29, 31, 30, 31, 30, 31, 31, 30, 31, 30, 31];
+
+// Far enough for "once a year" expressions such as "0 0 29 2 *" to be found
+const SEARCH_LIMIT_MS = 4 * 366 * 24 * 60 * MINUTE_MS;
+
+/**
+ * Parse a single value, accepting names for month / weekday fields
+ */
+function parseValue(raw, field, expression) {
+    let value = NaN;
+    if (/^\d+$/.test(raw)) {
+        value = parseInt(raw, 10);
+    } else if (field.names) {
+        const index = field.names.indexOf(raw.toLowerCase());
+        value = index === -1 ? NaN : index + (field.name === 'month' ? 1 : 0);
+    }
+
+    if (isNaN(value) || value < field.min || value > field.max) {
+        throw new Error(`Invalid ${field.name} "${raw}" in cron expression "${expression}"`);
+    }
+    return value;
+}
+
+/**
+ * Expand one cron field into the set of matching values
+ */
+function parseField(source, field, expression) {
+    const values = new Set();
+
+    for (const part of source.split(',')) {
+        const pieces = part.split('/');
+        if (pieces.length > 2) {
+            throw new Error(`Invalid step "${part}" in cron expression "${expression}"`);
+        }
+        const [rangePart, stepPart] = pieces;
+        const step = stepPart === undefined ? 1 : /^\d+$/.test(stepPart) ? parseInt(stepPart, 10) : NaN;
+        if (!Number.isInteger(step) || step < 1) {
+            throw new Error(`Invalid step "${stepPart}" in cron expression "${expression}"`);
+        }
+
+        let start;
+        let end;
+        if (rangePart === '*') {
+            start = field.min;
+            end = field.max;
+        } else if (rangePart.includes('-')) {
+            const bounds = rangePart.split('-');
+            if (bounds.length !== 2) {
+                throw new Error(`Invalid range "${rangePart}" in cron expression "${expression}"`);
+            }
+            const [from, to] = bounds;
+            start = parseValue(from, field, expression);
+            end = parseValue(to, field, expression);
+        } else {
+            start = parseValue(rangePart, field, expression);
+            end = stepPart === undefined ? start : field.max;
+        }
+
+        if (start > end) {
+            throw new Error(`Invalid range "${rangePart}" in cron expression "${expression}"`);
+        }
+
+        for (let value = start; value <= end; value += step) {
+            values.add(value);
+        }
+    }
+
+    return values;
+}
+
+/**
+ * Parse a five-field cron expression
+ */
+function parseCron(expression) {
+    const parts = String(expression).trim().split(/\s+/);
+    if (parts.length !== 5) {
+        throw new Error(`Cron expression "${expression}" must have 5 fields (minute hour day month weekday)`);
+    }
+
+    const [minutes, hours, daysOfMonth, months, daysOfWeek] = parts.map((part, index) =>
+        parseField(part, FIELDS[index], expression));
+
+    // 7 is an alias for Sunday
+    if (daysOfWeek.has(7)) {
+        daysOfWeek.delete(7);
+        daysOfWeek.add(0);
+    }
+
+    // Days of month only count on their own when weekdays are "*"; then
+    // "0 0 30 2 *" would never run, so refuse it here rather than when the
+    // scheduler first looks for its next run
+    const anyDayOfMonth = parts[2] === '*';
+    const anyDayOfWeek = parts[4] === '*';
+    if (!anyDayOfMonth && anyDayOfWeek
+        && ![...months].some(month => [...daysOfMonth].some(day => day <= MONTH_DAYS[month - 1]))) {
+        throw new Error(`Cron expression "${expression}" never matches: none of its months has one of its days`);
+    }
+
+    return {
+        expression,
+        minutes,
+        hours,
+        daysOfMonth,
+        months,
+        daysOfWeek,
+        anyDayOfMonth,
+        anyDayOfWeek
+    };
+}
+
+/**
+ * Whether the day part of a cron matches the given wall-clock parts
+ */
+function matchesDay(cron, parts) {
+    const dom = cron.daysOfMonth.has(parts.day);
+    const dow = cron.daysOfWeek.has(parts.weekday);
+
+    if (cron.anyDayOfMonth || cron.anyDayOfWeek) {
+        return dom && dow;
+    }
+    return dom || dow;
+}
+
+/**
+ * First minute strictly after `from` that matches the cron in the timezone
+ */
+function nextCronTime(cron, from, timeZone = 'UTC') {
+    let time = Math.floor(from.getTime() / MINUTE_MS) * MINUTE_MS + MINUTE_MS;
+    const limit = time + SEARCH_LIMIT_MS;
+
+    while (time < limit) {
+        const parts = zonedParts(new Date(time), timeZone);
+
+        if (!cron.months.has(parts.month) || !matchesDay(cron, parts)) {
+            // Jump to the next wall-clock midnight
+            time += ((23 - parts.hour) * 60 + (60 - parts.minute)) * MINUTE_MS;
+
+            // On a day one hour short (DST starts) that lands at 01:00; step
+            // back to midnight, unless midnight itself was skipped
+            const next = zonedParts(new Date(time), timeZone);
+            const midnight = time - (next.hour * 60 + next.minute) * MINUTE_MS;
+            if (next.day !== parts.day && zonedParts(new Date(midnight), timeZone).day === next.day) {
+                time = midnight;
+            }
+        } else if (!cron.hours.has(parts.hour)) {
+            time += (60 - parts.minute) * MINUTE_MS;
+        } else if (!cron.minutes.has(parts.minute)) {
+            time += MINUTE_MS;
+        } else {
+            return new Date(time);
+        }
+    }
+
+    throw new Error(`Cron expression "${cron.expression}" never matches`);
+}
+
+module.exports = { parseCron, nextCronTime };
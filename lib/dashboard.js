@@ -0,0 +1,473 @@
+const { formatters } = require('./logging');
+const { TYPES } = require('./event-stream');
+
+/**
+ * Status Dashboard
+ * The /status page. The server renders the current state of every bot; a
+ * small script then follows /events to keep it live: the activity feed,
+ * counters, the 24h per-action charts, health badges and recent errors.
+ * The schedule's next run times count down and are refreshed from /health.
+ *
+ * Usernames, targets, errors and message text come from other people, so
+ * everything is escaped: escapeHtml() on the server, textContent in the
+ * browser, and the embedded JSON can't close its <script> tag.
+ */
+
+const HEALTH_BADGES = {
+    healthy: '✅ Healthy',
+    degraded: '⚠️ Degraded',
+    down: '❌ Down'
+};
+
+const HEALTH_CLASSES = { healthy: 'healthy', degraded: 'degraded', down: 'unhealthy' };
+
+/**
+ * Escape text for HTML
+ */
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+/**
+ * JSON that is safe inside a <script> element
+ */
+function scriptJson(value) {
+    return JSON.stringify(value)
+        .replace(/</g, '\\u003c')
+        .replace(/\u2028/g, '\\u2028')
+        .replace(/\u2029/g, '\\u2029');
+}
+
+/**
+ * Health status badge
+ */
+function renderHealth(status) {
+    return `<strong class="${HEALTH_CLASSES[status]}" data-health>${HEALTH_BADGES[status]}</strong>`;
+}
+
+/**
+ * Newest log records from the in-memory buffer
+ */
+function renderRecentLog(records) {
+    if (records.length === 0) return '';
+
+    return `
+                    <h2>Recent log</h2>
+                    <ul class="log">${records.slice().reverse().map(record => `
+                        <li class="${escapeHtml(record.level)}">${escapeHtml(formatters.pretty(record))}</li>`).join('')}
+                    </ul>`;
+}
+
+/**
+ * Per-action attempts and success rates for each rolling window
+ */
+function renderStatsTable(stats) {
+    const windows = [['Last hour', stats.windows.lastHour], ['Last 24h', stats.windows.last24h], ['Since start', stats.windows.sinceStart]];
+    const actionNames = Array.from(new Set(windows.flatMap(([, summary]) => Object.keys(summary.byAction))));
+    const cell = summary => summary
+        ? `${summary.success}/${summary.attempts} (${summary.successRate}${summary.avgLatencyMs !== null ? `, ${summary.avgLatencyMs}ms` : ''}${summary.simulated ? `, ${summary.simulated} simulated` : ''})`
+        : '-';
+
+    const rows = ['all', ...actionNames].map(name => `
+                        <tr><td>${escapeHtml(name)}</td>${windows.map(([, summary]) => `<td>${cell(name === 'all' ? summary : summary.byAction[name])}</td>`).join('')}</tr>`).join('');
+
+    return `
+                    <table>
+                        <tr><th>Action</th>${windows.map(([label]) => `<th>${label}</th>`).join('')}</tr>${rows}
+                    </table>`;
+}
+
+/**
+ * How much of the user directory is known and how fresh it is
+ */
+function renderDirectory(directory) {
+    if (!directory) return '';
+
+    const refreshed = directory.refreshedAt
+        ? `refreshed ${directory.refreshedAt}${directory.stale ? ' (stale)' : ''}`
+        : 'not crawled yet';
+    const crawl = directory.crawl
+        ? `, crawling ${directory.crawl.progress}% (${directory.crawl.queriesDone}/${directory.queries} queries, ${directory.crawl.found} found)`
+        : '';
+    const error = directory.lastError ? ` - <strong class="degraded">${escapeHtml(directory.lastError.message)}</strong>` : '';
+    return `<div class="stat">Users: <strong>${directory.known} known</strong> (${directory.available} available), ${refreshed}${crawl}${error}</div>`;
+}
+
+/**
+ * What the last look at the feed found
+ */
+function renderPostDiscovery(posts) {
+    if (!posts || !posts.lastRun) return '';
+
+    const { lastRun } = posts;
+    const skipped = lastRun.skipped;
+    return `<div class="stat">Posts: <strong>${lastRun.candidates} of ${lastRun.seen} to comment on</strong> (${lastRun.pages} page(s) at ${lastRun.at}; ${skipped.tooOld + skipped.tooNew} outside the age window, ${skipped.commented} already commented, ${skipped.filtered} filtered)</div>`;
+}
+
+/**
+ * Each scenario with how its last run went
+ */
+function renderScenarios(scenarios) {
+    if (!scenarios || scenarios.length === 0) return '';
+
+    const items = scenarios.map(scenario => {
+        const last = scenario.lastRun;
+        const outcome = last
+            ? `<strong class="${last.passed ? 'healthy' : 'unhealthy'}">${last.passed ? 'passed' : 'failed'}</strong> at ${last.at} (${last.counts.passed} step(s) passed)`
+            : '<span class="muted">never run</span>';
+        return `${escapeHtml(scenario.name)}: <span data-scenario="${escapeHtml(scenario.name)}">${outcome}</span>`;
+    });
+    return `<div class="stat">Scenarios: ${items.join(', ')}</div>`;
+}
+
+function renderSchedule(schedule) {
+    const items = schedule.map(rule => {
+        const timing = rule.cron ? `cron "${escapeHtml(rule.cron)}"` : `every ${Math.round(rule.every / 1000)}s`;
+        const next = rule.nextRunAt
+            ? `<time data-next="${rule.nextRunAt}" datetime="${rule.nextRunAt}">${rule.nextRunAt}</time>`
+            : 'not scheduled';
+        return `<li data-rule="${escapeHtml(rule.name)}">${escapeHtml(rule.name)}: ${timing} - next run ${next}</li>`;
+    });
+    return `<ul class="schedule">${items.join('')}</ul>`;
+}
+
+function renderFailures(failures, lastError) {
+    const items = failures.map(record => `
+                        <li><time>${record.at}</time> ${escapeHtml(record.action)} ${escapeHtml(record.target || 'no target')}: ${escapeHtml(record.error || record.errorClass || 'failed')}</li>`);
+    return `
+                    ${lastError ? `<div class="stat">Last Error: <strong class="unhealthy">${escapeHtml(lastError)}</strong></div>` : ''}
+                    <ul class="log errors" data-errors>${items.join('') || '<li class="muted">No failures in the last 24h</li>'}
+                    </ul>`;
+}
+
+function renderBot(bot, extras) {
+    const openCircuits = bot.circuits.filter(circuit => circuit.state !== 'closed');
+    const counter = (label, key, value) => `<div class="stat">${label}: <strong data-count="${key}">${value}</strong></div>`;
+
+    return `
+                <section class="bot" data-bot="${escapeHtml(bot.name)}">
+                    <h2>${escapeHtml(bot.name)} <small>(@${escapeHtml(bot.username)})</small></h2>
+                    ${bot.dryRun ? '<div class="stat dry-run">🧪 <strong>DRY RUN</strong> - nothing is sent; results below are simulated</div>' : ''}
+                    <div class="stat">Status: ${renderHealth(bot.health.status)} <span data-reasons>${bot.health.reasons.length ? `- ${escapeHtml(bot.health.reasons.join(', '))}` : ''}</span></div>
+                    ${openCircuits.length ? `<div class="stat">Circuits: <strong class="degraded">${openCircuits.map(circuit => `${escapeHtml(circuit.endpoint)} ${circuit.state.replace('_', '-')}`).join(', ')}</strong></div>` : ''}
+                    ${bot.paused || bot.pausedActions.length ? `<div class="stat">Paused: <strong class="unhealthy">${bot.paused ? 'all activity' : escapeHtml(bot.pausedActions.join(', '))}</strong></div>` : ''}
+                    <div class="counters">
+                        ${counter('Total Actions', 'total', bot.stats.total)}
+                        ${counter('Successes', 'successes', bot.stats.successes)}
+                        ${counter('Errors', 'errors', bot.stats.errors)}
+                        ${counter('Skipped', 'skipped', bot.stats.skipped)}
+                        ${counter('Simulated', 'simulated', bot.stats.simulated)}
+                        ${counter('Success Rate', 'successRate', bot.stats.successRate)}
+                    </div>
+                    ${renderDirectory(bot.directory)}
+                    ${renderPostDiscovery(bot.posts)}
+                    ${renderScenarios(bot.scenarios)}
+                    <h3>Last 24 hours</h3>
+                    <div class="charts" data-charts><noscript>${renderStatsTable(bot.stats)}</noscript></div>
+                    <h3>Schedule</h3>
+                    ${renderSchedule(bot.schedule)}
+                    <h3>Recent errors</h3>
+                    ${renderFailures(extras.failures, bot.lastError)}
+                </section>`;
+}
+
+/**
+ * The whole page.
+ * view: { status, uptime (seconds), bots: { <name>: { activity, failures } },
+ *         events, lastEventId, log }
+ */
+function renderDashboard(view) {
+    const { status } = view;
+    const data = {
+        lastEventId: view.lastEventId,
+        events: view.events,
+        health: Object.fromEntries(status.bots.map(bot => [bot.name, bot.health.status])),
+        charts: Object.fromEntries(status.bots.map(bot => [bot.name, view.bots[bot.name].activity]))
+    };
+
+    return `
+                <!DOCTYPE html>
+                <html>
+                <head>
+                    <meta charset="utf-8">
+                    <title>Bot Cop Status</title>
+                    <style>
+                        body { font-family: Arial; max-width: 960px; margin: 50px auto; padding: 20px; }
+                        h1 { color: #333; }
+                        h3 { margin: 20px 0 5px; font-size: 1em; color: #555; }
+                        .stat { background: #f0f0f0; padding: 10px; margin: 10px 0; border-radius: 5px; }
+                        .counters { display: grid; grid-template-columns: repeat(3, 1fr); gap: 0 10px; }
+                        .healthy { color: green; }
+                        .dry-run { background: #fff4d6; }
+                        .unhealthy { color: red; }
+                        .degraded { color: #b36b00; }
+                        .muted { color: #888; }
+                        .live { float: right; font-size: 0.8em; }
+                        table { width: 100%; border-collapse: collapse; margin: 10px 0; }
+                        th, td { text-align: left; padding: 4px 6px; border-bottom: 1px solid #ddd; font-size: 0.9em; }
+                        .chart { display: flex; align-items: flex-end; margin: 6px 0; }
+                        .chart-label { width: 90px; font-size: 0.85em; }
+                        .bars { display: flex; align-items: stretch; flex: 1; height: 50px; gap: 2px; }
+                        .bar { flex: 1; display: flex; flex-direction: column-reverse; background: #f6f6f6; }
+                        .log { list-style: none; padding: 0; font-family: monospace; font-size: 0.8em; }
+                        .log li { padding: 2px 0; border-bottom: 1px solid #eee; word-break: break-word; }
+                        .log .warn { color: #b36b00; }
+                        .log .error { color: red; }
+                    </style>
+                </head>
+                <body>
+                    <h1>🤖 Bot Cop Status <span class="live muted" id="live">static</span></h1>
+                    <div class="stat">Status: ${renderHealth(status.status).replace(' data-health', ' id="overall"')}</div>
+                    <div class="stat">Uptime: <strong>${Math.floor(view.uptime)} seconds</strong></div>
+                    <div class="stat">Do-not-contact list: <strong>${status.doNotContact} user(s)</strong></div>
+                    ${status.bots.map(bot => renderBot(bot, view.bots[bot.name])).join('')}
+                    <h2>Live activity</h2>
+                    <ul class="log" id="feed"></ul>
+                    ${renderRecentLog(view.log)}
+                    <script type="application/json" id="dashboard-data">${scriptJson(data)}</script>
+                    <script>${CLIENT_SCRIPT}</script>
+                </body>
+                </html>
+            `;
+}
+
+// Runs in the browser. Everything from the server goes in via textContent.
+const CLIENT_SCRIPT = `
+(function () {
+    var data = JSON.parse(document.getElementById('dashboard-data').textContent);
+    var HOUR = 3600000;
+    var FEED_SIZE = 100;
+    var OUTCOMES = ['success', 'failure', 'skipped', 'simulated'];
+    var COLORS = { success: '#3a3', failure: '#d33', skipped: '#bbb', simulated: '#e9b500' };
+    var BADGES = ${JSON.stringify(HEALTH_BADGES)};
+    var CLASSES = ${JSON.stringify(HEALTH_CLASSES)};
+    var RANK = { healthy: 0, degraded: 1, down: 2 };
+
+    function el(tag, className, text) {
+        var node = document.createElement(tag);
+        if (className) node.className = className;
+        if (text !== undefined) node.textContent = text;
+        return node;
+    }
+
+    function section(bot) {
+        var sections = document.querySelectorAll('section.bot');
+        for (var i = 0; i < sections.length; i++) {
+            if (sections[i].getAttribute('data-bot') === bot) return sections[i];
+        }
+        return null;
+    }
+
+    function emptyBucket() {
+        return { success: 0, failure: 0, skipped: 0, simulated: 0 };
+    }
+
+    // Move a chart's 24h window forward to the current hour
+    function advance(chart, now) {
+        var hours = Math.floor((now - Date.parse(chart.start)) / HOUR) - 23;
+        if (hours <= 0) return;
+        Object.keys(chart.byAction).forEach(function (action) {
+            var buckets = chart.byAction[action];
+            for (var i = 0; i < Math.min(hours, 24); i++) {
+                buckets.shift();
+                buckets.push(emptyBucket());
+            }
+        });
+        chart.start = new Date(Date.parse(chart.start) + hours * HOUR).toISOString();
+    }
+
+    function drawCharts(bot) {
+        var node = section(bot);
+        var chart = data.charts[bot];
+        if (!node || !chart) return;
+        var container = node.querySelector('[data-charts]');
+        container.textContent = '';
+
+        var actions = Object.keys(chart.byAction);
+        if (actions.length === 0) {
+            container.appendChild(el('p', 'muted', 'No actions in the last 24 hours'));
+            return;
+        }
+        actions.forEach(function (action) {
+            var buckets = chart.byAction[action];
+            var max = Math.max.apply(null, buckets.map(function (bucket) {
+                return OUTCOMES.reduce(function (sum, outcome) { return sum + bucket[outcome]; }, 0);
+            }).concat([1]));
+            var row = el('div', 'chart');
+            var bars = el('div', 'bars');
+            row.appendChild(el('span', 'chart-label', action));
+            buckets.forEach(function (bucket, index) {
+                var bar = el('div', 'bar');
+                var hour = new Date(Date.parse(chart.start) + index * HOUR);
+                bar.title = hour.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' }) + ' - ' + OUTCOMES.map(function (outcome) {
+                    return bucket[outcome] + ' ' + outcome;
+                }).join(', ');
+                OUTCOMES.forEach(function (outcome) {
+                    if (!bucket[outcome]) return;
+                    var part = el('div');
+                    part.style.height = (bucket[outcome] / max * 100) + '%';
+                    part.style.background = COLORS[outcome];
+                    bar.appendChild(part);
+                });
+                bars.appendChild(bar);
+            });
+            row.appendChild(bars);
+            container.appendChild(row);
+        });
+    }
+
+    function describe(event) {
+        if (event.type === 'action') {
+            return event.action + ' ' + event.outcome + (event.target ? ' - ' + event.target : '')
+                + (event.error ? ': ' + event.error : event.content ? ': "' + event.content + '"' : '');
+        }
+        if (event.type === 'report') {
+            return 'report to @' + event.recipient + (event.delivered ? ' sent' : event.simulated ? ' not sent (dry run)' : ' failed' + (event.error ? ': ' + event.error : ''));
+        }
+        if (event.type === 'scenario') {
+            return 'scenario ' + event.scenario + (event.passed ? ' passed' : ' failed') + ' (' + event.counts.passed + ' step(s) passed)'
+                + (event.failures.length ? ': ' + event.failures.join('; ') : '');
+        }
+        if (event.type === 'health') {
+            return 'health ' + (event.previous || 'unknown') + ' -> ' + event.status + (event.reasons && event.reasons.length ? ' (' + event.reasons.join(', ') + ')' : '');
+        }
+        return event.success ? 'signed in' : 'sign-in failed: ' + event.error;
+    }
+
+    function levelOf(event) {
+        if ((event.type === 'action' && event.outcome === 'failure') || (event.type === 'auth' && !event.success)
+            || (event.type === 'health' && event.status === 'down') || (event.type === 'scenario' && !event.passed)) return 'error';
+        if ((event.type === 'report' && !event.delivered && !event.simulated) || (event.type === 'health' && event.status === 'degraded')) return 'warn';
+        return 'info';
+    }
+
+    function addToFeed(event) {
+        var feed = document.getElementById('feed');
+        var time = new Date(event.at).toLocaleTimeString();
+        feed.insertBefore(el('li', levelOf(event), time + ' [' + event.bot + '] ' + describe(event)), feed.firstChild);
+        while (feed.children.length > FEED_SIZE) feed.removeChild(feed.lastChild);
+    }
+
+    function setBadge(node, status) {
+        node.className = CLASSES[status];
+        node.textContent = BADGES[status];
+    }
+
+    function countAction(event) {
+        var node = section(event.bot);
+        if (!node) return;
+        var counts = {};
+        ['total', 'successes', 'errors', 'skipped', 'simulated'].forEach(function (key) {
+            counts[key] = Number(node.querySelector('[data-count="' + key + '"]').textContent) || 0;
+        });
+        counts.total++;
+        var key = { success: 'successes', failure: 'errors', skipped: 'skipped', simulated: 'simulated' }[event.outcome];
+        counts[key]++;
+        Object.keys(counts).forEach(function (name) {
+            node.querySelector('[data-count="' + name + '"]').textContent = counts[name];
+        });
+        var completed = counts.successes + counts.errors;
+        node.querySelector('[data-count="successRate"]').textContent = completed ? (counts.successes / completed * 100).toFixed(2) + '%' : '0%';
+
+        var chart = data.charts[event.bot];
+        if (chart) {
+            var at = Date.parse(event.at);
+            advance(chart, at);
+            var buckets = chart.byAction[event.action] || (chart.byAction[event.action] = Array.apply(null, Array(24)).map(emptyBucket));
+            var index = Math.floor((at - Date.parse(chart.start)) / HOUR);
+            if (index >= 0 && index < 24) buckets[index][event.outcome]++;
+            drawCharts(event.bot);
+        }
+
+        if (event.outcome === 'failure') {
+            var errors = node.querySelector('[data-errors]');
+            var placeholder = errors.querySelector('.muted');
+            if (placeholder) errors.removeChild(placeholder);
+            errors.insertBefore(el('li', null, event.at + ' ' + event.action + ' ' + (event.target || 'no target') + ': ' + (event.error || event.errorClass || 'failed')), errors.firstChild);
+            while (errors.children.length > 10) errors.removeChild(errors.lastChild);
+        }
+    }
+
+    function noteHealth(event) {
+        var node = section(event.bot);
+        if (node) {
+            setBadge(node.querySelector('[data-health]'), event.status);
+            node.querySelector('[data-reasons]').textContent = event.reasons && event.reasons.length ? '- ' + event.reasons.join(', ') : '';
+        }
+        data.health[event.bot] = event.status;
+        var worst = Object.keys(data.health).reduce(function (result, bot) {
+            return RANK[data.health[bot]] > RANK[result] ? data.health[bot] : result;
+        }, 'healthy');
+        setBadge(document.getElementById('overall'), worst);
+    }
+
+    function noteScenario(event) {
+        var node = section(event.bot);
+        var spans = node ? node.querySelectorAll('[data-scenario]') : [];
+        for (var i = 0; i < spans.length; i++) {
+            if (spans[i].getAttribute('data-scenario') !== event.scenario) continue;
+            spans[i].textContent = '';
+            spans[i].appendChild(el('strong', event.passed ? 'healthy' : 'unhealthy', event.passed ? 'passed' : 'failed'));
+            spans[i].appendChild(document.createTextNode(' at ' + event.at + ' (' + event.counts.passed + ' step(s) passed)'));
+        }
+    }
+
+    function handle(event) {
+        addToFeed(event);
+        if (event.type === 'action') countAction(event);
+        if (event.type === 'health') noteHealth(event);
+        if (event.type === 'scenario') noteScenario(event);
+    }
+
+    // Next runs count down, and are re-read from /health as rules fire
+    function tick() {
+        var times = document.querySelectorAll('time[data-next]');
+        for (var i = 0; i < times.length; i++) {
+            var seconds = Math.round((Date.parse(times[i].getAttribute('data-next')) - Date.now()) / 1000);
+            times[i].textContent = seconds > 0 ? 'in ' + (seconds >= 60 ? Math.floor(seconds / 60) + 'm ' : '') + (seconds % 60) + 's' : 'due';
+        }
+    }
+
+    function refreshSchedule() {
+        fetch('health').then(function (res) { return res.json(); }).then(function (health) {
+            health.bots.forEach(function (bot) {
+                var node = section(bot.name);
+                if (!node) return;
+                bot.schedule.forEach(function (rule) {
+                    var items = node.querySelectorAll('.schedule li');
+                    for (var i = 0; i < items.length; i++) {
+                        var time = items[i].querySelector('time[data-next]');
+                        if (items[i].getAttribute('data-rule') === rule.name && time && rule.nextRunAt) {
+                            time.setAttribute('data-next', rule.nextRunAt);
+                        }
+                    }
+                });
+            });
+            tick();
+        }).catch(function () {});
+    }
+
+    Object.keys(data.charts).forEach(drawCharts);
+    data.events.forEach(addToFeed);
+    tick();
+    setInterval(tick, 1000);
+    setInterval(refreshSchedule, 30000);
+
+    if (window.EventSource) {
+        var live = document.getElementById('live');
+        var source = new EventSource('events' + (data.lastEventId ? '?since=' + data.lastEventId : ''));
+        source.onopen = function () { live.textContent = '● live'; };
+        source.onerror = function () { live.textContent = 'reconnecting...'; };
+        ${JSON.stringify(TYPES)}.forEach(function (type) {
+            source.addEventListener(type, function (message) { handle(JSON.parse(message.data)); });
+        });
+    }
+})();
+`;
+
+module.exports = { renderDashboard, escapeHtml, scriptJson };
@@ -0,0 +1,192 @@
+const { tokenize, containsKeyword } = require('./text-match');
+
+/**
+ * Do-Not-Contact List
+ * Users who opted out (by replying "stop", "unsubscribe", ...) or were added
+ * by an admin. They are never messaged, their posts are never commented on
+ * and, after one confirmation, their chats are never answered.
+ *
+ * Shared by every bot in the process and persisted in the shared state store
+ * under "doNotContact". Entries from config are merged in at startup and are
+ * not persisted, so the config stays the source of truth for them.
+ */
+
+const DEFAULT_OPT_OUT_KEYWORDS = [
+    'stop', 'unsubscribe', 'opt out', 'opt-out', 'optout', 'remove me',
+    'stop messaging me', 'stop texting me', 'stop contacting me',
+    'leave me alone', "don't message me", 'dont message me', 'do not message', 'do not contact', 'no more messages'
+];
+
+// Words allowed next to a single-word keyword that must otherwise be the whole message
+const POLITE_WORDS = ['please', 'pls'];
+
+/**
+ * Normalize an identifier: { userId, username } or a "id:123" / "username" string
+ */
+function parseIdentifier(value) {
+    if (value && typeof value === 'object') {
+        const userId = value.userId !== undefined && value.userId !== null ? value.userId : value.id;
+        return {
+            userId: userId !== undefined && userId !== null && userId !== '' ? String(userId) : null,
+            username: value.username ? String(value.username).replace(/^@/, '') : null
+        };
+    }
+
+    const text = String(value).trim();
+    if (/^id:/i.test(text)) {
+        return { userId: text.slice(3).trim(), username: null };
+    }
+    return { userId: null, username: text.replace(/^@/, '') };
+}
+
+class DoNotContactList {
+    constructor(options = {}) {
+        this.store = options.store || null;
+        this.optOutKeywords = options.optOutKeywords || DEFAULT_OPT_OUT_KEYWORDS;
+        this.entries = this.store ? { ...this.store.getState('doNotContact', {}) } : {};
+        this.configEntries = {};
+
+        for (const item of options.initial || []) {
+            const identifier = parseIdentifier(item);
+            this.configEntries[this.keyFor(identifier)] = {
+                ...identifier,
+                source: 'config',
+                addedAt: null,
+                addedBy: 'config',
+                confirmed: true
+            };
+        }
+    }
+
+    /**
+     * Storage key: by ID when known, else by lower-cased username
+     */
+    keyFor({ userId, username }) {
+        if (userId) return `id:${userId}`;
+        if (username) return `name:${username.toLowerCase()}`;
+        throw new Error('Do-not-contact entry needs a user ID or username');
+    }
+
+    persist() {
+        if (this.store) {
+            this.store.setState('doNotContact', this.entries);
+        }
+    }
+
+    /**
+     * Find the entry matching a user by ID or username
+     */
+    find(user) {
+        if (!user) return null;
+        const { userId, username } = parseIdentifier(user);
+        const all = { ...this.configEntries, ...this.entries };
+
+        if (userId && all[`id:${userId}`]) return all[`id:${userId}`];
+        if (username) {
+            const lower = username.toLowerCase();
+            if (all[`name:${lower}`]) return all[`name:${lower}`];
+            return Object.values(all).find(entry => entry.username && entry.username.toLowerCase() === lower) || null;
+        }
+        return null;
+    }
+
+    /**
+     * Whether a user (object with id/userId and/or username) must be left alone
+     */
+    has(user) {
+        return Boolean(this.find(user));
+    }
+
+    /**
+     * Add a user. options: { source: 'opt-out' | 'admin', by, reason }
+     * Returns the entry and whether it was newly added.
+     */
+    add(user, options = {}) {
+        const identifier = parseIdentifier(user);
+        const existing = this.find(identifier);
+        if (existing) {
+            // Fill in whichever half of the identity we learned now
+            if (existing.source !== 'config') {
+                existing.userId = existing.userId || identifier.userId;
+                existing.username = existing.username || identifier.username;
+                this.persist();
+            }
+            return { entry: existing, added: false };
+        }
+
+        const entry = {
+            ...identifier,
+            source: options.source || 'admin',
+            reason: options.reason || null,
+            addedAt: new Date().toISOString(),
+            addedBy: options.by || null,
+            confirmed: options.source !== 'opt-out'
+        };
+        this.entries[this.keyFor(identifier)] = entry;
+        this.persist();
+        return { entry, added: true };
+    }
+
+    /**
+     * Remove a user added at runtime; config entries can only be removed from config
+     */
+    remove(user) {
+        const entry = this.find(user);
+        if (!entry) return false;
+        if (entry.source === 'config') {
+            throw new Error(`@${entry.username || entry.userId} is on the do-not-contact list from config; remove it there`);
+        }
+
+        for (const [key, value] of Object.entries(this.entries)) {
+            if (value === entry) delete this.entries[key];
+        }
+        this.persist();
+        return true;
+    }
+
+    /**
+     * Mark that the opt-out confirmation was sent
+     */
+    markConfirmed(user) {
+        const entry = this.find(user);
+        if (entry && !entry.confirmed) {
+            entry.confirmed = true;
+            this.persist();
+        }
+    }
+
+    /**
+     * Whether a message asks the bot to stop contacting the sender. A single
+     * word ("stop") only counts as the whole message, give or take "please"
+     * and punctuation, so "can't stop laughing" is not an opt-out; phrases
+     * ("remove me") count anywhere in the message.
+     */
+    isOptOut(text) {
+        const lowerText = String(text).toLowerCase();
+        const words = tokenize(lowerText);
+        const bare = words.filter(word => !POLITE_WORDS.includes(word));
+
+        return this.optOutKeywords.some(keyword => {
+            if (/^[a-z0-9']+$/i.test(keyword)) {
+                return bare.length === 1 && bare[0] === keyword.toLowerCase();
+            }
+            return containsKeyword(lowerText, words, keyword);
+        });
+    }
+
+    /**
+     * All entries, config ones included
+     */
+    list() {
+        return Object.values({ ...this.configEntries, ...this.entries });
+    }
+
+    /**
+     * Entries added since a point in time (for digests)
+     */
+    addedSince(time) {
+        return Object.values(this.entries).filter(entry => entry.addedAt && Date.parse(entry.addedAt) >= time);
+    }
+}
+
+module.exports = { DoNotContactList, parseIdentifier, DEFAULT_OPT_OUT_KEYWORDS };
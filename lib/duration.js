@@ -0,0 +1,30 @@
+/**
+ * Duration parsing
+ * Accepts numbers (milliseconds) or strings like "500ms", "30s", "2m", "1h", "1d"
+ */
+
+const UNITS = {
+    ms: 1,
+    s: 1000,
+    m: 60 * 1000,
+    h: 60 * 60 * 1000,
+    d: 24 * 60 * 60 * 1000
+};
+
+/**
+ * Convert a duration to milliseconds, throwing on anything unparseable
+ */
+function parseDuration(value, fieldName = 'duration') {
+    if (typeof value === 'number' && Number.isFinite(value) && value >= 0) {
+        return value;
+    }
+
+    const match = typeof value === 'string' && value.trim().match(/^(\d+(?:\.\d+)?)\s*(ms|s|m|h|d)$/);
+    if (!match) {
+        throw new Error(`Invalid ${fieldName} "${value}" (expected e.g. "30s", "2m", "1h", "1d" or milliseconds)`);
+    }
+
+    return Math.round(parseFloat(match[1]) * UNITS[match[2]]);
+}
+
+module.exports = { parseDuration };
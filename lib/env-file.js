@@ -0,0 +1,62 @@
+const fs = require('fs');
+
+/**
+ * .env files
+ * KEY=value lines, as read by most tools: blank lines and # comments are
+ * skipped, "export " is allowed, 'single quotes' are literal and "double
+ * quotes" understand \n, \t, \" and \\. Unquoted values end at " #".
+ */
+
+/**
+ * Parse .env text into { KEY: value }; origin prefixes error messages
+ */
+function parseEnvFile(text, origin = '.env') {
+    const values = {};
+
+    String(text).replace(/^\uFEFF/, '').split(/\r?\n/).forEach((raw, index) => {
+        const line = raw.trim();
+        if (!line || line.startsWith('#')) return;
+
+        const match = /^(?:export\s+)?([A-Za-z_][A-Za-z0-9_]*)\s*=\s*(.*)$/.exec(line);
+        if (!match) {
+            throw new Error(`${origin}, line ${index + 1}: expected KEY=value`);
+        }
+
+        const [, key, rest] = match;
+        let value;
+        if (rest.startsWith('\'') || rest.startsWith('"')) {
+            const quote = rest[0];
+            const end = quote === '"' ? findClosingQuote(rest) : rest.indexOf('\'', 1);
+            if (end === -1) {
+                throw new Error(`${origin}, line ${index + 1}: unterminated ${quote === '"' ? 'double' : 'single'}-quoted value for ${key}`);
+            }
+            value = rest.slice(1, end);
+            if (quote === '"') {
+                value = value.replace(/\\([nt"\\])/g, (escape, char) => ({ n: '\n', t: '\t' }[char] || char));
+            }
+        } else {
+            value = rest.replace(/\s+#.*$/, '').trim();
+        }
+        values[key] = value;
+    });
+
+    return values;
+}
+
+function findClosingQuote(text) {
+    for (let i = 1; i < text.length; i++) {
+        if (text[i] === '\\') i++;
+        else if (text[i] === '"') return i;
+    }
+    return -1;
+}
+
+/**
+ * Read a .env file, or {} when it does not exist
+ */
+function readEnvFile(file) {
+    if (!fs.existsSync(file)) return {};
+    return parseEnvFile(fs.readFileSync(file, 'utf8'), file);
+}
+
+module.exports = { parseEnvFile, readEnvFile };
@@ -0,0 +1,64 @@
+/**
+ * Error types shared by the request layer and its callers
+ */
+
+/**
+ * Non-2xx response from the backend
+ */
+class ApiError extends Error {
+    constructor(status, body, options = {}) {
+        super(`API Error (${status}): ${body}`);
+        this.name = 'ApiError';
+        this.status = status;
+        this.body = body;
+        this.endpoint = options.endpoint || null;
+        this.retryAfterMs = options.retryAfterMs === undefined ? null : options.retryAfterMs;
+    }
+}
+
+/**
+ * Authentication was rejected (bad credentials or a token that keeps failing)
+ */
+class AuthError extends ApiError {
+    constructor(status, body, options = {}) {
+        super(status, body, options);
+        this.name = 'AuthError';
+        this.message = `Authentication failed (${status}): ${body}`;
+    }
+}
+
+/**
+ * A specific target asked for (e.g. by an admin) does not exist or can't be used
+ */
+class TargetNotFoundError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'TargetNotFoundError';
+    }
+}
+
+/**
+ * A write request was attempted while the bot runs in dry-run mode
+ */
+class DryRunError extends Error {
+    constructor(method, endpoint) {
+        super(`Dry run: refusing to ${method} ${endpoint}`);
+        this.name = 'DryRunError';
+        this.errorClass = 'dry_run';
+    }
+}
+
+/**
+ * A request was not sent because the endpoint's circuit breaker is open
+ */
+class CircuitOpenError extends Error {
+    constructor(endpoint, retryAt) {
+        super(`Circuit open for ${endpoint}, not calling it until ${new Date(retryAt).toISOString()}`);
+        this.name = 'CircuitOpenError';
+        this.errorClass = 'circuit_open';
+        this.endpoint = endpoint;
+        this.retryAt = retryAt;
+    }
+}
+
+module.exports = { ApiError, AuthError, TargetNotFoundError, DryRunError, CircuitOpenError };
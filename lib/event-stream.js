@@ -0,0 +1,142 @@
+/**
+ * Event Stream
+ * Live activity for the /events Server-Sent Events endpoint: action
+ * attempts, reports, health changes, auth refreshes and scenario runs from
+ * every bot, as they happen. One stream is shared by the bots of the process.
+ *
+ * The newest events are kept in memory, so a client that reconnects
+ * (Last-Event-ID, or ?since=<id>) catches up on what it missed and the
+ * dashboard can show the recent feed straight away.
+ *
+ *   id: 42
+ *   event: action
+ *   data: {"id":42,"type":"action","at":"...","bot":"cop","action":"message","outcome":"success",...}
+ */
+
+const TYPES = ['action', 'report', 'health', 'auth', 'scenario'];
+
+class EventStream {
+    /**
+     * options: { bufferSize, heartbeat (ms), maxClients }
+     */
+    constructor(options = {}) {
+        this.bufferSize = options.bufferSize || 200;
+        this.heartbeatMs = options.heartbeat || 15000;
+        this.maxClients = options.maxClients || 50;
+        this.buffer = [];
+        this.clients = new Set();
+        this.nextId = 1;
+        this.heartbeat = null;
+    }
+
+    /**
+     * Send an event to every connected client; returns the event
+     */
+    publish(type, data = {}) {
+        if (!TYPES.includes(type)) {
+            throw new Error(`Unknown event type "${type}" (expected ${TYPES.join(', ')})`);
+        }
+
+        const event = { id: this.nextId++, type, at: new Date().toISOString(), ...data };
+        this.buffer.push(event);
+        if (this.buffer.length > this.bufferSize) this.buffer.shift();
+
+        for (const client of this.clients) {
+            if (this.matches(client.filter, event)) this.write(client.res, event);
+        }
+        return event;
+    }
+
+    /**
+     * Buffered events, oldest first: the newest "limit", or those after an ID
+     */
+    recent({ limit = this.bufferSize, since = null, filter = {} } = {}) {
+        const events = this.buffer.filter(event => (since === null || event.id > since) && this.matches(filter, event));
+        return events.slice(-limit);
+    }
+
+    matches(filter, event) {
+        if (filter.types && !filter.types.includes(event.type)) return false;
+        return !(filter.bot && event.bot !== filter.bot);
+    }
+
+    write(res, event) {
+        res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+    }
+
+    /**
+     * Serve GET /events[?types=action,health&bot=cop&since=<id>]
+     */
+    handle(req, res) {
+        const url = new URL(req.url, 'http://localhost');
+        const types = url.searchParams.get('types');
+        const filter = {
+            types: types ? types.split(',').map(type => type.trim()).filter(Boolean) : null,
+            bot: url.searchParams.get('bot') || null
+        };
+        const unknown = (filter.types || []).filter(type => !TYPES.includes(type));
+        if (unknown.length > 0) {
+            res.writeHead(400, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ error: `Unknown event type(s): ${unknown.join(', ')} (expected ${TYPES.join(', ')})` }));
+            return;
+        }
+        if (this.clients.size >= this.maxClients) {
+            res.writeHead(503, { 'Content-Type': 'application/json', 'Retry-After': '30' });
+            res.end(JSON.stringify({ error: 'Too many event stream clients' }));
+            return;
+        }
+
+        res.writeHead(200, {
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            Connection: 'keep-alive',
+            // Don't let proxies hold events back
+            'X-Accel-Buffering': 'no'
+        });
+        res.write('retry: 5000\n\n');
+
+        const since = Number(req.headers['last-event-id'] || url.searchParams.get('since'));
+        if (Number.isInteger(since) && since > 0) {
+            this.recent({ since, filter }).forEach(event => this.write(res, event));
+        }
+
+        const client = { res, filter };
+        this.clients.add(client);
+        this.startHeartbeat();
+        req.on('close', () => {
+            this.clients.delete(client);
+            if (this.clients.size === 0) this.stopHeartbeat();
+        });
+    }
+
+    /**
+     * A comment line now and then, so proxies and browsers keep idle streams open
+     */
+    startHeartbeat() {
+        if (this.heartbeat) return;
+        this.heartbeat = setInterval(() => {
+            for (const client of this.clients) client.res.write(': keep-alive\n\n');
+        }, this.heartbeatMs);
+        this.heartbeat.unref();
+    }
+
+    stopHeartbeat() {
+        if (this.heartbeat) clearInterval(this.heartbeat);
+        this.heartbeat = null;
+    }
+
+    /**
+     * End every stream, so the HTTP server can close
+     */
+    close() {
+        this.stopHeartbeat();
+        for (const client of this.clients) client.res.end();
+        this.clients.clear();
+    }
+
+    getStatus() {
+        return { clients: this.clients.size, published: this.nextId - 1 };
+    }
+}
+
+module.exports = { EventStream, TYPES };
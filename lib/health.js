@@ -0,0 +1,69 @@
+/**
+ * Health
+ * Turns what a bot has seen recently into one of three states:
+ *   down     - it can't work: sign-in failed, 5+ consecutive action errors,
+ *              or the backend is unreachable (no response to the last few requests)
+ *   degraded - it works, but not well: an endpoint's circuit breaker is open,
+ *              or at least half of the recent finished actions failed
+ *   healthy  - neither
+ * Down bots skip their scheduled actions until the health check recovers
+ * them; degraded bots keep going. Every state comes with the reasons for it.
+ */
+
+const STATUSES = ['healthy', 'degraded', 'down'];
+
+const DEFAULTS = {
+    maxConsecutiveErrors: 5,
+    // Requests in a row without a response before the backend counts as unreachable
+    unreachableAfter: 3,
+    recentWindowMs: 15 * 60 * 1000,
+    degradedFailureRate: 0.5,
+    // Fewer finished actions than this say nothing about the failure rate
+    minRecentAttempts: 4
+};
+
+/**
+ * signals: { authError, consecutiveErrors, transportFailures, lastTransportError,
+ *            trippedCircuits, recent }, where recent is a metrics summary
+ * Returns { status, reasons }
+ */
+function assessHealth(signals, options = {}) {
+    const limits = { ...DEFAULTS, ...options };
+    const down = [];
+    const degraded = [];
+
+    if (signals.authError) {
+        down.push(`can't sign in: ${signals.authError}`);
+    }
+    if (signals.consecutiveErrors >= limits.maxConsecutiveErrors) {
+        down.push(`${signals.consecutiveErrors} consecutive errors`);
+    }
+    if (signals.transportFailures >= limits.unreachableAfter) {
+        down.push(`backend unreachable${signals.lastTransportError ? `: ${signals.lastTransportError}` : ''}`);
+    }
+
+    for (const breaker of signals.trippedCircuits || []) {
+        degraded.push(`circuit ${breaker.state.replace('_', '-')} for ${breaker.endpoint}`);
+    }
+    const recent = signals.recent;
+    if (recent) {
+        const finished = recent.success + recent.failure;
+        if (finished >= limits.minRecentAttempts && recent.failure / finished >= limits.degradedFailureRate) {
+            degraded.push(`${recent.failure} of the last ${finished} actions failed`);
+        }
+    }
+
+    if (down.length > 0) return { status: 'down', reasons: down.concat(degraded) };
+    if (degraded.length > 0) return { status: 'degraded', reasons: degraded };
+    return { status: 'healthy', reasons: [] };
+}
+
+/**
+ * The worst of several statuses ("down" when there are none)
+ */
+function worstStatus(statuses) {
+    if (statuses.length === 0) return 'down';
+    return statuses.reduce((worst, status) => (STATUSES.indexOf(status) > STATUSES.indexOf(worst) ? status : worst), 'healthy');
+}
+
+module.exports = { assessHealth, worstStatus, STATUSES, DEFAULTS };
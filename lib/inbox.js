@@ -0,0 +1,321 @@
+const fs = require('fs');
+const path = require('path');
+const { parseDuration } = require('./duration');
+const { matchesAny } = require('./text-match');
+
+/**
+ * Inbox Listener
+ * Polls the bot's direct chats for new incoming messages and answers them
+ * using keyword / intent rules and the "reply" templates.
+ *
+ * Rules (inbox-rules.json):
+ *   {
+ *     "rules": [{ "intent": "greeting", "keywords": ["hi", "hello"], "category": "greeting" }],
+ *     "fallbackCategory": "fallback",
+ *     "limits": { "maxRepliesPerChat": 3, "window": "1h", "minInterval": "2m", "maxRepliesPerPoll": 5 }
+ *   }
+ *
+ * Opt-outs: a message matching the do-not-contact opt-out keywords puts the
+ * sender on the list and gets one confirmation ("opt_out" reply category);
+ * after that the chat is never answered again.
+ *
+ * Loop protection: messages from other bot accounts and report users are
+ * never answered, and each chat gets at most maxRepliesPerChat replies per
+ * window with at least minInterval between them, so two bots can't keep
+ * replying to each other forever.
+ */
+
+const DEFAULT_LIMITS = {
+    maxRepliesPerChat: 3,
+    window: '1h',
+    minInterval: '2m',
+    maxRepliesPerPoll: 5,
+    activeWithin: '7d'
+};
+
+/**
+ * Message fields, whatever the backend calls them
+ */
+function messageSender(message) {
+    return message.sender_id || message.senderId || message.user_id || message.userId
+        || (message.sender && message.sender.id) || null;
+}
+
+function messageTime(message) {
+    return Date.parse(message.created_at || message.createdAt || '') || null;
+}
+
+class InboxRules {
+    constructor(config = {}, options = {}) {
+        const origin = options.origin || 'inbox rules';
+        this.fallbackCategory = config.fallbackCategory === undefined ? 'fallback' : config.fallbackCategory;
+
+        this.rules = (config.rules || []).map((rule, index) => {
+            const name = (rule && rule.intent) || `#${index + 1}`;
+            if (!rule || !Array.isArray(rule.keywords) || rule.keywords.length === 0 || !rule.keywords.every(k => typeof k === 'string')) {
+                throw new Error(`${origin}: rule "${name}" needs a non-empty "keywords" array of strings`);
+            }
+            if (typeof rule.category !== 'string') {
+                throw new Error(`${origin}: rule "${name}" needs a "category"`);
+            }
+            return { intent: name, keywords: rule.keywords, category: rule.category };
+        });
+
+        const limits = { ...DEFAULT_LIMITS, ...(config.limits || {}) };
+        this.limits = {
+            maxRepliesPerChat: limits.maxRepliesPerChat,
+            windowMs: parseDuration(limits.window, 'inbox limits.window'),
+            minIntervalMs: parseDuration(limits.minInterval, 'inbox limits.minInterval'),
+            maxRepliesPerPoll: limits.maxRepliesPerPoll,
+            activeWithinMs: parseDuration(limits.activeWithin, 'inbox limits.activeWithin')
+        };
+        for (const key of ['maxRepliesPerChat', 'maxRepliesPerPoll']) {
+            if (!Number.isInteger(this.limits[key]) || this.limits[key] < 0) {
+                throw new Error(`${origin}: limits.${key} must be a non-negative integer`);
+            }
+        }
+    }
+
+    /**
+     * Load rules from a JSON file
+     */
+    static load(rulesPath) {
+        const resolved = path.resolve(rulesPath);
+        let config;
+        try {
+            config = JSON.parse(fs.readFileSync(resolved, 'utf8'));
+        } catch (error) {
+            throw new Error(`Could not read inbox rules ${resolved}: ${error.message}`);
+        }
+        return new InboxRules(config, { origin: resolved });
+    }
+
+    /**
+     * Categories the rules can answer with
+     */
+    categories() {
+        const categories = new Set(this.rules.map(rule => rule.category));
+        if (this.fallbackCategory) categories.add(this.fallbackCategory);
+        return Array.from(categories);
+    }
+
+    /**
+     * Intent and reply category for an incoming text, or null to stay quiet
+     */
+    classify(text) {
+        const rule = this.rules.find(candidate => matchesAny(text, candidate.keywords));
+        if (rule) return { intent: rule.intent, category: rule.category };
+        return this.fallbackCategory ? { intent: 'fallback', category: this.fallbackCategory } : null;
+    }
+}
+
+class InboxListener {
+    constructor(bot, rules, options = {}) {
+        this.bot = bot;
+        this.rules = rules;
+        // Functions so they pick up report users resolved after startup
+        this.ignoreUserIds = options.ignoreUserIds || (() => []);
+        this.ignoreUsernames = (options.ignoreUsernames || []).map(name => name.toLowerCase());
+        this.polling = false;
+        this.lastPollAt = null;
+        this.stats = { polls: 0, received: 0, replied: 0, rateLimited: 0, ignored: 0, optOuts: 0 };
+    }
+
+    /**
+     * Whether we must never answer this sender
+     */
+    isIgnoredSender(senderId, chat) {
+        if (this.ignoreUserIds().map(String).includes(String(senderId))) return true;
+        const username = (chat.username || '').toLowerCase();
+        return Boolean(username) && this.ignoreUsernames.includes(username);
+    }
+
+    /**
+     * Whether the chat's reply budget allows another reply now
+     */
+    canReply(chat, now) {
+        const { maxRepliesPerChat, windowMs, minIntervalMs } = this.rules.limits;
+        const recent = (chat.replies || []).filter(time => now - time < windowMs);
+        if (recent.length >= maxRepliesPerChat) return false;
+        return recent.length === 0 || now - Math.max(...recent) >= minIntervalMs;
+    }
+
+    /**
+     * Messages in the chat the bot hasn't seen yet
+     */
+    newMessages(messages, chat) {
+        if (chat.lastSeenId !== null && chat.lastSeenId !== undefined) {
+            const index = messages.findIndex(message => String(message.id) === String(chat.lastSeenId));
+            if (index !== -1) return messages.slice(index + 1);
+        }
+
+        const lastSeenAt = Date.parse(chat.lastSeenAt || '');
+        if (!isNaN(lastSeenAt)) {
+            return messages.filter(message => messageTime(message) > lastSeenAt);
+        }
+
+        // First look at this chat: treat the existing history as seen
+        return [];
+    }
+
+    /**
+     * Check every recently active chat once
+     */
+    async poll() {
+        if (this.polling) return;
+        this.polling = true;
+        this.stats.polls++;
+
+        try {
+            const now = Date.now();
+            let repliesThisPoll = 0;
+            const chats = Object.entries(this.bot.getTrackedChats())
+                .filter(([, chat]) => now - (Date.parse(chat.lastActiveAt || '') || 0) < this.rules.limits.activeWithinMs);
+
+            for (const [chatId, chat] of chats) {
+                const budgetLeft = repliesThisPoll < this.rules.limits.maxRepliesPerPoll;
+                try {
+                    if (await this.checkChat(chatId, chat, budgetLeft)) repliesThisPoll++;
+                } catch (error) {
+                    this.bot.log(`Inbox: failed to check chat ${chatId}: ${error.message}`, 'error', { chatId, error });
+                }
+            }
+        } finally {
+            this.lastPollAt = new Date().toISOString();
+            this.polling = false;
+        }
+    }
+
+    /**
+     * Read new messages in one chat and reply if appropriate; true if we replied
+     */
+    async checkChat(chatId, chat, budgetLeft) {
+        const messages = await this.bot.getChatMessages(chatId);
+        if (messages.length === 0) return false;
+
+        const unseen = this.newMessages(messages, chat);
+        const latest = messages[messages.length - 1];
+        const seen = { lastSeenId: latest.id || null, lastSeenAt: latest.created_at || latest.createdAt || chat.lastSeenAt || null };
+
+        const incoming = unseen.filter(message => String(messageSender(message)) !== String(this.bot.userId));
+        if (incoming.length === 0) {
+            this.bot.trackChat(chatId, seen, false);
+            return false;
+        }
+
+        this.stats.received += incoming.length;
+        const senderId = messageSender(incoming[incoming.length - 1]);
+
+        if (this.isIgnoredSender(senderId, chat)) {
+            this.stats.ignored += incoming.length;
+            this.bot.trackChat(chatId, seen);
+            return false;
+        }
+
+        const text = incoming.map(message => message.content || '').join('\n');
+
+        const user = { userId: chat.userId || senderId, username: chat.username };
+        // Each message on its own: "stop" only counts as a whole message
+        const optedOut = this.bot.doNotContact
+            && (incoming.some(message => this.bot.doNotContact.isOptOut(message.content || '')) || this.bot.doNotContact.has(user));
+        if (optedOut) {
+            const confirmed = await this.handleOptOut(chatId, user, text);
+            this.bot.trackChat(chatId, seen);
+            return confirmed;
+        }
+
+        const handled = await this.handleIncoming(chatId, chat, text, budgetLeft);
+        this.bot.trackChat(chatId, handled ? { ...seen, replies: handled.replies } : seen);
+        return Boolean(handled);
+    }
+
+    /**
+     * Record an opt-out and send the one confirmation; true if it was sent now
+     */
+    async handleOptOut(chatId, user, text) {
+        const list = this.bot.doNotContact;
+        const { added } = list.add(user, { source: 'opt-out', by: this.bot.name, reason: text.slice(0, 200) });
+        if (added) {
+            this.stats.optOuts++;
+            this.bot.log(`Inbox: @${user.username || user.userId} opted out and was added to the do-not-contact list`, 'warning', { chatId, target: user.username });
+        }
+
+        const entry = list.find(user);
+        if (!entry || entry.confirmed) return false;
+
+        const { text: reply } = this.bot.renderTemplate('reply', {
+            category: 'opt_out',
+            targetKey: `chat:${chatId}`,
+            vars: { username: user.username || '' }
+        });
+        const sent = await this.bot.sendChatMessage(chatId, reply);
+        if (sent && sent.simulated) return false;
+
+        list.markConfirmed(user);
+        this.bot.log(`Inbox: confirmed opt-out to @${user.username || user.userId}`, 'success', { chatId, target: user.username });
+        return true;
+    }
+
+    /**
+     * Classify the incoming text and answer it within the rate limits.
+     * Returns the updated chat fields when a reply was sent.
+     */
+    async handleIncoming(chatId, chat, text, budgetLeft) {
+        const now = Date.now();
+        const username = chat.username || `user ${chat.userId}`;
+
+        const decision = this.rules.classify(text);
+        if (!decision) return null;
+
+        if (!budgetLeft || !this.canReply(chat, now)) {
+            this.stats.rateLimited++;
+            this.bot.log(`Inbox: not replying to @${username}, reply limit reached`, 'warning', { chatId, target: username });
+            return null;
+        }
+
+        const startedAt = Date.now();
+        const { text: reply } = this.bot.renderTemplate('reply', {
+            category: decision.category,
+            targetKey: `chat:${chatId}`,
+            vars: { username: chat.username || '' }
+        });
+
+        let sent;
+        try {
+            sent = await this.bot.sendChatMessage(chatId, reply);
+        } catch (error) {
+            this.bot.metrics.record({ action: 'reply', target: username, outcome: 'failure', error: error.message, latencyMs: Date.now() - startedAt });
+            throw error;
+        }
+
+        // Dry-run replies are logged by sendChatMessage and never count as sent
+        const simulated = Boolean(sent && sent.simulated);
+        this.bot.metrics.record({ action: 'reply', target: username, outcome: simulated ? 'simulated' : 'success', latencyMs: Date.now() - startedAt });
+        if (!simulated) {
+            this.stats.replied++;
+            this.bot.log(`Inbox: replied to @${username} (${decision.intent}): "${reply}"`, 'success', {
+                chatId,
+                target: username,
+                intent: decision.intent,
+                latencyMs: Date.now() - startedAt
+            });
+        }
+
+        const replies = (chat.replies || []).filter(time => now - time < this.rules.limits.windowMs);
+        replies.push(now);
+        return { replies };
+    }
+
+    /**
+     * Counters for status pages
+     */
+    getStatus() {
+        return {
+            ...this.stats,
+            trackedChats: Object.keys(this.bot.getTrackedChats()).length,
+            lastPollAt: this.lastPollAt
+        };
+    }
+}
+
+module.exports = { InboxListener, InboxRules, messageSender };
@@ -0,0 +1,158 @@
+const { LEVELS } = require('./levels');
+const { StdoutSink, FileSink, RingBufferSink } = require('./sinks');
+
+/**
+ * Logging
+ * Leveled, structured logging with pluggable sinks.
+ *
+ *   const { logger } = require('./logging');
+ *   const log = logger.child({ bot: 'cop' });
+ *   log.info('Sent message', { action: 'message', target: 'alice', chatId: 12 });
+ *
+ * Every record is { time, level, msg, ...fields }. Common fields: bot,
+ * component, action, target, chatId, postId, endpoint, status, latencyMs,
+ * error. The "json" format writes one JSON object per line; "pretty" keeps
+ * the familiar emoji lines for local runs.
+ *
+ * `logger` is the process-wide root. configureLogging() swaps its level and
+ * sinks in place, so children created earlier pick up the change.
+ */
+
+const EMOJI = { debug: '🔍', info: 'ℹ️', warn: '⚠️', error: '❌' };
+
+/**
+ * Error objects become their message; everything else is kept as is
+ */
+function normalizeFields(fields) {
+    const normalized = {};
+    for (const [key, value] of Object.entries(fields)) {
+        if (value === undefined) continue;
+        normalized[key] = value instanceof Error ? value.message : value;
+    }
+    return normalized;
+}
+
+const formatters = {
+    json(record) {
+        return JSON.stringify(record);
+    },
+
+    /**
+     * ✅ [time] [bot] message key=value ...
+     */
+    pretty(record) {
+        const { time, level, msg, bot, component, success, ...rest } = record;
+        const emoji = success ? '✅' : EMOJI[level];
+        const source = bot || component;
+        const extras = Object.entries(rest)
+            .map(([key, value]) => `${key}=${typeof value === 'string' && !/\s/.test(value) ? value : JSON.stringify(value)}`)
+            .join(' ');
+        return `${emoji} [${time}]${source ? ` [${source}]` : ''} ${msg}${extras ? `  ${extras}` : ''}`;
+    }
+};
+
+class Logger {
+    /**
+     * options: { level, sinks, fields }; children share their root's level and sinks
+     */
+    constructor(options = {}, root = null) {
+        this.root = root || this;
+        this.fields = options.fields || {};
+        if (!root) {
+            this.configure(options);
+        }
+    }
+
+    configure(options = {}) {
+        const level = options.level || 'info';
+        if (!LEVELS[level]) {
+            throw new Error(`Unknown log level "${level}" (expected ${Object.keys(LEVELS).join(', ')})`);
+        }
+        this.level = level;
+        this.sinks = options.sinks || [new StdoutSink()];
+    }
+
+    /**
+     * Logger that adds fields to every record
+     */
+    child(fields) {
+        return new Logger({ fields: { ...this.fields, ...fields } }, this.root);
+    }
+
+    isLevelEnabled(level) {
+        return LEVELS[level] >= LEVELS[this.root.level];
+    }
+
+    log(level, message, fields = {}) {
+        if (!this.isLevelEnabled(level)) return;
+
+        const record = {
+            time: new Date().toISOString(),
+            level,
+            msg: message,
+            ...normalizeFields({ ...this.fields, ...fields })
+        };
+
+        for (const sink of this.root.sinks) {
+            try {
+                sink.write(record, formatters);
+            } catch (error) {
+                // A broken sink must never take the bot down
+                process.stderr.write(`Log sink failed: ${error.message}\n`);
+            }
+        }
+    }
+
+    debug(message, fields) {
+        this.log('debug', message, fields);
+    }
+
+    info(message, fields) {
+        this.log('info', message, fields);
+    }
+
+    warn(message, fields) {
+        this.log('warn', message, fields);
+    }
+
+    error(message, fields) {
+        this.log('error', message, fields);
+    }
+
+    /**
+     * The ring buffer sink, if one is configured
+     */
+    get buffer() {
+        return this.root.sinks.find(sink => sink instanceof RingBufferSink) || null;
+    }
+}
+
+const logger = new Logger();
+
+/**
+ * Set up the root logger from config:
+ * { level, format: 'json' | 'pretty', file: { path, maxBytes, maxFiles }, bufferSize }
+ */
+function configureLogging(options = {}) {
+    const sinks = [new StdoutSink({ format: options.format || 'pretty' })];
+    if (options.file && options.file.path) {
+        sinks.push(new FileSink(options.file));
+    }
+    if (options.bufferSize !== 0) {
+        sinks.push(new RingBufferSink({ size: options.bufferSize || 500 }));
+    }
+
+    logger.configure({ level: options.level, sinks });
+    return logger;
+}
+
+module.exports = {
+    logger,
+    configureLogging,
+    Logger,
+    LEVELS,
+    formatters,
+    StdoutSink,
+    FileSink,
+    RingBufferSink
+};
@@ -0,0 +1,6 @@
+/**
+ * Log levels by severity
+ */
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+module.exports = { LEVELS };
@@ -0,0 +1,103 @@
+const fs = require('fs');
+const path = require('path');
+const { LEVELS } = require('./levels');
+
+/**
+ * Log Sinks
+ * Every sink implements write(record, formatters).
+ * Records are plain objects: { time, level, msg, ...fields }.
+ */
+
+/**
+ * Writes each record as one line to stdout (or any writable stream)
+ */
+class StdoutSink {
+    constructor(options = {}) {
+        this.format = options.format || 'pretty';
+        this.stream = options.stream || process.stdout;
+    }
+
+    write(record, formatters) {
+        this.stream.write(formatters[this.format](record) + '\n');
+    }
+}
+
+/**
+ * Appends JSON lines to a file rotated by size
+ * (bot.log -> bot.1.log -> ...), keeping at most maxFiles
+ */
+class FileSink {
+    constructor(options = {}) {
+        if (!options.path) {
+            throw new Error('FileSink needs a "path"');
+        }
+
+        this.path = options.path;
+        this.format = options.format || 'json';
+        this.maxBytes = options.maxBytes || 10 * 1024 * 1024;
+        this.maxFiles = options.maxFiles || 5;
+
+        fs.mkdirSync(path.dirname(this.path), { recursive: true });
+        this.size = fs.existsSync(this.path) ? fs.statSync(this.path).size : 0;
+    }
+
+    /**
+     * Path of a log file; index 0 is the live file
+     */
+    fileAt(index) {
+        if (index === 0) return this.path;
+        const extension = path.extname(this.path);
+        return `${this.path.slice(0, this.path.length - extension.length)}.${index}${extension}`;
+    }
+
+    rotate() {
+        const oldest = this.fileAt(this.maxFiles - 1);
+        if (fs.existsSync(oldest)) fs.unlinkSync(oldest);
+
+        for (let index = this.maxFiles - 2; index >= 0; index--) {
+            const file = this.fileAt(index);
+            if (fs.existsSync(file)) fs.renameSync(file, this.fileAt(index + 1));
+        }
+        this.size = 0;
+    }
+
+    write(record, formatters) {
+        const line = formatters[this.format](record) + '\n';
+        const bytes = Buffer.byteLength(line);
+
+        if (this.size > 0 && this.size + bytes > this.maxBytes) {
+            this.rotate();
+        }
+        fs.appendFileSync(this.path, line);
+        this.size += bytes;
+    }
+}
+
+/**
+ * Keeps the newest records in memory, for the status page
+ */
+class RingBufferSink {
+    constructor(options = {}) {
+        this.size = options.size || 500;
+        this.records = [];
+    }
+
+    write(record) {
+        this.records.push(record);
+        if (this.records.length > this.size) {
+            this.records.splice(0, this.records.length - this.size);
+        }
+    }
+
+    /**
+     * Newest records, oldest first; filter: { level, bot }
+     */
+    recent(limit = 50, filter = {}) {
+        const minimum = filter.level ? LEVELS[filter.level] : 0;
+        return this.records
+            .filter(record => LEVELS[record.level] >= minimum && (!filter.bot || record.bot === filter.bot))
+            .slice(-limit);
+    }
+}
+
+module.exports = { StdoutSink, FileSink, RingBufferSink };
@@ -0,0 +1,246 @@
+const { logger } = require('./logging');
+
+/**
+ * Action Metrics
+ * One record per action attempt: action type, target, outcome, error class,
+ * latency and retries used. Summaries are available per action type and
+ * for rolling windows (last hour, last 24h, since start, all time).
+ *
+ * Records are appended to the store's "attempts" stream; all-time counters
+ * are persisted so they continue across restarts.
+ */
+
+// "simulated" is a dry-run attempt: it never counts as a success or failure
+const OUTCOMES = ['success', 'failure', 'skipped', 'simulated'];
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// Upper bound on records kept in memory for the rolling windows
+const MAX_WINDOW_RECORDS = 10000;
+
+/**
+ * Short, stable name for what kind of error happened
+ */
+function classifyError(error) {
+    if (!error) return null;
+    if (error.errorClass) return error.errorClass;
+    if (error.name === 'AuthError') return 'auth';
+    if (error.status) return `http_${error.status}`;
+    if (error.name === 'FetchError') return error.type === 'request-timeout' ? 'timeout' : 'network';
+    if (error.name && error.name !== 'Error') return error.name;
+    return 'error';
+}
+
+/**
+ * Empty per-outcome counts
+ */
+function emptyCounts() {
+    return { attempts: 0, success: 0, failure: 0, skipped: 0, simulated: 0 };
+}
+
+/**
+ * Add rates and average latency to raw counts
+ */
+function finalize(counts, latencyTotal = 0, latencyCount = 0) {
+    const completed = counts.success + counts.failure;
+    return {
+        ...counts,
+        successRate: completed > 0 ? ((counts.success / completed) * 100).toFixed(2) + '%' : '0%',
+        avgLatencyMs: latencyCount > 0 ? Math.round(latencyTotal / latencyCount) : null
+    };
+}
+
+/**
+ * Running totals, overall and per action
+ */
+class Tally {
+    constructor() {
+        this.overall = emptyCounts();
+        this.byAction = {};
+        this.latency = { total: 0, count: 0 };
+        this.latencyByAction = {};
+    }
+
+    add(record) {
+        const counts = this.byAction[record.action] || (this.byAction[record.action] = emptyCounts());
+        const latency = this.latencyByAction[record.action] || (this.latencyByAction[record.action] = { total: 0, count: 0 });
+
+        for (const target of [this.overall, counts]) {
+            target.attempts++;
+            target[record.outcome]++;
+        }
+        if (record.outcome !== 'skipped' && typeof record.latencyMs === 'number') {
+            for (const target of [this.latency, latency]) {
+                target.total += record.latencyMs;
+                target.count++;
+            }
+        }
+        return this;
+    }
+
+    result() {
+        const actions = {};
+        for (const [action, counts] of Object.entries(this.byAction)) {
+            const latency = this.latencyByAction[action];
+            actions[action] = finalize(counts, latency.total, latency.count);
+        }
+        return { ...finalize(this.overall, this.latency.total, this.latency.count), byAction: actions };
+    }
+}
+
+/**
+ * Summarize a list of records, overall and per action
+ */
+function summarize(records) {
+    const tally = new Tally();
+    records.forEach(record => tally.add(record));
+    return tally.result();
+}
+
+class ActionMetrics {
+    constructor(options = {}) {
+        this.store = options.store || null;
+        this.startedAt = Date.now();
+        this.session = new Tally();
+
+        // Reload the last 24h so windows are right straight after a restart
+        const cutoff = this.startedAt - DAY_MS;
+        this.recent = this.store
+            ? this.store.readRecent('attempts', MAX_WINDOW_RECORDS).filter(record => Date.parse(record.at) >= cutoff)
+            : [];
+    }
+
+    /**
+     * Record one action attempt
+     */
+    record(attempt) {
+        if (!OUTCOMES.includes(attempt.outcome)) {
+            throw new Error(`Unknown outcome "${attempt.outcome}"`);
+        }
+
+        const record = {
+            at: new Date().toISOString(),
+            action: attempt.action,
+            target: attempt.target || null,
+            outcome: attempt.outcome,
+            errorClass: attempt.errorClass || null,
+            error: attempt.error || null,
+            latencyMs: attempt.latencyMs === undefined ? null : attempt.latencyMs,
+            retries: attempt.retries || 0
+        };
+
+        this.recent.push(record);
+        this.prune();
+
+        this.session.add(record);
+
+        if (this.store) {
+            try {
+                this.store.append('attempts', record);
+                this.store.increment(`attempts.${record.action}.${record.outcome}`);
+            } catch (error) {
+                logger.error('Failed to persist action metrics', { component: 'metrics', error });
+            }
+        }
+
+        return record;
+    }
+
+    /**
+     * Drop records that fell out of the 24h window
+     */
+    prune() {
+        const cutoff = Date.now() - DAY_MS;
+        let drop = 0;
+        while (drop < this.recent.length && Date.parse(this.recent[drop].at) < cutoff) drop++;
+        drop = Math.max(drop, this.recent.length - MAX_WINDOW_RECORDS);
+        if (drop > 0) this.recent.splice(0, drop);
+    }
+
+    /**
+     * All-time counts from the persisted counters
+     */
+    allTime() {
+        const byAction = {};
+        const counters = this.store ? this.store.getCounters() : {};
+
+        for (const [key, value] of Object.entries(counters)) {
+            const match = key.match(/^attempts\.(.+)\.(success|failure|skipped|simulated)$/);
+            if (!match) continue;
+            const counts = byAction[match[1]] || (byAction[match[1]] = emptyCounts());
+            counts[match[2]] += value;
+            counts.attempts += value;
+        }
+
+        const overall = emptyCounts();
+        for (const counts of Object.values(byAction)) {
+            for (const key of Object.keys(overall)) overall[key] += counts[key];
+        }
+
+        const actions = {};
+        for (const [action, counts] of Object.entries(byAction)) actions[action] = finalize(counts);
+        return { ...finalize(overall), byAction: actions };
+    }
+
+    /**
+     * Summary for a window ending now
+     */
+    window(ms) {
+        const cutoff = Date.now() - ms;
+        return summarize(this.recent.filter(record => Date.parse(record.at) >= cutoff));
+    }
+
+    /**
+     * Records from a point in time on (at most the last 24h), oldest first
+     */
+    attemptsSince(time) {
+        return this.recent.filter(record => Date.parse(record.at) >= time);
+    }
+
+    /**
+     * Most recent records, newest last
+     */
+    recentAttempts(limit = 20) {
+        return this.recent.slice(-limit);
+    }
+
+    /**
+     * Failed attempts of the last 24h, newest first
+     */
+    recentFailures(limit = 10) {
+        return this.recent.filter(record => record.outcome === 'failure').slice(-limit).reverse();
+    }
+
+    /**
+     * Outcome counts per action for each hour of the last 24h, oldest hour
+     * first: { start, bucketMs, byAction: { message: [{ success, ... }, ...] } }
+     */
+    hourly(now = Date.now()) {
+        const start = Math.floor(now / HOUR_MS) * HOUR_MS - 23 * HOUR_MS;
+        const byAction = {};
+
+        for (const record of this.recent) {
+            const index = Math.floor((Date.parse(record.at) - start) / HOUR_MS);
+            if (index < 0 || index > 23) continue;
+            const buckets = byAction[record.action]
+                || (byAction[record.action] = Array.from({ length: 24 }, () => ({ success: 0, failure: 0, skipped: 0, simulated: 0 })));
+            buckets[index][record.outcome]++;
+        }
+        return { start: new Date(start).toISOString(), bucketMs: HOUR_MS, byAction };
+    }
+
+    /**
+     * Last-hour, last-24h, since-start and all-time summaries
+     */
+    getSummary() {
+        return {
+            lastHour: this.window(HOUR_MS),
+            last24h: this.window(DAY_MS),
+            sinceStart: this.session.result(),
+            allTime: this.allTime()
+        };
+    }
+}
+
+module.exports = { ActionMetrics, classifyError, summarize, OUTCOMES };
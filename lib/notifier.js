@@ -0,0 +1,189 @@
+const crypto = require('crypto');
+const fetch = require('node-fetch');
+const { isRetryable, parseRetryAfter, backoffDelay } = require('./request-policy');
+const { parseDuration } = require('./duration');
+const { logger } = require('./logging');
+
+/**
+ * Webhook Notifier
+ * POSTs JSON to configured webhooks when something needs attention, so
+ * alerts still go out when the bot can't reach the backend (and so can't
+ * send its chat reports). One notifier is shared by every bot in the process.
+ *
+ * A webhook is { url, format: 'generic' | 'slack', secret, events }:
+ *   generic - { event, severity, message, bot, at, details }
+ *   slack   - { text }, for Slack incoming webhooks and compatible services
+ *   secret  - signs the body: X-BotCop-Signature: sha256=HMAC(secret, "<timestamp>.<body>"),
+ *             with the timestamp in X-BotCop-Timestamp
+ *   events  - the events to send (default: all)
+ *
+ * Events: startup, shutdown, unhealthy, recovered, recovery_failed, and
+ * failure_threshold (failureThreshold failed actions within failureWindow,
+ * sent at most once per window; 0 turns it off). Failed deliveries are
+ * retried with backoff; a webhook that stays down is logged, never thrown.
+ */
+
+const EVENTS = {
+    startup: { severity: 'info', emoji: '🚀' },
+    shutdown: { severity: 'info', emoji: '🛑' },
+    unhealthy: { severity: 'critical', emoji: '🚨' },
+    recovered: { severity: 'info', emoji: '✅' },
+    recovery_failed: { severity: 'critical', emoji: '❌' },
+    failure_threshold: { severity: 'warning', emoji: '⚠️' }
+};
+
+const FORMATS = ['generic', 'slack'];
+
+class WebhookError extends Error {
+    constructor(status, message) {
+        super(message);
+        this.name = 'WebhookError';
+        this.status = status;
+    }
+}
+
+/**
+ * HMAC-SHA256 signature of a payload, as sent in X-BotCop-Signature
+ */
+function sign(secret, timestamp, body) {
+    return 'sha256=' + crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+class Notifier {
+    /**
+     * options: { webhooks, failureThreshold, failureWindow, maxAttempts, retryDelay,
+     *            maxRetryDelay, timeout, logger, sleep }
+     */
+    constructor(options = {}) {
+        this.failureThreshold = options.failureThreshold === undefined ? 10 : options.failureThreshold;
+        this.failureWindowMs = parseDuration(options.failureWindow || '1h', 'failure window');
+        this.maxAttempts = options.maxAttempts || 4;
+        this.retryDelay = options.retryDelay || 1000;
+        this.maxRetryDelay = options.maxRetryDelay || 30000;
+        this.timeout = options.timeout || 10000;
+        this.logger = (options.logger || logger).child({ component: 'notifier' });
+        if (options.sleep) this.sleep = options.sleep;
+
+        this.webhooks = (options.webhooks || []).map((config, index) => {
+            if (!config || !/^https?:\/\//.test(config.url || '')) {
+                throw new Error(`Webhook #${index + 1} needs an http(s) "url"`);
+            }
+            const format = config.format || 'generic';
+            if (!FORMATS.includes(format)) {
+                throw new Error(`Webhook #${index + 1}: unknown format "${format}" (expected ${FORMATS.join(', ')})`);
+            }
+            const events = config.events || Object.keys(EVENTS);
+            const unknown = events.filter(event => !EVENTS[event]);
+            if (unknown.length > 0) {
+                throw new Error(`Webhook #${index + 1}: unknown event(s) ${unknown.join(', ')} (known: ${Object.keys(EVENTS).join(', ')})`);
+            }
+            // Logs and status show only the origin: webhook paths and queries often carry the token
+            return { url: config.url, label: new URL(config.url).origin, format, secret: config.secret || null, events, delivered: 0, failed: 0, lastError: null };
+        });
+    }
+
+    get enabled() {
+        return this.webhooks.length > 0;
+    }
+
+    sleep(ms) {
+        return new Promise(resolve => setTimeout(resolve, ms));
+    }
+
+    /**
+     * Send an event to every webhook subscribed to it.
+     * fields: { bot, message, details }; resolves once every delivery finished or gave up.
+     */
+    async notify(event, fields = {}) {
+        const meta = EVENTS[event];
+        if (!meta) {
+            throw new Error(`Unknown notifier event "${event}"`);
+        }
+
+        const notification = {
+            event,
+            severity: meta.severity,
+            message: fields.message || event,
+            bot: fields.bot || null,
+            at: new Date().toISOString(),
+            details: fields.details || {}
+        };
+
+        const targets = this.webhooks.filter(webhook => webhook.events.includes(event));
+        await Promise.all(targets.map(webhook => this.deliver(webhook, notification)));
+    }
+
+    /**
+     * Request body for a webhook's format
+     */
+    format(webhook, notification) {
+        if (webhook.format === 'slack') {
+            const source = notification.bot ? `[${notification.bot}] ` : '';
+            return { text: `${EVENTS[notification.event].emoji} ${source}${notification.message}` };
+        }
+        return notification;
+    }
+
+    async deliver(webhook, notification) {
+        const body = JSON.stringify(this.format(webhook, notification));
+        const fields = { event: notification.event, bot: notification.bot || undefined, webhook: webhook.label };
+
+        for (let attempt = 1; ; attempt++) {
+            try {
+                await this.post(webhook, body);
+                webhook.delivered++;
+                webhook.lastError = null;
+                this.logger.debug('Webhook delivered', { ...fields, attempt });
+                return true;
+            } catch (error) {
+                const retry = attempt < this.maxAttempts && isRetryable(error);
+                if (!retry) {
+                    webhook.failed++;
+                    webhook.lastError = error.message;
+                    this.logger.error(`Webhook delivery failed: ${error.message}`, { ...fields, attempt });
+                    return false;
+                }
+
+                const delayMs = Math.max(
+                    backoffDelay(attempt - 1, this.retryDelay, this.maxRetryDelay),
+                    error.retryAfterMs || 0
+                );
+                this.logger.warn(`Webhook delivery failed, retrying in ${delayMs}ms: ${error.message}`, { ...fields, attempt, delayMs });
+                await this.sleep(delayMs);
+            }
+        }
+    }
+
+    async post(webhook, body) {
+        const headers = { 'Content-Type': 'application/json', 'User-Agent': 'botcop-notifier' };
+        if (webhook.secret) {
+            const timestamp = String(Math.floor(Date.now() / 1000));
+            headers['X-BotCop-Timestamp'] = timestamp;
+            headers['X-BotCop-Signature'] = sign(webhook.secret, timestamp, body);
+        }
+
+        const response = await fetch(webhook.url, { method: 'POST', headers, body, timeout: this.timeout });
+        if (!response.ok) {
+            const error = new WebhookError(response.status, `${webhook.label} responded ${response.status}`);
+            error.retryAfterMs = parseRetryAfter(response.headers.get('retry-after'));
+            throw error;
+        }
+    }
+
+    /**
+     * Webhook delivery counts for status pages
+     */
+    getStatus() {
+        return this.webhooks.map(webhook => ({
+            url: webhook.label,
+            format: webhook.format,
+            signed: Boolean(webhook.secret),
+            events: webhook.events,
+            delivered: webhook.delivered,
+            failed: webhook.failed,
+            lastError: webhook.lastError
+        }));
+    }
+}
+
+module.exports = { Notifier, EVENTS, FORMATS, sign };
@@ -0,0 +1,198 @@
+const { parseDuration } = require('./duration');
+const { matchesAny } = require('./text-match');
+const commentAction = require('./actions/comment');
+
+/**
+ * Post Discovery
+ * Finds the posts worth commenting on: pages through the feed (page/limit)
+ * up to maxPages, keeps the posts inside the age window, drops the ones the
+ * bot already commented on and those the author / keyword filters rule out,
+ * and ranks the rest.
+ *
+ * Rank score, 0-100: half freshness (100% for a new post, falling to 0 at
+ * maxAge) and half engagement (likes + comments, relative to the busiest
+ * candidate on a log scale). Posts without a timestamp count as neither
+ * fresh nor stale: they are kept, with no freshness.
+ */
+
+const DEFAULTS = {
+    maxPages: 5,
+    pageSize: 20,
+    maxAge: '7d',
+    minAge: '0s',
+    skipCommented: true,
+    includeAuthors: [],
+    excludeAuthors: [],
+    includeKeywords: [],
+    excludeKeywords: []
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function asList(value) {
+    if (Array.isArray(value)) return value.map(String);
+    return String(value || '').split(',').map(item => item.trim()).filter(Boolean);
+}
+
+function lower(value) {
+    return String(value || '').toLowerCase();
+}
+
+function postTime(post) {
+    return Date.parse(post.created_at || post.createdAt || '') || null;
+}
+
+function postText(post) {
+    return post.content || post.text || '';
+}
+
+class PostDiscovery {
+    /**
+     * options: see DEFAULTS; maxAge "0s" means no upper age limit
+     */
+    constructor(bot, options = {}) {
+        const settings = { ...DEFAULTS, ...options };
+        this.bot = bot;
+        this.maxPages = settings.maxPages;
+        this.pageSize = settings.pageSize;
+        this.maxAgeMs = parseDuration(settings.maxAge, 'post max age');
+        this.minAgeMs = parseDuration(settings.minAge, 'post min age');
+        if (this.maxAgeMs && this.minAgeMs >= this.maxAgeMs) {
+            throw new Error(`Post min age (${settings.minAge}) must be below the max age (${settings.maxAge})`);
+        }
+        this.skipCommented = settings.skipCommented !== false;
+        this.includeAuthors = new Set(asList(settings.includeAuthors).map(lower));
+        this.excludeAuthors = new Set(asList(settings.excludeAuthors).map(lower));
+        this.includeKeywords = asList(settings.includeKeywords);
+        this.excludeKeywords = asList(settings.excludeKeywords);
+        this.lastRun = null;
+    }
+
+    /**
+     * Pages of the feed, de-duplicated. Stops at a short page, a page with
+     * nothing new (a backend that ignores "page"), maxPages, or - with
+     * window - a page whose posts are all too old. A failed first page
+     * throws; a later one ends the walk with what was found.
+     */
+    async fetch({ window = true } = {}) {
+        const posts = new Map();
+        let pages = 0;
+
+        for (let page = 1; page <= this.maxPages; page++) {
+            let batch;
+            try {
+                batch = await this.bot.listPosts({ page, limit: this.pageSize });
+            } catch (error) {
+                if (page === 1) throw error;
+                this.bot.log(`Stopped reading the feed at page ${page}: ${error.message}`, 'warning', { error });
+                break;
+            }
+            pages++;
+
+            const fresh = batch.filter(post => !posts.has(String(post.id)));
+            fresh.forEach(post => posts.set(String(post.id), post));
+
+            if (batch.length < this.pageSize || fresh.length === 0) break;
+            if (window && this.maxAgeMs && batch.every(post => this.ageOf(post) > this.maxAgeMs)) break;
+        }
+
+        return { posts: Array.from(posts.values()), pages };
+    }
+
+    /**
+     * Ranked candidates, best first: [{ post, score, ageMs }]
+     */
+    async discover() {
+        const { posts, pages } = await this.fetch();
+        const skipped = { tooOld: 0, tooNew: 0, commented: 0, filtered: 0 };
+
+        const kept = posts.filter(post => {
+            const ageMs = this.ageOf(post);
+            if (ageMs !== null && this.maxAgeMs && ageMs > this.maxAgeMs) {
+                skipped.tooOld++;
+                return false;
+            }
+            if (ageMs !== null && ageMs < this.minAgeMs) {
+                skipped.tooNew++;
+                return false;
+            }
+            if (this.skipCommented && this.hasCommented(post)) {
+                skipped.commented++;
+                return false;
+            }
+            if (!this.passesFilters(post)) {
+                skipped.filtered++;
+                return false;
+            }
+            return true;
+        });
+
+        const candidates = this.rank(kept);
+        this.lastRun = { at: new Date().toISOString(), pages, seen: posts.length, candidates: candidates.length, skipped };
+        return candidates;
+    }
+
+    ageOf(post, now = Date.now()) {
+        const time = postTime(post);
+        return time === null ? null : Math.max(0, now - time);
+    }
+
+    /**
+     * The bot's own comment among the post's comments, a "commented" flag
+     * from the backend, or a comment in the bot's history
+     */
+    hasCommented(post) {
+        const bot = this.bot;
+        if (post.commented_by_me || post.has_commented) return true;
+        if (Array.isArray(post.comments) && post.comments.some(comment => comment && (
+            (comment.user_id !== undefined && String(comment.user_id) === String(bot.userId))
+            || lower(comment.username) === lower(bot.username)
+        ))) {
+            return true;
+        }
+        return Boolean(bot.history && bot.history.lastContact('post', post.id) !== null);
+    }
+
+    passesFilters(post) {
+        const author = lower(post.username);
+        if (this.includeAuthors.size > 0 && !this.includeAuthors.has(author)) return false;
+        if (this.excludeAuthors.has(author)) return false;
+        if (this.includeKeywords.length > 0 && !matchesAny(postText(post), this.includeKeywords)) return false;
+        return !(this.excludeKeywords.length > 0 && matchesAny(postText(post), this.excludeKeywords));
+    }
+
+    rank(posts, now = Date.now()) {
+        const engagementOf = post => Math.log1p(commentAction.activityOf(post));
+        const busiest = Math.max(0, ...posts.map(engagementOf));
+
+        return posts
+            .map(post => {
+                const ageMs = this.ageOf(post, now);
+                const engagement = busiest > 0 ? engagementOf(post) / busiest : 0;
+                const score = Math.round((this.freshnessOf(ageMs) * 50 + engagement * 50) * 10) / 10;
+                return { post, score, ageMs };
+            })
+            .sort((a, b) => b.score - a.score);
+    }
+
+    /**
+     * 1 for a brand-new post, down to 0 at maxAge; without a max age it
+     * halves after a day
+     */
+    freshnessOf(ageMs) {
+        if (ageMs === null) return 0;
+        if (this.maxAgeMs) return Math.max(0, 1 - ageMs / this.maxAgeMs);
+        return 1 / (1 + ageMs / DAY_MS);
+    }
+
+    getStatus() {
+        return {
+            maxPages: this.maxPages,
+            maxAgeMs: this.maxAgeMs,
+            skipCommented: this.skipCommented,
+            lastRun: this.lastRun
+        };
+    }
+}
+
+module.exports = { PostDiscovery, DEFAULTS };
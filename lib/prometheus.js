@@ -0,0 +1,207 @@
+/**
+ * Prometheus Metrics
+ * Minimal counters, gauges and histograms rendered in the Prometheus text
+ * exposition format (version 0.0.4), without pulling in a client library.
+ *
+ * Values are recorded where things happen (BotService.makeRequest,
+ * BotService.runAction); gauges that mirror live state can instead set a
+ * collect() hook that runs on every scrape.
+ */
+
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+const DEFAULT_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+
+function escapeLabel(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function escapeHelp(text) {
+    return String(text).replace(/\\/g, '\\\\').replace(/\n/g, '\\n');
+}
+
+function formatValue(value) {
+    if (value === Infinity) return '+Inf';
+    if (value === -Infinity) return '-Inf';
+    if (Number.isNaN(value)) return 'NaN';
+    return String(value);
+}
+
+function formatLabels(labels) {
+    const pairs = Object.entries(labels).map(([key, value]) => `${key}="${escapeLabel(value)}"`);
+    return pairs.length ? `{${pairs.join(',')}}` : '';
+}
+
+/**
+ * Shared bookkeeping: one value per distinct label set
+ */
+class Metric {
+    constructor(type, options) {
+        if (!/^[a-zA-Z_:][a-zA-Z0-9_:]*$/.test(options.name || '')) {
+            throw new Error(`Invalid metric name "${options.name}"`);
+        }
+        this.type = type;
+        this.name = options.name;
+        this.help = options.help || options.name;
+        this.labelNames = options.labelNames || [];
+        this.collectHook = options.collect || null;
+        this.series = new Map();
+    }
+
+    /**
+     * Label values in declared order, so {a, b} and {b, a} are one series
+     */
+    key(labels = {}) {
+        for (const name of Object.keys(labels)) {
+            if (!this.labelNames.includes(name)) {
+                throw new Error(`Metric ${this.name} has no label "${name}"`);
+            }
+        }
+        return JSON.stringify(this.labelNames.map(name => labels[name] === undefined ? '' : String(labels[name])));
+    }
+
+    labelsFor(key) {
+        const values = JSON.parse(key);
+        const labels = {};
+        this.labelNames.forEach((name, index) => { labels[name] = values[index]; });
+        return labels;
+    }
+
+    reset() {
+        this.series.clear();
+    }
+
+    header() {
+        return [`# HELP ${this.name} ${escapeHelp(this.help)}`, `# TYPE ${this.name} ${this.type}`];
+    }
+
+    render() {
+        if (this.collectHook) this.collectHook(this);
+        const lines = this.header();
+        for (const [key, value] of this.series) {
+            lines.push(`${this.name}${formatLabels(this.labelsFor(key))} ${formatValue(value)}`);
+        }
+        return lines.join('\n');
+    }
+}
+
+class Counter extends Metric {
+    constructor(options) {
+        super('counter', options);
+    }
+
+    inc(labels = {}, by = 1) {
+        if (by < 0) throw new Error(`Counter ${this.name} can only go up`);
+        const key = this.key(labels);
+        this.series.set(key, (this.series.get(key) || 0) + by);
+    }
+
+    get(labels = {}) {
+        return this.series.get(this.key(labels)) || 0;
+    }
+}
+
+class Gauge extends Metric {
+    constructor(options) {
+        super('gauge', options);
+    }
+
+    set(labels, value) {
+        this.series.set(this.key(labels), Number(value));
+    }
+
+    inc(labels = {}, by = 1) {
+        const key = this.key(labels);
+        this.series.set(key, (this.series.get(key) || 0) + by);
+    }
+
+    get(labels = {}) {
+        return this.series.get(this.key(labels));
+    }
+}
+
+class Histogram extends Metric {
+    constructor(options) {
+        super('histogram', options);
+        this.buckets = (options.buckets || DEFAULT_BUCKETS).slice().sort((a, b) => a - b);
+        if (this.labelNames.includes('le')) {
+            throw new Error(`Histogram ${this.name} can't use the reserved label "le"`);
+        }
+    }
+
+    observe(labels, value) {
+        const key = this.key(labels);
+        let entry = this.series.get(key);
+        if (!entry) {
+            entry = { counts: this.buckets.map(() => 0), sum: 0, count: 0 };
+            this.series.set(key, entry);
+        }
+
+        this.buckets.forEach((bound, index) => {
+            if (value <= bound) entry.counts[index]++;
+        });
+        entry.sum += value;
+        entry.count++;
+    }
+
+    get(labels = {}) {
+        return this.series.get(this.key(labels)) || null;
+    }
+
+    render() {
+        if (this.collectHook) this.collectHook(this);
+        const lines = this.header();
+        for (const [key, entry] of this.series) {
+            const labels = this.labelsFor(key);
+            this.buckets.forEach((bound, index) => {
+                lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: formatValue(bound) })} ${entry.counts[index]}`);
+            });
+            lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${entry.count}`);
+            lines.push(`${this.name}_sum${formatLabels(labels)} ${formatValue(entry.sum)}`);
+            lines.push(`${this.name}_count${formatLabels(labels)} ${entry.count}`);
+        }
+        return lines.join('\n');
+    }
+}
+
+/**
+ * A set of metrics rendered together on /metrics
+ */
+class Registry {
+    constructor() {
+        this.metrics = new Map();
+    }
+
+    register(metric) {
+        if (this.metrics.has(metric.name)) {
+            throw new Error(`Metric ${metric.name} is already registered`);
+        }
+        this.metrics.set(metric.name, metric);
+        return metric;
+    }
+
+    counter(options) {
+        return this.register(new Counter(options));
+    }
+
+    gauge(options) {
+        return this.register(new Gauge(options));
+    }
+
+    histogram(options) {
+        return this.register(new Histogram(options));
+    }
+
+    get(name) {
+        return this.metrics.get(name) || null;
+    }
+
+    /**
+     * Every metric in the text exposition format
+     */
+    render() {
+        return Array.from(this.metrics.values()).map(metric => metric.render()).join('\n\n') + '\n';
+    }
+}
+
+module.exports = { Registry, Counter, Gauge, Histogram, CONTENT_TYPE, DEFAULT_BUCKETS };
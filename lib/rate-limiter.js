@@ -0,0 +1,99 @@
+/**
+ * Rate Limiter
+ * Client-side token buckets, one per endpoint group, so the bot never
+ * bursts more requests at the backend than it is allowed to. Callers that
+ * find the bucket empty reserve a token and wait their turn.
+ */
+
+// Requests per minute, with a burst allowance, per endpoint group
+const DEFAULT_LIMITS = {
+    auth: { capacity: 3, perMinute: 6 },
+    users: { capacity: 10, perMinute: 30 },
+    posts: { capacity: 10, perMinute: 30 },
+    chats: { capacity: 10, perMinute: 20 },
+    comments: { capacity: 5, perMinute: 10 },
+    default: { capacity: 10, perMinute: 60 }
+};
+
+/**
+ * Endpoint group for a path: /api/chats/12/messages -> "chats"
+ */
+function endpointGroup(endpoint) {
+    const match = String(endpoint).match(/^\/api\/([a-z-]+)/);
+    return match && DEFAULT_LIMITS[match[1]] ? match[1] : 'default';
+}
+
+class TokenBucket {
+    constructor({ capacity, perMinute }) {
+        if (!(capacity >= 1) || !(perMinute > 0)) {
+            throw new Error('Rate limit needs "capacity" >= 1 and "perMinute" > 0');
+        }
+        this.capacity = capacity;
+        this.ratePerMs = perMinute / 60000;
+        this.tokens = capacity;
+        this.updatedAt = Date.now();
+        this.pausedUntil = 0;
+    }
+
+    /**
+     * Add tokens earned since the last update
+     */
+    refill(now) {
+        this.tokens = Math.min(this.capacity, this.tokens + (now - this.updatedAt) * this.ratePerMs);
+        this.updatedAt = now;
+    }
+
+    /**
+     * Reserve a token and return how long to wait before using it
+     */
+    reserve(now = Date.now()) {
+        this.refill(now);
+        this.tokens -= 1;
+
+        const waitForToken = this.tokens >= 0 ? 0 : Math.ceil(-this.tokens / this.ratePerMs);
+        return Math.max(waitForToken, this.pausedUntil - now);
+    }
+
+    /**
+     * Hold every request in this bucket until a point in time (e.g. Retry-After)
+     */
+    pauseUntil(time) {
+        this.pausedUntil = Math.max(this.pausedUntil, time);
+    }
+}
+
+class RateLimiter {
+    constructor(limits = {}, options = {}) {
+        this.sleep = options.sleep || (ms => new Promise(resolve => setTimeout(resolve, ms)));
+        this.buckets = {};
+
+        for (const [group, defaults] of Object.entries(DEFAULT_LIMITS)) {
+            this.buckets[group] = new TokenBucket({ ...defaults, ...(limits[group] || {}) });
+        }
+        for (const group of Object.keys(limits)) {
+            if (!DEFAULT_LIMITS[group]) {
+                throw new Error(`Unknown rate limit group "${group}" (known: ${Object.keys(DEFAULT_LIMITS).join(', ')})`);
+            }
+        }
+    }
+
+    /**
+     * Wait until a request to the group may be sent; resolves with the time waited
+     */
+    async acquire(group) {
+        const wait = (this.buckets[group] || this.buckets.default).reserve();
+        if (wait > 0) {
+            await this.sleep(wait);
+        }
+        return wait;
+    }
+
+    /**
+     * Pause a group, used when the backend answers 429 with Retry-After
+     */
+    pause(group, ms) {
+        (this.buckets[group] || this.buckets.default).pauseUntil(Date.now() + ms);
+    }
+}
+
+module.exports = { RateLimiter, TokenBucket, endpointGroup, DEFAULT_LIMITS };
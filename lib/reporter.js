@@ -0,0 +1,315 @@
+const fs = require('fs');
+const path = require('path');
+const actions = require('./actions');
+const Scheduler = require('./scheduler');
+const { TemplateLibrary } = require('./templates');
+const { summarize } = require('./metrics');
+const { formatRun } = require('./scenarios');
+
+/**
+ * Reporter
+ * Decides what each report recipient hears about, and when. A recipient is
+ * { username, mode, at, cron } with mode:
+ *   immediate - one chat message per action, plus health changes
+ *   failures  - only failed actions and health changes, as they happen
+ *   hourly    - a digest at the top of every hour
+ *   daily     - a digest once a day, at "at" (HH:MM, default 09:00) in the bot's timezone
+ * Digest recipients may set "cron" to pick their own times.
+ *
+ * A digest covers everything since the recipient's previous digest (at most
+ * 24h): counts, success rate, top errors, new opt-outs and health changes.
+ * Empty digests are not sent. Texts come from the "report" templates, or
+ * templates/report.json when the bot's templates have none.
+ */
+
+const MODES = ['immediate', 'failures', 'hourly', 'daily'];
+const DIGEST_MODES = ['hourly', 'daily'];
+
+const DEFAULT_TEMPLATES_FILE = path.join(__dirname, '..', 'templates', 'report.json');
+const TOP_ERRORS = 3;
+
+/**
+ * Cron expression for a digest recipient
+ */
+function digestCron(recipient) {
+    if (recipient.cron) return recipient.cron;
+    if (recipient.mode === 'hourly') return '0 * * * *';
+
+    const at = recipient.at || '09:00';
+    const match = /^(\d{1,2}):(\d{2})$/.exec(at);
+    if (!match || Number(match[1]) > 23 || Number(match[2]) > 59) {
+        throw new Error(`Report recipient @${recipient.username}: "at" must be HH:MM, got "${at}"`);
+    }
+    return `${Number(match[2])} ${Number(match[1])} * * *`;
+}
+
+class Reporter {
+    /**
+     * options: { timezone, templates, doNotContact, store }
+     */
+    constructor(bot, recipients = [], options = {}) {
+        this.bot = bot;
+        this.timezone = options.timezone || 'UTC';
+        this.doNotContact = options.doNotContact || null;
+        this.store = options.store || null;
+        this.templates = this.pickTemplates(options.templates);
+        // Health changes kept for digests: { at, healthy, detail }
+        this.healthChanges = [];
+        this.healthy = true;
+
+        // Keyed by the lower-cased configured username, which resolving the
+        // recipient against the backend doesn't change
+        const lastDigests = {};
+        for (const [key, at] of Object.entries(this.store ? this.store.getState('lastDigests', {}) : {})) {
+            lastDigests[key.toLowerCase()] = Math.max(at, lastDigests[key.toLowerCase()] || 0);
+        }
+        this.scheduler = new Scheduler({
+            timezone: options.timezone,
+            log: (message, type) => this.bot.log(message, type)
+        });
+
+        this.recipients = recipients.map(config => {
+            if (!config || !config.username) {
+                throw new Error('Report recipients need a "username"');
+            }
+            const mode = config.mode || 'immediate';
+            if (!MODES.includes(mode)) {
+                throw new Error(`Report recipient @${config.username}: unknown mode "${mode}" (expected ${MODES.join(', ')})`);
+            }
+
+            const username = String(config.username).replace(/^@/, '');
+            const recipient = {
+                username,
+                digestKey: username.toLowerCase(),
+                mode,
+                userId: null,
+                lastDigestAt: lastDigests[username.toLowerCase()] || Date.now(),
+                rule: null
+            };
+            if (DIGEST_MODES.includes(mode)) {
+                recipient.rule = this.scheduler.addRule(
+                    { name: `${mode} digest to @${recipient.username}`, action: 'digest', cron: digestCron({ ...config, mode }) },
+                    () => this.sendDigest(recipient)
+                );
+            }
+            return recipient;
+        });
+    }
+
+    /**
+     * The bot's report templates, or the defaults when it has none
+     */
+    pickTemplates(templates) {
+        const categories = ['action', 'health', 'digest'];
+        if (templates && categories.every(category => templates.has('report', category))) {
+            return templates;
+        }
+        const source = JSON.parse(fs.readFileSync(DEFAULT_TEMPLATES_FILE, 'utf8'));
+        return new TemplateLibrary({ report: source }, { origin: DEFAULT_TEMPLATES_FILE });
+    }
+
+    render(category, vars) {
+        return this.templates.render('report', { category, vars: { bot_name: this.bot.name, ...vars } }).text;
+    }
+
+    /**
+     * Look up every recipient's user ID; unknown users are skipped with a warning
+     */
+    async resolveRecipients() {
+        for (const recipient of this.recipients) {
+            const user = await this.bot.findUser(recipient.username);
+
+            if (!user) {
+                this.bot.log(`Report user "${recipient.username}" not found. Reports to them will be skipped.`, 'warning');
+                recipient.userId = null;
+            } else {
+                recipient.userId = user.id;
+                recipient.username = user.username;
+                this.bot.log(`📱 Reports (${recipient.mode}) will be sent to @${recipient.username} (ID: ${recipient.userId})`);
+            }
+        }
+    }
+
+    /**
+     * User IDs of resolved recipients (the inbox never answers them)
+     */
+    recipientIds() {
+        return this.recipients.map(recipient => recipient.userId).filter(Boolean);
+    }
+
+    /**
+     * Username of the first resolved recipient, for status pages
+     */
+    primaryUsername() {
+        const recipient = this.recipients.find(candidate => candidate.userId);
+        return recipient ? recipient.username : null;
+    }
+
+    start() {
+        this.scheduler.start();
+    }
+
+    stop() {
+        this.scheduler.stop();
+    }
+
+    /**
+     * Send a recipient a report; returns whether it was delivered
+     */
+    async send(recipient, text) {
+        if (!recipient.userId) return false;
+        return this.bot.sendReport(recipient.userId, recipient.username, text);
+    }
+
+    /**
+     * An action result: sent right away to immediate recipients, and to
+     * failures recipients when it failed. Digests read it from the metrics.
+     */
+    async record(result) {
+        const failed = !result.success && !result.simulated;
+        const text = this.render('action', { report: actions.formatReport(result) });
+
+        for (const recipient of this.recipients) {
+            if (recipient.mode === 'immediate' || (recipient.mode === 'failures' && failed)) {
+                await this.send(recipient, text);
+            }
+        }
+    }
+
+    /**
+     * A scenario run's pass/fail summary, sent like an action result
+     */
+    async recordScenario(run) {
+        const text = this.render('action', { report: formatRun(run) });
+
+        for (const recipient of this.recipients) {
+            if (recipient.mode === 'immediate' || (recipient.mode === 'failures' && !run.passed)) {
+                await this.send(recipient, text);
+            }
+        }
+    }
+
+    /**
+     * Current health; a change is reported to immediate and failures
+     * recipients and shows up in the next digests
+     */
+    async noteHealth(healthy, detail = null) {
+        if (healthy === this.healthy) return;
+        this.healthy = healthy;
+
+        const change = { at: Date.now(), healthy, detail };
+        this.healthChanges.push(change);
+        const cutoff = Date.now() - 24 * 60 * 60 * 1000;
+        this.healthChanges = this.healthChanges.filter(entry => entry.at >= cutoff);
+
+        const text = this.render('health', { health: this.describeHealthChange(change) });
+        for (const recipient of this.recipients) {
+            if (!DIGEST_MODES.includes(recipient.mode)) {
+                await this.send(recipient, text);
+            }
+        }
+    }
+
+    formatTime(time) {
+        return new Date(time).toLocaleTimeString('en-GB', { timeZone: this.timezone, hour: '2-digit', minute: '2-digit' });
+    }
+
+    describeHealthChange(change) {
+        const state = change.healthy ? `✅ ${this.bot.name} is healthy again` : `⚠️ ${this.bot.name} is unhealthy`;
+        return change.detail ? `${state}: ${change.detail}` : state;
+    }
+
+    /**
+     * Variables for a digest covering everything since a point in time,
+     * or null when nothing happened
+     */
+    digest(since, mode) {
+        const records = this.bot.metrics.attemptsSince(since);
+        const optOuts = this.doNotContact
+            ? this.doNotContact.addedSince(since).filter(entry => entry.source === 'opt-out')
+            : [];
+        const healthChanges = this.healthChanges.filter(change => change.at >= since);
+
+        if (records.length === 0 && optOuts.length === 0 && healthChanges.length === 0) {
+            return null;
+        }
+
+        const summary = summarize(records);
+        const errors = new Map();
+        for (const record of records.filter(candidate => candidate.outcome === 'failure')) {
+            const key = record.error || record.errorClass || 'unknown error';
+            errors.set(key, (errors.get(key) || 0) + 1);
+        }
+        const topErrors = Array.from(errors.entries())
+            .sort((a, b) => b[1] - a[1])
+            .slice(0, TOP_ERRORS);
+
+        return {
+            period: { hourly: 'Hourly', daily: 'Daily' }[mode] || 'Activity',
+            attempts: summary.attempts,
+            successes: summary.success,
+            failures: summary.failure,
+            skipped: summary.skipped,
+            success_rate: summary.successRate,
+            top_errors: topErrors.length
+                ? `\nTop errors:\n${topErrors.map(([error, count]) => `• ${count}× ${error}`).join('\n')}`
+                : '',
+            opt_outs: optOuts.length
+                ? `\nNew opt-outs: ${optOuts.map(entry => entry.username ? `@${entry.username}` : `id:${entry.userId}`).join(', ')}`
+                : '',
+            health_changes: healthChanges.length
+                ? `\nHealth:\n${healthChanges.map(change => `• ${this.formatTime(change.at)} ${this.describeHealthChange(change)}`).join('\n')}`
+                : ''
+        };
+    }
+
+    /**
+     * Send a recipient the digest since their previous one
+     */
+    async sendDigest(recipient) {
+        const now = Date.now();
+        // The previous digest already covered its own millisecond
+        const vars = this.digest(recipient.lastDigestAt + 1, recipient.mode);
+
+        recipient.lastDigestAt = now;
+        if (this.store) {
+            const lastDigests = this.store.getState('lastDigests', {});
+            this.store.setState('lastDigests', { ...lastDigests, [recipient.digestKey]: now });
+        }
+
+        if (!vars) {
+            this.bot.log(`Nothing to report to @${recipient.username} since the last digest`);
+            return;
+        }
+        await this.send(recipient, this.render('digest', vars));
+    }
+
+    /**
+     * Send every recipient, whatever their mode, a summary of everything
+     * since a point in time: { text, sent, failed } with the usernames each
+     * went to. text is null (and nothing is sent) when nothing happened.
+     */
+    async sendSummary(since) {
+        const vars = this.digest(since, 'summary');
+        const outcome = { text: vars ? this.render('digest', vars) : null, sent: [], failed: [] };
+        if (!vars) return outcome;
+
+        for (const recipient of this.recipients) {
+            const delivered = await this.send(recipient, outcome.text);
+            outcome[delivered ? 'sent' : 'failed'].push(recipient.username);
+        }
+        return outcome;
+    }
+
+    getStatus() {
+        return this.recipients.map(recipient => ({
+            username: recipient.username,
+            mode: recipient.mode,
+            found: Boolean(recipient.userId),
+            lastDigestAt: recipient.rule ? new Date(recipient.lastDigestAt).toISOString() : null,
+            nextDigestAt: recipient.rule && recipient.rule.nextRunAt ? recipient.rule.nextRunAt.toISOString() : null
+        }));
+    }
+}
+
+module.exports = { Reporter, MODES };
@@ -0,0 +1,47 @@
+/**
+ * Request Policy
+ * Which failures are worth retrying, how long to wait before the next try,
+ * and how to read a Retry-After header.
+ */
+
+// Statuses that may succeed if we try again later
+const RETRYABLE_STATUSES = [408, 425, 429, 500, 502, 503, 504];
+
+/**
+ * Whether a failed request should be retried
+ */
+function isRetryable(error) {
+    if (error.name === 'AuthError') return false;
+    if (error.status) return RETRYABLE_STATUSES.includes(error.status);
+
+    // node-fetch: "system" = network error, "request-timeout" = our timeout,
+    // "invalid-json" / "max-size" = a bad body that won't improve on retry
+    if (error.name === 'FetchError') return error.type === 'system' || error.type === 'request-timeout';
+    if (error.name === 'AbortError') return true;
+    return false;
+}
+
+/**
+ * Retry-After as milliseconds (delta-seconds or an HTTP date), or null
+ */
+function parseRetryAfter(value, now = Date.now()) {
+    if (!value) return null;
+
+    if (/^\d+(\.\d+)?$/.test(value.trim())) {
+        return Math.round(parseFloat(value) * 1000);
+    }
+
+    const date = Date.parse(value);
+    return isNaN(date) ? null : Math.max(0, date - now);
+}
+
+/**
+ * Exponential backoff with jitter: half the exponential delay is fixed,
+ * the other half random, capped at maxMs
+ */
+function backoffDelay(attempt, baseMs, maxMs, random = Math.random) {
+    const exponential = Math.min(maxMs, baseMs * Math.pow(2, attempt));
+    return Math.round(exponential / 2 + random() * exponential / 2);
+}
+
+module.exports = { isRetryable, parseRetryAfter, backoffDelay, RETRYABLE_STATUSES };
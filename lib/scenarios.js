@@ -0,0 +1,691 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { parseYaml } = require('./yaml');
+const { parseDuration } = require('./duration');
+const { TargetNotFoundError } = require('./errors');
+const { messageSender } = require('./inbox');
+const { excerpt } = require('./templates');
+
+/**
+ * Scenarios
+ * Scripted runs for exercising the chat system end to end, instead of one
+ * random action at a time. A scenario is a JSON or YAML file of ordered steps:
+ *
+ *   name: chat-smoke
+ *   vars: { user: anna_stone }
+ *   steps:
+ *     - openChat: "{{user}}"
+ *     - send: "Testing the chat system! ({{run_id}})"
+ *     - waitForReply: 2m
+ *       expect: { contains: thanks }
+ *     - loop: { times: 2, steps: [{ wait: 30s }, { send: "Follow-up {{index}}" }] }
+ *     - latestPost: "{{user}}"
+ *     - comment: "Nice one, @{{username}}!"
+ *       expect: { within: 5s }
+ *
+ * A step is one of STEPS, written "type: options" (or a shorthand value),
+ * plus optional "name", "expect", "as" (keep the step's text in a variable)
+ * and "continueOnFailure". "{{name}}" is a variable: the scenario's vars,
+ * those given to the run, run_id, bot_name, and what earlier steps found
+ * (chat_id, user_id, username, last_message, reply, post_id, ...).
+ *
+ * A step passes when its expectations (EXPECTATIONS) hold; without "expect"
+ * it just has to succeed. After a failed step the rest are skipped, unless
+ * continueOnFailure is set on the step or the scenario. In a dry run the
+ * reads are made for real and the writes are simulated; simulated steps
+ * aren't checked.
+ */
+
+/**
+ * options: the keys a step takes; shorthand: the key a plain value fills
+ */
+const STEPS = {
+    openChat: { options: ['user'], shorthand: 'user', required: ['user'] },
+    send: { options: ['text', 'category'], shorthand: 'text' },
+    wait: { options: ['for'], shorthand: 'for', required: ['for'], durations: ['for'] },
+    waitForReply: { options: ['timeout', 'poll'], shorthand: 'timeout', durations: ['timeout', 'poll'] },
+    messages: { options: [] },
+    latestPost: { options: ['user'], shorthand: 'user' },
+    comment: { options: ['text', 'category', 'post'], shorthand: 'text' },
+    set: { options: null },
+    loop: { options: ['times', 'over', 'as', 'steps'], required: ['steps'] }
+};
+
+const MODIFIERS = ['name', 'expect', 'as', 'continueOnFailure'];
+
+/**
+ * ok        - whether the step succeeds (default true)
+ * status    - HTTP status of the failure, e.g. 404; implies ok: false from 400 up
+ * contains  - text (or a list of texts) the step's text must include, any case
+ * matches   - regular expression for the step's text, any case
+ * count     - number of messages / posts found: a number or { min, max }
+ * within    - longest the step may take, as a duration
+ */
+const EXPECTATIONS = ['ok', 'status', 'contains', 'matches', 'count', 'within'];
+
+const REPLY_TIMEOUT = '1m';
+const REPLY_POLL = '5s';
+
+const VARIABLE = /\{\{\s*(\w+)\s*\}\}/g;
+const WHOLE_VARIABLE = /^\{\{\s*(\w+)\s*\}\}$/;
+
+const STATUS_ICONS = { passed: '✅', failed: '❌', skipped: '⏭️', simulated: '🧪' };
+
+class ScenarioError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'ScenarioError';
+    }
+}
+
+function isObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function hasVariable(value) {
+    return typeof value === 'string' && /\{\{/.test(value);
+}
+
+function lookup(name, vars) {
+    if (!Object.prototype.hasOwnProperty.call(vars, name)) {
+        throw new ScenarioError(`unknown variable {{${name}}} (known: ${Object.keys(vars).join(', ')})`);
+    }
+    return vars[name];
+}
+
+/**
+ * Fill in {{variables}}. A string that is just one variable takes its value
+ * as is, so lists and numbers survive ("over: '{{users}}'").
+ */
+function interpolate(value, vars) {
+    if (typeof value === 'string') {
+        const whole = WHOLE_VARIABLE.exec(value);
+        if (whole) return lookup(whole[1], vars);
+        return value.replace(VARIABLE, (_, name) => {
+            const found = lookup(name, vars);
+            return found !== null && typeof found === 'object' ? JSON.stringify(found) : String(found);
+        });
+    }
+    if (Array.isArray(value)) return value.map(item => interpolate(item, vars));
+    if (isObject(value)) {
+        return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, interpolate(item, vars)]));
+    }
+    return value;
+}
+
+/**
+ * Check and normalize one step: { type, options, name, expect, as,
+ * continueOnFailure, steps (loops) }. Problems are added to the list.
+ */
+function compileStep(raw, label, problems) {
+    if (!isObject(raw)) {
+        problems.push(`${label}: expected an object like { send: "Hi" }`);
+        return null;
+    }
+
+    const types = Object.keys(raw).filter(key => STEPS[key]);
+    const unknown = Object.keys(raw).filter(key => !STEPS[key] && !MODIFIERS.includes(key));
+    if (unknown.length > 0) {
+        problems.push(`${label}: unknown key(s) ${unknown.join(', ')} (steps: ${Object.keys(STEPS).join(', ')}; modifiers: ${MODIFIERS.join(', ')})`);
+        return null;
+    }
+    if (types.length !== 1) {
+        problems.push(`${label}: needs exactly one step type, got ${types.length ? types.join(', ') : 'none'}`);
+        return null;
+    }
+
+    const type = types[0];
+    const spec = STEPS[type];
+    const name = raw.name === undefined ? null : String(raw.name);
+    const where = `${label} (${name || type})`;
+    let options = raw[type];
+    if (options === null || options === undefined) {
+        options = {};
+    } else if (!isObject(options)) {
+        if (!spec.shorthand) {
+            problems.push(`${where}: expected an object of options`);
+            return null;
+        }
+        options = { [spec.shorthand]: options };
+    }
+
+    if (spec.options) {
+        const extra = Object.keys(options).filter(key => !spec.options.includes(key));
+        if (extra.length > 0) problems.push(`${where}: unknown option(s) ${extra.join(', ')} (expected ${spec.options.join(', ') || 'none'})`);
+    } else if (Object.keys(options).length === 0) {
+        problems.push(`${where}: needs at least one variable to set`);
+    }
+    for (const key of spec.required || []) {
+        if (options[key] === undefined || options[key] === null || options[key] === '') problems.push(`${where}: "${key}" is required`);
+    }
+    for (const key of spec.durations || []) {
+        checkDuration(options[key], `${where}: "${key}"`, problems);
+    }
+
+    const step = { type, options, name, expect: null, as: null, continueOnFailure: Boolean(raw.continueOnFailure), steps: null };
+
+    if (raw.as !== undefined) {
+        if (typeof raw.as !== 'string' || !/^\w+$/.test(raw.as)) problems.push(`${where}: "as" must be a variable name`);
+        step.as = raw.as;
+    }
+    if (raw.expect !== undefined) {
+        step.expect = compileExpect(raw.expect, where, problems);
+    }
+
+    if (type === 'loop') {
+        if ((options.times === undefined) === (options.over === undefined)) {
+            problems.push(`${where}: needs either "times" or "over"`);
+        }
+        if (options.times !== undefined && !hasVariable(options.times) && !(Number.isInteger(options.times) && options.times >= 0)) {
+            problems.push(`${where}: "times" must be a whole number`);
+        }
+        if (options.over !== undefined && !hasVariable(options.over) && !Array.isArray(options.over)) {
+            problems.push(`${where}: "over" must be a list`);
+        }
+        if (options.as !== undefined && !/^\w+$/.test(String(options.as))) {
+            problems.push(`${where}: "as" must be a variable name`);
+        }
+        if (!Array.isArray(options.steps) || options.steps.length === 0) {
+            problems.push(`${where}: "steps" must be a non-empty list`);
+        } else {
+            step.steps = options.steps.map((child, index) => compileStep(child, `${label}.${index + 1}`, problems));
+        }
+        step.options = { times: options.times, over: options.over, as: options.as || 'item' };
+    }
+    return step;
+}
+
+function compileExpect(expect, where, problems) {
+    if (!isObject(expect)) {
+        problems.push(`${where}: "expect" must be an object`);
+        return null;
+    }
+    const unknown = Object.keys(expect).filter(key => !EXPECTATIONS.includes(key));
+    if (unknown.length > 0) {
+        problems.push(`${where}: unknown expectation(s) ${unknown.join(', ')} (expected ${EXPECTATIONS.join(', ')})`);
+    }
+    if (expect.ok !== undefined && typeof expect.ok !== 'boolean') {
+        problems.push(`${where}: "expect.ok" must be true or false`);
+    }
+    if (expect.status !== undefined && !Number.isInteger(expect.status)) {
+        problems.push(`${where}: "expect.status" must be an HTTP status code`);
+    }
+    if (expect.matches !== undefined && !hasVariable(expect.matches)) {
+        try {
+            new RegExp(expect.matches, 'i');
+        } catch (error) {
+            problems.push(`${where}: "expect.matches" is not a valid regular expression: ${error.message}`);
+        }
+    }
+    if (expect.count !== undefined && !Number.isInteger(expect.count)
+        && !(isObject(expect.count) && Object.keys(expect.count).every(key => ['min', 'max'].includes(key) && Number.isInteger(expect.count[key])))) {
+        problems.push(`${where}: "expect.count" must be a number or { min, max }`);
+    }
+    checkDuration(expect.within, `${where}: "expect.within"`, problems);
+    return expect;
+}
+
+function checkDuration(value, label, problems) {
+    if (value === undefined || hasVariable(value)) return;
+    try {
+        parseDuration(value, label);
+    } catch (error) {
+        problems.push(error.message);
+    }
+}
+
+class Scenario {
+    /**
+     * config: { name, description, vars, continueOnFailure, steps }
+     */
+    constructor(config, options = {}) {
+        this.origin = options.origin || 'scenario';
+        const problems = [];
+
+        if (!isObject(config)) {
+            throw new ScenarioError(`Invalid scenario ${this.origin}: expected an object with "steps"`);
+        }
+        const unknown = Object.keys(config).filter(key => !['name', 'description', 'vars', 'continueOnFailure', 'steps'].includes(key));
+        if (unknown.length > 0) problems.push(`unknown key(s) ${unknown.join(', ')}`);
+
+        this.name = String(config.name || options.name || '');
+        if (!/^[\w.-]+$/.test(this.name)) problems.push(`"name" must be letters, digits, ".", "_" or "-", got "${this.name}"`);
+        this.description = config.description ? String(config.description) : null;
+        this.vars = config.vars === undefined ? {} : config.vars;
+        if (!isObject(this.vars)) problems.push('"vars" must be an object');
+        this.continueOnFailure = Boolean(config.continueOnFailure);
+
+        if (!Array.isArray(config.steps) || config.steps.length === 0) {
+            problems.push('"steps" must be a non-empty list');
+            this.steps = [];
+        } else {
+            this.steps = config.steps.map((step, index) => compileStep(step, `step ${index + 1}`, problems));
+        }
+
+        if (problems.length > 0) {
+            throw new ScenarioError(`Invalid scenario ${this.origin}:\n  - ${problems.join('\n  - ')}`);
+        }
+    }
+
+    /**
+     * Load a scenario from a .json, .yaml or .yml file; its name defaults to the file name
+     */
+    static load(file) {
+        const resolved = path.resolve(file);
+        let config;
+        try {
+            const text = fs.readFileSync(resolved, 'utf8');
+            config = /\.ya?ml$/i.test(resolved) ? parseYaml(text, resolved) : JSON.parse(text);
+        } catch (error) {
+            throw new ScenarioError(`Could not read scenario ${resolved}: ${error.message}`);
+        }
+        return new Scenario(config, { origin: resolved, name: path.basename(resolved).replace(/\.(json|ya?ml)$/i, '') });
+    }
+}
+
+/**
+ * The scenarios a bot can run, by name
+ */
+class ScenarioLibrary {
+    constructor(scenarios = [], options = {}) {
+        this.origin = options.origin || 'scenarios';
+        this.scenarios = new Map();
+        for (const scenario of scenarios) {
+            const existing = this.scenarios.get(scenario.name);
+            if (existing) {
+                throw new ScenarioError(`Two scenarios are named "${scenario.name}": ${existing.origin} and ${scenario.origin}`);
+            }
+            this.scenarios.set(scenario.name, scenario);
+        }
+    }
+
+    /**
+     * Load one scenario file, or every .json / .yaml / .yml file of a
+     * directory. Scenarios are optional: a missing path is an empty library.
+     */
+    static load(scenariosPath) {
+        const resolved = path.resolve(scenariosPath);
+        if (!fs.existsSync(resolved)) {
+            return new ScenarioLibrary([], { origin: resolved });
+        }
+
+        const files = fs.statSync(resolved).isDirectory()
+            ? fs.readdirSync(resolved).filter(file => /\.(json|ya?ml)$/i.test(file)).sort().map(file => path.join(resolved, file))
+            : [resolved];
+        return new ScenarioLibrary(files.map(file => Scenario.load(file)), { origin: resolved });
+    }
+
+    has(name) {
+        return this.scenarios.has(name);
+    }
+
+    get(name) {
+        return this.scenarios.get(name) || null;
+    }
+
+    names() {
+        return Array.from(this.scenarios.keys());
+    }
+
+    list() {
+        return Array.from(this.scenarios.values());
+    }
+}
+
+/**
+ * Whether a chat message came after the marker: by ID when both are
+ * numeric, else by time
+ */
+function isAfter(message, marker) {
+    if (!marker) return true;
+    const id = Number(message.id);
+    if (marker.id !== null && Number.isFinite(id) && Number.isFinite(Number(marker.id))) {
+        return id > Number(marker.id);
+    }
+    return (Date.parse(message.created_at || message.createdAt || '') || 0) > (Date.parse(marker.at) || 0);
+}
+
+function requireChat(context, type) {
+    if (!context.chat) {
+        throw new ScenarioError(`${type} needs an openChat step before it`);
+    }
+    return context.chat;
+}
+
+function messageText(message) {
+    return message.content || message.text || '';
+}
+
+/**
+ * What each step does; run(bot, options, context) resolves to
+ * { text, count, simulated } and throws when the step fails
+ */
+const HANDLERS = {
+    async openChat(bot, options, context) {
+        const username = String(options.user).replace(/^@/, '');
+        const user = await bot.findUser(username);
+        if (!user) {
+            throw new TargetNotFoundError(`No user "${username}"`);
+        }
+        if (bot.isDoNotContact({ userId: user.id, username: user.username })) {
+            throw new ScenarioError(`@${user.username} is on the do-not-contact list`);
+        }
+
+        const chatId = bot.dryRun ? null : await bot.getOrCreateChat(user.id, user.username);
+        context.chat = { id: chatId, userId: user.id, username: user.username };
+        context.marker = null;
+        Object.assign(context.vars, { chat_id: chatId, user_id: user.id, username: user.username });
+        return { text: user.username, simulated: bot.dryRun };
+    },
+
+    async send(bot, options, context) {
+        const chat = requireChat(context, 'send');
+        const text = options.text !== undefined ? String(options.text) : bot.renderTemplate('message', {
+            category: options.category,
+            targetKey: `user:${chat.userId}`,
+            vars: { username: chat.username }
+        }).text;
+
+        const sent = await bot.sendChatMessage(chat.id, text);
+        const message = (sent && sent.message) || sent || {};
+        context.marker = { id: message.id || null, at: message.created_at || message.createdAt || new Date().toISOString() };
+        context.vars.last_message = text;
+        return { text, simulated: Boolean(message.simulated) };
+    },
+
+    async wait(bot, options) {
+        await bot.sleep(parseDuration(options.for, 'wait'));
+        return { text: null };
+    },
+
+    /**
+     * The first message from the other side after the last one sent (or
+     * the last reply), checked right away and then every "poll"
+     */
+    async waitForReply(bot, options, context) {
+        const chat = requireChat(context, 'waitForReply');
+        if (chat.id === null) return { text: null, simulated: true };
+
+        const timeout = options.timeout || REPLY_TIMEOUT;
+        const pollMs = parseDuration(options.poll || REPLY_POLL, 'reply poll');
+        const polls = Math.max(1, Math.ceil(parseDuration(timeout, 'reply timeout') / pollMs));
+
+        for (let poll = 0; poll <= polls; poll++) {
+            const messages = await bot.getChatMessages(chat.id);
+            const reply = messages.find(message => String(messageSender(message)) !== String(bot.userId) && isAfter(message, context.marker));
+            if (reply) {
+                context.marker = { id: reply.id || null, at: reply.created_at || reply.createdAt || new Date().toISOString() };
+                context.vars.reply = messageText(reply);
+                return { text: messageText(reply) };
+            }
+            if (poll < polls) await bot.sleep(pollMs);
+        }
+        throw new ScenarioError(`No reply from @${chat.username} within ${timeout}`);
+    },
+
+    async messages(bot, options, context) {
+        const chat = requireChat(context, 'messages');
+        if (chat.id === null) return { text: null, simulated: true };
+
+        const messages = await bot.getChatMessages(chat.id);
+        context.vars.message_count = messages.length;
+        return { text: messages.length ? messageText(messages[messages.length - 1]) : null, count: messages.length };
+    },
+
+    /**
+     * The user's newest post in the feed; defaults to the chat's user
+     */
+    async latestPost(bot, options, context) {
+        const username = String(options.user || (context.chat && context.chat.username) || '').replace(/^@/, '');
+        if (!username) {
+            throw new ScenarioError('latestPost needs a "user", or an openChat step before it');
+        }
+
+        const { posts } = await bot.postDiscovery.fetch({ window: false });
+        const chatUserId = context.chat && context.chat.username === username ? String(context.chat.userId) : null;
+        const theirs = posts.filter(post => String(post.username || '').toLowerCase() === username.toLowerCase()
+            || (chatUserId !== null && String(post.user_id) === chatUserId));
+        if (theirs.length === 0) {
+            throw new TargetNotFoundError(`No posts by @${username} in the feed`);
+        }
+
+        const time = post => Date.parse(post.created_at || post.createdAt || '') || 0;
+        const [post] = theirs.slice().sort((a, b) => time(b) - time(a) || (Number(b.id) || 0) - (Number(a.id) || 0));
+        context.post = { ...post, username: post.username || username };
+        Object.assign(context.vars, { post_id: post.id, post_text: messageText(post) });
+        return { text: messageText(post), count: theirs.length };
+    },
+
+    /**
+     * Comment on a post: "post" by ID, or the one latestPost found
+     */
+    async comment(bot, options, context) {
+        const post = options.post !== undefined ? { id: options.post } : context.post;
+        if (!post) {
+            throw new ScenarioError('comment needs a "post", or a latestPost step before it');
+        }
+        const owner = post.username || (context.chat && context.chat.username) || null;
+        const text = options.text !== undefined ? String(options.text) : bot.renderTemplate('comment', {
+            category: options.category,
+            targetKey: `post:${post.id}`,
+            vars: { username: owner, post_excerpt: excerpt(messageText(post)) }
+        }).text;
+
+        const created = await bot.postComment(post.id, text);
+        if (created.simulated) return { text, simulated: true };
+
+        bot.recordTarget('post', post.id, owner);
+        context.vars.comment_id = (created.comment || created).id || null;
+        return { text };
+    },
+
+    async set(bot, options, context) {
+        Object.assign(context.vars, options);
+        return { text: null };
+    }
+};
+
+/**
+ * Expectations that don't hold, as readable sentences
+ */
+function checkExpectations(expect, outcome) {
+    const failures = [];
+    const wantOk = expect.ok !== undefined ? expect.ok : expect.status !== undefined ? expect.status < 400 : true;
+
+    if (outcome.ok !== wantOk) {
+        failures.push(wantOk ? `failed: ${outcome.error}` : 'succeeded, but was expected to fail');
+        return failures;
+    }
+    if (expect.status !== undefined) {
+        const status = outcome.ok ? 200 : outcome.status;
+        if (status !== expect.status) failures.push(`status was ${status || 'unknown'}, expected ${expect.status}`);
+    }
+
+    const text = outcome.text === null || outcome.text === undefined ? '' : String(outcome.text);
+    const shown = text.length > 80 ? `${text.slice(0, 79)}…` : text;
+    if (expect.contains !== undefined) {
+        const missing = [].concat(expect.contains).map(String).filter(part => !text.toLowerCase().includes(part.toLowerCase()));
+        if (missing.length > 0) failures.push(`"${shown}" doesn't contain ${missing.map(part => `"${part}"`).join(', ')}`);
+    }
+    if (expect.matches !== undefined && !new RegExp(expect.matches, 'i').test(text)) {
+        failures.push(`"${shown}" doesn't match /${expect.matches}/`);
+    }
+    if (expect.count !== undefined) {
+        const { min = -Infinity, max = Infinity } = isObject(expect.count) ? expect.count : { min: expect.count, max: expect.count };
+        if (!(outcome.count >= min && outcome.count <= max)) {
+            failures.push(`found ${outcome.count === undefined ? 'nothing to count' : outcome.count}, expected ${isObject(expect.count) ? `${min} to ${max}` : expect.count}`);
+        }
+    }
+    if (expect.within !== undefined) {
+        const withinMs = parseDuration(expect.within, 'expect.within');
+        if (outcome.durationMs > withinMs) failures.push(`took ${outcome.durationMs}ms, expected at most ${expect.within}`);
+    }
+    return failures;
+}
+
+/**
+ * Runs scenarios with one bot's API calls and reports every step
+ */
+class ScenarioRunner {
+    constructor(bot) {
+        this.bot = bot;
+    }
+
+    /**
+     * Run a scenario to the end; never throws for a failing step.
+     * options: { vars, trigger }
+     */
+    async run(scenario, options = {}) {
+        const startedAt = Date.now();
+        const runId = crypto.randomBytes(4).toString('hex');
+        const context = {
+            vars: { ...scenario.vars, ...options.vars, run_id: runId, bot_name: this.bot.name },
+            chat: null,
+            post: null,
+            marker: null,
+            stopped: false,
+            continueOnFailure: scenario.continueOnFailure
+        };
+        const steps = [];
+
+        await this.runSteps(scenario.steps, context, steps, '');
+
+        const counts = { passed: 0, failed: 0, skipped: 0, simulated: 0 };
+        steps.forEach(step => counts[step.status]++);
+        return {
+            scenario: scenario.name,
+            bot: this.bot.name,
+            runId,
+            trigger: options.trigger || 'manual',
+            dryRun: this.bot.dryRun,
+            startedAt: new Date(startedAt).toISOString(),
+            durationMs: Date.now() - startedAt,
+            passed: counts.failed === 0,
+            counts,
+            steps
+        };
+    }
+
+    async runSteps(steps, context, results, prefix) {
+        for (const [index, step] of steps.entries()) {
+            const id = `${prefix}${index + 1}`;
+            if (context.stopped) {
+                results.push({ id, type: step.type, name: step.name, status: 'skipped', durationMs: 0, text: null, error: null, failures: [] });
+                continue;
+            }
+
+            if (step.type === 'loop') {
+                await this.runLoop(step, context, results, id);
+                continue;
+            }
+
+            const result = await this.runStep(step, context, id);
+            results.push(result);
+            if (result.status === 'failed' && !step.continueOnFailure && !context.continueOnFailure) {
+                context.stopped = true;
+            }
+        }
+    }
+
+    /**
+     * Steps of a loop get IDs like "4.2.1": step 4, second round, first step
+     */
+    async runLoop(step, context, results, id) {
+        let items;
+        try {
+            const { times, over } = interpolate({ times: step.options.times, over: step.options.over }, context.vars);
+            if (over !== undefined && !Array.isArray(over)) throw new ScenarioError(`"over" is not a list: ${JSON.stringify(over)}`);
+            if (times !== undefined && !(Number.isInteger(Number(times)) && Number(times) >= 0)) throw new ScenarioError(`"times" is not a whole number: ${JSON.stringify(times)}`);
+            items = over !== undefined ? over : Array.from({ length: Number(times) }, (_, index) => index + 1);
+        } catch (error) {
+            results.push({ id, type: 'loop', name: step.name, status: 'failed', durationMs: 0, text: null, error: error.message, failures: [error.message] });
+            if (!step.continueOnFailure && !context.continueOnFailure) context.stopped = true;
+            return;
+        }
+
+        const { as } = step.options;
+        const saved = { index: context.vars.index, [as]: context.vars[as] };
+        for (const [index, item] of items.entries()) {
+            Object.assign(context.vars, { index: index + 1, [as]: item });
+            await this.runSteps(step.steps, context, results, `${id}.${index + 1}.`);
+        }
+        Object.entries(saved).forEach(([name, value]) => {
+            if (value === undefined) delete context.vars[name];
+            else context.vars[name] = value;
+        });
+    }
+
+    async runStep(step, context, id) {
+        const startedAt = Date.now();
+        let outcome;
+        try {
+            const options = interpolate(step.options, context.vars);
+            outcome = { ok: true, ...(await HANDLERS[step.type](this.bot, options, context)) };
+        } catch (error) {
+            outcome = { ok: false, status: error.status || null, error: error.message };
+        }
+        outcome.durationMs = Date.now() - startedAt;
+
+        const result = {
+            id,
+            type: step.type,
+            name: step.name,
+            status: 'passed',
+            durationMs: outcome.durationMs,
+            text: outcome.text === undefined ? null : outcome.text,
+            error: outcome.error || null,
+            failures: []
+        };
+
+        if (outcome.simulated) {
+            result.status = 'simulated';
+        } else {
+            try {
+                result.failures = checkExpectations(interpolate(step.expect || {}, context.vars), outcome);
+            } catch (error) {
+                result.failures = [error.message];
+            }
+            result.status = result.failures.length > 0 ? 'failed' : 'passed';
+        }
+
+        if (outcome.ok && step.as) {
+            context.vars[step.as] = result.text;
+        }
+        this.bot.logger.debug(`${STATUS_ICONS[result.status]} Scenario step ${id} ${step.name || step.type}`, {
+            step: id,
+            type: step.type,
+            status: result.status,
+            latencyMs: result.durationMs,
+            failures: result.failures.length ? result.failures : undefined
+        });
+        return result;
+    }
+}
+
+/**
+ * Pass/fail report of a run: a summary line, then the failed steps
+ * (every step with all = true)
+ */
+function formatRun(run, { all = false } = {}) {
+    const { counts } = run;
+    const total = run.steps.length;
+    const seconds = `${Math.round(run.durationMs / 100) / 10}s`;
+    const extra = [
+        counts.failed && `${counts.failed} failed`,
+        counts.skipped && `${counts.skipped} skipped`,
+        counts.simulated && `${counts.simulated} simulated`
+    ].filter(Boolean);
+    const lines = [
+        `🎬 Scenario ${run.scenario} ${run.passed ? 'passed' : 'failed'}: ${counts.passed}/${total} step(s) passed${extra.length ? `, ${extra.join(', ')}` : ''} in ${seconds}${run.dryRun ? ' (dry run)' : ''}`
+    ];
+
+    for (const step of run.steps) {
+        if (!all && step.status !== 'failed') continue;
+        const detail = step.failures.length ? `: ${step.failures.join('; ')}` : step.text !== null ? ` "${excerpt(String(step.text))}"` : '';
+        lines.push(`  ${STATUS_ICONS[step.status]} ${step.id} ${step.name || step.type}${detail}${step.status === 'skipped' ? '' : ` (${step.durationMs}ms)`}`);
+    }
+    return lines.join('\n');
+}
+
+module.exports = { Scenario, ScenarioLibrary, ScenarioRunner, ScenarioError, formatRun, interpolate, STEPS, EXPECTATIONS };
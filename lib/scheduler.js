@@ -0,0 +1,292 @@
+const { parseDuration } = require('./duration');
+const { parseCron, nextCronTime } = require('./cron');
+const { assertTimezone, parseWindow, isWithinWindows } = require('./timezone');
+
+/**
+ * Scheduler
+ * Runs handlers from declarative rules instead of fixed setIntervals.
+ *
+ * A rule looks like:
+ *   { name, action: 'message' | actions: ['message', 'comment'], weights: { message: 2 },
+ *     every: '2m' | cron: '*\/5 9-17 * * mon-fri', offset: '1m', jitter: '30s',
+ *     overlap: 'skip' | 'queue' }
+ *
+ * Behaviour:
+ * - Interval rules are anchored to start + offset + n * every, so jitter never
+ *   accumulates into drift. Cron rules fire at the next matching minute.
+ * - Each run is delayed by a random 0..jitter so activity doesn't look robotic.
+ * - Rules with several actions pick one per run by weight (default weight 1).
+ * - Runs that fall in quiet hours, or outside active windows, are skipped, not deferred.
+ * - Missed runs (the process was busy or asleep) are never caught up; the
+ *   rule simply continues from the next slot in the future.
+ * - If a rule's previous run is still in progress, "skip" (default) drops the
+ *   new run and "queue" runs it once as soon as the previous one finishes.
+ */
+
+const OVERLAP_POLICIES = ['skip', 'queue'];
+
+class Scheduler {
+    constructor(options = {}) {
+        this.timezone = options.timezone || 'UTC';
+        assertTimezone(this.timezone);
+
+        this.quietHours = (options.quietHours || []).map(parseWindow);
+        this.activeWindows = (options.activeWindows || []).map(parseWindow);
+        this.random = options.random || Math.random;
+        this.log = options.log || (() => {});
+        this.rules = [];
+        this.running = false;
+    }
+
+    /**
+     * Validate and add a rule; handler(actionType) may return a promise
+     */
+    addRule(config, handler) {
+        const name = config.name || config.action || (config.actions || []).join('+') || `rule-${this.rules.length + 1}`;
+        const fail = message => { throw new Error(`Schedule rule "${name}": ${message}`); };
+
+        const actionNames = config.actions || (config.action ? [config.action] : []);
+        if (actionNames.length === 0) fail('needs "action" or "actions"');
+
+        const weights = actionNames.map(action => {
+            const weight = config.weights && config.weights[action] !== undefined ? config.weights[action] : 1;
+            if (typeof weight !== 'number' || !(weight >= 0)) fail(`weight for "${action}" must be a non-negative number`);
+            return weight;
+        });
+        if (!weights.some(weight => weight > 0)) fail('at least one action needs a positive weight');
+
+        const { everyMs, cron } = this.parseTiming(config, fail);
+
+        const overlap = config.overlap || 'skip';
+        if (!OVERLAP_POLICIES.includes(overlap)) fail(`"overlap" must be one of ${OVERLAP_POLICIES.join(', ')}`);
+
+        const rule = {
+            name,
+            actions: actionNames,
+            weights,
+            everyMs,
+            cron,
+            offsetMs: config.offset ? parseDuration(config.offset, 'offset') : 0,
+            jitterMs: config.jitter ? parseDuration(config.jitter, 'jitter') : 0,
+            overlap,
+            handler,
+            timer: null,
+            anchor: null,
+            slot: 0,
+            nextRunAt: null,
+            inProgress: false,
+            queued: false,
+            lastRunAt: null,
+            lastAction: null,
+            counts: { runs: 0, skippedOverlap: 0, skippedQuiet: 0, missed: 0 }
+        };
+
+        this.rules.push(rule);
+        if (this.running) this.scheduleNext(rule);
+        return rule;
+    }
+
+    /**
+     * Parse a rule's "every" or "cron" (exactly one)
+     */
+    parseTiming(config, fail) {
+        if (!config.every === !config.cron) fail('needs exactly one of "every" or "cron"');
+
+        let timing;
+        try {
+            timing = config.every
+                ? { everyMs: parseDuration(config.every, 'every'), cron: null }
+                : { everyMs: null, cron: parseCron(config.cron) };
+        } catch (error) {
+            fail(error.message);
+        }
+        if (timing.everyMs !== null && timing.everyMs < 1000) fail('"every" must be at least 1s');
+        return timing;
+    }
+
+    /**
+     * Change a rule's timing at runtime: { every } or { cron }.
+     * Interval rules restart their slots from now.
+     */
+    reschedule(name, timing) {
+        const rule = this.rules.find(candidate => candidate.name === name);
+        if (!rule) {
+            throw new Error(`Unknown schedule rule "${name}" (rules: ${this.rules.map(r => r.name).join(', ')})`);
+        }
+
+        const { everyMs, cron } = this.parseTiming(timing, message => {
+            throw new Error(`Schedule rule "${name}": ${message}`);
+        });
+
+        if (rule.timer) clearTimeout(rule.timer);
+        rule.timer = null;
+        rule.nextRunAt = null;
+        rule.everyMs = everyMs;
+        rule.cron = cron;
+        rule.anchor = null;
+        rule.slot = 0;
+        this.scheduleNext(rule);
+        return rule;
+    }
+
+    /**
+     * Start timers for every rule
+     */
+    start() {
+        if (this.running) return;
+        this.running = true;
+
+        const now = Date.now();
+        for (const rule of this.rules) {
+            rule.anchor = now + rule.offsetMs;
+            rule.slot = 0;
+            this.scheduleNext(rule);
+        }
+    }
+
+    /**
+     * Stop all timers; runs already in progress finish on their own
+     */
+    stop() {
+        this.running = false;
+        for (const rule of this.rules) {
+            if (rule.timer) clearTimeout(rule.timer);
+            rule.timer = null;
+            rule.nextRunAt = null;
+            rule.queued = false;
+        }
+    }
+
+    /**
+     * Remove every rule (used when a schedule is replaced)
+     */
+    clear() {
+        this.stop();
+        this.rules = [];
+    }
+
+    /**
+     * Compute the next slot for a rule and arm its timer
+     */
+    scheduleNext(rule) {
+        if (!this.running) return;
+
+        const now = Date.now();
+        let base;
+
+        if (rule.everyMs) {
+            if (rule.anchor === null) rule.anchor = now + rule.offsetMs;
+            base = rule.anchor + rule.slot * rule.everyMs;
+            if (base < now) {
+                // Skip slots we already missed instead of firing a burst
+                const missed = Math.ceil((now - base) / rule.everyMs);
+                rule.slot += missed;
+                rule.counts.missed += missed;
+                base = rule.anchor + rule.slot * rule.everyMs;
+            }
+            rule.slot++;
+        } else {
+            base = nextCronTime(rule.cron, new Date(now), this.timezone).getTime();
+        }
+
+        const runAt = base + Math.floor(this.random() * rule.jitterMs);
+        rule.nextRunAt = new Date(runAt);
+        rule.timer = setTimeout(() => this.fire(rule), Math.max(0, runAt - now));
+    }
+
+    /**
+     * Timer callback: apply windows and overlap policy, then run
+     */
+    fire(rule) {
+        rule.timer = null;
+        rule.nextRunAt = null;
+
+        if (!this.isActiveTime(new Date())) {
+            rule.counts.skippedQuiet++;
+            this.log(`⏸️  Skipping ${rule.name}: quiet hours`);
+        } else if (rule.inProgress) {
+            if (rule.overlap === 'queue') {
+                rule.queued = true;
+            } else {
+                rule.counts.skippedOverlap++;
+                this.log(`⏭️  Skipping ${rule.name}: previous run still in progress`, 'warning');
+            }
+        } else {
+            this.execute(rule);
+        }
+
+        this.scheduleNext(rule);
+    }
+
+    /**
+     * Run the rule's handler with a weighted choice of action
+     */
+    async execute(rule) {
+        const action = this.pickAction(rule);
+        rule.inProgress = true;
+        rule.lastRunAt = new Date();
+        rule.lastAction = action;
+        rule.counts.runs++;
+
+        try {
+            await rule.handler(action);
+        } catch (error) {
+            this.log(`Scheduled ${action} failed: ${error.message}`, 'error');
+        } finally {
+            rule.inProgress = false;
+        }
+
+        if (rule.queued && this.running) {
+            rule.queued = false;
+            this.execute(rule);
+        }
+    }
+
+    /**
+     * Weighted random choice between a rule's actions
+     */
+    pickAction(rule) {
+        const total = rule.weights.reduce((sum, weight) => sum + weight, 0);
+        let roll = this.random() * total;
+
+        for (let i = 0; i < rule.actions.length; i++) {
+            roll -= rule.weights[i];
+            if (roll < 0) return rule.actions[i];
+        }
+        return rule.actions[rule.actions.length - 1];
+    }
+
+    /**
+     * Outside quiet hours and, if any are configured, inside an active window
+     */
+    isActiveTime(date) {
+        if (this.quietHours.length && isWithinWindows(date, this.quietHours, this.timezone)) {
+            return false;
+        }
+        if (this.activeWindows.length && !isWithinWindows(date, this.activeWindows, this.timezone)) {
+            return false;
+        }
+        return true;
+    }
+
+    /**
+     * Current schedule for status pages
+     */
+    getSchedule() {
+        return this.rules.map(rule => ({
+            name: rule.name,
+            actions: rule.actions,
+            every: rule.everyMs,
+            cron: rule.cron ? rule.cron.expression : null,
+            jitter: rule.jitterMs,
+            overlap: rule.overlap,
+            nextRunAt: rule.nextRunAt ? rule.nextRunAt.toISOString() : null,
+            lastRunAt: rule.lastRunAt ? rule.lastRunAt.toISOString() : null,
+            lastAction: rule.lastAction,
+            inProgress: rule.inProgress,
+            ...rule.counts
+        }));
+    }
+}
+
+module.exports = Scheduler;
@@ -0,0 +1,78 @@
+const JsonlStore = require('./jsonl-store');
+
+/**
+ * State Store
+ * Persistence for activity records, counters and bot state.
+ *
+ * Every store implements:
+ *   append(stream, record)         - add a record to an append-only stream
+ *   readRecent(stream, limit)      - newest records of a stream, oldest first
+ *   getState(key, fallback)        - read a persisted value
+ *   setState(key, value)           - write a persisted value
+ *   increment(counter, by)         - bump a persisted counter
+ *   getCounters()                  - all counters
+ *   flush()                        - write anything buffered to disk
+ *   close()                        - flush and release resources
+ *
+ * Only "jsonl" exists today; a SQLite store would implement the same methods.
+ */
+
+const STORE_TYPES = {
+    jsonl: JsonlStore
+};
+
+/**
+ * Create a store from config: { type, dir, maxBytes, maxFiles }
+ */
+function createStore(options = {}) {
+    const type = options.type || 'jsonl';
+    const Store = STORE_TYPES[type];
+    if (!Store) {
+        throw new Error(`Unknown store type "${type}" (available: ${Object.keys(STORE_TYPES).join(', ')})`);
+    }
+    return new Store(options);
+}
+
+/**
+ * In-memory store with the same interface, for one-off scripts and tests
+ */
+class MemoryStore {
+    constructor() {
+        this.streams = {};
+        this.state = {};
+        this.counters = {};
+    }
+
+    append(stream, record) {
+        (this.streams[stream] = this.streams[stream] || []).push(record);
+    }
+
+    readRecent(stream, limit = 100) {
+        return (this.streams[stream] || []).slice(-limit);
+    }
+
+    getState(key, fallback = null) {
+        return key in this.state ? this.state[key] : fallback;
+    }
+
+    setState(key, value) {
+        this.state[key] = value;
+    }
+
+    increment(counter, by = 1) {
+        this.counters[counter] = (this.counters[counter] || 0) + by;
+        return this.counters[counter];
+    }
+
+    getCounters() {
+        return { ...this.counters };
+    }
+
+    flush() {}
+
+    close() {}
+}
+
+STORE_TYPES.memory = MemoryStore;
+
+module.exports = { createStore, JsonlStore, MemoryStore, STORE_TYPES };
@@ -0,0 +1,162 @@
+const fs = require('fs');
+const path = require('path');
+const { logger } = require('../logging');
+
+/**
+ * JSON-lines Store
+ * Streams are append-only <stream>.jsonl files rotated by size
+ * (<stream>.jsonl -> <stream>.1.jsonl -> ...), keeping at most maxFiles
+ * per stream. Counters and state live in state.json, written atomically
+ * and batched so frequent updates cost one write per second.
+ */
+
+const DEFAULT_MAX_BYTES = 1024 * 1024; // 1 MB per file
+const DEFAULT_MAX_FILES = 3;
+const SAVE_DELAY_MS = 1000;
+
+class JsonlStore {
+    constructor(options = {}) {
+        if (!options.dir) {
+            throw new Error('JsonlStore needs a "dir"');
+        }
+
+        this.dir = options.dir;
+        this.maxBytes = options.maxBytes || DEFAULT_MAX_BYTES;
+        this.maxFiles = options.maxFiles || DEFAULT_MAX_FILES;
+        this.stateFile = path.join(this.dir, 'state.json');
+        this.data = { counters: {}, state: {} };
+        this.sizes = {};
+        this.saveTimer = null;
+
+        fs.mkdirSync(this.dir, { recursive: true });
+        this.loadState();
+    }
+
+    /**
+     * Read state.json if present
+     */
+    loadState() {
+        if (!fs.existsSync(this.stateFile)) return;
+
+        try {
+            const data = JSON.parse(fs.readFileSync(this.stateFile, 'utf8'));
+            this.data = { counters: data.counters || {}, state: data.state || {} };
+        } catch (error) {
+            throw new Error(`Could not read state ${this.stateFile}: ${error.message}`);
+        }
+    }
+
+    /**
+     * Path of a stream file; index 0 is the live file
+     */
+    streamFile(stream, index = 0) {
+        return path.join(this.dir, index === 0 ? `${stream}.jsonl` : `${stream}.${index}.jsonl`);
+    }
+
+    /**
+     * Shift rotated files up by one and start a fresh live file
+     */
+    rotate(stream) {
+        const oldest = this.streamFile(stream, this.maxFiles - 1);
+        if (fs.existsSync(oldest)) fs.unlinkSync(oldest);
+
+        for (let index = this.maxFiles - 2; index >= 0; index--) {
+            const file = this.streamFile(stream, index);
+            if (fs.existsSync(file)) fs.renameSync(file, this.streamFile(stream, index + 1));
+        }
+        this.sizes[stream] = 0;
+    }
+
+    append(stream, record) {
+        const line = JSON.stringify(record) + '\n';
+        const bytes = Buffer.byteLength(line);
+        const file = this.streamFile(stream);
+
+        if (this.sizes[stream] === undefined) {
+            this.sizes[stream] = fs.existsSync(file) ? fs.statSync(file).size : 0;
+        }
+        if (this.sizes[stream] > 0 && this.sizes[stream] + bytes > this.maxBytes) {
+            this.rotate(stream);
+        }
+
+        fs.appendFileSync(file, line);
+        this.sizes[stream] += bytes;
+    }
+
+    readRecent(stream, limit = 100) {
+        let records = [];
+
+        // Newest file first, stop once we have enough
+        for (let index = 0; index < this.maxFiles && records.length < limit; index++) {
+            const file = this.streamFile(stream, index);
+            if (!fs.existsSync(file)) break;
+
+            const lines = fs.readFileSync(file, 'utf8').split('\n').filter(Boolean);
+            const parsed = [];
+            for (const line of lines) {
+                try {
+                    parsed.push(JSON.parse(line));
+                } catch (error) {
+                    // Skip a line truncated by a crash mid-write
+                }
+            }
+            records = parsed.concat(records);
+        }
+
+        return records.slice(-limit);
+    }
+
+    getState(key, fallback = null) {
+        return key in this.data.state ? this.data.state[key] : fallback;
+    }
+
+    setState(key, value) {
+        this.data.state[key] = value;
+        this.scheduleSave();
+    }
+
+    increment(counter, by = 1) {
+        this.data.counters[counter] = (this.data.counters[counter] || 0) + by;
+        this.scheduleSave();
+        return this.data.counters[counter];
+    }
+
+    getCounters() {
+        return { ...this.data.counters };
+    }
+
+    /**
+     * Batch state writes
+     */
+    scheduleSave() {
+        if (this.saveTimer) return;
+        this.saveTimer = setTimeout(() => {
+            try {
+                this.flush();
+            } catch (error) {
+                logger.error('Failed to save state', { component: 'store', file: this.stateFile, error });
+            }
+        }, SAVE_DELAY_MS);
+        if (this.saveTimer.unref) this.saveTimer.unref();
+    }
+
+    /**
+     * Write state.json atomically (temp file + rename)
+     */
+    flush() {
+        if (this.saveTimer) {
+            clearTimeout(this.saveTimer);
+            this.saveTimer = null;
+        }
+
+        const tmp = `${this.stateFile}.tmp`;
+        fs.writeFileSync(tmp, JSON.stringify(this.data));
+        fs.renameSync(tmp, this.stateFile);
+    }
+
+    close() {
+        this.flush();
+    }
+}
+
+module.exports = JsonlStore;
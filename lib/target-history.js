@@ -0,0 +1,179 @@
+const { parseDuration } = require('./duration');
+
+/**
+ * Target History
+ * Remembers which users were messaged and which posts were commented on, and
+ * when, so cooldowns ("one DM per user per 24h", "one comment per post ever")
+ * survive restarts. Also picks targets with a selection strategy.
+ *
+ * Kept in the bot's state store under "targetHistory":
+ *   { "user": { "<id>": { "lastAt": 1700000000000, "count": 2, "label": "alice" } }, "post": { ... } }
+ *
+ * The templates recently sent to each target ("user:12", "post:7",
+ * "chat:3") are kept under "recentTemplates", so the templates' no-repeat
+ * rule also survives restarts and reloads:
+ *   { "user:12": { "lastAt": 1700000000000, "ids": ["greeting:0", "greeting:2"] } }
+ */
+
+const STRATEGIES = ['random', 'least-recent', 'weighted-activity'];
+
+/**
+ * Parse a cooldown: a duration, "forever", or "0"/"none" for no cooldown
+ */
+function parseCooldown(value) {
+    if (value === undefined || value === null || value === 'none' || value === 0 || value === '0') return 0;
+    if (value === 'forever') return Infinity;
+    return parseDuration(value, 'cooldown');
+}
+
+class TargetHistory {
+    constructor(options = {}) {
+        this.store = options.store || null;
+        this.retentionMs = parseDuration(options.retention || '90d', 'history retention');
+        this.random = options.random || Math.random;
+        this.records = { user: {}, post: {} };
+        this.templates = {};
+
+        if (this.store) {
+            this.records = { ...this.records, ...this.store.getState('targetHistory', {}) };
+            this.templates = this.store.getState('recentTemplates', {});
+        }
+    }
+
+    /**
+     * Hand the records to the store, which batches the disk writes
+     */
+    persist() {
+        if (this.store) {
+            this.store.setState('targetHistory', this.records);
+            this.store.setState('recentTemplates', this.templates);
+        }
+    }
+
+    /**
+     * Record a contact with a target
+     */
+    record(kind, id, label) {
+        const bucket = this.records[kind] || (this.records[kind] = {});
+        const previous = bucket[id] || { count: 0 };
+
+        bucket[id] = {
+            lastAt: Date.now(),
+            count: previous.count + 1,
+            label: label || previous.label
+        };
+        this.persist();
+    }
+
+    /**
+     * IDs of the templates recently sent to a target, newest last
+     */
+    recentTemplates(targetKey) {
+        const entry = this.templates[targetKey];
+        return entry ? entry.ids : [];
+    }
+
+    /**
+     * Record a template as sent to a target, keeping the newest "limit" IDs
+     */
+    rememberTemplate(targetKey, templateId, limit) {
+        const ids = this.recentTemplates(targetKey).filter(id => id !== templateId);
+        ids.push(templateId);
+        this.templates[targetKey] = { lastAt: Date.now(), ids: ids.slice(-limit) };
+        this.persist();
+    }
+
+    /**
+     * Last contact time in ms, or null if never contacted
+     */
+    lastContact(kind, id) {
+        const entry = (this.records[kind] || {})[id];
+        return entry ? entry.lastAt : null;
+    }
+
+    /**
+     * Whether a target is still inside its cooldown
+     */
+    isCoolingDown(kind, id, cooldownMs) {
+        if (!cooldownMs) return false;
+
+        const lastAt = this.lastContact(kind, id);
+        if (lastAt === null) return false;
+        return cooldownMs === Infinity || Date.now() - lastAt < cooldownMs;
+    }
+
+    /**
+     * Choose a target from candidates.
+     * options: { cooldown, strategy, idOf, activityOf }
+     */
+    select(kind, candidates, options = {}) {
+        const cooldownMs = parseCooldown(options.cooldown);
+        const strategy = options.strategy || 'random';
+        const idOf = options.idOf || (candidate => candidate.id);
+        const activityOf = options.activityOf || (() => 0);
+
+        const available = candidates.filter(candidate => !this.isCoolingDown(kind, idOf(candidate), cooldownMs));
+        if (available.length === 0) return null;
+
+        if (strategy === 'least-recent') {
+            const lastAt = candidate => this.lastContact(kind, idOf(candidate)) || 0;
+            const oldest = Math.min(...available.map(lastAt));
+            const tied = available.filter(candidate => lastAt(candidate) === oldest);
+            return tied[Math.floor(this.random() * tied.length)];
+        }
+
+        if (strategy === 'weighted-activity') {
+            const weights = available.map(candidate => 1 + Math.max(0, Number(activityOf(candidate)) || 0));
+            let roll = this.random() * weights.reduce((sum, weight) => sum + weight, 0);
+            for (let i = 0; i < available.length; i++) {
+                roll -= weights[i];
+                if (roll < 0) return available[i];
+            }
+            return available[available.length - 1];
+        }
+
+        return available[Math.floor(this.random() * available.length)];
+    }
+
+    /**
+     * Drop records older than the retention period, except for kinds with a
+     * "forever" cooldown, which must be kept to stay enforced. Recent
+     * templates always expire.
+     */
+    prune(keepForever = []) {
+        const cutoff = Date.now() - this.retentionMs;
+        let removed = 0;
+
+        for (const [kind, bucket] of Object.entries(this.records)) {
+            if (keepForever.includes(kind)) continue;
+            for (const [id, entry] of Object.entries(bucket)) {
+                if (entry.lastAt < cutoff) {
+                    delete bucket[id];
+                    removed++;
+                }
+            }
+        }
+        for (const [targetKey, entry] of Object.entries(this.templates)) {
+            if (entry.lastAt < cutoff) {
+                delete this.templates[targetKey];
+                removed++;
+            }
+        }
+
+        if (removed > 0) this.persist();
+        return removed;
+    }
+
+    /**
+     * Counts per kind for status pages
+     */
+    getSummary() {
+        const summary = {};
+        for (const [kind, bucket] of Object.entries(this.records)) {
+            summary[kind] = Object.keys(bucket).length;
+        }
+        return summary;
+    }
+}
+
+module.exports = { TargetHistory, parseCooldown, STRATEGIES };
@@ -0,0 +1,338 @@
+const fs = require('fs');
+const path = require('path');
+const { zonedParts } = require('./timezone');
+
+/**
+ * Template Library
+ * Message / comment texts loaded from a JSON file or a directory of
+ * <action>.json files, grouped by action and category.
+ *
+ * An action's templates look like:
+ *   {
+ *     "noRepeatWithin": 3,
+ *     "categories": {
+ *       "greeting": [
+ *         "{Hi|Hey|Hello} @{username}!",
+ *         { "text": "Good {time_of_day}, @{username}!", "weight": 2 }
+ *       ]
+ *     }
+ *   }
+ *
+ * Syntax:
+ *   {name}        placeholder, one of VARIABLES
+ *   {a|b|c}       spintax, one alternative picked at random (may nest)
+ *   \{ \} \|      literal braces / pipe
+ *
+ * The library itself keeps no state: which templates a target got recently
+ * ("noRepeatWithin") comes from the "memory" passed to render(), the bot's
+ * persisted TargetHistory.
+ */
+
+const VARIABLES = ['username', 'post_excerpt', 'time_of_day', 'bot_name', 'random'];
+
+// Actions whose templates take other placeholders than VARIABLES
+const ACTION_VARIABLES = {
+    // Report texts, rendered by lib/reporter.js
+    report: [
+        'bot_name', 'report', 'health', 'period', 'attempts', 'successes', 'failures',
+        'skipped', 'success_rate', 'top_errors', 'opt_outs', 'health_changes'
+    ]
+};
+
+const DEFAULT_NO_REPEAT_WITHIN = 3;
+
+class TemplateError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'TemplateError';
+    }
+}
+
+/**
+ * Parse template text into nodes: strings, { variable } and { choices }
+ */
+function parseTemplate(text, variables = VARIABLES) {
+    let index = 0;
+
+    function parseSequence(inGroup) {
+        const nodes = [];
+        let literal = '';
+
+        while (index < text.length) {
+            const char = text[index];
+
+            if (char === '\\' && index + 1 < text.length) {
+                literal += text[index + 1];
+                index += 2;
+            } else if (char === '{') {
+                if (literal) nodes.push(literal);
+                literal = '';
+                index++;
+                nodes.push(parseGroup());
+            } else if (char === '}' || char === '|') {
+                if (!inGroup) {
+                    throw new TemplateError(`unexpected "${char}" at position ${index + 1}`);
+                }
+                break;
+            } else {
+                literal += char;
+                index++;
+            }
+        }
+
+        if (literal) nodes.push(literal);
+        return nodes;
+    }
+
+    function parseGroup() {
+        const start = index - 1;
+        const choices = [parseSequence(true)];
+
+        while (text[index] === '|') {
+            index++;
+            choices.push(parseSequence(true));
+        }
+
+        if (text[index] !== '}') {
+            throw new TemplateError(`unclosed "{" at position ${start + 1}`);
+        }
+        index++;
+
+        if (choices.length > 1) {
+            return { choices };
+        }
+
+        const [only] = choices;
+        const name = only.length === 1 && typeof only[0] === 'string' ? only[0].trim() : '';
+        if (!/^[a-z_]+$/.test(name)) {
+            throw new TemplateError(`"{...}" at position ${start + 1} must be a placeholder or contain "|" alternatives`);
+        }
+        if (!variables.includes(name)) {
+            throw new TemplateError(`unknown placeholder {${name}} (known: ${variables.join(', ')})`);
+        }
+        return { variable: name };
+    }
+
+    return parseSequence(false);
+}
+
+/**
+ * Render parsed nodes, resolving spintax before substituting variables
+ * so user-provided values are never treated as template syntax
+ */
+function renderNodes(nodes, vars, random) {
+    return nodes.map(node => {
+        if (typeof node === 'string') return node;
+        if (node.variable) {
+            const value = vars[node.variable];
+            return value === undefined || value === null ? '' : String(value);
+        }
+        const choice = node.choices[Math.floor(random() * node.choices.length)];
+        return renderNodes(choice, vars, random);
+    }).join('');
+}
+
+/**
+ * "morning" / "afternoon" / "evening" / "night" for a date in a timezone
+ */
+function timeOfDay(date = new Date(), timeZone = 'UTC') {
+    const { hour } = zonedParts(date, timeZone);
+    if (hour >= 5 && hour < 12) return 'morning';
+    if (hour >= 12 && hour < 17) return 'afternoon';
+    if (hour >= 17 && hour < 22) return 'evening';
+    return 'night';
+}
+
+/**
+ * Shorten post text to a single-line excerpt
+ */
+function excerpt(text, maxLength = 40) {
+    const clean = String(text || '').replace(/\s+/g, ' ').trim();
+    return clean.length > maxLength ? clean.slice(0, maxLength - 1).trimEnd() + '…' : clean;
+}
+
+class TemplateLibrary {
+    constructor(source = {}, options = {}) {
+        this.origin = options.origin || 'templates';
+        this.random = options.random || Math.random;
+        this.actions = {};
+
+        const errors = [];
+        for (const [action, config] of Object.entries(source)) {
+            try {
+                this.actions[action] = this.compileAction(action, config);
+            } catch (error) {
+                errors.push(error.message);
+            }
+        }
+
+        if (errors.length > 0) {
+            throw new TemplateError(`Invalid templates in ${this.origin}:\n  - ${errors.join('\n  - ')}`);
+        }
+    }
+
+    /**
+     * Load templates from a JSON file ({ action: {...} }) or a directory of <action>.json files
+     */
+    static load(templatesPath, options = {}) {
+        const resolved = path.resolve(templatesPath);
+        if (!fs.existsSync(resolved)) {
+            throw new TemplateError(`Templates not found: ${resolved}`);
+        }
+
+        const readJson = file => {
+            try {
+                return JSON.parse(fs.readFileSync(file, 'utf8'));
+            } catch (error) {
+                throw new TemplateError(`Could not parse ${file}: ${error.message}`);
+            }
+        };
+
+        let source;
+        if (fs.statSync(resolved).isDirectory()) {
+            source = {};
+            for (const file of fs.readdirSync(resolved).filter(f => f.endsWith('.json')).sort()) {
+                source[path.basename(file, '.json')] = readJson(path.join(resolved, file));
+            }
+        } else {
+            source = readJson(resolved);
+        }
+
+        return new TemplateLibrary(source, { ...options, origin: resolved });
+    }
+
+    /**
+     * Validate and parse every template of one action
+     */
+    compileAction(action, config) {
+        if (!config || typeof config !== 'object' || !config.categories || typeof config.categories !== 'object') {
+            throw new TemplateError(`${action}: expected { "categories": { ... } }`);
+        }
+
+        const noRepeatWithin = config.noRepeatWithin === undefined ? DEFAULT_NO_REPEAT_WITHIN : config.noRepeatWithin;
+        if (!Number.isInteger(noRepeatWithin) || noRepeatWithin < 0) {
+            throw new TemplateError(`${action}: "noRepeatWithin" must be a non-negative integer`);
+        }
+
+        const errors = [];
+        const categories = {};
+        const variables = ACTION_VARIABLES[action] || VARIABLES;
+
+        for (const [category, entries] of Object.entries(config.categories)) {
+            if (!Array.isArray(entries) || entries.length === 0) {
+                errors.push(`${action}.${category}: must be a non-empty array`);
+                continue;
+            }
+
+            categories[category] = [];
+            entries.forEach((entry, index) => {
+                const where = `${action}.${category}[${index}]`;
+                const { text, weight = 1 } = typeof entry === 'string' ? { text: entry } : (entry || {});
+
+                if (typeof text !== 'string' || !text.trim()) {
+                    errors.push(`${where}: "text" must be a non-empty string`);
+                    return;
+                }
+                if (typeof weight !== 'number' || !(weight > 0)) {
+                    errors.push(`${where}: "weight" must be a positive number`);
+                    return;
+                }
+
+                try {
+                    categories[category].push({ id: `${category}:${index}`, category, text, weight, nodes: parseTemplate(text, variables) });
+                } catch (error) {
+                    errors.push(`${where}: ${error.message} in "${text}"`);
+                }
+            });
+        }
+
+        if (Object.keys(categories).length === 0) {
+            errors.push(`${action}: has no categories`);
+        }
+        if (errors.length > 0) {
+            throw new TemplateError(errors.join('\n  - '));
+        }
+
+        return { noRepeatWithin, categories };
+    }
+
+    /**
+     * Whether templates exist for an action (and optionally a category)
+     */
+    has(action, category) {
+        const compiled = this.actions[action];
+        return Boolean(compiled && (!category || compiled.categories[category]));
+    }
+
+    /**
+     * Category names for an action
+     */
+    categories(action) {
+        return this.actions[action] ? Object.keys(this.actions[action].categories) : [];
+    }
+
+    /**
+     * Render a template for an action.
+     * options: { category, targetKey, vars, memory } - memory has
+     * recentTemplates(targetKey) and rememberTemplate(targetKey, id, limit);
+     * without it templates may repeat.
+     * Returns { text, category, templateId }.
+     */
+    render(action, options = {}) {
+        const compiled = this.actions[action];
+        if (!compiled) {
+            throw new TemplateError(`No templates for action "${action}"`);
+        }
+
+        let candidates;
+        if (options.category) {
+            candidates = compiled.categories[options.category];
+            if (!candidates) {
+                throw new TemplateError(`No "${options.category}" templates for action "${action}"`);
+            }
+        } else {
+            candidates = Object.values(compiled.categories).flat();
+        }
+
+        const memory = options.targetKey && compiled.noRepeatWithin > 0 ? options.memory || null : null;
+        const template = this.pick(candidates, memory ? memory.recentTemplates(options.targetKey) : []);
+        if (memory) memory.rememberTemplate(options.targetKey, template.id, compiled.noRepeatWithin);
+
+        return {
+            text: renderNodes(template.nodes, options.vars || {}, this.random).trim(),
+            category: template.category,
+            templateId: template.id
+        };
+    }
+
+    /**
+     * Weighted pick, avoiding the recent template IDs (newest last). When
+     * everything was used recently, fall back to the least recent one.
+     */
+    pick(candidates, recent = []) {
+        let pool = candidates.filter(template => !recent.includes(template.id));
+
+        if (pool.length === 0) {
+            const age = template => recent.indexOf(template.id);
+            pool = [candidates.reduce((oldest, template) => age(template) < age(oldest) ? template : oldest)];
+        }
+
+        const total = pool.reduce((sum, template) => sum + template.weight, 0);
+        let roll = this.random() * total;
+        for (const template of pool) {
+            roll -= template.weight;
+            if (roll < 0) return template;
+        }
+        return pool[pool.length - 1];
+    }
+}
+
+module.exports = {
+    TemplateLibrary,
+    TemplateError,
+    VARIABLES,
+    ACTION_VARIABLES,
+    parseTemplate,
+    timeOfDay,
+    excerpt
+};
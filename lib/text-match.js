@@ -0,0 +1,33 @@
+/**
+ * Text matching helpers shared by the comment and inbox rules
+ */
+
+/**
+ * Lower-case words of a text
+ */
+function tokenize(text) {
+    return String(text).toLowerCase().match(/[a-z0-9']+/g) || [];
+}
+
+/**
+ * Check a keyword or phrase against the text; plain words must match whole
+ * words, anything with spaces or punctuation is a substring match
+ */
+function containsKeyword(lowerText, words, keyword) {
+    const needle = keyword.toLowerCase();
+    if (/^[a-z0-9']+$/.test(needle)) {
+        return words.includes(needle);
+    }
+    return lowerText.includes(needle);
+}
+
+/**
+ * Whether the text contains any of the keywords
+ */
+function matchesAny(text, keywords) {
+    const lowerText = String(text).toLowerCase();
+    const words = tokenize(lowerText);
+    return keywords.some(keyword => containsKeyword(lowerText, words, keyword));
+}
+
+module.exports = { tokenize, containsKeyword, matchesAny };
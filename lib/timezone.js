@@ -0,0 +1,128 @@
+/**
+ * Timezone helpers
+ * Wall-clock parts of a date in an IANA timezone, and time-of-day windows
+ * such as quiet hours ("23:00"-"07:00") that may wrap past midnight.
+ */
+
+const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+const formatters = new Map();
+
+/**
+ * Cached Intl formatter per timezone (construction is expensive)
+ */
+function getFormatter(timeZone) {
+    if (!formatters.has(timeZone)) {
+        formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+            timeZone,
+            hourCycle: 'h23',
+            year: 'numeric',
+            month: 'numeric',
+            day: 'numeric',
+            hour: 'numeric',
+            minute: 'numeric',
+            weekday: 'short'
+        }));
+    }
+    return formatters.get(timeZone);
+}
+
+/**
+ * Throw if the timezone is not a valid IANA name
+ */
+function assertTimezone(timeZone) {
+    try {
+        getFormatter(timeZone);
+    } catch (error) {
+        throw new Error(`Invalid timezone "${timeZone}"`);
+    }
+}
+
+/**
+ * Year, month (1-12), day, hour, minute and weekday (0 = Sunday) in a timezone
+ */
+function zonedParts(date, timeZone = 'UTC') {
+    const parts = {};
+    for (const part of getFormatter(timeZone).formatToParts(date)) {
+        parts[part.type] = part.value;
+    }
+
+    return {
+        year: parseInt(parts.year),
+        month: parseInt(parts.month),
+        day: parseInt(parts.day),
+        hour: parseInt(parts.hour) % 24,
+        minute: parseInt(parts.minute),
+        weekday: WEEKDAYS.indexOf(parts.weekday.toLowerCase())
+    };
+}
+
+/**
+ * Parse "HH:MM" into minutes after midnight
+ */
+function parseTimeOfDay(value, fieldName) {
+    const match = typeof value === 'string' && value.match(/^(\d{1,2}):(\d{2})$/);
+    if (!match || parseInt(match[1]) > 24 || parseInt(match[2]) > 59) {
+        throw new Error(`Invalid ${fieldName} "${value}" (expected "HH:MM")`);
+    }
+    return parseInt(match[1]) * 60 + parseInt(match[2]);
+}
+
+/**
+ * Parse a weekday name ("mon") or number (0-6, Sunday = 0)
+ */
+function parseWeekday(value) {
+    const index = typeof value === 'number' ? value : WEEKDAYS.indexOf(String(value).slice(0, 3).toLowerCase());
+    if (!Number.isInteger(index) || index < 0 || index > 6) {
+        throw new Error(`Invalid weekday "${value}"`);
+    }
+    return index;
+}
+
+/**
+ * Normalize a window config ({ start, end, days? }) or "HH:MM-HH:MM" string
+ */
+function parseWindow(window) {
+    if (typeof window === 'string') {
+        const [start, end] = window.split('-').map(part => part.trim());
+        window = { start, end };
+    }
+    if (!window || typeof window !== 'object') {
+        throw new Error(`Invalid time window ${JSON.stringify(window)}`);
+    }
+
+    return {
+        start: parseTimeOfDay(window.start, 'window start'),
+        end: parseTimeOfDay(window.end, 'window end'),
+        days: window.days ? window.days.map(parseWeekday) : null
+    };
+}
+
+/**
+ * Check whether a date falls inside any of the (parsed) windows
+ */
+function isWithinWindows(date, windows, timeZone = 'UTC') {
+    const { hour, minute, weekday } = zonedParts(date, timeZone);
+    const now = hour * 60 + minute;
+
+    return windows.some(window => {
+        if (window.start <= window.end) {
+            return (!window.days || window.days.includes(weekday))
+                && now >= window.start && now < window.end;
+        }
+
+        // Wraps past midnight: the late part belongs to today, the early part to yesterday
+        if (now >= window.start) {
+            return !window.days || window.days.includes(weekday);
+        }
+        return now < window.end && (!window.days || window.days.includes((weekday + 6) % 7));
+    });
+}
+
+module.exports = {
+    assertTimezone,
+    zonedParts,
+    parseWindow,
+    parseWeekday,
+    isWithinWindows
+};
@@ -0,0 +1,281 @@
+const { parseDuration } = require('./duration');
+
+/**
+ * User Directory
+ * Every user the backend's search can find, crawled in the background and
+ * cached, so the message action picks from the whole directory instead of
+ * the results of one random search. The search needs at least two
+ * characters and matches anywhere in a username, so the default queries -
+ * every pair of letters and digits - together reach every username that
+ * has two of them.
+ *
+ * A crawl works through its queries, page by page, a batch of requests per
+ * tick so it stays well inside the "users" rate limit. Users found so far
+ * can be picked right away; when the crawl completes they replace the
+ * cached set, which is persisted and stays fresh for the TTL. The first
+ * tick after that starts the next crawl, serving the old set meanwhile.
+ */
+
+const DEFAULTS = {
+    ttl: '6h',
+    crawlInterval: '1m',
+    batchSize: 10,
+    pageSize: 50,
+    maxPages: 20,
+    alphabet: 'abcdefghijklmnopqrstuvwxyz0123456789',
+    queries: []
+};
+
+/**
+ * Every two-character string of an alphabet: "aa", "ab", ...
+ */
+function pairQueries(alphabet) {
+    const chars = Array.from(new Set(String(alphabet).toLowerCase()));
+    return chars.flatMap(first => chars.map(second => first + second));
+}
+
+/**
+ * A list from the config file may also be written "a, b"
+ */
+function asList(value) {
+    if (Array.isArray(value)) return value.map(String);
+    return String(value || '').split(',').map(item => item.trim()).filter(Boolean);
+}
+
+function lower(username) {
+    return String(username || '').toLowerCase();
+}
+
+function createdTime(user) {
+    return Date.parse(user.created_at || user.createdAt || '') || 0;
+}
+
+function isoTime(ms) {
+    return ms ? new Date(ms).toISOString() : null;
+}
+
+class UserDirectory {
+    /**
+     * options: the identity's "directory" settings (see DEFAULTS, plus the
+     * filters described at list()), store, peerUsernames
+     */
+    constructor(bot, options = {}) {
+        const settings = { ...DEFAULTS, ...options };
+        this.bot = bot;
+        this.store = options.store || null;
+        this.ttlMs = parseDuration(settings.ttl, 'directory TTL');
+        this.crawlIntervalMs = parseDuration(settings.crawlInterval, 'directory crawl interval');
+        this.batchSize = settings.batchSize;
+        this.pageSize = settings.pageSize;
+        this.maxPages = settings.maxPages;
+        const queries = asList(settings.queries);
+        this.queries = queries.length > 0 ? queries : pairQueries(settings.alphabet);
+        const tooShort = this.queries.filter(query => query.length < 2);
+        if (tooShort.length > 0) {
+            throw new Error(`Directory queries need at least 2 characters: ${tooShort.map(query => `"${query}"`).join(', ')}`);
+        }
+        this.filters = {
+            excludeBots: settings.excludeBots !== false,
+            excludeDoNotContact: settings.excludeDoNotContact !== false,
+            newestFirst: Boolean(settings.newestFirst),
+            limit: settings.limit || null,
+            include: asList(settings.include),
+            exclude: asList(settings.exclude)
+        };
+        this.peerUsernames = new Set((options.peerUsernames || []).map(lower));
+
+        const saved = this.store ? this.store.getState('directory', null) : null;
+        this.users = new Map(((saved && saved.users) || []).map(user => [String(user.id), user]));
+        this.refreshedAt = saved ? saved.refreshedAt : null;
+        this.lastCrawl = saved ? saved.lastCrawl || null : null;
+        this.crawl = null;
+        this.stepping = null;
+        this.lastError = null;
+    }
+
+    isStale(now = Date.now()) {
+        return this.refreshedAt === null || now - this.refreshedAt >= this.ttlMs;
+    }
+
+    /**
+     * One tick: start a crawl when the cache is stale, then send up to
+     * batchSize of its requests. Concurrent calls share the same step.
+     */
+    step() {
+        if (!this.stepping) {
+            this.stepping = this.runBatch().finally(() => {
+                this.stepping = null;
+            });
+        }
+        return this.stepping;
+    }
+
+    startCrawl() {
+        this.crawl = {
+            startedAt: Date.now(),
+            queries: this.queries.slice(),
+            position: 0,
+            page: 1,
+            requests: 0,
+            found: new Map(),
+            // IDs on the current query's pages, to notice a backend that ignores "page"
+            querySeen: new Set()
+        };
+        this.bot.log(`🔎 Crawling the user directory: ${this.queries.length} queries`);
+    }
+
+    async runBatch() {
+        if (!this.crawl) {
+            if (!this.isStale()) return;
+            this.startCrawl();
+        }
+
+        const crawl = this.crawl;
+        for (let sent = 0; sent < this.batchSize && crawl.position < crawl.queries.length; sent++) {
+            const query = crawl.queries[crawl.position];
+            let users;
+            try {
+                users = await this.bot.searchUsers(query, { page: crawl.page, limit: this.pageSize });
+            } catch (error) {
+                this.lastError = { message: error.message, at: new Date().toISOString() };
+                if (error.status >= 400 && error.status < 500 && ![401, 408, 429].includes(error.status)) {
+                    // The backend won't take this query; retrying it would stall the crawl
+                    this.bot.log(`Skipping directory query "${query}": ${error.message}`, 'warning', { error });
+                    this.nextQuery(crawl);
+                    continue;
+                }
+                this.bot.log(`Directory crawl stopped at "${query}" page ${crawl.page}, continuing next tick: ${error.message}`, 'warning', { error });
+                return;
+            }
+
+            crawl.requests++;
+            this.lastError = null;
+            let added = 0;
+            for (const user of users.filter(candidate => candidate && candidate.id !== undefined)) {
+                const id = String(user.id);
+                crawl.found.set(id, user);
+                if (!crawl.querySeen.has(id)) {
+                    crawl.querySeen.add(id);
+                    added++;
+                }
+            }
+
+            if (users.length >= this.pageSize && added > 0 && crawl.page < this.maxPages) {
+                crawl.page++;
+            } else {
+                this.nextQuery(crawl);
+            }
+        }
+
+        if (crawl.position >= crawl.queries.length) {
+            this.finishCrawl(crawl);
+        }
+    }
+
+    nextQuery(crawl) {
+        crawl.position++;
+        crawl.page = 1;
+        crawl.querySeen = new Set();
+    }
+
+    /**
+     * The crawl's users replace the cache; accounts it no longer finds are gone
+     */
+    finishCrawl(crawl) {
+        const now = Date.now();
+        this.users = crawl.found;
+        this.refreshedAt = now;
+        this.lastCrawl = {
+            completedAt: new Date(now).toISOString(),
+            durationMs: now - crawl.startedAt,
+            queries: crawl.queries.length,
+            requests: crawl.requests,
+            users: crawl.found.size
+        };
+        this.crawl = null;
+
+        if (this.store) {
+            this.store.setState('directory', {
+                refreshedAt: this.refreshedAt,
+                lastCrawl: this.lastCrawl,
+                users: Array.from(this.users.values())
+            });
+        }
+        this.bot.log(`📇 User directory refreshed: ${this.users.size} users from ${this.lastCrawl.requests} searches`, 'success');
+    }
+
+    /**
+     * Every known user: the cached set plus what the running crawl found
+     */
+    all() {
+        if (!this.crawl) return Array.from(this.users.values());
+        return Array.from(new Map([...this.users, ...this.crawl.found]).values());
+    }
+
+    isBot(user) {
+        return String(user.id) === String(this.bot.userId)
+            || this.peerUsernames.has(lower(user.username))
+            || Boolean(user.is_bot || user.isBot);
+    }
+
+    /**
+     * Known users after the filters:
+     *   excludeBots         - this bot, the other bots of this process and
+     *                         accounts the backend marks as bots
+     *   excludeDoNotContact - users on the do-not-contact list
+     *   include / exclude   - usernames to limit to / to leave out
+     *   newestFirst, limit  - newest accounts first; only the first "limit"
+     */
+    list(filters = this.filters) {
+        const include = new Set((filters.include || []).map(lower));
+        const exclude = new Set((filters.exclude || []).map(lower));
+
+        let users = this.all().filter(user => {
+            if (filters.excludeBots && this.isBot(user)) return false;
+            if (filters.excludeDoNotContact && this.bot.isDoNotContact({ userId: user.id, username: user.username })) return false;
+            if (include.size > 0 && !include.has(lower(user.username))) return false;
+            return !exclude.has(lower(user.username));
+        });
+
+        if (filters.newestFirst) {
+            users.sort((a, b) => createdTime(b) - createdTime(a) || (Number(b.id) || 0) - (Number(a.id) || 0));
+        }
+        if (filters.limit) {
+            users = users.slice(0, filters.limit);
+        }
+        return users;
+    }
+
+    /**
+     * Users to pick from; with nothing known yet, a first batch is crawled right away
+     */
+    async candidates() {
+        if (this.users.size === 0 && (!this.crawl || this.crawl.found.size === 0)) {
+            await this.step();
+        }
+        return this.list();
+    }
+
+    getStatus() {
+        const crawl = this.crawl;
+        return {
+            known: this.all().length,
+            available: this.list().length,
+            refreshedAt: isoTime(this.refreshedAt),
+            stale: this.isStale(),
+            ttlMs: this.ttlMs,
+            queries: this.queries.length,
+            crawl: crawl ? {
+                startedAt: isoTime(crawl.startedAt),
+                queriesDone: crawl.position,
+                progress: Math.floor((crawl.position / crawl.queries.length) * 100),
+                requests: crawl.requests,
+                found: crawl.found.size
+            } : null,
+            lastCrawl: this.lastCrawl,
+            lastError: this.lastError
+        };
+    }
+}
+
+module.exports = { UserDirectory, pairQueries, DEFAULTS };
@@ -0,0 +1,341 @@
+/**
+ * YAML
+ * A small YAML reader for config files, covering what they need and no more:
+ * block mappings and sequences, "- key: value" items, flow collections
+ * ([a, b] and {a: 1}), quoted and plain scalars, numbers, booleans, null
+ * and # comments. Plain, quoted and flow values may go on over more
+ * indented lines, which are folded into one with spaces. Anchors, tags,
+ * merge keys, block scalars (| and >) and multiple documents are rejected
+ * with an error rather than misread.
+ */
+
+class YamlError extends Error {
+    constructor(message, origin, line) {
+        super(`${origin}${line ? `, line ${line}` : ''}: ${message}`);
+        this.name = 'YamlError';
+        this.line = line || null;
+    }
+}
+
+const NUMBER = /^[-+]?(\d+\.?\d*|\.\d+)([eE][-+]?\d+)?$/;
+
+/**
+ * Remove a trailing comment, leaving # inside quotes alone. quote is the
+ * quote still open from the line before; returns [text, quote left open].
+ */
+function stripComment(text, quote = null) {
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (quote) {
+            if (char === '\\' && quote === '"') i++;
+            else if (char === quote) quote = null;
+        } else if (char === '"' || char === '\'') {
+            quote = char;
+        } else if (char === '#' && (i === 0 || /\s/.test(text[i - 1]))) {
+            return [text.slice(0, i), quote];
+        }
+    }
+    return [text, quote];
+}
+
+/**
+ * Index of the ":" that ends a mapping key, or -1 when the text is not "key: value"
+ */
+function keySeparator(text) {
+    let quote = null;
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (quote) {
+            if (char === '\\' && quote === '"') i++;
+            else if (char === quote) quote = null;
+        } else if ((char === '"' || char === '\'') && i === 0) {
+            quote = char;
+        } else if (char === '[' || char === '{') {
+            if (i === 0) return -1;
+        } else if (char === ':' && (i === text.length - 1 || text[i + 1] === ' ')) {
+            return i;
+        }
+    }
+    return -1;
+}
+
+class Parser {
+    constructor(text, origin) {
+        this.origin = origin;
+        this.lines = [];
+
+        // A quoted value may go on over several lines, keep its "#" there too
+        let quote = null;
+        text.replace(/^\uFEFF/, '').split(/\r?\n/).forEach((raw, index) => {
+            const number = index + 1;
+            const [stripped, open] = stripComment(raw, quote);
+            const content = stripped.trimEnd();
+            quote = open;
+            if (!content.trim()) return;
+
+            const indent = content.length - content.trimStart().length;
+            if (/^ *\t/.test(content)) {
+                throw new YamlError('tabs are not allowed in indentation', origin, number);
+            }
+            if (indent === 0 && (content === '---' || content === '...')) {
+                if (this.lines.length > 0) throw new YamlError('multiple documents are not supported', origin, number);
+                return;
+            }
+            this.lines.push({ number, indent, text: content.trim() });
+        });
+        this.pos = 0;
+    }
+
+    error(message, line) {
+        return new YamlError(message, this.origin, line ? line.number : null);
+    }
+
+    get line() {
+        return this.lines[this.pos];
+    }
+
+    parse() {
+        if (this.lines.length === 0) return null;
+        const value = this.parseBlock(this.line.indent);
+        if (this.line) {
+            throw this.error('unexpected content (check the indentation)', this.line);
+        }
+        return value;
+    }
+
+    isSequenceItem(line) {
+        return line.text === '-' || line.text.startsWith('- ');
+    }
+
+    parseBlock(indent) {
+        const line = this.line;
+        if (this.isSequenceItem(line)) return this.parseSequence(indent);
+        if (keySeparator(line.text) !== -1) return this.parseMapping(indent);
+
+        this.pos++;
+        return this.parseValue(line.text, line);
+    }
+
+    parseSequence(indent) {
+        const items = [];
+        while (this.line && this.line.indent === indent && this.isSequenceItem(this.line)) {
+            const line = this.line;
+            const rest = line.text.slice(1).trimStart();
+
+            if (!rest) {
+                this.pos++;
+                items.push(this.parseNested(indent, line));
+            } else if (keySeparator(rest) !== -1 || this.isSequenceItem({ text: rest })) {
+                // "- key: value" (or "- - item") starts a block indented to where its content starts
+                const offset = line.text.length - rest.length;
+                this.lines[this.pos] = { number: line.number, indent: indent + offset, text: rest };
+                items.push(this.parseBlock(indent + offset));
+            } else {
+                this.pos++;
+                items.push(this.parseValue(this.continued(rest, indent), line));
+            }
+        }
+        if (this.line && this.line.indent > indent) {
+            throw this.error('unexpected indentation', this.line);
+        }
+        return items;
+    }
+
+    parseMapping(indent) {
+        const mapping = {};
+        while (this.line && this.line.indent === indent && !this.isSequenceItem(this.line)) {
+            const line = this.line;
+            const separator = keySeparator(line.text);
+            if (separator === -1) {
+                throw this.error(`expected "key: value", got "${line.text}"`, line);
+            }
+
+            const key = this.parseKey(line.text.slice(0, separator).trim(), line);
+            if (Object.prototype.hasOwnProperty.call(mapping, key)) {
+                throw this.error(`duplicate key "${key}"`, line);
+            }
+            const rest = line.text.slice(separator + 1).trim();
+            this.pos++;
+
+            if (rest) {
+                mapping[key] = this.parseValue(this.continued(rest, indent), line);
+            } else if (this.line && this.line.indent === indent && this.isSequenceItem(this.line)) {
+                // A sequence may sit at the same indentation as its key
+                mapping[key] = this.parseSequence(indent);
+            } else {
+                mapping[key] = this.parseNested(indent, line);
+            }
+        }
+        if (this.line && this.line.indent > indent) {
+            throw this.error('unexpected indentation', this.line);
+        }
+        return mapping;
+    }
+
+    /**
+     * A value with the more indented lines that go on with it, folded into
+     * one line. Block scalars, anchors and tags are left alone for
+     * parseScalar to reject. A plain value can't go on with "key: value" or
+     * "- item", which are far more likely to be misindented than meant as text.
+     */
+    continued(text, indent) {
+        if (/^[|>&*!]/.test(text)) return text;
+
+        const parts = [text];
+        const plain = !/^["'[{]/.test(text);
+        while (this.line && this.line.indent > indent) {
+            if (plain && (keySeparator(this.line.text) !== -1 || this.isSequenceItem(this.line))) {
+                throw this.error('unexpected indentation', this.line);
+            }
+            parts.push(this.line.text);
+            this.pos++;
+        }
+        return parts.join(' ');
+    }
+
+    /**
+     * The indented block under a line, or null when there is none
+     */
+    parseNested(indent, parent) {
+        if (!this.line || this.line.indent <= indent) return null;
+        if (this.line.number === parent.number) {
+            throw this.error('unexpected content', parent);
+        }
+        return this.parseBlock(this.line.indent);
+    }
+
+    parseKey(text, line) {
+        if (!text) throw this.error('empty key', line);
+        if (/^[&*!]/.test(text)) throw this.error('anchors, aliases and tags are not supported', line);
+        if (text === '<<') throw this.error('merge keys (<<) are not supported', line);
+        const value = /^["']/.test(text) ? this.parseValue(text, line) : text;
+        return String(value);
+    }
+
+    parseValue(text, line) {
+        if (text[0] === '[' || text[0] === '{') {
+            const flow = new FlowParser(text, error => this.error(error, line));
+            return flow.parseAll();
+        }
+        return parseScalar(text, error => this.error(error, line));
+    }
+}
+
+/**
+ * Scalar from its source text: quoted string, number, boolean, null or plain string
+ */
+function parseScalar(text, fail) {
+    if (text[0] === '&' || text[0] === '*' || text[0] === '!') {
+        throw fail('anchors, aliases and tags are not supported');
+    }
+    if (text === '|' || text === '>' || /^[|>][-+]?\d*$/.test(text)) {
+        throw fail('block scalars (| and >) are not supported; use a quoted string with \\n');
+    }
+    if (text[0] === '"') {
+        if (text.length < 2 || text[text.length - 1] !== '"') throw fail('unterminated double-quoted string');
+        try {
+            return JSON.parse(text);
+        } catch (error) {
+            throw fail(`invalid double-quoted string ${text}`);
+        }
+    }
+    if (text[0] === '\'') {
+        if (text.length < 2 || text[text.length - 1] !== '\'') throw fail('unterminated single-quoted string');
+        return text.slice(1, -1).replace(/''/g, '\'');
+    }
+
+    if (text === '~' || text === 'null' || text === 'Null' || text === 'NULL') return null;
+    if (/^(true|True|TRUE)$/.test(text)) return true;
+    if (/^(false|False|FALSE)$/.test(text)) return false;
+    if (NUMBER.test(text)) return Number(text);
+    return text;
+}
+
+/**
+ * [a, b] and {a: 1, b: [2]} on a single line
+ */
+class FlowParser {
+    constructor(text, fail) {
+        this.text = text;
+        this.pos = 0;
+        this.fail = fail;
+    }
+
+    parseAll() {
+        const value = this.parseValue();
+        this.skipSpace();
+        if (this.pos < this.text.length) throw this.fail(`unexpected "${this.text.slice(this.pos)}" after a flow collection`);
+        return value;
+    }
+
+    skipSpace() {
+        while (this.text[this.pos] === ' ') this.pos++;
+    }
+
+    parseValue() {
+        this.skipSpace();
+        const char = this.text[this.pos];
+        if (char === '[') return this.parseCollection(']');
+        if (char === '{') return this.parseCollection('}');
+        return parseScalar(this.readScalar(), this.fail);
+    }
+
+    readScalar() {
+        const start = this.pos;
+        const quote = this.text[this.pos];
+        if (quote === '"' || quote === '\'') {
+            this.pos++;
+            while (this.pos < this.text.length && this.text[this.pos] !== quote) {
+                if (quote === '"' && this.text[this.pos] === '\\') this.pos++;
+                this.pos++;
+            }
+            this.pos++;
+            return this.text.slice(start, this.pos);
+        }
+        while (this.pos < this.text.length && !/[,\]}]/.test(this.text[this.pos])
+            && !(this.text[this.pos] === ':' && /[ ,\]}]/.test(this.text[this.pos + 1] || ' '))) {
+            this.pos++;
+        }
+        return this.text.slice(start, this.pos).trim();
+    }
+
+    parseCollection(close) {
+        const isMap = close === '}';
+        const result = isMap ? {} : [];
+        this.pos++;
+
+        for (;;) {
+            this.skipSpace();
+            if (this.text[this.pos] === close) {
+                this.pos++;
+                return result;
+            }
+
+            if (isMap) {
+                const key = String(parseScalar(this.readScalar(), this.fail));
+                this.skipSpace();
+                if (this.text[this.pos] !== ':') throw this.fail(`expected ":" after "${key}" in a flow mapping`);
+                this.pos++;
+                result[key] = this.parseValue();
+            } else {
+                result.push(this.parseValue());
+            }
+
+            this.skipSpace();
+            if (this.text[this.pos] === ',') {
+                this.pos++;
+            } else if (this.text[this.pos] !== close) {
+                throw this.fail(`expected "," or "${close}" in a flow collection`);
+            }
+        }
+    }
+}
+
+/**
+ * Parse YAML text; origin (e.g. the file name) prefixes error messages
+ */
+function parseYaml(text, origin = 'YAML') {
+    return new Parser(String(text), origin).parse();
+}
+
+module.exports = { parseYaml, YamlError };
@@ -0,0 +1,188 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const BotRunner = require('../lib/bot-runner');
+const { loadBots } = require('../lib/config');
+const { MemoryStore } = require('../lib/store');
+const { DoNotContactList } = require('../lib/do-not-contact');
+const { AdminApi } = require('../lib/admin-api');
+const { Logger } = require('../lib/logging');
+const { TargetNotFoundError } = require('../lib/errors');
+
+let server;
+let baseUrl;
+let runner;
+let store;
+
+/**
+ * Call the admin API; resolves to { status, body }
+ */
+async function call(method, path, { token = 'secret-alice', body } = {}) {
+    const response = await new Promise((resolve, reject) => {
+        const req = http.request(`${baseUrl}${path}`, {
+            method,
+            headers: token ? { Authorization: `Bearer ${token}` } : {}
+        }, resolve);
+        req.on('error', reject);
+        req.end(body === undefined ? undefined : JSON.stringify(body));
+    });
+
+    let text = '';
+    for await (const chunk of response) text += chunk;
+    return { status: response.statusCode, body: JSON.parse(text) };
+}
+
+describe('admin API', () => {
+    before(async () => {
+        const [identity] = loadBots({ BOT_USERNAME: 'cop', STORE_TYPE: 'memory', INBOX_ENABLED: 'false' });
+        runner = new BotRunner(identity);
+        runner.bot.log = () => {};
+        runner.bot.logger = new Logger({ sinks: [] });
+        store = new MemoryStore();
+
+        const api = new AdminApi({
+            runners: [runner],
+            doNotContact: new DoNotContactList({ store, initial: ['fixed'] }),
+            store,
+            tokens: [{ name: 'alice', token: 'secret-alice' }],
+            logger: new Logger({ sinks: [] })
+        });
+        server = http.createServer((req, res) => api.handle(req, res));
+        await new Promise(resolve => server.listen(0, resolve));
+        baseUrl = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    after(() => {
+        runner.stop();
+        server.close();
+    });
+
+    it('rejects missing and wrong tokens with JSON errors', async () => {
+        const missing = await call('GET', '/admin/bots', { token: null });
+        assert.strictEqual(missing.status, 401);
+        assert.strictEqual(missing.body.error.code, 'unauthorized');
+
+        const wrong = await call('GET', '/admin/bots', { token: 'nope' });
+        assert.strictEqual(wrong.status, 401);
+    });
+
+    it('answers unknown routes, methods and bots with JSON errors', async () => {
+        assert.strictEqual((await call('GET', '/admin/nothing')).status, 404);
+        assert.strictEqual((await call('DELETE', '/admin/bots')).body.error.code, 'method_not_allowed');
+        assert.strictEqual((await call('POST', '/admin/bots/ghost/pause')).body.error.code, 'unknown_bot');
+        assert.strictEqual((await call('POST', `/admin/bots/${runner.name}/pause`, { body: { action: 'dance' } })).body.error.code, 'unknown_action');
+    });
+
+    it('pauses and resumes a single action and records who did it', async () => {
+        const paused = await call('POST', `/admin/bots/${runner.name}/pause`, { body: { action: 'comment' } });
+        assert.strictEqual(paused.status, 200);
+        assert.ok(runner.isPaused('comment'));
+        assert.ok(!runner.isPaused('message'));
+        assert.strictEqual(await runner.runAction('comment'), null);
+
+        await call('POST', `/admin/bots/${runner.name}/resume`, { body: { action: 'comment' } });
+        assert.ok(!runner.isPaused('comment'));
+
+        const audit = await call('GET', '/admin/audit');
+        assert.deepStrictEqual(audit.body.entries.map(entry => [entry.actor, entry.change, entry.action]), [['alice', 'pause', 'comment'], ['alice', 'resume', 'comment']]);
+    });
+
+    it('changes a rule interval and validates it', async () => {
+        const updated = await call('PUT', `/admin/bots/${runner.name}/schedule/message`, { body: { every: '10m' } });
+        assert.strictEqual(updated.status, 200);
+        assert.strictEqual(updated.body.rule.every, 10 * 60 * 1000);
+
+        const invalid = await call('PUT', `/admin/bots/${runner.name}/schedule/message`, { body: { every: 'soon' } });
+        assert.strictEqual(invalid.status, 400);
+        assert.strictEqual(invalid.body.error.code, 'invalid_schedule');
+    });
+
+    it('refuses to run an action before the bot has authenticated', async () => {
+        const result = await call('POST', `/admin/bots/${runner.name}/actions/message/run`, { body: { target: { username: 'bob' } } });
+        assert.strictEqual(result.status, 409);
+        assert.strictEqual(result.body.error.code, 'not_initialized');
+    });
+
+    it('lists scenarios and refuses unknown ones and unauthenticated runs', async () => {
+        const listed = await call('GET', `/admin/bots/${runner.name}/scenarios`);
+        assert.ok(listed.body.scenarios.some(scenario => scenario.name === 'chat-smoke' && scenario.lastRun === null));
+
+        const unknown = await call('POST', `/admin/bots/${runner.name}/scenarios/ghost/run`);
+        assert.strictEqual(unknown.status, 404);
+        assert.strictEqual(unknown.body.error.code, 'unknown_scenario');
+        assert.strictEqual((await call('POST', `/admin/bots/${runner.name}/scenarios/chat-smoke/run`)).body.error.code, 'not_initialized');
+    });
+
+    it('edits the do-not-contact list but not its config entries', async () => {
+        const added = await call('POST', '/admin/do-not-contact', { body: { username: 'bob', reason: 'asked by email' } });
+        assert.strictEqual(added.body.added, true);
+        assert.strictEqual(added.body.entry.addedBy, 'alice');
+
+        const listed = await call('GET', '/admin/do-not-contact');
+        assert.deepStrictEqual(listed.body.entries.map(entry => entry.username).sort(), ['bob', 'fixed']);
+
+        assert.strictEqual((await call('DELETE', '/admin/do-not-contact/fixed')).status, 409);
+        assert.strictEqual((await call('DELETE', '/admin/do-not-contact/bob')).status, 200);
+        assert.strictEqual((await call('DELETE', '/admin/do-not-contact/bob')).status, 404);
+    });
+
+    it('rejects malformed JSON bodies', async () => {
+        const response = await new Promise((resolve, reject) => {
+            const req = http.request(`${baseUrl}/admin/do-not-contact`, {
+                method: 'POST',
+                headers: { Authorization: 'Bearer secret-alice' }
+            }, resolve);
+            req.on('error', reject);
+            req.end('{not json');
+        });
+        assert.strictEqual(response.statusCode, 400);
+        response.resume();
+    });
+
+    it('answers oversized bodies with a 413 before closing the connection', async () => {
+        const result = await call('POST', '/admin/do-not-contact', { body: { username: 'bob', reason: 'x'.repeat(200 * 1024) } });
+
+        assert.strictEqual(result.status, 413);
+        assert.strictEqual(result.body.error.code, 'payload_too_large');
+        assert.strictEqual((await call('GET', '/admin/do-not-contact')).status, 200, 'the server keeps serving');
+    });
+
+    it('refuses malformed escapes in the path', async () => {
+        const result = await call('DELETE', '/admin/do-not-contact/%E0%A4%A');
+
+        assert.strictEqual(result.status, 400);
+        assert.strictEqual(result.body.error.code, 'invalid_path');
+    });
+
+    it('audits runs that fail as well as those that succeed', async () => {
+        runner.initialized = true;
+        runner.bot.runAction = async () => {
+            throw new TargetNotFoundError('User @bob not found');
+        };
+        try {
+            const result = await call('POST', `/admin/bots/${runner.name}/actions/message/run`, { body: { target: { username: 'bob' } } });
+            assert.strictEqual(result.status, 404);
+
+            const [entry] = store.readRecent('audit', 1);
+            assert.deepStrictEqual([entry.change, entry.action, entry.success, entry.error], ['run', 'message', false, 'User @bob not found']);
+        } finally {
+            runner.initialized = false;
+            delete runner.bot.runAction;
+        }
+    });
+
+    it('audits failed re-authentication', async () => {
+        runner.reauthenticate = async () => {
+            throw new Error('Authentication failed: HTTP 401');
+        };
+        try {
+            const result = await call('POST', `/admin/bots/${runner.name}/reauth`);
+            assert.strictEqual(result.status, 500);
+
+            const [entry] = store.readRecent('audit', 1);
+            assert.deepStrictEqual([entry.change, entry.success, entry.error], ['reauth', false, 'Authentication failed: HTTP 401']);
+        } finally {
+            delete runner.reauthenticate;
+        }
+    });
+});
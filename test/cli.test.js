@@ -0,0 +1,157 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { main, parseArgs, EXIT } = require('../lib/cli');
+const { MockBackend } = require('./mock-backend');
+
+/**
+ * Writable stand-in that keeps what was written
+ */
+function capture() {
+    return {
+        text: '',
+        write(chunk) {
+            this.text += chunk;
+            return true;
+        }
+    };
+}
+
+describe('cli', () => {
+    const backend = new MockBackend();
+    let env;
+    let dataDir;
+
+    /**
+     * Run the CLI in-process: { code, stdout, stderr, json }
+     */
+    async function cli(...argv) {
+        const stdout = capture();
+        const stderr = capture();
+        const code = await main(argv, { env, stdout, stderr });
+        let json = null;
+        if (argv.includes('--json')) json = JSON.parse(stdout.text);
+        return { code, stdout: stdout.text, stderr: stderr.text, json };
+    }
+
+    before(async () => {
+        dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'botcop-cli-'));
+        env = {
+            BOT_BASE_URL: await backend.listen(),
+            DATA_DIR: dataDir,
+            ENV_FILE: path.join(dataDir, '.env'),
+            INBOX_ENABLED: 'false',
+            MAX_RETRIES: '0',
+            REPORT_MODE: 'daily'
+        };
+    });
+
+    after(async () => {
+        await backend.close();
+        fs.rmSync(dataDir, { recursive: true, force: true });
+    });
+
+    it('parses options in any position', () => {
+        assert.deepStrictEqual(parseArgs(['--json', 'send', '--to=anna', '--text', 'Hi there']), {
+            options: { json: true, to: 'anna', text: 'Hi there' },
+            positionals: ['send']
+        });
+        assert.throws(() => parseArgs(['send', '--to']), /--to needs a value/);
+        assert.throws(() => parseArgs(['send', '--shout']), /Unknown option --shout/);
+    });
+
+    it('sends a message and comments on a post', async () => {
+        const sent = await cli('send', '--to', '@anna_stone', '--text', 'Hello from the CLI', '--json');
+        assert.strictEqual(sent.code, EXIT.ok);
+        assert.strictEqual(sent.json.success, true);
+        assert.deepStrictEqual(backend.messagesTo('anna_stone').map(message => message.content), ['Hello from the CLI']);
+
+        const commented = await cli('comment', '--post', '102');
+        assert.strictEqual(commented.code, EXIT.ok);
+        assert.match(commented.stdout, /^✅ Commented on post 102 by @martin: ".+"\n$/);
+        assert.strictEqual(backend.comments.length, 1);
+    });
+
+    it('only reads in a dry run', async () => {
+        const result = await cli('comment', '--post', '101', '--dry-run', '--json');
+
+        assert.strictEqual(result.code, EXIT.ok);
+        assert.strictEqual(result.json.simulated, true);
+        assert.strictEqual(backend.comments.length, 1);
+    });
+
+    it('shows what the bot sees', async () => {
+        const users = await cli('users', 'search', 'anna', '--json');
+        assert.strictEqual(users.code, EXIT.ok);
+        assert.strictEqual(users.json.users.length, 1);
+        assert.strictEqual(users.json.users[0].username, 'anna_stone');
+        assert.ok(users.json.users[0].lastMessagedAt, 'the message just sent is remembered');
+
+        const posts = await cli('posts', 'list', '--limit', '2');
+        assert.strictEqual(posts.code, EXIT.ok);
+        assert.match(posts.stdout, /^3 post\(s\) available, showing 2\n  101 @anna_stone "Selling my old bike, barely used!"/);
+        assert.match(posts.stdout, /102 @martin .*last commented/);
+    });
+
+    it('sends a summary to the report users and reads the persisted stats', async () => {
+        const report = await cli('report', '--since', '1h');
+        assert.strictEqual(report.code, EXIT.ok);
+        assert.match(report.stdout, /Activity report for cop\n3 action\(s\): 2 succeeded/);
+        assert.match(backend.messagesTo('phone').pop().content, /Activity report for cop/);
+
+        const stats = await cli('stats', '--json');
+        assert.strictEqual(stats.code, EXIT.ok);
+        assert.deepStrictEqual(
+            stats.json.bots.map(bot => [bot.name, bot.successes, bot.simulated]),
+            [['cop', 2, 1]]
+        );
+    });
+
+    it('runs a scenario file with variables and lists the loaded ones', async () => {
+        const file = path.join(dataDir, 'greet.json');
+        fs.writeFileSync(file, JSON.stringify({
+            steps: [{ openChat: '{{user}}' }, { send: 'Hi {{user}}' }, { messages: null, expect: { count: 2 } }]
+        }));
+
+        const run = await cli('scenario', 'run', file, '--var', 'user=martin', '--var', 'unused=x');
+        assert.strictEqual(run.code, EXIT.failed);
+        assert.match(run.stdout, /^🎬 Scenario greet failed: 2\/3 step\(s\) passed, 1 failed in .+\n {2}✅ 1 openChat "martin"/);
+        assert.match(run.stdout, /❌ 3 messages: found 1, expected 2/);
+        assert.deepStrictEqual(backend.messagesTo('martin').map(message => message.content), ['Hi martin']);
+
+        const listed = await cli('scenario', 'list', '--json');
+        assert.strictEqual(listed.code, EXIT.ok);
+        assert.ok(listed.json.scenarios.some(scenario => scenario.name === 'chat-smoke'));
+
+        assert.strictEqual((await cli('scenario', 'run', 'ghost')).code, EXIT.notFound);
+        assert.strictEqual((await cli('scenario', 'run', 'chat-smoke', '--var', 'oops')).code, EXIT.usage);
+    });
+
+    it('exits with a code scripts can tell apart', async () => {
+        const notFound = await cli('send', '--to', 'nobody');
+        assert.strictEqual(notFound.code, EXIT.notFound);
+        assert.match(notFound.stderr, /User @nobody not found/);
+
+        backend.inject({ path: '/api/comments', status: 500 });
+        const failed = await cli('comment', '--post', '103', '--json');
+        assert.strictEqual(failed.code, EXIT.failed);
+        assert.strictEqual(failed.json.success, false);
+
+        assert.strictEqual((await cli('send')).code, EXIT.usage);
+        assert.strictEqual((await cli('users')).code, EXIT.usage);
+        assert.strictEqual((await cli('stats', '--limit', '3')).code, EXIT.usage);
+        assert.strictEqual((await cli()).code, EXIT.usage);
+        assert.strictEqual((await cli('--help')).code, EXIT.ok);
+
+        env.PORT = 'eighty';
+        try {
+            const invalid = await cli('stats', '--json');
+            assert.strictEqual(invalid.code, EXIT.config);
+            assert.match(invalid.json.error, /PORT \(environment\)/);
+        } finally {
+            delete env.PORT;
+        }
+    });
+});
@@ -0,0 +1,53 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const CommentRules = require('../lib/comment-rules');
+const { TemplateLibrary } = require('../lib/templates');
+const fixtures = require('./fixtures/posts.json');
+
+const rules = CommentRules.load(path.join(__dirname, '..', 'comment-rules.json'));
+const templates = TemplateLibrary.load(path.join(__dirname, '..', 'templates'));
+const now = new Date(fixtures.now);
+
+describe('comment rules', () => {
+    for (const sample of fixtures.posts) {
+        it(`${sample.description} -> ${sample.expected || 'skip'}`, () => {
+            const decision = rules.evaluate(sample.post, now);
+
+            if (sample.expected === null) {
+                assert.strictEqual(decision.skip, true, `expected skip, got ${decision.category} via ${decision.rule}`);
+                return;
+            }
+
+            assert.strictEqual(decision.skip, false, `unexpected skip via ${decision.rule}`);
+            assert.strictEqual(decision.category, sample.expected, `matched rule ${decision.rule}`);
+
+            const comment = templates.render('comment', {
+                category: decision.category,
+                targetKey: `post:${sample.post.id}`,
+                vars: { username: sample.post.username, post_excerpt: sample.post.content }
+            });
+            assert.strictEqual(comment.category, sample.expected);
+            assert.ok(comment.text.length > 0);
+            assert.doesNotMatch(comment.text, /[{}|]/);
+        });
+    }
+
+    it('every rule category has comment templates', () => {
+        for (const category of rules.categories()) {
+            assert.ok(templates.has('comment', category), `no templates for "${category}"`);
+        }
+    });
+
+    it('rejects unknown conditions at load time', () => {
+        assert.throws(
+            () => new CommentRules({ rules: [{ name: 'typo', when: { keyword: ['x'] }, category: 'generic' }] }),
+            /unknown condition "keyword"/
+        );
+    });
+
+    it('skips everything unmatched when there is no default category', () => {
+        const strict = new CommentRules({ defaultCategory: null, rules: [] });
+        assert.strictEqual(strict.evaluate({ content: 'hello' }, now).skip, true);
+    });
+});
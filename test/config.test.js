@@ -0,0 +1,247 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadConfig, loadBots } = require('../lib/config');
+const { ConfigError } = require('../lib/config-schema');
+const { parseEnvFile } = require('../lib/env-file');
+const { ConfigWatcher } = require('../lib/config-watcher');
+const BotRunner = require('../lib/bot-runner');
+const { logger, Logger } = require('../lib/logging');
+
+logger.configure({ sinks: [] });
+
+const TEMPLATES_DIR = path.join(__dirname, '..', 'templates');
+
+function tempDir() {
+    return fs.mkdtempSync(path.join(os.tmpdir(), 'botcop-config-'));
+}
+
+/**
+ * Write files into a fresh directory: { name: content }
+ */
+function writeFiles(files) {
+    const dir = tempDir();
+    for (const [name, content] of Object.entries(files)) {
+        fs.writeFileSync(path.join(dir, name), content);
+    }
+    return dir;
+}
+
+describe('config sources', () => {
+    let dir;
+
+    before(() => {
+        dir = writeFiles({
+            'bots.yaml': [
+                'env:',
+                '  INTERVAL_MINUTES: 10',
+                '  TIMEZONE: Europe/Berlin',
+                '  MAX_RETRIES: 1',
+                '  QUIET_HOURS: ["22:00-07:00"]',
+                'bots:',
+                '  - name: cop',
+                '    username: cop',
+                '    passwordEnv: COP_PASSWORD',
+                '  - username: greeter',
+                '    intervalMinutes: 0.5',
+                '    actions: [message]'
+            ].join('\n'),
+            '.env': 'INTERVAL_MINUTES=5\nCOP_PASSWORD="s3cret # not a comment"\nexport PORT=4000 # comment\n'
+        });
+    });
+
+    after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+    it('layers the environment over .env over the config file over defaults', () => {
+        const config = loadConfig({
+            CONFIG_FILE: path.join(dir, 'bots.yaml'),
+            ENV_FILE: path.join(dir, '.env'),
+            MAX_RETRIES: '2'
+        });
+        const [cop, greeter] = config.bots;
+
+        assert.strictEqual(cop.intervalMinutes, 5, '.env beats the config file');
+        assert.strictEqual(cop.requests.maxRetries, 2, 'the environment beats the config file');
+        assert.strictEqual(cop.schedule.timezone, 'Europe/Berlin');
+        assert.deepStrictEqual(cop.schedule.quietHours, ['22:00-07:00']);
+        assert.strictEqual(cop.password, 's3cret # not a comment', 'passwordEnv can point into .env');
+        assert.strictEqual(greeter.intervalMinutes, 0.5, 'bot entries beat every setting');
+        assert.strictEqual(config.port, 4000);
+        assert.strictEqual(config.sources.origins.INTERVAL_MINUTES, path.join(dir, '.env'));
+        assert.strictEqual(config.sources.origins.TIMEZONE, path.join(dir, 'bots.yaml'));
+        assert.strictEqual(config.sources.origins.STORE_TYPE, 'default');
+    });
+
+    it('reports every problem at once', () => {
+        const badDir = writeFiles({
+            'bots.json': JSON.stringify({
+                env: { INTERVAL_MINUTE: 3, PORT: 70000 },
+                bots: [{ username: 'cop', intervalMinutes: 'often', scheduel: {} }]
+            })
+        });
+
+        try {
+            assert.throws(() => loadConfig({
+                CONFIG_FILE: path.join(badDir, 'bots.json'),
+                ENV_FILE: path.join(badDir, '.env'),
+                INTERVAL_MINUTES: 'abc',
+                BOT_PASSWORD: '',
+                MESSAGE_STRATEGY: 'loudest'
+            }), error => {
+                assert.ok(error instanceof ConfigError);
+                assert.deepStrictEqual(error.problems, [
+                    `INTERVAL_MINUTE (${path.join(badDir, 'bots.json')}): unknown setting`,
+                    'INTERVAL_MINUTES (environment): expected a number above 0, got "abc"',
+                    'MESSAGE_STRATEGY (environment): expected one of random, least-recent, weighted-activity, got "loudest"',
+                    `PORT (${path.join(badDir, 'bots.json')}): expected a whole number from 0 to 65535, got 70000`
+                ]);
+                return true;
+            });
+
+            fs.writeFileSync(path.join(badDir, 'bots.json'), JSON.stringify({ bots: [{ username: 'cop', intervalMinutes: 'often', scheduel: {} }] }));
+            assert.throws(() => loadBots({ CONFIG_FILE: path.join(badDir, 'bots.json') }), error => {
+                assert.match(error.message, /bots\[0\]\.intervalMinutes: expected a number above 0, got "often"/);
+                assert.match(error.message, /bots\[0\]\.scheduel: unknown field/);
+                return true;
+            });
+        } finally {
+            fs.rmSync(badDir, { recursive: true, force: true });
+        }
+    });
+
+    it('resolves bot entries from their checked values', () => {
+        const quotedDir = writeFiles({
+            'bots.yaml': [
+                'bots:',
+                '  - username: cop',
+                '    dryRun: "off"',
+                '    inbox: { enabled: "no" }',
+                '    requests: { maxRetries: "1" }',
+                '    directory: { pageSize: "50", excludeBots: "yes" }',
+                '    posts: { maxPages: "2", includeAuthors: "anna, martin" }'
+            ].join('\n')
+        });
+
+        try {
+            const [bot] = loadBots({ CONFIG_FILE: path.join(quotedDir, 'bots.yaml'), DRY_RUN: 'true' });
+            assert.strictEqual(bot.dryRun, false);
+            assert.strictEqual(bot.inbox.enabled, false);
+            assert.strictEqual(bot.requests.maxRetries, 1);
+            assert.strictEqual(bot.directory.pageSize, 50);
+            assert.strictEqual(bot.directory.excludeBots, true);
+            assert.strictEqual(bot.posts.maxPages, 2);
+            assert.deepStrictEqual(bot.posts.includeAuthors, ['anna', 'martin']);
+        } finally {
+            fs.rmSync(quotedDir, { recursive: true, force: true });
+        }
+    });
+
+    it('no longer turns a bad INTERVAL_MINUTES into NaN', () => {
+        assert.throws(() => loadBots({ INTERVAL_MINUTES: '2m' }), /INTERVAL_MINUTES \(environment\): expected a number above 0/);
+        assert.strictEqual(loadBots({ INTERVAL_MINUTES: '1.5' })[0].intervalMinutes, 1.5);
+    });
+
+    it('refuses the default password in production', () => {
+        const env = { NODE_ENV: 'production', ENV_FILE: path.join(dir, 'missing.env'), BOTS_CONFIG: path.join(dir, 'bots.yaml') };
+
+        assert.throws(() => loadConfig({ ...env, COP_PASSWORD: 'x' }), /Bot "greeter" uses the default password/);
+        assert.strictEqual(loadConfig({ ...env, BOT_PASSWORD: 'long-and-random', COP_PASSWORD: 'x' }).production, true);
+    });
+});
+
+describe('parseEnvFile', () => {
+    it('reads KEY=value lines', () => {
+        assert.deepStrictEqual(parseEnvFile([
+            '# comment',
+            'A=1',
+            'export B = two words # note',
+            'C=\'single # kept\'',
+            'D="line\\nbreak"',
+            'E='
+        ].join('\n')), { A: '1', B: 'two words', C: 'single # kept', D: 'line\nbreak', E: '' });
+    });
+
+    it('rejects lines it can\'t read', () => {
+        assert.throws(() => parseEnvFile('A=1\nnot a setting', 'app.env'), /app\.env, line 2: expected KEY=value/);
+        assert.throws(() => parseEnvFile('A="open'), /unterminated double-quoted value for A/);
+    });
+});
+
+describe('config reload', () => {
+    let dir;
+    let runner;
+
+    function loadIdentity(env = {}) {
+        return loadBots({ STORE_TYPE: 'memory', INBOX_ENABLED: 'false', DATA_DIR: dir, MAX_RETRIES: '0', ...env })[0];
+    }
+
+    before(() => {
+        dir = tempDir();
+        fs.cpSync(TEMPLATES_DIR, path.join(dir, 'templates'), { recursive: true });
+        runner = new BotRunner(loadIdentity());
+        runner.scheduler.start();
+    });
+
+    after(() => {
+        runner.stop();
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('swaps the schedule, templates and targeting of a running bot', () => {
+        const identity = loadIdentity({
+            INTERVAL_MINUTES: '10',
+            TEMPLATES_PATH: path.join(dir, 'templates'),
+            MESSAGE_COOLDOWN: '1h',
+            BOT_BASE_URL: 'http://backend.example.com'
+        });
+        const previousTemplates = runner.bot.templates;
+
+        const restartFields = runner.reload(identity);
+
+        assert.deepStrictEqual(restartFields, ['baseUrl']);
+        assert.deepStrictEqual(runner.scheduler.getSchedule().map(rule => rule.every), [600000, 600000]);
+        assert.ok(runner.scheduler.getSchedule().every(rule => rule.nextRunAt), 'the new schedule is running');
+        assert.notStrictEqual(runner.bot.templates, previousTemplates);
+        assert.strictEqual(runner.bot.targeting.message.cooldown, '1h');
+        assert.strictEqual(runner.identity.baseUrl, 'http://localhost:5001', 'backend changes wait for a restart');
+    });
+
+    it('keeps the current setup when the new files are broken', () => {
+        fs.writeFileSync(path.join(dir, 'templates', 'comment.json'), '{ "categories": {} }');
+        const identity = loadIdentity({ TEMPLATES_PATH: path.join(dir, 'templates') });
+        const scheduler = runner.scheduler;
+
+        assert.throws(() => runner.reload(identity), /comment: has no categories/);
+        assert.strictEqual(runner.scheduler, scheduler);
+        assert.strictEqual(runner.identity.intervalMinutes, 10);
+    });
+
+    it('notices changed files', async () => {
+        const watchDir = writeFiles({ 'bots.json': '{}', 'other.txt': '' });
+        const changes = [];
+        const watcher = new ConfigWatcher({
+            onChange: file => changes.push(path.basename(file)),
+            debounce: 20,
+            logger: new Logger({ sinks: [] })
+        });
+
+        try {
+            watcher.watch([path.join(watchDir, 'bots.json')]);
+            fs.writeFileSync(path.join(watchDir, 'other.txt'), 'ignored');
+            fs.writeFileSync(path.join(watchDir, 'bots.json'), '{ "bots": [] }');
+            fs.writeFileSync(path.join(watchDir, 'bots.json'), '{ "bots": [{}] }');
+
+            const started = Date.now();
+            while (changes.length === 0 && Date.now() - started < 2000) {
+                await new Promise(resolve => setTimeout(resolve, 20));
+            }
+            await new Promise(resolve => setTimeout(resolve, 60));
+            assert.deepStrictEqual(changes, ['bots.json'], 'one reload per burst of writes');
+        } finally {
+            watcher.close();
+            fs.rmSync(watchDir, { recursive: true, force: true });
+        }
+    });
+});
@@ -0,0 +1,112 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const BotService = require('../bot-service');
+const { MemoryStore } = require('../lib/store');
+const { DoNotContactList } = require('../lib/do-not-contact');
+const { InboxListener, InboxRules } = require('../lib/inbox');
+
+const rules = InboxRules.load(path.join(__dirname, '..', 'inbox-rules.json'));
+
+/**
+ * Bot with chat 10 open to alice, whose messages go to and from "chats"
+ */
+function createInboxBot(chats, list) {
+    const bot = new BotService({ username: 'cop', password: 'pw', doNotContact: list });
+    bot.userId = 1;
+    bot.log = () => {};
+    bot.sent = [];
+    bot.getChatMessages = async chatId => chats[chatId];
+    bot.sendChatMessage = async (chatId, content) => {
+        chats[chatId].push({ id: chats[chatId].length + 100, sender_id: 1, content });
+        bot.sent.push(content);
+    };
+    bot.trackChat(10, { userId: 2, username: 'alice', lastSeenId: 1 });
+    return bot;
+}
+
+describe('do-not-contact list', () => {
+    it('matches users by ID or case-insensitive username', () => {
+        const list = new DoNotContactList({ initial: ['Alice', 'id:42'] });
+
+        assert.ok(list.has({ username: 'alice' }));
+        assert.ok(list.has({ id: 42, username: 'someone' }));
+        assert.ok(!list.has({ id: 7, username: 'bob' }));
+        assert.throws(() => list.remove({ username: 'alice' }), /from config/);
+    });
+
+    it('persists runtime entries in the store', () => {
+        const store = new MemoryStore();
+        const list = new DoNotContactList({ store });
+        assert.strictEqual(list.add({ userId: 5, username: 'carol' }, { source: 'admin' }).added, true);
+        assert.strictEqual(list.add({ username: 'Carol' }).added, false);
+
+        const reloaded = new DoNotContactList({ store });
+        assert.ok(reloaded.has({ username: 'carol' }));
+        assert.ok(reloaded.remove({ userId: 5 }));
+        assert.ok(!new DoNotContactList({ store }).has({ username: 'carol' }));
+    });
+
+    it('detects opt-out phrases as whole words', () => {
+        const list = new DoNotContactList();
+        assert.ok(list.isOptOut('Please STOP messaging me'));
+        assert.ok(list.isOptOut('unsubscribe'));
+        assert.ok(!list.isOptOut('I cannot stopwatch this'));
+    });
+
+    it('only takes a single opt-out word as the whole message', () => {
+        const list = new DoNotContactList();
+        for (const text of ['stop', 'STOP!', 'Stop please.', 'please unsubscribe']) {
+            assert.ok(list.isOptOut(text), text);
+        }
+        for (const text of ["can't stop laughing", 'stop by later', 'Did you unsubscribe from the newsletter?']) {
+            assert.ok(!list.isOptOut(text), text);
+        }
+        assert.ok(list.isOptOut('ok, remove me from this'), 'phrases match anywhere');
+    });
+
+    it('refuses to message a listed user', async () => {
+        const bot = new BotService({
+            username: 'cop',
+            password: 'pw',
+            doNotContact: new DoNotContactList({ initial: ['alice'] })
+        });
+        bot.log = () => {};
+        bot.makeRequest = async () => assert.fail('no request expected');
+
+        const result = await bot.sendMessage(2, 'alice');
+        assert.strictEqual(result.success, false);
+        assert.strictEqual(result.errorClass, 'do_not_contact');
+    });
+
+    it('confirms an inbox opt-out once and then stays quiet', async () => {
+        const chats = { 10: [{ id: 1, sender_id: 1, content: 'Just checking in!' }] };
+        const list = new DoNotContactList();
+        const bot = createInboxBot(chats, list);
+
+        const inbox = new InboxListener(bot, rules);
+        chats[10].push({ id: 2, sender_id: 2, content: 'stop' });
+        await inbox.poll();
+        assert.strictEqual(bot.sent.length, 1);
+        assert.ok(list.has({ username: 'alice' }));
+        assert.strictEqual(inbox.getStatus().optOuts, 1);
+
+        chats[10].push({ id: 3, sender_id: 2, content: 'hello?' });
+        await inbox.poll();
+        assert.strictEqual(bot.sent.length, 1);
+    });
+
+    it('finds an opt-out word sent after another message in the same poll', async () => {
+        const chats = { 10: [{ id: 1, sender_id: 1, content: 'Just checking in!' }] };
+        const list = new DoNotContactList();
+        const bot = createInboxBot(chats, list);
+
+        const inbox = new InboxListener(bot, rules);
+        chats[10].push({ id: 2, sender_id: 2, content: 'hi' }, { id: 3, sender_id: 2, content: 'stop' });
+        await inbox.poll();
+
+        assert.ok(list.has({ username: 'alice' }));
+        assert.strictEqual(bot.sent.length, 1, 'only the opt-out confirmation');
+        assert.strictEqual(inbox.getStatus().optOuts, 1);
+    });
+});
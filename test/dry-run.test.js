@@ -0,0 +1,62 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const BotService = require('../bot-service');
+const { DryRunError } = require('../lib/errors');
+
+describe('dry run', () => {
+    const requests = [];
+    let server;
+    let baseUrl;
+
+    before(async () => {
+        server = http.createServer((req, res) => {
+            requests.push(`${req.method} ${req.url.split('?')[0]}`);
+            const body = {
+                '/api/auth/signin': { token: 't', user: { id: 1 } },
+                '/api/users/search': { users: [{ id: 2, username: 'alice' }] },
+                '/api/posts': { posts: [{ id: 5, user_id: 2, username: 'alice', content: 'Sunny day!' }] }
+            }[req.url.split('?')[0]] || {};
+            res.writeHead(200, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify(body));
+        });
+        await new Promise(resolve => server.listen(0, resolve));
+        baseUrl = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    after(() => server.close());
+
+    function createBot() {
+        const bot = new BotService({ baseUrl, username: 'cop', password: 'pw', dryRun: true });
+        bot.log = () => {};
+        return bot;
+    }
+
+    it('reads and renders but never writes', async () => {
+        const bot = createBot();
+        const message = await bot.runAction('message');
+        const comment = await bot.runAction('comment');
+        await bot.sendReport(3, 'phone', message);
+
+        assert.strictEqual(message.simulated, true);
+        assert.strictEqual(message.target, 'alice');
+        assert.ok(message.content.length > 0);
+        assert.strictEqual(comment.simulated, true);
+        assert.deepStrictEqual(requests.filter(request => !request.startsWith('GET')), ['POST /api/auth/signin']);
+    });
+
+    it('counts simulated attempts apart from successes', async () => {
+        const bot = createBot();
+        await bot.runAction('message');
+
+        const stats = bot.getStats();
+        assert.strictEqual(stats.simulated, 1);
+        assert.strictEqual(stats.successes, 0);
+        assert.strictEqual(stats.windows.lastHour.byAction.message.simulated, 1);
+    });
+
+    it('refuses write requests that bypass the simulated paths', async () => {
+        const bot = createBot();
+        await assert.rejects(bot.makeRequest('/api/comments', { method: 'POST', body: '{}' }), DryRunError);
+    });
+});
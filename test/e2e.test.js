@@ -0,0 +1,259 @@
+const { describe, it, before, after, beforeEach, mock } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const fetch = require('node-fetch');
+const { MockBackend } = require('./mock-backend');
+const { createBot } = require('./helpers');
+const { logger, RingBufferSink } = require('../lib/logging');
+
+// Captured before any test enables fake timers
+const realSetTimeout = setTimeout;
+
+describe('BotService against the mock backend', () => {
+    const backend = new MockBackend();
+    let baseUrl;
+
+    before(async () => {
+        baseUrl = await backend.listen();
+    });
+
+    after(() => backend.close());
+
+    beforeEach(() => backend.reset());
+
+    it('messages a user and comments on a post', async () => {
+        const bot = createBot(baseUrl);
+
+        const message = await bot.runAction('message');
+        const comment = await bot.runAction('comment');
+
+        assert.strictEqual(message.success, true);
+        assert.strictEqual(backend.messagesTo(message.target).at(-1).content, message.content);
+        assert.strictEqual(comment.success, true);
+        assert.strictEqual(backend.comments.length, 1);
+        assert.strictEqual(backend.comments[0].content, comment.content);
+    });
+
+    it('retries 500s and succeeds', async () => {
+        backend.inject({ path: '/api/posts', times: 2, status: 500 });
+        const bot = createBot(baseUrl);
+
+        const posts = await bot.getPosts();
+
+        assert.strictEqual(posts.length, 3);
+        assert.strictEqual(bot.sleeps.length, 2);
+        assert.deepStrictEqual(backend.requests.filter(r => r.path === '/api/posts').map(r => r.status), [500, 500, 200]);
+    });
+
+    it('waits out a 429 for as long as Retry-After says', async () => {
+        backend.inject({ path: '/api/posts', status: 429, retryAfter: 3 });
+        const bot = createBot(baseUrl);
+
+        await bot.getPosts();
+
+        assert.strictEqual(bot.sleeps[0], 3000);
+    });
+
+    it('signs in again when the token expires', async () => {
+        const bot = createBot(baseUrl);
+        await bot.authenticate();
+        const firstToken = bot.token;
+
+        backend.expireTokens();
+        const posts = await bot.getPosts();
+
+        assert.strictEqual(posts.length, 3);
+        assert.notStrictEqual(bot.token, firstToken);
+        assert.deepStrictEqual(backend.requestLog(), [
+            'POST /api/auth/signin',
+            'GET /api/posts',
+            'POST /api/auth/signin',
+            'GET /api/posts'
+        ]);
+    });
+
+    it('times out slow responses and retries them', async () => {
+        backend.inject({ path: '/api/posts', delayMs: 300 });
+        const bot = createBot(baseUrl, { requestTimeout: 100 });
+
+        const posts = await bot.getPosts();
+
+        assert.strictEqual(posts.length, 3);
+        assert.strictEqual(bot.sleeps.length, 1);
+    });
+
+    it('skips the action when the body is malformed instead of retrying', async () => {
+        backend.inject({ path: '/api/posts', malformed: true });
+        const bot = createBot(baseUrl);
+
+        const result = await bot.runAction('comment');
+
+        assert.strictEqual(result, null);
+        assert.strictEqual(bot.getStats().skipped, 1);
+        assert.strictEqual(backend.requests.filter(r => r.path === '/api/posts').length, 1);
+        assert.strictEqual(backend.comments.length, 0);
+    });
+
+    it('fails the action once retries run out', async () => {
+        backend.inject({ path: '/api/comments', times: Infinity, status: 503 });
+        const bot = createBot(baseUrl);
+
+        const result = await bot.runAction('comment');
+
+        assert.strictEqual(result.success, false);
+        assert.strictEqual(bot.errorCount, 1);
+        assert.strictEqual(backend.requests.filter(r => r.path === '/api/comments').length, bot.maxRetries + 1);
+    });
+
+    it('describes a post the same way whether the comment fails or succeeds', async () => {
+        backend.inject({ path: '/api/comments', status: 400 });
+        const bot = createBot(baseUrl, { maxRetries: 0 });
+
+        const failed = await bot.commentOnPost(102, 'martin');
+        const succeeded = await bot.commentOnPost(102, 'martin');
+
+        assert.deepStrictEqual([failed.success, succeeded.success], [false, true]);
+        assert.strictEqual(failed.target, 'post 102 by @martin');
+        assert.strictEqual(succeeded.target, failed.target);
+    });
+});
+
+describe('index.js scheduling against the mock backend', () => {
+    const backend = new MockBackend();
+    const service = require('../index');
+    const savedEnv = { ...process.env };
+    let dataDir;
+    let logs;
+
+    /**
+     * Let real I/O (the mock's sockets) make progress while fake timers are on
+     */
+    function settle(ms = 15) {
+        return new Promise(resolve => realSetTimeout(resolve, ms));
+    }
+
+    /**
+     * Advance fake time in steps until the condition holds
+     */
+    async function advanceUntil(condition, { step = 1000, limit = 5 * 60 * 1000 } = {}) {
+        for (let elapsed = 0; elapsed <= limit; elapsed += step) {
+            await settle();
+            if (condition()) return;
+            mock.timers.tick(step);
+        }
+        throw new Error(`Condition not met after ${limit}ms of fake time`);
+    }
+
+    function status() {
+        return service.getStatus().bots[0];
+    }
+
+    before(async () => {
+        const baseUrl = await backend.listen();
+        dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'botcop-e2e-'));
+
+        Object.assign(process.env, {
+            BOT_BASE_URL: baseUrl,
+            BOT_USERNAME: 'cop',
+            BOT_PASSWORD: '123456',
+            REPORT_USERNAME: 'phone',
+            BOT_ACTIONS: 'message,comment',
+            INTERVAL_MINUTES: '1',
+            STORE_TYPE: 'memory',
+            DATA_DIR: dataDir,
+            INBOX_ENABLED: 'false',
+            LOG_LEVEL: 'error',
+            LOG_FORMAT: 'json',
+            PORT: '0'
+        });
+        delete process.env.BOTS_CONFIG;
+        delete process.env.ADMIN_TOKEN;
+        delete process.env.ADMIN_TOKENS;
+
+        mock.timers.enable({ apis: ['setTimeout', 'setInterval', 'Date'], now: Date.now() });
+        await service.start();
+
+        // Keep the test output clean; the ring buffer still records everything
+        logs = new RingBufferSink({ size: 1000 });
+        logger.configure({ level: 'debug', sinks: [logs] });
+    });
+
+    after(async () => {
+        await service.shutdown();
+        mock.timers.reset();
+        await backend.close();
+        fs.rmSync(dataDir, { recursive: true, force: true });
+        process.env = savedEnv;
+    });
+
+    it('signs in and finds the report user on start', () => {
+        assert.strictEqual(status().initialized, true);
+        assert.strictEqual(status().reportUser, 'phone');
+        assert.deepStrictEqual(backend.requestLog().slice(0, 2), ['POST /api/auth/signin', 'GET /api/users/search']);
+    });
+
+    it('runs scheduled actions and reports each one', async () => {
+        await advanceUntil(() => status().stats.successes >= 2 && backend.comments.length >= 1);
+
+        const reports = backend.messagesTo('phone');
+        assert.ok(reports.length >= 2, `expected reports, got ${reports.length}`);
+        assert.ok(reports.some(report => /comment/i.test(report.content)));
+    });
+
+    it('serves /health, the probes and /metrics while running', async () => {
+        const { port } = service.getAddress();
+        // fetch's own timeout uses the mocked clock, so only real I/O is awaited here
+        const health = await fetch(`http://127.0.0.1:${port}/health`).then(res => res.json());
+        const metrics = await fetch(`http://127.0.0.1:${port}/metrics`).then(res => res.text());
+        const livez = await fetch(`http://127.0.0.1:${port}/livez`);
+        const readyz = await fetch(`http://127.0.0.1:${port}/readyz`);
+
+        assert.strictEqual(health.healthy, true);
+        assert.strictEqual(health.status, 'healthy');
+        assert.strictEqual(livez.status, 200);
+        assert.strictEqual(readyz.status, 200);
+        assert.strictEqual((await readyz.json()).ready, true);
+        assert.match(metrics, /botcop_action_attempts_total\{bot="cop",action="(message|comment)",outcome="success"\}/);
+    });
+
+    it('serves the /status dashboard with the recent events of /events', async () => {
+        const { port } = service.getAddress();
+        const page = await fetch(`http://127.0.0.1:${port}/status`).then(res => res.text());
+        const badTypes = await fetch(`http://127.0.0.1:${port}/events?types=likes`);
+
+        assert.match(page, /<section class="bot" data-bot="cop">/);
+        const data = JSON.parse(page.match(/<script type="application\/json" id="dashboard-data">(.*?)<\/script>/)[1]);
+        assert.ok(data.events.some(event => event.type === 'auth' && event.success));
+        assert.ok(data.events.some(event => event.type === 'action' && event.outcome === 'success'));
+        assert.ok(data.events.some(event => event.type === 'report' && event.recipient === 'phone'));
+        assert.strictEqual(data.lastEventId, data.events.at(-1).id);
+        assert.strictEqual(badTypes.status, 400);
+    });
+
+    it('goes unhealthy after repeated failures and recovers on the health check', async () => {
+        backend.inject({ path: '/api/chats', times: Infinity, status: 500 });
+        backend.inject({ path: '/api/comments', times: Infinity, status: 500 });
+
+        await advanceUntil(() => status().consecutiveErrors >= 5);
+        assert.strictEqual(status().healthy, false);
+        assert.strictEqual(status().health.status, 'down');
+
+        const { port } = service.getAddress();
+        assert.strictEqual((await fetch(`http://127.0.0.1:${port}/health`)).status, 503);
+        assert.strictEqual((await fetch(`http://127.0.0.1:${port}/readyz`)).status, 503);
+        assert.strictEqual((await fetch(`http://127.0.0.1:${port}/livez`)).status, 200);
+
+        backend.clearFaults();
+        await advanceUntil(() => status().healthy, { step: 1000, limit: 60 * 1000 });
+
+        assert.strictEqual(status().consecutiveErrors, 0);
+        assert.ok(logs.recent(1000).some(record => record.msg === 'Recovery successful!'));
+
+        // Scheduled runs carry on after recovery
+        const comments = backend.comments.length;
+        const messages = backend.messagesTo('phone').length;
+        await advanceUntil(() => backend.comments.length > comments || backend.messagesTo('phone').length > messages);
+    });
+});
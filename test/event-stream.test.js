@@ -0,0 +1,188 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const BotService = require('../bot-service');
+const { MockBackend } = require('./mock-backend');
+const { createBot } = require('./helpers');
+const { EventStream } = require('../lib/event-stream');
+const { renderDashboard } = require('../lib/dashboard');
+
+/**
+ * Open an SSE connection; "events" resolves once "done" is happy with the
+ * frames received so far
+ */
+function listen(port, path, { headers = {}, done = () => false } = {}) {
+    let req;
+    const connected = new Promise((resolve, reject) => {
+        req = http.get({ host: '127.0.0.1', port, path, headers }, resolve);
+        req.on('error', reject);
+    });
+    const events = connected.then(res => new Promise(resolve => {
+        let body = '';
+        res.setEncoding('utf8');
+        res.on('data', chunk => {
+            body += chunk;
+            if (done(parseFrames(body))) {
+                req.destroy();
+                resolve({ res, events: parseFrames(body), body });
+            }
+        });
+    }));
+    return { req, connected, events };
+}
+
+function parseFrames(body) {
+    return body.split('\n\n')
+        .filter(frame => frame.includes('data: '))
+        .map(frame => JSON.parse(frame.split('\n').find(line => line.startsWith('data: ')).slice(6)));
+}
+
+function get(port, path) {
+    return new Promise((resolve, reject) => {
+        http.get({ host: '127.0.0.1', port, path }, res => {
+            let body = '';
+            res.on('data', chunk => { body += chunk; });
+            res.on('end', () => resolve({ status: res.statusCode, body }));
+        }).on('error', reject);
+    });
+}
+
+describe('event stream', () => {
+    let stream;
+    let server;
+    let port;
+
+    beforeEach(() => {
+        stream = new EventStream({ bufferSize: 5 });
+    });
+
+    before(async () => {
+        server = http.createServer((req, res) => stream.handle(req, res));
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        port = server.address().port;
+    });
+
+    after(() => {
+        stream.close();
+        server.close();
+    });
+
+    it('keeps the newest events and replays those after an ID', () => {
+        for (let i = 0; i < 7; i++) stream.publish('action', { bot: i % 2 ? 'cop' : 'phone', n: i });
+
+        assert.deepStrictEqual(stream.recent().map(event => event.id), [3, 4, 5, 6, 7]);
+        assert.deepStrictEqual(stream.recent({ since: 5 }).map(event => event.n), [5, 6]);
+        assert.deepStrictEqual(stream.recent({ filter: { bot: 'cop' } }).map(event => event.id), [4, 6]);
+        assert.deepStrictEqual(stream.recent({ limit: 2 }).map(event => event.id), [6, 7]);
+        assert.throws(() => stream.publish('nonsense'), /Unknown event type "nonsense"/);
+    });
+
+    it('streams matching events live and catches up from Last-Event-ID', async () => {
+        stream.publish('auth', { bot: 'cop', success: true });
+        stream.publish('action', { bot: 'cop', action: 'message', outcome: 'success' });
+
+        const live = listen(port, '/events?types=action,health&bot=cop', { done: events => events.length === 2 });
+        await live.connected;
+        stream.publish('action', { bot: 'phone', action: 'message', outcome: 'success' });
+        stream.publish('report', { bot: 'cop', delivered: true });
+        stream.publish('health', { bot: 'cop', status: 'degraded', previous: 'healthy', reasons: [] });
+        stream.publish('action', { bot: 'cop', action: 'comment', outcome: 'failure', error: 'HTTP 500' });
+
+        const { res, events, body } = await live.events;
+        assert.strictEqual(res.headers['content-type'], 'text/event-stream');
+        assert.match(body, /^retry: 5000\n\nid: 5\nevent: health\n/);
+        assert.deepStrictEqual(events.map(event => [event.type, event.status || event.outcome]), [['health', 'degraded'], ['action', 'failure']]);
+
+        // A reconnecting browser sends the last ID it saw
+        const replay = await listen(port, '/events', { headers: { 'Last-Event-ID': '4' }, done: events => events.length === 2 }).events;
+        assert.deepStrictEqual(replay.events.map(event => event.id), [5, 6]);
+    });
+
+    it('refuses unknown event types and too many clients', async () => {
+        const bad = await get(port, '/events?types=action,likes');
+        assert.strictEqual(bad.status, 400);
+        assert.match(bad.body, /Unknown event type\(s\): likes/);
+
+        stream.maxClients = 1;
+        const first = listen(port, '/events');
+        await first.connected;
+        assert.strictEqual((await get(port, '/events')).status, 503);
+        first.req.destroy();
+    });
+
+    it('gets auth, action and report events from the bot', async () => {
+        const backend = new MockBackend();
+        const baseUrl = await backend.listen();
+        try {
+            const bot = createBot(baseUrl, { events: stream, name: 'cop', maxRetries: 0 });
+            await bot.runAction('message');
+            backend.inject({ path: '/api/comments', status: 500 });
+            await bot.runAction('comment');
+            await bot.sendReport(2, 'phone', 'Report');
+
+            const events = stream.recent();
+            assert.deepStrictEqual(events.map(event => event.type), ['auth', 'action', 'action', 'report']);
+            assert.ok(events.every(event => event.bot === 'cop'));
+            assert.strictEqual(events[0].success, true);
+            assert.strictEqual(events[1].outcome, 'success');
+            assert.ok(events[1].content, 'the message text goes along');
+            assert.strictEqual(events[2].outcome, 'failure');
+            assert.match(events[2].error, /500/);
+            assert.deepStrictEqual([events[3].recipient, events[3].delivered, events[3].text], ['phone', true, 'Report']);
+        } finally {
+            await backend.close();
+        }
+    });
+});
+
+describe('status dashboard', () => {
+    const HOSTILE = '<script>alert(1)</script>';
+
+    function botStatus() {
+        const bot = new BotService({ baseUrl: 'http://127.0.0.1:1', username: 'cop', password: '123456' });
+        bot.metrics.record({ action: 'message', target: HOSTILE, outcome: 'failure', error: `Can't reach ${HOSTILE}` });
+        bot.metrics.record({ action: 'message', target: 'anna', outcome: 'success' });
+        return {
+            metrics: bot.metrics,
+            status: {
+                name: 'cop',
+                username: HOSTILE,
+                dryRun: false,
+                health: { status: 'degraded', reasons: [HOSTILE] },
+                circuits: [],
+                paused: false,
+                pausedActions: [],
+                lastError: HOSTILE,
+                schedule: [{ name: HOSTILE, every: 60000, cron: null, nextRunAt: '2026-01-01T10:00:00.000Z' }],
+                directory: null,
+                posts: null,
+                stats: bot.getStats()
+            }
+        };
+    }
+
+    it('escapes names, errors and event text, and charts the last 24h', () => {
+        const { metrics, status } = botStatus();
+        const html = renderDashboard({
+            status: { status: 'degraded', doNotContact: 0, bots: [status] },
+            uptime: 12,
+            bots: { cop: { activity: metrics.hourly(), failures: metrics.recentFailures() } },
+            events: [{ id: 1, type: 'action', at: new Date().toISOString(), bot: 'cop', content: `</script>${HOSTILE}` }],
+            lastEventId: 1,
+            log: []
+        });
+
+        assert.ok(!html.includes(HOSTILE), 'nothing user-provided reaches the page unescaped');
+        assert.ok(html.includes('&lt;script&gt;alert(1)&lt;/script&gt;'));
+        assert.strictEqual(html.match(/<\/script>/g).length, 2, 'only the page\'s own scripts close');
+
+        const data = JSON.parse(html.match(/<script type="application\/json" id="dashboard-data">(.*?)<\/script>/)[1]);
+        assert.strictEqual(data.events[0].content, `</script>${HOSTILE}`);
+        assert.strictEqual(data.lastEventId, 1);
+        assert.deepStrictEqual(data.health, { cop: 'degraded' });
+        const buckets = data.charts.cop.byAction.message;
+        assert.strictEqual(buckets.length, 24);
+        assert.deepStrictEqual(buckets[23], { success: 1, failure: 1, skipped: 0, simulated: 0 });
+        assert.match(html, /<time data-next="2026-01-01T10:00:00.000Z"/);
+    });
+});
@@ -0,0 +1,149 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const { CircuitBreaker, CircuitBreakers } = require('../lib/circuit-breaker');
+const { assessHealth, worstStatus } = require('../lib/health');
+const { CircuitOpenError } = require('../lib/errors');
+const { MockBackend } = require('./mock-backend');
+const { createBot } = require('./helpers');
+
+describe('CircuitBreaker', () => {
+    it('opens after consecutive failures and fails fast while open', (t) => {
+        t.mock.timers.enable({ apis: ['Date'], now: 0 });
+        const breaker = new CircuitBreaker('/api/posts', { failureThreshold: 3, cooldown: '10s' });
+
+        breaker.failure(new Error('HTTP 500'));
+        breaker.success();
+        breaker.failure(new Error('HTTP 500'));
+        breaker.failure(new Error('HTTP 500'));
+        assert.strictEqual(breaker.state, 'closed', 'a success resets the count');
+
+        breaker.failure(new Error('HTTP 502'));
+        assert.strictEqual(breaker.state, 'open');
+        assert.throws(() => breaker.check(), CircuitOpenError);
+        assert.strictEqual(breaker.getStatus().retryAt, '1970-01-01T00:00:10.000Z');
+    });
+
+    it('lets one probe through after the cooldown', (t) => {
+        t.mock.timers.enable({ apis: ['Date'], now: 0 });
+        const changes = [];
+        const breaker = new CircuitBreaker('/api/posts', {
+            failureThreshold: 1,
+            cooldown: '10s',
+            onStateChange: (circuit, previous) => changes.push(`${previous}->${circuit.state}`)
+        });
+
+        breaker.failure(new Error('timeout'));
+        t.mock.timers.tick(10000);
+        breaker.check();
+        assert.strictEqual(breaker.state, 'half_open');
+        assert.throws(() => breaker.check(), CircuitOpenError, 'only one probe at a time');
+
+        breaker.failure(new Error('timeout'));
+        assert.strictEqual(breaker.state, 'open', 'a failed probe opens it again');
+
+        t.mock.timers.tick(10000);
+        breaker.check();
+        breaker.success();
+        assert.strictEqual(breaker.state, 'closed');
+        assert.deepStrictEqual(changes, ['closed->open', 'open->half_open', 'half_open->open', 'open->half_open', 'half_open->closed']);
+    });
+
+    it('keeps one breaker per endpoint and rejects bad settings', () => {
+        const breakers = new CircuitBreakers();
+
+        assert.strictEqual(breakers.get('/api/chats/1/messages'), breakers.get('/api/chats/2/messages'));
+        assert.notStrictEqual(breakers.get('/api/posts'), breakers.get('/api/comments'));
+        assert.throws(() => new CircuitBreakers({ failureThreshold: 0 }), /at least 1/);
+        assert.throws(() => new CircuitBreakers({ cooldown: 'soon' }), /Invalid circuit breaker cooldown/);
+    });
+});
+
+describe('assessHealth', () => {
+    const quiet = { consecutiveErrors: 0, transportFailures: 0, trippedCircuits: [], recent: null };
+    const recent = (success, failure) => ({ success, failure });
+
+    it('is healthy with nothing wrong', () => {
+        assert.deepStrictEqual(assessHealth(quiet), { status: 'healthy', reasons: [] });
+    });
+
+    it('is degraded by open circuits or a high recent failure rate', () => {
+        assert.deepStrictEqual(
+            assessHealth({ ...quiet, trippedCircuits: [{ endpoint: '/api/posts', state: 'half_open' }] }),
+            { status: 'degraded', reasons: ['circuit half-open for /api/posts'] }
+        );
+        assert.deepStrictEqual(assessHealth({ ...quiet, recent: recent(2, 2) }).reasons, ['2 of the last 4 actions failed']);
+        assert.strictEqual(assessHealth({ ...quiet, recent: recent(0, 3) }).status, 'healthy', 'too few actions to judge');
+        assert.strictEqual(assessHealth({ ...quiet, recent: recent(3, 1) }).status, 'healthy');
+    });
+
+    it('is down when it can\'t sign in, keeps failing or gets no responses', () => {
+        assert.deepStrictEqual(assessHealth({ ...quiet, authError: 'Invalid credentials' }).reasons, ["can't sign in: Invalid credentials"]);
+        assert.strictEqual(assessHealth({ ...quiet, consecutiveErrors: 5 }).status, 'down');
+        assert.deepStrictEqual(
+            assessHealth({ ...quiet, transportFailures: 3, lastTransportError: 'ECONNREFUSED', recent: recent(1, 4) }).reasons,
+            ['backend unreachable: ECONNREFUSED', '4 of the last 5 actions failed']
+        );
+    });
+
+    it('rolls several bots up to the worst status', () => {
+        assert.strictEqual(worstStatus(['healthy', 'degraded', 'healthy']), 'degraded');
+        assert.strictEqual(worstStatus(['degraded', 'down']), 'down');
+        assert.strictEqual(worstStatus([]), 'down');
+    });
+});
+
+describe('BotService health against the mock backend', () => {
+    const backend = new MockBackend();
+    let baseUrl;
+
+    before(async () => {
+        baseUrl = await backend.listen();
+    });
+
+    after(() => backend.close());
+
+    beforeEach(() => backend.reset());
+
+    it('stops calling a failing endpoint until its cooldown ends', async () => {
+        const bot = createBot(baseUrl, { maxRetries: 0, circuitBreaker: { failureThreshold: 2, cooldown: 60000 } });
+        backend.inject({ path: '/api/posts', status: 503, times: Infinity });
+
+        await assert.rejects(() => bot.makeRequest('/api/posts'), /503/);
+        await assert.rejects(() => bot.makeRequest('/api/posts'), /503/);
+        await assert.rejects(() => bot.makeRequest('/api/posts'), CircuitOpenError);
+
+        assert.strictEqual(backend.requestLog().filter(entry => entry === 'GET /api/posts').length, 2);
+        assert.strictEqual(bot.getHealth().status, 'degraded');
+        assert.deepStrictEqual(bot.getHealth().reasons, ['circuit open for /api/posts']);
+        assert.strictEqual(bot.isHealthy(), true, 'degraded bots keep working');
+
+        // Once the cooldown is over, a successful probe closes the circuit
+        backend.clearFaults();
+        bot.breakers.get('/api/posts').openedAt -= 60000;
+        await bot.makeRequest('/api/posts');
+        assert.strictEqual(bot.getHealth().status, 'healthy');
+    });
+
+    it('is down when sign-in is rejected, until a sign-in succeeds', async () => {
+        const bot = createBot(baseUrl, { password: 'wrong' });
+
+        await assert.rejects(() => bot.authenticate(), /Authentication failed/);
+        assert.strictEqual(bot.getHealth().status, 'down');
+        assert.strictEqual(await bot.runAction('comment'), null, 'down bots skip actions');
+
+        bot.password = '123456';
+        await bot.authenticate();
+        assert.strictEqual(bot.getHealth().status, 'healthy');
+    });
+
+    it('is down when the backend does not answer', async () => {
+        const bot = createBot('http://127.0.0.1:9', { maxRetries: 2 });
+
+        await assert.rejects(() => bot.authenticate(), /ECONNREFUSED/);
+        await assert.rejects(() => bot.makeRequest('/api/posts'));
+        const health = bot.getHealth();
+
+        assert.strictEqual(health.status, 'down');
+        assert.ok(health.reasons.some(reason => /^backend unreachable: .*ECONNREFUSED/.test(reason)), health.reasons.join('; '));
+    });
+});
@@ -0,0 +1,21 @@
+/**
+ * Test Helpers
+ * Fixtures shared by the suites that run BotService against
+ * test/mock-backend.js.
+ */
+
+const BotService = require('../bot-service');
+
+/**
+ * A quiet BotService signed in as the mock backend's "cop" user. Sleeps
+ * return at once and are kept in bot.sleeps for retry assertions.
+ */
+function createBot(baseUrl, overrides = {}) {
+    const bot = new BotService({ baseUrl, username: 'cop', password: '123456', ...overrides });
+    bot.sleeps = [];
+    bot.sleep = async ms => { bot.sleeps.push(ms); };
+    bot.log = () => {};
+    return bot;
+}
+
+module.exports = { createBot };
@@ -0,0 +1,85 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const BotService = require('../bot-service');
+const { InboxListener, InboxRules } = require('../lib/inbox');
+
+const rules = InboxRules.load(path.join(__dirname, '..', 'inbox-rules.json'));
+
+/**
+ * BotService with the chat endpoints replaced by an in-memory conversation
+ */
+function createBot(chats) {
+    const bot = new BotService({ username: 'cop', password: 'pw' });
+    bot.userId = 1;
+    bot.log = () => {};
+    bot.sent = [];
+    bot.getChatMessages = async chatId => chats[chatId];
+    bot.sendChatMessage = async (chatId, content) => {
+        const message = { id: chats[chatId].length + 100, sender_id: 1, content };
+        chats[chatId].push(message);
+        bot.sent.push({ chatId, content });
+        return message;
+    };
+    return bot;
+}
+
+describe('inbox listener', () => {
+    it('answers a reply to the bot with the matching intent', async () => {
+        const chats = { 10: [{ id: 1, sender_id: 1, content: 'Just checking in!' }] };
+        const bot = createBot(chats);
+        bot.trackChat(10, { userId: 2, username: 'alice', lastSeenId: 1 });
+        chats[10].push({ id: 2, sender_id: 2, content: 'hey there!' });
+
+        const inbox = new InboxListener(bot, rules);
+        await inbox.poll();
+
+        assert.strictEqual(bot.sent.length, 1);
+        assert.match(bot.sent[0].content, /^(Hey|Hi|Hello)/);
+        assert.strictEqual(inbox.getStatus().replied, 1);
+
+        // Nothing new -> no second reply
+        await inbox.poll();
+        assert.strictEqual(bot.sent.length, 1);
+    });
+
+    it('does not answer history on the first look at a chat', async () => {
+        const chats = { 11: [{ id: 1, sender_id: 2, content: 'hello?' }] };
+        const bot = createBot(chats);
+        bot.trackChat(11, { userId: 2, username: 'bob' });
+
+        await new InboxListener(bot, rules).poll();
+        assert.strictEqual(bot.sent.length, 0);
+    });
+
+    it('stops replying once the chat reply limit is reached', async () => {
+        const chats = { 12: [{ id: 1, sender_id: 1, content: 'hi' }] };
+        const bot = createBot(chats);
+        bot.trackChat(12, { userId: 3, username: 'chatty', lastSeenId: 1 });
+        const strict = new InboxRules({ rules: rules.rules, limits: { maxRepliesPerChat: 2, minInterval: '0s' } });
+        const inbox = new InboxListener(bot, strict);
+
+        for (let i = 0; i < 5; i++) {
+            chats[12].push({ id: 50 + i, sender_id: 3, content: 'thanks' });
+            await inbox.poll();
+        }
+
+        assert.strictEqual(bot.sent.length, 2);
+        assert.strictEqual(inbox.getStatus().rateLimited, 3);
+    });
+
+    it('never answers other bot accounts', async () => {
+        const chats = { 13: [{ id: 1, sender_id: 1, content: 'hi' }] };
+        const bot = createBot(chats);
+        bot.trackChat(13, { userId: 4, username: 'greeter', lastSeenId: 1 });
+        chats[13].push({ id: 2, sender_id: 4, content: 'Hello from greeter!' });
+
+        await new InboxListener(bot, rules, { ignoreUsernames: ['greeter'] }).poll();
+        assert.strictEqual(bot.sent.length, 0);
+    });
+
+    it('classifies intents with a fallback', () => {
+        assert.strictEqual(rules.classify('are you a bot?').category, 'about');
+        assert.strictEqual(rules.classify('see you at 5').category, 'fallback');
+    });
+});
@@ -0,0 +1,73 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const BotService = require('../bot-service');
+const { Logger, RingBufferSink, FileSink, formatters } = require('../lib/logging');
+
+function bufferedLogger(level = 'info') {
+    const buffer = new RingBufferSink({ size: 3 });
+    return { logger: new Logger({ level, sinks: [buffer] }), buffer };
+}
+
+describe('logging', () => {
+    it('drops records below the configured level', () => {
+        const { logger, buffer } = bufferedLogger('warn');
+        logger.debug('noise');
+        logger.info('still noise');
+        logger.warn('careful');
+        logger.error('broken');
+
+        assert.deepStrictEqual(buffer.recent().map(record => record.level), ['warn', 'error']);
+    });
+
+    it('adds child fields and flattens errors', () => {
+        const { logger, buffer } = bufferedLogger();
+        logger.child({ bot: 'cop' }).error('Send failed', { chatId: 12, error: new Error('boom') });
+
+        const [record] = buffer.recent();
+        assert.strictEqual(record.bot, 'cop');
+        assert.strictEqual(record.chatId, 12);
+        assert.strictEqual(record.error, 'boom');
+        assert.deepStrictEqual(JSON.parse(formatters.json(record)), record);
+        assert.match(formatters.pretty(record), /^❌ \[.+\] \[cop\] Send failed {2}chatId=12 error=boom$/);
+    });
+
+    it('keeps only the newest records in the ring buffer', () => {
+        const { logger, buffer } = bufferedLogger();
+        for (let i = 0; i < 5; i++) logger.info(`line ${i}`);
+
+        assert.deepStrictEqual(buffer.recent().map(record => record.msg), ['line 2', 'line 3', 'line 4']);
+        assert.deepStrictEqual(buffer.recent(1).map(record => record.msg), ['line 4']);
+    });
+
+    it('rotates the log file by size', () => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'gsalebot-log-'));
+        const file = new FileSink({ path: path.join(dir, 'bot.log'), maxBytes: 300, maxFiles: 2 });
+        const logger = new Logger({ sinks: [file] });
+        for (let i = 0; i < 20; i++) logger.info('x'.repeat(40), { i });
+
+        assert.deepStrictEqual(fs.readdirSync(dir).sort(), ['bot.1.log', 'bot.log']);
+        const last = fs.readFileSync(path.join(dir, 'bot.log'), 'utf8').trim().split('\n').pop();
+        assert.strictEqual(JSON.parse(last).i, 19);
+    });
+
+    it('tags bot logs with the running action', async () => {
+        const { logger, buffer } = bufferedLogger();
+        const bot = new BotService({ name: 'cop', username: 'cop', password: 'pw', logger });
+        bot.getActiveUsers = async () => [{ id: 2, username: 'alice' }];
+        bot.sendMessage = async (userId, username) => {
+            bot.log(`Sent message to @${username}`, 'success', { target: username });
+            return { success: true, action: 'message', target: username };
+        };
+
+        await bot.runAction('message');
+
+        const sent = buffer.recent().find(record => record.msg === 'Sent message to @alice');
+        assert.deepStrictEqual(
+            { bot: sent.bot, action: sent.action, target: sent.target, success: sent.success },
+            { bot: 'cop', action: 'message', target: 'alice', success: true }
+        );
+    });
+});
@@ -0,0 +1,47 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { ActionMetrics, classifyError } = require('../lib/metrics');
+const { MemoryStore } = require('../lib/store');
+
+describe('action metrics', () => {
+    it('counts outcomes per action and excludes skips from the success rate', () => {
+        const metrics = new ActionMetrics();
+        metrics.record({ action: 'message', outcome: 'success', latencyMs: 100 });
+        metrics.record({ action: 'message', outcome: 'failure', errorClass: 'http_500', latencyMs: 300, retries: 3 });
+        metrics.record({ action: 'comment', outcome: 'skipped', errorClass: 'no_target' });
+
+        const { lastHour, sinceStart } = metrics.getSummary();
+        assert.strictEqual(lastHour.attempts, 3);
+        assert.strictEqual(lastHour.successRate, '50.00%');
+        assert.strictEqual(lastHour.byAction.message.avgLatencyMs, 200);
+        assert.strictEqual(sinceStart.byAction.comment.skipped, 1);
+    });
+
+    it('keeps rolling windows apart', () => {
+        const metrics = new ActionMetrics();
+        const old = metrics.record({ action: 'message', outcome: 'success' });
+        old.at = new Date(Date.now() - 2 * 60 * 60 * 1000).toISOString();
+        metrics.record({ action: 'message', outcome: 'success' });
+
+        const { lastHour, last24h } = metrics.getSummary();
+        assert.strictEqual(lastHour.attempts, 1);
+        assert.strictEqual(last24h.attempts, 2);
+    });
+
+    it('continues all-time totals and windows from the store', () => {
+        const store = new MemoryStore();
+        new ActionMetrics({ store }).record({ action: 'comment', outcome: 'success' });
+
+        const restarted = new ActionMetrics({ store });
+        const summary = restarted.getSummary();
+        assert.strictEqual(summary.allTime.byAction.comment.success, 1);
+        assert.strictEqual(summary.last24h.attempts, 1);
+        assert.strictEqual(summary.sinceStart.attempts, 0);
+    });
+
+    it('classifies errors', () => {
+        assert.strictEqual(classifyError(Object.assign(new Error('x'), { status: 404 })), 'http_404');
+        assert.strictEqual(classifyError(Object.assign(new Error('x'), { name: 'FetchError', type: 'system' })), 'network');
+        assert.strictEqual(classifyError(new TypeError('x')), 'TypeError');
+    });
+});
@@ -0,0 +1,318 @@
+#!/usr/bin/env node
+
+/**
+ * Mock GSale Backend
+ * In-memory stand-in for the endpoints BotService uses, for the end-to-end
+ * tests and for running the bot locally without the real backend:
+ *
+ *   npm run mock-backend          # listens on MOCK_PORT (default 5001)
+ *
+ * Endpoints: POST /api/auth/signin, GET /api/users/search, POST /api/chats/direct,
+ * GET|POST /api/chats/:id/messages, GET /api/posts, POST /api/comments. User
+ * search and the feed take "page" and "limit".
+ *
+ * Fault injection (tests call inject(); the CLI reads MOCK_FAULTS as JSON):
+ *   { path: '/api/posts', method: 'GET', times: 2, status: 500 }
+ *   { path: '/api/posts', status: 429, retryAfter: 1 }
+ *   { path: '/api/comments', delayMs: 2000 }          slow response
+ *   { path: '/api/posts', malformed: true }           200 with a broken JSON body
+ *   expireTokens()                                    every token gets 401 from now on
+ * "path" is a prefix (or a RegExp); "times" defaults to 1, Infinity keeps the fault.
+ */
+
+const http = require('http');
+const crypto = require('crypto');
+
+// Captured at load time so slow responses keep real time under fake timers
+const realSetTimeout = setTimeout;
+
+const DEFAULT_USERS = [
+    { id: 1, username: 'cop', password: '123456', posts_count: 0 },
+    { id: 2, username: 'phone', password: '123456', posts_count: 0 },
+    { id: 3, username: 'anna_stone', password: 'secret', posts_count: 12 },
+    { id: 4, username: 'martin', password: 'secret', posts_count: 4 },
+    { id: 5, username: 'peter', password: 'secret', posts_count: 7 }
+];
+
+const DEFAULT_POSTS = [
+    { id: 101, user_id: 3, content: 'Selling my old bike, barely used!', likes_count: 4, comments_count: 1 },
+    { id: 102, user_id: 4, content: 'What a sunny day at the lake', likes_count: 9, comments_count: 3 },
+    { id: 103, user_id: 5, content: 'Anyone know a good phone repair shop?', likes_count: 1, comments_count: 0 }
+];
+
+class MockBackend {
+    constructor(options = {}) {
+        this.users = (options.users || DEFAULT_USERS).map(user => ({ ...user }));
+        this.posts = (options.posts || DEFAULT_POSTS).map(post => ({
+            created_at: new Date().toISOString(),
+            ...post,
+            username: post.username || (this.users.find(user => user.id === post.user_id) || {}).username
+        }));
+        this.chats = new Map();
+        this.comments = [];
+        this.tokens = new Map();
+        this.faults = [];
+        this.requests = [];
+        this.nextId = 1000;
+        this.server = null;
+    }
+
+    /**
+     * Start listening; resolves to the base URL
+     */
+    listen(port = 0, host = '127.0.0.1') {
+        this.server = http.createServer((req, res) => this.handle(req, res));
+        return new Promise(resolve => {
+            this.server.listen(port, host, () => {
+                this.url = `http://${host}:${this.server.address().port}`;
+                resolve(this.url);
+            });
+        });
+    }
+
+    close() {
+        return new Promise(resolve => (this.server ? this.server.close(() => resolve()) : resolve()));
+    }
+
+    /**
+     * Queue a fault for matching requests (see the header for the shape)
+     */
+    inject(fault) {
+        this.faults.push({ method: null, times: 1, ...fault });
+    }
+
+    clearFaults() {
+        this.faults = [];
+    }
+
+    /**
+     * Invalidate every issued token, like a backend restart or expiry
+     */
+    expireTokens() {
+        this.tokens.clear();
+    }
+
+    reset() {
+        this.chats.clear();
+        this.comments = [];
+        this.tokens.clear();
+        this.faults = [];
+        this.requests = [];
+    }
+
+    // --- Helpers for assertions ---
+
+    findUser(username) {
+        return this.users.find(user => user.username === username) || null;
+    }
+
+    /**
+     * Requests received, as "METHOD /path" strings
+     */
+    requestLog() {
+        return this.requests.map(request => `${request.method} ${request.path}`);
+    }
+
+    /**
+     * Messages sent to a user by anyone, oldest first
+     */
+    messagesTo(username) {
+        const user = this.findUser(username);
+        if (!user) return [];
+        return Array.from(this.chats.values())
+            .filter(chat => chat.members.includes(user.id))
+            .flatMap(chat => chat.messages.filter(message => message.sender_id !== user.id));
+    }
+
+    /**
+     * Simulate a user writing in their chat with another user
+     */
+    say(fromUsername, toUsername, content) {
+        const from = this.findUser(fromUsername);
+        const to = this.findUser(toUsername);
+        const chat = this.directChat(from.id, to.id);
+        return this.addMessage(chat, from.id, content);
+    }
+
+    // --- State ---
+
+    directChat(a, b) {
+        for (const chat of this.chats.values()) {
+            if (chat.members.includes(a) && chat.members.includes(b)) return chat;
+        }
+        const chat = { id: this.nextId++, members: [a, b], messages: [] };
+        this.chats.set(chat.id, chat);
+        return chat;
+    }
+
+    addMessage(chat, senderId, content) {
+        const message = {
+            id: this.nextId++,
+            chat_id: chat.id,
+            sender_id: senderId,
+            content,
+            created_at: new Date().toISOString()
+        };
+        chat.messages.push(message);
+        return message;
+    }
+
+    // --- HTTP ---
+
+    takeFault(method, path) {
+        const index = this.faults.findIndex(fault =>
+            (!fault.method || fault.method === method)
+            && (fault.path instanceof RegExp ? fault.path.test(path) : path.startsWith(fault.path || '/')));
+        if (index === -1) return null;
+
+        const fault = this.faults[index];
+        fault.times--;
+        if (fault.times <= 0) this.faults.splice(index, 1);
+        return fault;
+    }
+
+    /**
+     * One page of a list; without "limit" everything comes back at once
+     */
+    paged(key, items, query) {
+        const limit = Number(query.get('limit')) || items.length;
+        const page = Math.max(1, Number(query.get('page')) || 1);
+        const start = (page - 1) * limit;
+        return { [key]: items.slice(start, start + limit), page, hasMore: start + limit < items.length };
+    }
+
+    async handle(req, res) {
+        const url = new URL(req.url, 'http://localhost');
+        const path = url.pathname;
+        const record = { method: req.method, path, query: url.search.slice(1), status: null };
+        this.requests.push(record);
+
+        const send = (status, body, headers = {}) => {
+            record.status = status;
+            res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+            res.end(typeof body === 'string' ? body : JSON.stringify(body));
+        };
+
+        let body = {};
+        try {
+            body = await readBody(req);
+        } catch (error) {
+            return send(400, { error: 'Invalid JSON body' });
+        }
+
+        const fault = this.takeFault(req.method, path);
+        if (fault && fault.delayMs) {
+            await new Promise(resolve => realSetTimeout(resolve, fault.delayMs));
+        }
+        if (fault && fault.status) {
+            const headers = fault.retryAfter !== undefined ? { 'Retry-After': String(fault.retryAfter) } : {};
+            return send(fault.status, { error: `Injected ${fault.status}` }, headers);
+        }
+        if (fault && fault.malformed) {
+            return send(200, '{"broken": ');
+        }
+
+        try {
+            const [status, payload] = this.route(req.method, path, url.searchParams, body, req.headers);
+            send(status, payload);
+        } catch (error) {
+            send(500, { error: error.message });
+        }
+    }
+
+    /**
+     * Returns [status, body]
+     */
+    route(method, path, query, body, headers) {
+        if (method === 'POST' && path === '/api/auth/signin') {
+            const user = this.findUser(body.username);
+            if (!user || user.password !== body.password) {
+                return [401, { error: 'Invalid credentials' }];
+            }
+            const token = crypto.randomBytes(12).toString('hex');
+            this.tokens.set(token, user.id);
+            return [200, { token, user: { id: user.id, username: user.username } }];
+        }
+
+        const match = /^Bearer (.+)$/.exec(headers.authorization || '');
+        const userId = match ? this.tokens.get(match[1]) : undefined;
+        if (!userId) {
+            return [401, { error: 'Invalid or expired token' }];
+        }
+
+        if (method === 'GET' && path === '/api/users/search') {
+            const q = (query.get('q') || '').toLowerCase();
+            if (q.length < 2) return [400, { error: 'Query must be at least 2 characters' }];
+            const users = this.users
+                .filter(user => user.username.toLowerCase().includes(q))
+                .map(({ password, ...user }) => user);
+            return [200, this.paged('users', users, query)];
+        }
+
+        if (method === 'POST' && path === '/api/chats/direct') {
+            const other = this.users.find(user => user.id === Number(body.otherUserId));
+            if (!other) return [404, { error: 'User not found' }];
+            return [200, { chatId: this.directChat(userId, other.id).id }];
+        }
+
+        const chatMatch = /^\/api\/chats\/(\d+)\/messages$/.exec(path);
+        if (chatMatch) {
+            const chat = this.chats.get(Number(chatMatch[1]));
+            if (!chat) return [404, { error: 'Chat not found' }];
+            if (!chat.members.includes(userId)) return [403, { error: 'Not a member of this chat' }];
+
+            if (method === 'GET') return [200, { messages: chat.messages }];
+            if (method === 'POST') {
+                if (!body.content) return [400, { error: 'Message content is required' }];
+                return [200, { message: this.addMessage(chat, userId, body.content) }];
+            }
+        }
+
+        if (method === 'GET' && path === '/api/posts') {
+            return [200, this.paged('posts', this.posts, query)];
+        }
+
+        if (method === 'POST' && path === '/api/comments') {
+            const post = this.posts.find(candidate => candidate.id === Number(body.post_id));
+            if (!post) return [404, { error: 'Post not found' }];
+            if (!body.content) return [400, { error: 'Comment content is required' }];
+
+            const comment = { id: this.nextId++, post_id: post.id, user_id: userId, content: body.content, created_at: new Date().toISOString() };
+            this.comments.push(comment);
+            post.comments_count++;
+            return [200, { comment }];
+        }
+
+        return [404, { error: `No route for ${method} ${path}` }];
+    }
+}
+
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        let text = '';
+        req.on('data', chunk => { text += chunk; });
+        req.on('error', reject);
+        req.on('end', () => {
+            if (!text) return resolve({});
+            try {
+                resolve(JSON.parse(text));
+            } catch (error) {
+                reject(error);
+            }
+        });
+    });
+}
+
+if (require.main === module) {
+    const backend = new MockBackend();
+    if (process.env.MOCK_FAULTS) {
+        const faults = JSON.parse(process.env.MOCK_FAULTS);
+        (Array.isArray(faults) ? faults : [faults]).forEach(fault => backend.inject(fault));
+    }
+    backend.listen(parseInt(process.env.MOCK_PORT || '5001'), '0.0.0.0').then(() => {
+        console.log(`🧪 Mock backend listening on port ${backend.server.address().port}`);
+        console.log(`   Users: ${backend.users.map(user => `${user.username}/${user.password}`).join(', ')}`);
+    });
+}
+
+module.exports = { MockBackend, DEFAULT_USERS, DEFAULT_POSTS };
@@ -0,0 +1,204 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const { Notifier, sign } = require('../lib/notifier');
+const { WebhookReceiver } = require('./webhook-receiver');
+const { MockBackend } = require('./mock-backend');
+const BotRunner = require('../lib/bot-runner');
+const { loadBots, loadConfig } = require('../lib/config');
+const { logger, Logger } = require('../lib/logging');
+
+logger.configure({ sinks: [] });
+
+function createNotifier(webhooks, options = {}) {
+    const notifier = new Notifier({ webhooks, logger: new Logger({ sinks: [] }), ...options });
+    notifier.sleeps = [];
+    notifier.sleep = async ms => { notifier.sleeps.push(ms); };
+    return notifier;
+}
+
+/**
+ * Wait (in real time) until the condition holds
+ */
+async function waitFor(condition, timeoutMs = 2000) {
+    const started = Date.now();
+    while (!condition()) {
+        if (Date.now() - started > timeoutMs) throw new Error('Timed out waiting');
+        await new Promise(resolve => setTimeout(resolve, 5));
+    }
+}
+
+describe('Notifier', () => {
+    const receiver = new WebhookReceiver({ secret: 's3cret' });
+    let url;
+
+    before(async () => {
+        url = `${await receiver.listen()}/hook`;
+    });
+
+    after(() => receiver.close());
+
+    beforeEach(() => {
+        receiver.received = [];
+        receiver.requests = 0;
+        receiver.failFirst = 0;
+    });
+
+    it('posts signed generic notifications', async () => {
+        const notifier = createNotifier([{ url, secret: 's3cret' }]);
+
+        await notifier.notify('unhealthy', { bot: 'cop', message: 'cop is unhealthy', details: { consecutiveErrors: 5 } });
+
+        const [{ payload, verified, path }] = receiver.received;
+        assert.strictEqual(verified, true);
+        assert.strictEqual(path, '/hook');
+        assert.strictEqual(payload.event, 'unhealthy');
+        assert.strictEqual(payload.severity, 'critical');
+        assert.strictEqual(payload.bot, 'cop');
+        assert.deepStrictEqual(payload.details, { consecutiveErrors: 5 });
+        assert.strictEqual(notifier.getStatus()[0].delivered, 1);
+    });
+
+    it('signs "<timestamp>.<body>" with HMAC-SHA256', () => {
+        assert.strictEqual(
+            sign('key', '1700000000', '{"a":1}'),
+            'sha256=' + require('crypto').createHmac('sha256', 'key').update('1700000000.{"a":1}').digest('hex')
+        );
+    });
+
+    it('rejects payloads signed with the wrong secret', async () => {
+        const notifier = createNotifier([{ url, secret: 'wrong' }]);
+
+        await notifier.notify('startup');
+
+        assert.strictEqual(receiver.received.length, 0);
+        assert.strictEqual(notifier.getStatus()[0].failed, 1);
+        assert.strictEqual(notifier.sleeps.length, 0, '401 is not retried');
+    });
+
+    it('sends Slack-compatible text', async () => {
+        receiver.secret = null;
+        const notifier = createNotifier([{ url, format: 'slack' }]);
+
+        await notifier.notify('recovery_failed', { bot: 'cop', message: 'cop could not recover: Invalid credentials' });
+        receiver.secret = 's3cret';
+
+        assert.deepStrictEqual(receiver.received[0].payload, { text: '❌ [cop] cop could not recover: Invalid credentials' });
+    });
+
+    it('retries with backoff until the webhook answers', async () => {
+        receiver.failFirst = 2;
+        const notifier = createNotifier([{ url, secret: 's3cret' }], { retryDelay: 100 });
+
+        await notifier.notify('shutdown');
+
+        assert.strictEqual(receiver.received.length, 1);
+        assert.strictEqual(notifier.sleeps.length, 2);
+        assert.ok(notifier.sleeps[1] >= 100 && notifier.sleeps[1] <= 200);
+    });
+
+    it('gives up after maxAttempts without throwing', async () => {
+        receiver.failFirst = 10;
+        const notifier = createNotifier([{ url, secret: 's3cret' }], { maxAttempts: 3 });
+
+        await notifier.notify('shutdown');
+
+        assert.strictEqual(receiver.requests, 3);
+        assert.match(notifier.getStatus()[0].lastError, /responded 500/);
+    });
+
+    it('only sends the events a webhook subscribed to', async () => {
+        const notifier = createNotifier([{ url, secret: 's3cret', events: ['unhealthy'] }]);
+
+        await notifier.notify('startup');
+        await notifier.notify('unhealthy');
+
+        assert.deepStrictEqual(receiver.received.map(entry => entry.payload.event), ['unhealthy']);
+    });
+
+    it('validates webhooks and hides URL paths in its status', () => {
+        assert.throws(() => createNotifier([{ url: 'ftp://x' }]), /needs an http\(s\) "url"/);
+        assert.throws(() => createNotifier([{ url, format: 'teams' }]), /unknown format "teams"/);
+        assert.throws(() => createNotifier([{ url, events: ['reboot'] }]), /unknown event\(s\) reboot/);
+        assert.strictEqual(createNotifier([{ url: 'https://hooks.example.com/T0/B0/token' }]).getStatus()[0].url, 'https://hooks.example.com');
+    });
+
+    it('reads webhooks from the environment', () => {
+        const config = loadConfig({
+            BOTS_CONFIG: '',
+            WEBHOOK_URL: 'https://a.example.com/x,https://b.example.com/y',
+            WEBHOOK_FORMAT: 'slack',
+            WEBHOOK_EVENTS: 'unhealthy,recovered',
+            ALERT_FAILURE_THRESHOLD: '3'
+        });
+
+        assert.deepStrictEqual(config.notifications.webhooks.map(webhook => [webhook.url, webhook.format]), [
+            ['https://a.example.com/x', 'slack'],
+            ['https://b.example.com/y', 'slack']
+        ]);
+        assert.deepStrictEqual(config.notifications.webhooks[0].events, ['unhealthy', 'recovered']);
+        assert.strictEqual(config.notifications.failureThreshold, 3);
+    });
+});
+
+describe('BotRunner notifications', () => {
+    const receiver = new WebhookReceiver();
+    const backend = new MockBackend();
+    let runner;
+
+    before(async () => {
+        const hookUrl = await receiver.listen();
+        const baseUrl = await backend.listen();
+        const [identity] = loadBots({
+            BOT_BASE_URL: baseUrl,
+            STORE_TYPE: 'memory',
+            INBOX_ENABLED: 'false',
+            REPORT_MODE: 'failures'
+        });
+
+        runner = new BotRunner(identity, {
+            notifier: createNotifier([{ url: hookUrl }], { failureThreshold: 2 }),
+            healthCheckInterval: 60 * 60 * 1000
+        });
+        runner.bot.log = () => {};
+        runner.bot.sleep = async () => {};
+    });
+
+    after(async () => {
+        runner.stop();
+        await receiver.close();
+        await backend.close();
+    });
+
+    const events = () => receiver.received.map(entry => entry.payload.event);
+
+    it('alerts when the bot cannot sign in, and when it recovers', async () => {
+        backend.inject({ path: '/api/auth/signin', status: 500, times: Infinity });
+        await runner.start();
+        await waitFor(() => events().includes('unhealthy'));
+
+        await runner.performHealthCheck();
+        await runner.performHealthCheck();
+        await waitFor(() => events().includes('recovery_failed'));
+
+        backend.clearFaults();
+        await runner.performHealthCheck();
+        await waitFor(() => events().includes('recovered'));
+
+        assert.deepStrictEqual(events(), ['unhealthy', 'recovery_failed', 'recovered']);
+        assert.match(receiver.received[0].payload.message, /can't sign in/);
+    });
+
+    it('alerts once when failures reach the threshold', async () => {
+        receiver.received = [];
+        backend.inject({ path: '/api/comments', status: 500, times: Infinity });
+
+        await runner.runAction('comment');
+        await runner.runAction('comment');
+        await runner.runAction('comment');
+        await waitFor(() => events().includes('failure_threshold'));
+        backend.clearFaults();
+
+        assert.deepStrictEqual(events(), ['failure_threshold']);
+        assert.strictEqual(receiver.received[0].payload.details.failures, 2);
+    });
+});
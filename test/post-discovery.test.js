@@ -0,0 +1,123 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const { MockBackend } = require('./mock-backend');
+const { createBot } = require('./helpers');
+const { TargetHistory } = require('../lib/target-history');
+const { PostDiscovery } = require('../lib/post-discovery');
+
+const HOUR_MS = 60 * 60 * 1000;
+const AUTHORS = [3, 4, 5];
+
+function hoursAgo(hours) {
+    return new Date(Date.now() - hours * HOUR_MS).toISOString();
+}
+
+// A newest-first feed of 70 posts, one every hour (plus half an hour)
+function feed() {
+    return Array.from({ length: 70 }, (_, i) => ({
+        id: 1000 + i,
+        user_id: AUTHORS[i % AUTHORS.length],
+        content: i % 10 === 0 ? `Selling a bike, post ${i}` : `Just a post, number ${i}`,
+        likes_count: 0,
+        comments_count: 0,
+        created_at: hoursAgo(i + 0.5)
+    }));
+}
+
+describe('post discovery', () => {
+    const backend = new MockBackend({ posts: feed() });
+    let baseUrl;
+
+    before(async () => {
+        baseUrl = await backend.listen();
+    });
+
+    after(() => backend.close());
+
+    beforeEach(() => backend.reset());
+
+    it('pages through the feed until the posts get too old', async () => {
+        const bot = createBot(baseUrl, { posts: { maxAge: '30h', pageSize: 20 } });
+
+        const candidates = await bot.getPostCandidates();
+
+        assert.strictEqual(candidates.length, 30);
+        assert.ok(candidates.every(({ ageMs }) => ageMs <= 30 * HOUR_MS));
+        assert.deepStrictEqual(
+            backend.requests.filter(request => request.path === '/api/posts').map(request => request.query),
+            ['page=1&limit=20', 'page=2&limit=20', 'page=3&limit=20'],
+            'the third page is all older than 30h, so the fourth is never read'
+        );
+        assert.deepStrictEqual(bot.postDiscovery.lastRun.skipped, { tooOld: 30, tooNew: 0, commented: 0, filtered: 0 });
+    });
+
+    it('skips posts the bot already commented on and the filtered ones', async () => {
+        const history = new TargetHistory();
+        history.record('post', 1001, 'martin');
+        const bot = createBot(baseUrl, {
+            history,
+            posts: { maxAge: '10h', minAge: '1h', excludeAuthors: ['PETER'], excludeKeywords: ['bike'] }
+        });
+        backend.posts[2].comments = [{ id: 1, user_id: 1, content: 'Nice!' }];
+
+        try {
+            const posts = await bot.getPosts();
+
+            // 1000 is too new; 1001 and 1002 were commented on; 1005 and 1008 are by peter
+            assert.deepStrictEqual(posts.map(post => post.id).sort(), [1003, 1004, 1006, 1007, 1009]);
+            assert.deepStrictEqual(bot.postDiscovery.lastRun.skipped, { tooOld: 30, tooNew: 1, commented: 2, filtered: 2 });
+
+            bot.postDiscovery = new PostDiscovery(bot, { maxAge: '0s', includeAuthors: ['anna_stone'], includeKeywords: ['bike'] });
+            assert.deepStrictEqual((await bot.getPosts()).map(post => post.id), [1000, 1030, 1060]);
+        } finally {
+            delete backend.posts[2].comments;
+        }
+    });
+
+    it('ranks fresh and busy posts first', async () => {
+        const bot = createBot(baseUrl);
+        const discovery = new PostDiscovery(bot, { maxAge: '10h' });
+        const posts = [
+            { id: 1, likes_count: 0, comments_count: 0, created_at: hoursAgo(9) },
+            { id: 2, likes_count: 20, comments_count: 10, created_at: hoursAgo(9) },
+            { id: 3, likes_count: 0, comments_count: 0, created_at: hoursAgo(0) },
+            { id: 4, likes_count: 20, comments_count: 10, created_at: hoursAgo(0) },
+            { id: 5, likes_count: 2, comments_count: 1 }
+        ];
+
+        const ranked = discovery.rank(posts);
+
+        assert.deepStrictEqual(ranked.map(({ post }) => post.id), [4, 2, 3, 5, 1]);
+        assert.strictEqual(ranked[0].score, 100);
+        assert.strictEqual(ranked[1].score, 55);
+        assert.strictEqual(ranked[2].score, 50);
+        assert.strictEqual(ranked[3].ageMs, null, 'no timestamp: kept, without freshness');
+    });
+
+    it('stops when the backend ignores paging', async () => {
+        const bot = createBot(baseUrl);
+        let requests = 0;
+        bot.listPosts = async () => {
+            requests++;
+            return feed().slice(0, 20);
+        };
+
+        const { posts, pages } = await new PostDiscovery(bot, { pageSize: 20 }).fetch();
+
+        assert.strictEqual(posts.length, 20);
+        assert.strictEqual(pages, 2);
+        assert.strictEqual(requests, 2);
+    });
+
+    it('comments on discovered posts, and on older ones only when asked to', async () => {
+        const bot = createBot(baseUrl, { posts: { maxAge: '2h' } });
+
+        const picked = await bot.runAction('comment');
+        assert.strictEqual(picked.success, true);
+        assert.ok([1000, 1001].includes(backend.comments[0].post_id));
+
+        const manual = await bot.runAction('comment', { target: { postId: 1065 } });
+        assert.strictEqual(manual.success, true);
+        assert.strictEqual(backend.comments[1].post_id, 1065);
+    });
+});
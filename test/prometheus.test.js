@@ -0,0 +1,110 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const BotService = require('../bot-service');
+const { Registry } = require('../lib/prometheus');
+const { BotInstruments, endpointLabel } = require('../lib/bot-instruments');
+
+describe('prometheus registry', () => {
+    it('renders counters and gauges in the text format', () => {
+        const registry = new Registry();
+        const counter = registry.counter({ name: 'jobs_total', help: 'Jobs run', labelNames: ['kind'] });
+        counter.inc({ kind: 'a' });
+        counter.inc({ kind: 'a' }, 2);
+        counter.inc({ kind: 'say "hi"' });
+        registry.gauge({ name: 'up', help: 'Up', collect: gauge => gauge.set({}, 1) });
+
+        assert.strictEqual(registry.render(), [
+            '# HELP jobs_total Jobs run',
+            '# TYPE jobs_total counter',
+            'jobs_total{kind="a"} 3',
+            'jobs_total{kind="say \\"hi\\""} 1',
+            '',
+            '# HELP up Up',
+            '# TYPE up gauge',
+            'up 1',
+            ''
+        ].join('\n'));
+    });
+
+    it('renders cumulative histogram buckets', () => {
+        const registry = new Registry();
+        const histogram = registry.histogram({ name: 'latency_seconds', buckets: [0.1, 1] });
+        histogram.observe({}, 0.05);
+        histogram.observe({}, 0.5);
+        histogram.observe({}, 3);
+
+        const text = registry.render();
+        assert.match(text, /latency_seconds_bucket\{le="0.1"\} 1/);
+        assert.match(text, /latency_seconds_bucket\{le="1"\} 2/);
+        assert.match(text, /latency_seconds_bucket\{le="\+Inf"\} 3/);
+        assert.match(text, /latency_seconds_sum 3.55/);
+        assert.match(text, /latency_seconds_count 3/);
+    });
+
+    it('rejects unknown labels and decreasing counters', () => {
+        const counter = new Registry().counter({ name: 'c_total', labelNames: ['a'] });
+        assert.throws(() => counter.inc({ b: 1 }), /no label "b"/);
+        assert.throws(() => counter.inc({ a: 1 }, -1), /only go up/);
+    });
+
+    it('collapses IDs in endpoint labels', () => {
+        assert.strictEqual(endpointLabel('/api/chats/12/messages?limit=5'), '/api/chats/:id/messages');
+        assert.strictEqual(endpointLabel('/api/users/search?q=er'), '/api/users/search');
+    });
+});
+
+describe('bot instrumentation', () => {
+    let server;
+    let baseUrl;
+    const statuses = [];
+
+    before(async () => {
+        server = http.createServer((req, res) => {
+            const status = req.url === '/api/auth/signin' ? 200 : (statuses.shift() || 200);
+            res.writeHead(status, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify(req.url === '/api/auth/signin' ? { token: 't', user: { id: 1 } } : { ok: true }));
+        });
+        await new Promise(resolve => server.listen(0, resolve));
+        baseUrl = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    after(() => server.close());
+
+    it('records every request attempt by endpoint and status', async () => {
+        const instruments = new BotInstruments();
+        const bot = new BotService({ name: 'cop', baseUrl, username: 'cop', password: 'pw', instruments });
+        bot.log = () => {};
+        bot.sleep = async () => {};
+
+        statuses.push(503);
+        await bot.makeRequest('/api/chats/7/messages');
+
+        const requests = instruments.requests;
+        assert.strictEqual(requests.get({ bot: 'cop', endpoint: '/api/chats/:id/messages', status: '503' }), 1);
+        assert.strictEqual(requests.get({ bot: 'cop', endpoint: '/api/chats/:id/messages', status: '200' }), 1);
+        assert.strictEqual(requests.get({ bot: 'cop', endpoint: '/api/auth/signin', status: '200' }), 1);
+        assert.strictEqual(instruments.authRefreshes.get({ bot: 'cop', outcome: 'success' }), 1);
+        assert.strictEqual(instruments.requestDuration.get({ bot: 'cop', endpoint: '/api/chats/:id/messages' }).count, 2);
+
+        const text = instruments.render();
+        assert.match(text, /botcop_healthy\{bot="cop"\} 1/);
+        assert.match(text, /botcop_consecutive_errors\{bot="cop"\} 0/);
+    });
+
+    it('records action outcomes and the last success time', async () => {
+        const instruments = new BotInstruments();
+        const bot = new BotService({ name: 'cop', baseUrl, username: 'cop', password: 'pw', instruments });
+        bot.log = () => {};
+        bot.getActiveUsers = async () => [{ id: 2, username: 'alice' }];
+        bot.sendMessage = async (userId, username) => ({ success: true, action: 'message', target: username });
+
+        await bot.runAction('message');
+        bot.getActiveUsers = async () => [];
+        await bot.runAction('message');
+
+        assert.strictEqual(instruments.actionAttempts.get({ bot: 'cop', action: 'message', outcome: 'success' }), 1);
+        assert.strictEqual(instruments.actionAttempts.get({ bot: 'cop', action: 'message', outcome: 'skipped' }), 1);
+        assert.ok(instruments.lastSuccess.get({ bot: 'cop', action: 'message' }) > 0);
+    });
+});
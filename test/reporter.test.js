@@ -0,0 +1,193 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { Reporter } = require('../lib/reporter');
+const { ActionMetrics } = require('../lib/metrics');
+const { DoNotContactList } = require('../lib/do-not-contact');
+const { TemplateLibrary, TemplateError } = require('../lib/templates');
+const { loadBots } = require('../lib/config');
+const { MemoryStore } = require('../lib/store');
+
+const USERS = { phone: 2, ops: 3, boss: 4 };
+
+function createBot() {
+    return {
+        name: 'cop',
+        metrics: new ActionMetrics(),
+        sent: [],
+        log: () => {},
+        async findUser(username) {
+            return USERS[username] ? { id: USERS[username], username } : null;
+        },
+        async sendReport(userId, username, text) {
+            this.sent.push({ to: username, text });
+        }
+    };
+}
+
+async function createReporter(recipients, options = {}) {
+    const bot = createBot();
+    const reporter = new Reporter(bot, recipients, options);
+    await reporter.resolveRecipients();
+    return { bot, reporter };
+}
+
+const success = { success: true, action: 'message', target: 'alice', content: 'Hi!' };
+const failure = { success: false, action: 'comment', target: 'post #7', error: 'Request timed out', errorClass: 'timeout' };
+
+describe('Reporter', () => {
+    it('sends action reports by mode', async () => {
+        const { bot, reporter } = await createReporter([
+            { username: 'phone', mode: 'immediate' },
+            { username: 'ops', mode: 'failures' },
+            { username: 'boss', mode: 'daily' }
+        ]);
+
+        await reporter.record(success);
+        await reporter.record(failure);
+
+        assert.deepStrictEqual(bot.sent.map(report => report.to), ['phone', 'phone', 'ops']);
+        assert.match(bot.sent[0].text, /Sent message to @alice/);
+        assert.match(bot.sent[2].text, /Failed to comment on post #7/);
+    });
+
+    it('reports health changes once, except to digest recipients', async () => {
+        const { bot, reporter } = await createReporter([
+            { username: 'ops', mode: 'failures' },
+            { username: 'boss', mode: 'hourly' }
+        ]);
+
+        await reporter.noteHealth(true);
+        await reporter.noteHealth(false, '5 consecutive errors');
+        await reporter.noteHealth(false, '6 consecutive errors');
+        await reporter.noteHealth(true);
+
+        assert.deepStrictEqual(bot.sent.map(report => report.text), [
+            '⚠️ cop is unhealthy: 5 consecutive errors',
+            '✅ cop is healthy again'
+        ]);
+    });
+
+    it('summarises the period in a digest', async () => {
+        const doNotContact = new DoNotContactList();
+        const { bot, reporter } = await createReporter([{ username: 'boss', mode: 'daily' }], { doNotContact });
+        const [recipient] = reporter.recipients;
+        recipient.lastDigestAt = Date.now() - 1000;
+
+        bot.metrics.record({ action: 'message', outcome: 'success' });
+        bot.metrics.record({ action: 'comment', outcome: 'failure', error: 'Request timed out' });
+        bot.metrics.record({ action: 'comment', outcome: 'failure', error: 'Request timed out' });
+        bot.metrics.record({ action: 'message', outcome: 'failure', error: 'HTTP 500' });
+        bot.metrics.record({ action: 'comment', outcome: 'skipped' });
+        doNotContact.add({ username: 'grumpy' }, { source: 'opt-out' });
+        doNotContact.add({ username: 'banned' }, { source: 'admin' });
+        await reporter.noteHealth(false, 'too many errors');
+
+        await reporter.sendDigest(recipient);
+
+        assert.strictEqual(bot.sent.length, 1);
+        const { text } = bot.sent[0];
+        assert.match(text, /^📊 Daily report for cop/);
+        assert.match(text, /5 action\(s\): 1 succeeded, 3 failed, 1 skipped - 25\.00% success rate/);
+        assert.match(text, /Top errors:\n• 2× Request timed out\n• 1× HTTP 500/);
+        assert.match(text, /New opt-outs: @grumpy$/m);
+        assert.match(text, /⚠️ cop is unhealthy: too many errors/);
+    });
+
+    it('skips empty digests and starts the next period from the last one', async () => {
+        const { bot, reporter } = await createReporter([{ username: 'boss', mode: 'hourly' }]);
+        const [recipient] = reporter.recipients;
+        recipient.lastDigestAt = Date.now() - 1000;
+
+        bot.metrics.record({ action: 'message', outcome: 'success' });
+        await reporter.sendDigest(recipient);
+        await reporter.sendDigest(recipient);
+
+        assert.strictEqual(bot.sent.length, 1);
+        assert.match(bot.sent[0].text, /^📊 Hourly report/);
+    });
+
+    it('remembers the last digest under the configured username, whatever case the backend returns', async () => {
+        const store = new MemoryStore();
+        store.setState('lastDigests', { boss: 1000 });
+        const bot = createBot();
+        bot.findUser = async () => ({ id: 4, username: 'BOSS' });
+
+        const reporter = new Reporter(bot, [{ username: '@Boss', mode: 'hourly' }], { store });
+        const [recipient] = reporter.recipients;
+        assert.strictEqual(recipient.lastDigestAt, 1000);
+
+        await reporter.resolveRecipients();
+        await reporter.sendDigest(recipient);
+        assert.strictEqual(recipient.username, 'BOSS');
+        assert.deepStrictEqual(Object.keys(store.getState('lastDigests')), ['boss']);
+
+        const restarted = new Reporter(bot, [{ username: 'Boss', mode: 'hourly' }], { store });
+        assert.strictEqual(restarted.recipients[0].lastDigestAt, recipient.lastDigestAt);
+    });
+
+    it('sends digests on schedule', async (t) => {
+        t.mock.timers.enable({ apis: ['setTimeout', 'Date'], now: Date.parse('2024-03-04T08:30:00Z') });
+        const { bot, reporter } = await createReporter([{ username: 'boss', mode: 'daily', at: '09:00' }]);
+        reporter.start();
+        t.after(() => reporter.stop());
+
+        assert.strictEqual(reporter.getStatus()[0].nextDigestAt, '2024-03-04T09:00:00.000Z');
+        t.mock.timers.tick(60 * 1000);
+        bot.metrics.record({ action: 'message', outcome: 'success' });
+
+        t.mock.timers.tick(29 * 60 * 1000);
+        await new Promise(resolve => setImmediate(resolve));
+
+        assert.strictEqual(bot.sent.length, 1);
+        assert.strictEqual(reporter.getStatus()[0].nextDigestAt, '2024-03-05T09:00:00.000Z');
+    });
+
+    it('renders with the bot\'s report templates when it has them', async () => {
+        const templates = new TemplateLibrary({
+            report: { categories: { action: ['[{bot_name}] {report}'], health: ['{health}'], digest: ['{successes} ok'] } }
+        });
+        const { bot, reporter } = await createReporter([{ username: 'phone' }], { templates });
+
+        await reporter.record(success);
+
+        assert.match(bot.sent[0].text, /^\[cop\] ✅ Sent message/);
+    });
+
+    it('rejects unknown modes, bad times and unknown placeholders', () => {
+        assert.throws(() => new Reporter(createBot(), [{ username: 'phone', mode: 'weekly' }]), /unknown mode "weekly"/);
+        assert.throws(() => new Reporter(createBot(), [{ username: 'phone', mode: 'daily', at: '25:00' }]), /"at" must be HH:MM/);
+        assert.throws(
+            () => new TemplateLibrary({ report: { categories: { digest: ['{username}'] } } }),
+            TemplateError
+        );
+    });
+});
+
+describe('report config', () => {
+    it('reads recipients from REPORTS', () => {
+        const [bot] = loadBots({ REPORTS: 'phone:daily@18:30, ops:failures, @boss', REPORT_MODE: 'hourly' });
+
+        assert.deepStrictEqual(bot.reports, [
+            { username: 'phone', mode: 'daily', at: '18:30' },
+            { username: 'ops', mode: 'failures' },
+            { username: 'boss', mode: 'hourly' }
+        ]);
+    });
+
+    it('keeps REPORT_USERNAME and reportUsername working', () => {
+        const [fromEnv] = loadBots({ REPORT_USERNAME: 'ops' });
+        const [disabled, custom] = loadBots({}, {
+            bots: [
+                { username: 'a', reportUsername: null },
+                { username: 'b', reports: ['ops:failures', { username: 'boss', mode: 'daily', at: '07:00' }] }
+            ]
+        });
+
+        assert.deepStrictEqual(fromEnv.reports, [{ username: 'ops', mode: 'immediate' }]);
+        assert.deepStrictEqual(disabled.reports, []);
+        assert.deepStrictEqual(custom.reports, [
+            { username: 'ops', mode: 'failures' },
+            { username: 'boss', mode: 'daily', at: '07:00' }
+        ]);
+    });
+});
@@ -0,0 +1,119 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const BotService = require('../bot-service');
+const { TokenBucket } = require('../lib/rate-limiter');
+const { parseRetryAfter, isRetryable } = require('../lib/request-policy');
+
+// Scripted responses per path; each request shifts the next one off the queue
+const script = {};
+const calls = [];
+let server;
+let baseUrl;
+
+function reply(res, status, body, headers = {}) {
+    res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+    res.end(typeof body === 'string' ? body : JSON.stringify(body));
+}
+
+function createBot(overrides = {}) {
+    const bot = new BotService({ baseUrl, username: 'cop', password: 'pw', ...overrides });
+    bot.sleeps = [];
+    bot.sleep = async ms => { bot.sleeps.push(ms); };
+    bot.log = () => {};
+    return bot;
+}
+
+describe('request layer', () => {
+    before(async () => {
+        server = http.createServer((req, res) => {
+            const path = req.url.split('?')[0];
+            calls.push(path);
+            if (path === '/api/auth/signin') {
+                const next = (script[path] || []).shift();
+                return next ? next(res) : reply(res, 200, { token: 't', user: { id: 1 } });
+            }
+            const next = (script[path] || []).shift();
+            return next ? next(res) : reply(res, 200, { ok: true });
+        });
+        await new Promise(resolve => server.listen(0, resolve));
+        baseUrl = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    after(() => server.close());
+
+    it('does not retry 4xx errors', async () => {
+        calls.length = 0;
+        script['/api/posts'] = [res => reply(res, 404, 'nope')];
+        const bot = createBot();
+
+        await assert.rejects(bot.makeRequest('/api/posts'), { status: 404 });
+        assert.deepStrictEqual(calls, ['/api/auth/signin', '/api/posts']);
+    });
+
+    it('retries 5xx with growing backoff', async () => {
+        script['/api/posts'] = [res => reply(res, 500, 'x'), res => reply(res, 502, 'x'), res => reply(res, 200, [1])];
+        const bot = createBot();
+
+        assert.deepStrictEqual(await bot.makeRequest('/api/posts'), [1]);
+        assert.strictEqual(bot.sleeps.length, 2);
+        assert.ok(bot.sleeps[0] >= 1000 && bot.sleeps[0] <= 2000);
+        assert.ok(bot.sleeps[1] >= 2000 && bot.sleeps[1] <= 4000);
+    });
+
+    it('waits for Retry-After on 429', async () => {
+        script['/api/comments'] = [res => reply(res, 429, 'slow down', { 'Retry-After': '7' })];
+        const bot = createBot();
+
+        await bot.makeRequest('/api/comments', { method: 'POST', body: '{}' });
+        assert.ok(bot.sleeps.includes(7000));
+    });
+
+    it('gives up when Retry-After is too long', async () => {
+        script['/api/comments'] = [res => reply(res, 429, 'later', { 'Retry-After': '3600' })];
+        const bot = createBot();
+
+        await assert.rejects(bot.makeRequest('/api/comments', { method: 'POST', body: '{}' }), { status: 429 });
+    });
+
+    it('caps re-authentication on a token that is rejected right away', async () => {
+        calls.length = 0;
+        script['/api/users/search'] = [1, 2, 3, 4, 5].map(() => res => reply(res, 401, 'bad token'));
+        const bot = createBot();
+
+        await assert.rejects(bot.makeRequest('/api/users/search?q=ab'), { name: 'AuthError' });
+        assert.deepStrictEqual(calls, ['/api/auth/signin', '/api/users/search', '/api/auth/signin', '/api/users/search']);
+        script['/api/users/search'] = [];
+    });
+
+    it('times out slow requests', async () => {
+        script['/api/posts'] = [res => setTimeout(() => reply(res, 200, []), 500)];
+        const bot = createBot({ requestTimeout: 50, maxRetries: 0 });
+
+        await assert.rejects(bot.makeRequest('/api/posts'), { type: 'request-timeout' });
+    });
+});
+
+describe('request policy', () => {
+    it('parses Retry-After seconds and dates', () => {
+        assert.strictEqual(parseRetryAfter('5'), 5000);
+        assert.strictEqual(parseRetryAfter(new Date(10000).toUTCString(), 4000), 6000);
+        assert.strictEqual(parseRetryAfter('soon'), null);
+    });
+
+    it('classifies retryable errors', () => {
+        assert.strictEqual(isRetryable({ status: 503 }), true);
+        assert.strictEqual(isRetryable({ status: 400 }), false);
+        assert.strictEqual(isRetryable({ name: 'FetchError', type: 'system' }), true);
+        assert.strictEqual(isRetryable({ name: 'FetchError', type: 'invalid-json' }), false);
+    });
+
+    it('makes callers wait once the bucket is empty', () => {
+        const bucket = new TokenBucket({ capacity: 2, perMinute: 60 });
+        const now = Date.now();
+        assert.strictEqual(bucket.reserve(now), 0);
+        assert.strictEqual(bucket.reserve(now), 0);
+        assert.strictEqual(bucket.reserve(now), 1000);
+        assert.strictEqual(bucket.reserve(now), 2000);
+    });
+});
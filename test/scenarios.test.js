@@ -0,0 +1,266 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const BotRunner = require('../lib/bot-runner');
+const { MockBackend } = require('./mock-backend');
+const { createBot } = require('./helpers');
+const { loadBots } = require('../lib/config');
+const { EventStream } = require('../lib/event-stream');
+const { Logger } = require('../lib/logging');
+const { Scenario, ScenarioLibrary, ScenarioRunner, ScenarioError, formatRun, interpolate } = require('../lib/scenarios');
+
+/**
+ * Bot whose sleeps return at once; each sleep lets anna_stone say the next
+ * of "replies", so waitForReply finds an answer on its next poll
+ */
+function createReplyingBot(backend, baseUrl, { replies = [], ...overrides } = {}) {
+    const bot = createBot(baseUrl, { maxRetries: 0, ...overrides });
+    const sleep = bot.sleep;
+    bot.sleep = async ms => {
+        await sleep(ms);
+        if (replies.length > 0) backend.say('anna_stone', 'cop', replies.shift());
+    };
+    return bot;
+}
+
+const CONVERSATION = {
+    name: 'conversation',
+    vars: { user: 'anna_stone', followUps: ['How are you?', 'Bye!'] },
+    steps: [
+        { openChat: '{{user}}' },
+        { send: 'Testing the chat system! ({{run_id}})' },
+        { name: 'reply', waitForReply: { timeout: '10s', poll: '1s' }, expect: { contains: 'thanks' }, as: 'answer' },
+        { loop: { over: '{{followUps}}', as: 'line', steps: [{ wait: '30s' }, { send: '{{index}}. {{line}}' }] } },
+        { messages: null, expect: { count: 4 } },
+        { latestPost: '{{user}}', expect: { matches: 'bike' } },
+        { comment: 'Nice one, @{{username}}! You said "{{answer}}"', expect: { within: '5s' } }
+    ]
+};
+
+describe('scenario files', () => {
+    let dir;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'botcop-scenarios-'));
+    });
+
+    it('lists every problem of a broken scenario at once', () => {
+        assert.throws(() => new Scenario({
+            name: 'bad name',
+            steps: [
+                { send: 'Hi', wave: true },
+                { wait: 'soon' },
+                { openChat: 'anna', send: 'Hi' },
+                { loop: { times: 2, steps: [] } },
+                { send: 'Hi', expect: { contains: 'x', fuzzy: true, count: 'many' } }
+            ]
+        }, { origin: 'inline' }), error => {
+            assert.ok(error instanceof ScenarioError);
+            assert.match(error.message, /^Invalid scenario inline:/);
+            assert.match(error.message, /"name" must be letters/);
+            assert.match(error.message, /step 1: unknown key\(s\) wave/);
+            assert.match(error.message, /step 2 \(wait\): "for"/);
+            assert.match(error.message, /step 3: needs exactly one step type, got openChat, send/);
+            assert.match(error.message, /step 4 \(loop\): "steps" must be a non-empty list/);
+            assert.match(error.message, /step 5 \(send\): unknown expectation\(s\) fuzzy/);
+            assert.match(error.message, /"expect.count" must be a number or \{ min, max \}/);
+            return true;
+        });
+    });
+
+    it('loads a directory of YAML and JSON scenarios named after their files', () => {
+        fs.writeFileSync(path.join(dir, 'smoke.yaml'), [
+            'steps:',
+            '  - openChat: anna_stone',
+            '  - send: "Hi {{bot_name}}"',
+            '    expect: { within: 5s }',
+            ''
+        ].join('\n'));
+        fs.writeFileSync(path.join(dir, 'other.json'), JSON.stringify({ name: 'comments', steps: [{ comment: { post: 101 } }] }));
+        fs.writeFileSync(path.join(dir, 'notes.txt'), 'not a scenario');
+
+        const library = ScenarioLibrary.load(dir);
+
+        assert.deepStrictEqual(library.names(), ['comments', 'smoke']);
+        assert.deepStrictEqual(library.get('smoke').steps.map(step => step.type), ['openChat', 'send']);
+        assert.deepStrictEqual(library.get('smoke').steps[1].expect, { within: '5s' });
+        assert.strictEqual(library.get('ghost'), null);
+        assert.deepStrictEqual(ScenarioLibrary.load(path.join(dir, 'missing')).names(), []);
+
+        fs.writeFileSync(path.join(dir, 'twin.json'), JSON.stringify({ name: 'smoke', steps: [{ wait: '1s' }] }));
+        assert.throws(() => ScenarioLibrary.load(dir), /Two scenarios are named "smoke"/);
+    });
+
+    it('keeps the value of a lone variable and refuses unknown ones', () => {
+        const vars = { users: ['anna', 'martin'], n: 2, name: 'cop' };
+
+        assert.deepStrictEqual(interpolate({ over: '{{users}}', text: 'Hi {{ name }} x{{n}}' }, vars), { over: ['anna', 'martin'], text: 'Hi cop x2' });
+        assert.throws(() => interpolate('{{nope}}', vars), /unknown variable \{\{nope\}\}/);
+    });
+
+    after(() => fs.rmSync(dir, { recursive: true, force: true }));
+});
+
+describe('scenario runs against the mock backend', () => {
+    const backend = new MockBackend();
+    let baseUrl;
+
+    before(async () => {
+        baseUrl = await backend.listen();
+    });
+
+    after(() => backend.close());
+
+    beforeEach(() => backend.reset());
+
+    it('holds a conversation and comments on the user\'s latest post', async () => {
+        const bot = createReplyingBot(backend, baseUrl, { replies: ['Thanks, got it'] });
+
+        const run = await new ScenarioRunner(bot).run(new Scenario(CONVERSATION), { trigger: 'test' });
+
+        assert.strictEqual(run.passed, true, formatRun(run));
+        assert.deepStrictEqual(run.counts, { passed: 10, failed: 0, skipped: 0, simulated: 0 });
+        assert.deepStrictEqual(run.steps.map(step => step.id), ['1', '2', '3', '4.1.1', '4.1.2', '4.2.1', '4.2.2', '5', '6', '7']);
+        assert.strictEqual(run.trigger, 'test');
+        assert.match(run.runId, /^[0-9a-f]{8}$/);
+
+        const sent = backend.messagesTo('anna_stone').map(message => message.content);
+        assert.deepStrictEqual(sent, [`Testing the chat system! (${run.runId})`, '1. How are you?', '2. Bye!']);
+        assert.deepStrictEqual(backend.comments.map(comment => [comment.post_id, comment.content]), [[101, 'Nice one, @anna_stone! You said "Thanks, got it"']]);
+        assert.ok(bot.sleeps.includes(30000), 'the wait steps sleep');
+        assert.strictEqual(bot.errorCount, 0);
+    });
+
+    it('skips the rest after a failed expectation unless told to carry on', async () => {
+        const scenario = config => new Scenario({
+            name: 'strict',
+            steps: [
+                { openChat: 'anna_stone' },
+                { send: 'Hi' },
+                { waitForReply: { timeout: '2s', poll: '1s' }, expect: { matches: '^yes' }, ...config },
+                { send: 'Still here' }
+            ]
+        });
+
+        const stopped = await new ScenarioRunner(createReplyingBot(backend, baseUrl, { replies: ['No'] })).run(scenario({}));
+        assert.strictEqual(stopped.passed, false);
+        assert.deepStrictEqual(stopped.steps.map(step => step.status), ['passed', 'passed', 'failed', 'skipped']);
+        assert.deepStrictEqual(stopped.steps[2].failures, ['"No" doesn\'t match /^yes/']);
+        assert.match(formatRun(stopped), /^🎬 Scenario strict failed: 2\/4 step\(s\) passed, 1 failed, 1 skipped in /);
+        assert.match(formatRun(stopped), /\n {2}❌ 3 waitForReply: "No" doesn't match/);
+
+        backend.reset();
+        const carriedOn = await new ScenarioRunner(createReplyingBot(backend, baseUrl)).run(scenario({ continueOnFailure: true }));
+        assert.deepStrictEqual(carriedOn.steps.map(step => step.status), ['passed', 'passed', 'failed', 'passed']);
+        assert.deepStrictEqual(carriedOn.steps[2].failures, ['failed: No reply from @anna_stone within 2s']);
+        assert.deepStrictEqual(backend.messagesTo('anna_stone').map(message => message.content), ['Hi', 'Still here']);
+    });
+
+    it('passes a step that is expected to fail', async () => {
+        const run = await new ScenarioRunner(createReplyingBot(backend, baseUrl)).run(new Scenario({
+            name: 'negative',
+            steps: [
+                { openChat: 'nobody_here', expect: { ok: false } },
+                { comment: { post: 999, text: 'Hello?' }, expect: { status: 404 } },
+                { openChat: 'anna_stone', expect: { ok: false } }
+            ]
+        }));
+
+        assert.deepStrictEqual(run.steps.map(step => step.status), ['passed', 'passed', 'failed']);
+        assert.deepStrictEqual(run.steps[2].failures, ['succeeded, but was expected to fail']);
+    });
+
+    it('simulates the writes of a dry run', async () => {
+        const bot = createReplyingBot(backend, baseUrl, { dryRun: true });
+
+        const run = await new ScenarioRunner(bot).run(new Scenario(CONVERSATION));
+
+        assert.strictEqual(run.passed, true, formatRun(run));
+        assert.strictEqual(run.dryRun, true);
+        assert.deepStrictEqual(run.steps.map(step => step.status), [
+            'simulated', 'simulated', 'simulated', 'passed', 'simulated', 'passed', 'simulated', 'simulated', 'passed', 'simulated'
+        ]);
+        assert.deepStrictEqual(backend.messagesTo('anna_stone'), []);
+        assert.deepStrictEqual(backend.comments, []);
+    });
+});
+
+describe('scenarios in the bot runner', () => {
+    const backend = new MockBackend();
+    let dir;
+    let runner;
+    let events;
+
+    before(async () => {
+        const baseUrl = await backend.listen();
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'botcop-scenarios-'));
+        fs.writeFileSync(path.join(dir, 'hello.json'), JSON.stringify({
+            vars: { greeting: 'Hello' },
+            steps: [{ openChat: 'martin' }, { send: '{{greeting}} from {{bot_name}}' }, { latestPost: null, expect: { count: 1 } }]
+        }));
+
+        const [identity] = loadBots({
+            BOT_BASE_URL: baseUrl,
+            BOT_USERNAME: 'cop',
+            BOT_PASSWORD: '123456',
+            REPORT_USERNAME: 'phone',
+            SCENARIOS_PATH: dir,
+            STORE_TYPE: 'memory',
+            INBOX_ENABLED: 'false',
+            DIRECTORY_ENABLED: 'false',
+            MAX_RETRIES: '0'
+        });
+        identity.schedule = { rules: [{ scenario: 'hello', every: '6h' }] };
+        events = new EventStream();
+        runner = new BotRunner(identity, { events });
+        runner.bot.log = () => {};
+        runner.bot.logger = new Logger({ sinks: [] });
+        await runner.initialize();
+    });
+
+    after(async () => {
+        runner.stop();
+        events.close();
+        await backend.close();
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('runs a scheduled scenario, reports it and keeps the outcome', async () => {
+        const [rule] = runner.scheduler.rules;
+        assert.strictEqual(rule.name, 'scenario:hello');
+        assert.deepStrictEqual(runner.identity.actions, []);
+
+        await runner.scheduler.execute(rule);
+
+        assert.deepStrictEqual(backend.messagesTo('martin').map(message => message.content), ['Hello from cop']);
+        assert.match(backend.messagesTo('phone').at(-1).content, /🎬 Scenario hello passed: 3\/3 step\(s\) passed/);
+
+        const [event] = events.recent().filter(recent => recent.type === 'scenario');
+        assert.deepStrictEqual([event.scenario, event.trigger, event.passed, event.failures], ['hello', 'schedule', true, []]);
+
+        const [listed] = runner.getScenarios();
+        assert.strictEqual(listed.name, 'hello');
+        assert.strictEqual(listed.lastRun.runId, event.runId);
+        assert.strictEqual(runner.getStatus().scenarios.length, 1);
+    });
+
+    it('runs one on demand with extra variables and refuses unknown ones', async () => {
+        runner.pause();
+
+        const run = await runner.runScenario('hello', { vars: { greeting: 'Hi' }, manual: true });
+
+        assert.strictEqual(run.trigger, 'manual');
+        assert.strictEqual(backend.messagesTo('martin').at(-1).content, 'Hi from cop');
+        assert.strictEqual(await runner.runScenario('hello'), null, 'paused bots skip scheduled runs');
+        await assert.rejects(runner.runScenario('ghost'), /No scenario "ghost" \(scenarios: hello\)/);
+        runner.resume();
+    });
+
+    it('refuses a schedule rule for a scenario that does not exist', () => {
+        const identity = { ...runner.identity, schedule: { rules: [{ scenario: 'ghost', every: '1h' }] } };
+
+        assert.throws(() => runner.createScheduler(identity), /unknown scenario "ghost" \(scenarios: hello\)/);
+    });
+});
@@ -0,0 +1,168 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const Scheduler = require('../lib/scheduler');
+const { parseCron, nextCronTime } = require('../lib/cron');
+const { parseWindow, isWithinWindows, zonedParts } = require('../lib/timezone');
+
+const BERLIN = 'Europe/Berlin';
+
+function next(expression, from, timeZone = 'UTC') {
+    return nextCronTime(parseCron(expression), new Date(from), timeZone).toISOString();
+}
+
+describe('cron', () => {
+    it('finds the next matching minute', () => {
+        assert.strictEqual(next('*/15 * * * *', '2026-01-05T10:07:30Z'), '2026-01-05T10:15:00.000Z');
+        assert.strictEqual(next('0 9 * * mon-fri', '2026-01-09T09:00:00Z'), '2026-01-12T09:00:00.000Z', 'Friday 9:00 -> Monday');
+        assert.strictEqual(next('0 0 29 2 *', '2026-01-01T00:00:00Z'), '2028-02-29T00:00:00.000Z');
+        // Either restricted day field is enough, as in classic cron
+        assert.strictEqual(next('0 12 13 * fri', '2026-02-01T00:00:00Z'), '2026-02-06T12:00:00.000Z');
+        assert.strictEqual(next('0 0 * * 7', '2026-01-05T00:00:00Z'), '2026-01-11T00:00:00.000Z', '7 is Sunday too');
+    });
+
+    it('keeps wall-clock times across DST changes', () => {
+        // Berlin: 2026-03-29 02:00 CET -> 03:00 CEST, 2026-10-25 03:00 CEST -> 02:00 CET
+        assert.strictEqual(next('0 9 * * *', '2026-03-28T09:00:00Z', BERLIN), '2026-03-29T07:00:00.000Z');
+        assert.strictEqual(next('0 9 * * *', '2026-10-24T09:00:00Z', BERLIN), '2026-10-25T08:00:00.000Z');
+        // The day DST starts is an hour short; the next midnight is still found
+        assert.strictEqual(next('30 0 30 3 *', '2026-03-28T12:00:00Z', BERLIN), '2026-03-29T22:30:00.000Z');
+        assert.strictEqual(next('30 0 26 10 *', '2026-10-24T12:00:00Z', BERLIN), '2026-10-25T23:30:00.000Z');
+        // 02:30 doesn't exist on 29 March, so that day has no run
+        assert.strictEqual(next('30 2 * * *', '2026-03-28T12:00:00Z', BERLIN), '2026-03-30T00:30:00.000Z');
+        // Santiago skips midnight itself (00:00 -> 01:00 on 6 September)
+        assert.strictEqual(next('15 0 * * *', '2026-09-05T12:00:00Z', 'America/Santiago'), '2026-09-07T03:15:00.000Z');
+    });
+
+    it('rejects malformed fields instead of reading a number out of them', () => {
+        const invalid = {
+            '5x * * * *': /Invalid minute "5x"/,
+            '1.5 * * * *': /Invalid minute "1.5"/,
+            '0 24 * * *': /Invalid hour "24"/,
+            '0 0 0 * *': /Invalid day of month "0"/,
+            '0 0 * foo *': /Invalid month "foo"/,
+            '*/0 * * * *': /Invalid step "0"/,
+            '*/2x * * * *': /Invalid step "2x"/,
+            '1-2-3 * * * *': /Invalid range "1-2-3"/,
+            '30-10 * * * *': /Invalid range "30-10"/,
+            '0 0 * *': /must have 5 fields/,
+            '0 0 30 2 *': /Cron expression "0 0 30 2 \*" never matches/,
+            '0 0 31 apr,jun,sep,nov *': /never matches/
+        };
+        for (const [expression, error] of Object.entries(invalid)) {
+            assert.throws(() => parseCron(expression), error, expression);
+        }
+        assert.deepStrictEqual([...parseCron('0 0 * JAN,mar SUN').months], [1, 3]);
+        // Either day field may match, and 29 February comes round in leap years
+        assert.doesNotThrow(() => parseCron('0 0 30 2 mon'));
+        assert.doesNotThrow(() => parseCron('0 0 29 2 *'));
+    });
+});
+
+describe('time windows', () => {
+    it('handles windows that wrap past midnight, with their weekday on the evening side', () => {
+        const quiet = [parseWindow('23:00-07:00')];
+        const fridayNights = [parseWindow({ start: '22:00', end: '06:00', days: ['fri'] })];
+
+        assert.strictEqual(isWithinWindows(new Date('2026-01-05T23:30:00Z'), quiet), true);
+        assert.strictEqual(isWithinWindows(new Date('2026-01-06T06:59:00Z'), quiet), true);
+        assert.strictEqual(isWithinWindows(new Date('2026-01-06T07:00:00Z'), quiet), false);
+        assert.strictEqual(isWithinWindows(new Date('2026-01-05T22:59:00Z'), quiet), false);
+
+        assert.strictEqual(isWithinWindows(new Date('2026-01-09T23:00:00Z'), fridayNights), true, 'Friday evening');
+        assert.strictEqual(isWithinWindows(new Date('2026-01-10T05:00:00Z'), fridayNights), true, 'early Saturday is still Friday night');
+        assert.strictEqual(isWithinWindows(new Date('2026-01-09T05:00:00Z'), fridayNights), false, 'early Friday belongs to Thursday');
+    });
+
+    it('reads the window in the scheduler\'s timezone', () => {
+        const quiet = [parseWindow('23:00-07:00')];
+
+        // 22:30 UTC is 23:30 in Berlin in winter
+        assert.strictEqual(isWithinWindows(new Date('2026-01-05T22:30:00Z'), quiet, BERLIN), true);
+        assert.deepStrictEqual(zonedParts(new Date('2026-01-05T22:30:00Z'), BERLIN), { year: 2026, month: 1, day: 5, hour: 23, minute: 30, weekday: 1 });
+        assert.throws(() => parseWindow('25:00-07:00'), /Invalid window start "25:00"/);
+        assert.throws(() => new Scheduler({ timezone: 'Mars/Base' }), /Invalid timezone "Mars\/Base"/);
+    });
+});
+
+describe('scheduler', () => {
+    const START = Date.parse('2026-01-05T12:00:00Z');
+    let scheduler;
+
+    /**
+     * Move the fake clock in steps, letting each run finish before the next
+     * (a single big tick would fire every due timer at the end time)
+     */
+    async function advance(ms, step) {
+        for (let elapsed = 0; elapsed < ms; elapsed += step) {
+            mock.timers.tick(step);
+            await new Promise(resolve => setImmediate(resolve));
+        }
+    }
+
+    beforeEach(() => {
+        mock.timers.enable({ apis: ['setTimeout', 'Date'], now: START });
+    });
+
+    afterEach(() => {
+        if (scheduler) scheduler.stop();
+        mock.timers.reset();
+    });
+
+    it('runs interval rules on fixed slots plus jitter, without drift', async () => {
+        const runs = [];
+        scheduler = new Scheduler({ random: () => 0.5 });
+        scheduler.addRule({ action: 'message', every: '1m', offset: '10s', jitter: '20s' }, action => runs.push([action, Date.now() - START]));
+        scheduler.start();
+
+        assert.strictEqual(scheduler.getSchedule()[0].nextRunAt, new Date(START + 20000).toISOString(), 'offset + half the jitter');
+        await advance(140000, 10000);
+
+        assert.deepStrictEqual(runs, [['message', 20000], ['message', 80000], ['message', 140000]]);
+    });
+
+    it('picks actions by weight', () => {
+        const rolls = [0, 0.74, 0.76, 0.99];
+        const picked = [];
+        scheduler = new Scheduler({ random: () => rolls.shift() });
+        scheduler.addRule({ actions: ['message', 'comment', 'like'], weights: { message: 3, comment: 1, like: 0 }, every: '1m' }, action => picked.push(action));
+
+        for (let i = 0; i < 4; i++) scheduler.execute(scheduler.rules[0]);
+
+        assert.deepStrictEqual(picked, ['message', 'message', 'comment', 'comment']);
+    });
+
+    it('skips runs in quiet hours instead of deferring them', async () => {
+        const runs = [];
+        scheduler = new Scheduler({ timezone: BERLIN, quietHours: ['13:30-14:30'] });
+        scheduler.addRule({ action: 'comment', every: '30m' }, () => runs.push(new Date().toISOString()));
+        scheduler.start();
+
+        // The first slot is due right away
+        mock.timers.tick(0);
+        await advance(90 * 60 * 1000, 60 * 1000);
+
+        // 13:00, 13:30 and 14:00 Berlin time; only the first is outside quiet hours
+        assert.deepStrictEqual(runs, ['2026-01-05T12:00:00.000Z', '2026-01-05T13:30:00.000Z']);
+        assert.strictEqual(scheduler.getSchedule()[0].skippedQuiet, 2);
+    });
+
+    it('only runs inside active windows', () => {
+        scheduler = new Scheduler({ activeWindows: [{ start: '09:00', end: '17:00', days: ['sat', 'sun'] }] });
+
+        assert.strictEqual(scheduler.isActiveTime(new Date('2026-01-10T10:00:00Z')), true);
+        assert.strictEqual(scheduler.isActiveTime(new Date('2026-01-09T10:00:00Z')), false, 'a Friday');
+        assert.strictEqual(scheduler.isActiveTime(new Date('2026-01-10T17:00:00Z')), false);
+    });
+
+    it('validates rules', () => {
+        scheduler = new Scheduler();
+        const handler = () => {};
+
+        assert.throws(() => scheduler.addRule({ action: 'message' }, handler), /Schedule rule "message": needs exactly one of "every" or "cron"/);
+        assert.throws(() => scheduler.addRule({ action: 'message', every: '500ms' }, handler), /"every" must be at least 1s/);
+        assert.throws(() => scheduler.addRule({ action: 'message', cron: '5x * * * *' }, handler), /Schedule rule "message": Invalid minute "5x"/);
+        assert.throws(() => scheduler.addRule({ action: 'message', cron: '0 0 30 2 *' }, handler), /Schedule rule "message": Cron expression "0 0 30 2 \*" never matches/);
+        assert.throws(() => scheduler.addRule({ actions: ['message'], weights: { message: 0 }, every: '1m' }, handler), /at least one action needs a positive weight/);
+        assert.throws(() => scheduler.addRule({ action: 'message', every: '1m', overlap: 'pile' }, handler), /"overlap" must be one of skip, queue/);
+    });
+});
@@ -0,0 +1,65 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createStore, JsonlStore } = require('../lib/store');
+
+function tempDir() {
+    return fs.mkdtempSync(path.join(os.tmpdir(), 'gsalebot-store-'));
+}
+
+describe('jsonl store', () => {
+    it('rotates streams and keeps at most maxFiles', () => {
+        const dir = tempDir();
+        const store = new JsonlStore({ dir, maxBytes: 200, maxFiles: 3 });
+        for (let i = 0; i < 50; i++) {
+            store.append('activity', { i, padding: 'x'.repeat(30) });
+        }
+
+        const files = fs.readdirSync(dir).filter(file => file.startsWith('activity'));
+        assert.strictEqual(files.length, 3);
+        for (const file of files) {
+            assert.ok(fs.statSync(path.join(dir, file)).size <= 200);
+        }
+        assert.deepStrictEqual(store.readRecent('activity', 3).map(r => r.i), [47, 48, 49]);
+    });
+
+    it('rotates by bytes, not characters', () => {
+        const dir = tempDir();
+        // Each line is 38 characters but 58 bytes
+        const store = new JsonlStore({ dir, maxBytes: 220, maxFiles: 5 });
+        for (let i = 0; i < 10; i++) {
+            store.append('activity', { i, text: '🤖'.repeat(10) });
+        }
+
+        for (const file of fs.readdirSync(dir).filter(file => file.startsWith('activity'))) {
+            assert.ok(fs.statSync(path.join(dir, file)).size <= 220, `${file} is over maxBytes`);
+        }
+    });
+
+    it('keeps counters and state across restarts', () => {
+        const dir = tempDir();
+        const store = new JsonlStore({ dir });
+        store.increment('log.success');
+        store.increment('log.success');
+        store.setState('bot', { userId: 7 });
+        store.append('activity', { message: 'hello' });
+        store.close();
+
+        const reopened = new JsonlStore({ dir });
+        assert.strictEqual(reopened.getCounters()['log.success'], 2);
+        assert.deepStrictEqual(reopened.getState('bot'), { userId: 7 });
+        assert.strictEqual(reopened.readRecent('activity', 10)[0].message, 'hello');
+    });
+
+    it('ignores a truncated last line', () => {
+        const dir = tempDir();
+        fs.writeFileSync(path.join(dir, 'activity.jsonl'), '{"a":1}\n{"a":');
+        assert.deepStrictEqual(new JsonlStore({ dir }).readRecent('activity'), [{ a: 1 }]);
+    });
+
+    it('rejects unknown store types', () => {
+        assert.throws(() => createStore({ type: 'sqlite', dir: tempDir() }), /Unknown store type "sqlite"/);
+    });
+});
@@ -0,0 +1,90 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { TargetHistory } = require('../lib/target-history');
+const { JsonlStore } = require('../lib/store');
+const { TemplateLibrary } = require('../lib/templates');
+
+const users = [{ id: 1 }, { id: 2 }, { id: 3 }];
+
+describe('target history', () => {
+    it('enforces timed and permanent cooldowns', () => {
+        const history = new TargetHistory();
+        history.record('user', 1);
+        history.record('post', 9);
+
+        assert.strictEqual(history.isCoolingDown('user', 1, 24 * 60 * 60 * 1000), true);
+        assert.strictEqual(history.isCoolingDown('user', 2, 24 * 60 * 60 * 1000), false);
+        assert.strictEqual(history.isCoolingDown('post', 9, Infinity), true);
+
+        history.records.user[1].lastAt -= 25 * 60 * 60 * 1000;
+        assert.strictEqual(history.isCoolingDown('user', 1, 24 * 60 * 60 * 1000), false);
+    });
+
+    it('never selects a target inside its cooldown', () => {
+        const history = new TargetHistory();
+        history.record('user', 1);
+        history.record('user', 2);
+
+        for (let i = 0; i < 20; i++) {
+            assert.strictEqual(history.select('user', users, { cooldown: '24h' }).id, 3);
+        }
+        history.record('user', 3);
+        assert.strictEqual(history.select('user', users, { cooldown: '24h' }), null);
+    });
+
+    it('prefers never-contacted, then oldest, with least-recent', () => {
+        const history = new TargetHistory();
+        history.record('user', 1);
+        history.record('user', 2);
+        history.records.user[2].lastAt -= 1000;
+
+        assert.strictEqual(history.select('user', users, { strategy: 'least-recent' }).id, 3);
+        history.record('user', 3);
+        assert.strictEqual(history.select('user', users, { strategy: 'least-recent' }).id, 2);
+    });
+
+    it('weights selection by activity', () => {
+        const history = new TargetHistory({ random: () => 0.99 });
+        const picked = history.select('post', [{ id: 1, n: 0 }, { id: 2, n: 98 }], {
+            strategy: 'weighted-activity',
+            activityOf: post => post.n
+        });
+        assert.strictEqual(picked.id, 2);
+    });
+
+    it('survives a restart', () => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'gsalebot-'));
+        const store = new JsonlStore({ dir });
+        const history = new TargetHistory({ store });
+        history.record('post', 42, 'alice');
+        store.close();
+
+        const reloaded = new TargetHistory({ store: new JsonlStore({ dir }) });
+        assert.strictEqual(reloaded.isCoolingDown('post', 42, Infinity), true);
+        assert.strictEqual(reloaded.records.post[42].label, 'alice');
+    });
+
+    it('keeps recently sent templates across restarts, limited and expiring', () => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'gsalebot-'));
+        const library = new TemplateLibrary({ message: { noRepeatWithin: 2, categories: { greeting: ['A', 'B', 'C'] } } });
+        const send = memory => library.render('message', { category: 'greeting', targetKey: 'user:1', memory }).text;
+
+        const store = new JsonlStore({ dir });
+        const history = new TargetHistory({ store });
+        const first = [send(history), send(history)];
+        assert.notStrictEqual(first[0], first[1]);
+        store.close();
+
+        const reloaded = new TargetHistory({ store: new JsonlStore({ dir }) });
+        assert.strictEqual(reloaded.recentTemplates('user:1').length, 2);
+        assert.strictEqual(send(reloaded), ['A', 'B', 'C'].find(text => !first.includes(text)));
+        assert.strictEqual(reloaded.recentTemplates('user:1').length, 2, 'only noRepeatWithin IDs are kept');
+
+        reloaded.templates['user:1'].lastAt -= 91 * 24 * 60 * 60 * 1000;
+        reloaded.prune();
+        assert.deepStrictEqual(reloaded.recentTemplates('user:1'), []);
+    });
+});
@@ -0,0 +1,176 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const BotRunner = require('../lib/bot-runner');
+const { loadBots } = require('../lib/config');
+const { MockBackend } = require('./mock-backend');
+const { createBot } = require('./helpers');
+const { MemoryStore } = require('../lib/store');
+const { DoNotContactList } = require('../lib/do-not-contact');
+const { UserDirectory, pairQueries } = require('../lib/user-directory');
+
+// 45 "seller" accounts fill three pages of 20; "zz_top" and "qx_9" share no
+// letters with the old fixed searches ("er", "an", "on", ...)
+const USERS = [
+    { id: 1, username: 'cop', password: '123456' },
+    { id: 2, username: 'phone', password: '123456', is_bot: true },
+    { id: 3, username: 'zz_top', password: 'secret', created_at: '2024-03-01T00:00:00Z' },
+    { id: 4, username: 'qx_9', password: 'secret', created_at: '2024-05-01T00:00:00Z' },
+    ...Array.from({ length: 45 }, (_, i) => ({
+        id: 100 + i,
+        username: `seller${String(i).padStart(2, '0')}`,
+        password: 'secret',
+        created_at: new Date(Date.UTC(2023, 0, i + 1)).toISOString()
+    }))
+];
+
+const QUERIES = ['se', 'zz', 'qx', 'co', 'ph'];
+
+function usernames(users) {
+    return users.map(user => user.username).sort();
+}
+
+describe('user directory', () => {
+    const backend = new MockBackend({ users: USERS });
+    let baseUrl;
+
+    before(async () => {
+        baseUrl = await backend.listen();
+    });
+
+    after(() => backend.close());
+
+    beforeEach(() => backend.reset());
+
+    it('crawls every query and page once and keeps the users it found', async () => {
+        const store = new MemoryStore();
+        const bot = createBot(baseUrl, { maxRetries: 0 });
+        await bot.authenticate();
+        const directory = new UserDirectory(bot, { queries: QUERIES, pageSize: 20, batchSize: 4, store });
+
+        await directory.step();
+        assert.strictEqual(directory.getStatus().crawl.queriesDone, 2, 'three pages of "se", then "zz"');
+        assert.strictEqual(directory.all().length, 46, 'users found so far can be picked already');
+
+        await directory.step();
+        const status = directory.getStatus();
+        assert.strictEqual(status.crawl, null);
+        assert.strictEqual(status.known, 49);
+        assert.strictEqual(status.lastCrawl.requests, 7);
+        assert.strictEqual(status.stale, false);
+        assert.ok(usernames(directory.all()).includes('qx_9'));
+        assert.deepStrictEqual(
+            backend.requests.filter(request => request.path === '/api/users/search').map(request => request.query),
+            ['q=se&page=1&limit=20', 'q=se&page=2&limit=20', 'q=se&page=3&limit=20', 'q=zz&page=1&limit=20', 'q=qx&page=1&limit=20', 'q=co&page=1&limit=20', 'q=ph&page=1&limit=20']
+        );
+
+        // A fresh cache means no more searches, and a restart starts from the store
+        await directory.step();
+        const restored = new UserDirectory(bot, { queries: QUERIES, store });
+        assert.strictEqual(restored.all().length, 49);
+        assert.strictEqual(restored.isStale(), false);
+        assert.strictEqual(backend.requestLog().filter(line => line === 'GET /api/users/search').length, 7);
+    });
+
+    it('filters out bots, do-not-contact users and excluded names', async () => {
+        const doNotContact = new DoNotContactList({ initial: ['seller00', 'id:101'] });
+        const bot = createBot(baseUrl, { doNotContact, maxRetries: 0 });
+        await bot.authenticate();
+        const directory = new UserDirectory(bot, {
+            queries: QUERIES,
+            pageSize: 50,
+            peerUsernames: ['zz_top'],
+            exclude: 'seller02, SELLER03'
+        });
+        await directory.step();
+
+        const available = usernames(directory.list());
+        assert.strictEqual(available.length, 49 - 3 - 2 - 2);
+        for (const name of ['cop', 'phone', 'zz_top', 'seller00', 'seller01', 'seller02', 'seller03']) {
+            assert.ok(!available.includes(name), `${name} is filtered out`);
+        }
+
+        const newest = directory.list({ newestFirst: true, limit: 3, include: ['qx_9', 'zz_top', 'seller44', 'seller10'] });
+        assert.deepStrictEqual(newest.map(user => user.username), ['qx_9', 'zz_top', 'seller44']);
+        assert.strictEqual(directory.getStatus().available, 42);
+    });
+
+    it('re-crawls a stale cache and drops accounts that are gone', async () => {
+        const bot = createBot(baseUrl, { maxRetries: 0 });
+        await bot.authenticate();
+        const directory = new UserDirectory(bot, { queries: QUERIES, pageSize: 50, batchSize: 2, ttl: '1h' });
+        while (directory.isStale()) await directory.step();
+        assert.strictEqual(directory.all().length, 49);
+
+        backend.users = backend.users.filter(user => user.username !== 'qx_9');
+        directory.refreshedAt -= 60 * 60 * 1000;
+        await directory.step();
+        assert.ok(directory.getStatus().crawl, 'a crawl is running');
+        assert.strictEqual(directory.all().length, 49, 'the old set is served meanwhile');
+
+        while (directory.getStatus().crawl) await directory.step();
+        assert.strictEqual(directory.all().length, 48);
+        assert.ok(!usernames(directory.all()).includes('qx_9'));
+        backend.users = USERS.map(user => ({ ...user }));
+    });
+
+    it('skips queries the backend refuses and resumes after other errors', async () => {
+        const bot = createBot(baseUrl, { maxRetries: 0 });
+        await bot.authenticate();
+        const directory = new UserDirectory(bot, { queries: QUERIES, pageSize: 50 });
+
+        backend.inject({ path: '/api/users/search', status: 400 });
+        backend.inject({ path: '/api/users/search', status: 500 });
+        await directory.step();
+        assert.strictEqual(directory.getStatus().crawl.queriesDone, 1, 'skipped "se", stopped at "zz"');
+        assert.match(directory.getStatus().lastError.message, /500/);
+
+        await directory.step();
+        assert.strictEqual(directory.getStatus().crawl, null);
+        assert.strictEqual(directory.getStatus().lastError, null);
+        assert.deepStrictEqual(usernames(directory.all()), ['cop', 'phone', 'qx_9', 'zz_top']);
+    });
+
+    it('is where the message action picks its recipients from', async () => {
+        const bot = createBot(baseUrl, { maxRetries: 0 });
+        bot.directory = new UserDirectory(bot, { queries: ['zz', 'qx'] });
+
+        const result = await bot.runAction('message');
+
+        assert.strictEqual(result.success, true);
+        assert.ok(['zz_top', 'qx_9'].includes(result.target), `picked ${result.target}`);
+        assert.strictEqual(backend.messagesTo(result.target).length, 1);
+    });
+
+    it('starts crawling when a bot that never started is re-authenticated', async () => {
+        const [identity] = loadBots({
+            BOT_BASE_URL: baseUrl,
+            BOT_USERNAME: 'cop',
+            BOT_PASSWORD: '123456',
+            STORE_TYPE: 'memory',
+            INBOX_ENABLED: 'false',
+            MAX_RETRIES: '0',
+            DIRECTORY_QUERIES: QUERIES.join(',')
+        });
+        const runner = new BotRunner(identity);
+        runner.bot.sleep = async () => {};
+        runner.bot.log = () => {};
+        try {
+            await runner.reauthenticate();
+
+            assert.strictEqual(runner.initialized, true);
+            assert.strictEqual(runner.scheduler.running, true);
+            assert.ok(runner.directoryTimer, 'the crawl keeps going after its first batch');
+            // The first batch is in flight; this joins it
+            await runner.directory.step();
+            assert.ok(runner.directory.all().length > 0);
+        } finally {
+            runner.stop();
+        }
+    });
+
+    it('builds two-character queries from an alphabet', () => {
+        assert.deepStrictEqual(pairQueries('ab'), ['aa', 'ab', 'ba', 'bb']);
+        assert.strictEqual(pairQueries('abcdefghijklmnopqrstuvwxyz0123456789').length, 1296);
+        assert.throws(() => new UserDirectory({}, { queries: ['a', 'bc'] }), /at least 2 characters: "a"/);
+    });
+});
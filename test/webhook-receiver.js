@@ -0,0 +1,104 @@
+#!/usr/bin/env node
+
+/**
+ * Webhook Receiver
+ * Local endpoint for trying out webhook notifications: prints every
+ * notification it receives and checks its signature.
+ *
+ *   npm run webhook-receiver      # listens on RECEIVER_PORT (default 5002)
+ *   WEBHOOK_URL=http://localhost:5002/hook WEBHOOK_SECRET=s3cret npm start
+ *
+ * Set WEBHOOK_SECRET for the receiver too to verify signatures. RECEIVER_FAIL=3
+ * answers the first 3 requests with 500, to watch the retries.
+ */
+
+const http = require('http');
+const crypto = require('crypto');
+const { sign } = require('../lib/notifier');
+
+class WebhookReceiver {
+    /**
+     * options: { secret, failFirst }
+     */
+    constructor(options = {}) {
+        this.secret = options.secret || null;
+        this.failFirst = options.failFirst || 0;
+        this.received = [];
+        this.requests = 0;
+        this.server = null;
+    }
+
+    listen(port = 0, host = '127.0.0.1') {
+        this.server = http.createServer((req, res) => this.handle(req, res));
+        return new Promise(resolve => {
+            this.server.listen(port, host, () => {
+                this.url = `http://${host}:${this.server.address().port}`;
+                resolve(this.url);
+            });
+        });
+    }
+
+    close() {
+        return new Promise(resolve => (this.server ? this.server.close(() => resolve()) : resolve()));
+    }
+
+    /**
+     * Whether a request carries a valid signature for the body
+     */
+    verify(headers, body) {
+        const timestamp = headers['x-botcop-timestamp'];
+        const signature = headers['x-botcop-signature'];
+        if (!timestamp || !signature) return false;
+
+        const expected = Buffer.from(sign(this.secret, timestamp, body));
+        const given = Buffer.from(String(signature));
+        return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+    }
+
+    handle(req, res) {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+            this.requests++;
+            if (this.requests <= this.failFirst) {
+                res.writeHead(500);
+                return res.end();
+            }
+
+            const verified = this.secret ? this.verify(req.headers, body) : null;
+            if (verified === false) {
+                res.writeHead(401);
+                return res.end();
+            }
+
+            let payload;
+            try {
+                payload = JSON.parse(body);
+            } catch (error) {
+                res.writeHead(400);
+                return res.end();
+            }
+
+            this.received.push({ path: req.url, headers: req.headers, payload, verified });
+            if (this.onNotification) this.onNotification(payload, verified);
+            res.writeHead(204);
+            res.end();
+        });
+    }
+}
+
+if (require.main === module) {
+    const receiver = new WebhookReceiver({
+        secret: process.env.WEBHOOK_SECRET,
+        failFirst: parseInt(process.env.RECEIVER_FAIL || '0')
+    });
+    receiver.onNotification = (payload, verified) => {
+        const signature = verified === null ? 'unsigned' : 'signature ok';
+        console.log(`🔔 [${new Date().toISOString()}] (${signature}) ${JSON.stringify(payload)}`);
+    };
+    receiver.listen(parseInt(process.env.RECEIVER_PORT || '5002'), '0.0.0.0').then(() => {
+        console.log(`🧪 Webhook receiver listening on port ${receiver.server.address().port}`);
+    });
+}
+
+module.exports = { WebhookReceiver };
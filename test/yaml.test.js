@@ -0,0 +1,157 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { parseYaml, YamlError } = require('../lib/yaml');
+
+describe('parseYaml', () => {
+    it('reads the subset config files use', () => {
+        const parsed = parseYaml([
+            '# settings',
+            'env:',
+            '  PORT: 3000   # trailing comment',
+            '  DRY_RUN: true',
+            '  NAME: \'it\'\'s\'',
+            'bots:',
+            '- username: cop',
+            '  actions: [message, "comment"]',
+            '  schedule: {timezone: UTC, jitter: 30s}',
+            '- username: "greeter #1"',
+            '  targeting:',
+            '    message:',
+            '      cooldown: 24h',
+            'empty:'
+        ].join('\n'));
+
+        assert.deepStrictEqual(parsed, {
+            env: { PORT: 3000, DRY_RUN: true, NAME: 'it\'s' },
+            bots: [
+                { username: 'cop', actions: ['message', 'comment'], schedule: { timezone: 'UTC', jitter: '30s' } },
+                { username: 'greeter #1', targeting: { message: { cooldown: '24h' } } }
+            ],
+            empty: null
+        });
+    });
+
+    it('points at the line of a mistake and rejects unsupported syntax', () => {
+        assert.throws(() => parseYaml('a: 1\n  b: 2', 'bots.yaml'), /bots\.yaml, line 2: unexpected indentation/);
+        assert.throws(() => parseYaml('a: 1\na: 2'), /line 2: duplicate key "a"/);
+        assert.throws(() => parseYaml('text: |\n  hello'), /block scalars/);
+        assert.throws(() => parseYaml('base: &base\n  a: 1'), /anchors/);
+    });
+
+    it('reads lists of maps nested in lists and maps', () => {
+        const parsed = parseYaml([
+            'bots:',
+            '  - username: cop',
+            '    schedule:',
+            '      rules:',
+            '        - action: message',
+            '          every: 10m',
+            '        - { action: comment, cron: "*/5 * * * *" }',
+            '  - username: greeter',
+            '    matrix:',
+            '      - - 1',
+            '        - 2',
+            '      - [3, 4]',
+            'steps:',
+            '- login: null',
+            '- send: hi',
+            '  expect:',
+            '    status: 200'
+        ].join('\n'));
+
+        assert.deepStrictEqual(parsed, {
+            bots: [
+                { username: 'cop', schedule: { rules: [{ action: 'message', every: '10m' }, { action: 'comment', cron: '*/5 * * * *' }] } },
+                { username: 'greeter', matrix: [[1, 2], [3, 4]] }
+            ],
+            steps: [{ login: null }, { send: 'hi', expect: { status: 200 } }]
+        });
+    });
+
+    it('reads flow maps and lists, nested and empty', () => {
+        assert.deepStrictEqual(parseYaml('a: [1, "two, three", {b: [x, y], c: \'d: e\'}, []]\nf: {}\ng: {url: http://example.com}'), {
+            a: [1, 'two, three', { b: ['x', 'y'], c: 'd: e' }, []],
+            f: {},
+            g: { url: 'http://example.com' }
+        });
+        assert.deepStrictEqual(parseYaml('[a, {b: 1}]'), ['a', { b: 1 }]);
+        assert.throws(() => parseYaml('a: [1, 2'), /line 1: expected "," or "]" in a flow collection/);
+        assert.throws(() => parseYaml('a: {b 1}'), /expected ":" after "b 1" in a flow mapping/);
+        assert.throws(() => parseYaml('a: [1] x'), /unexpected "x" after a flow collection/);
+    });
+
+    it('keeps # and : inside quoted strings and plain words', () => {
+        assert.deepStrictEqual(parseYaml([
+            'a: "x # not a comment"',
+            'b: \'time: 10:30\' # a comment',
+            'c: url#fragment',
+            'd: 10:30',
+            '"key: quoted": "#1"',
+            'e: ["a # b", \'c: d\']'
+        ].join('\n')), {
+            a: 'x # not a comment',
+            b: 'time: 10:30',
+            c: 'url#fragment',
+            d: '10:30',
+            'key: quoted': '#1',
+            e: ['a # b', 'c: d']
+        });
+        assert.throws(() => parseYaml('a: "open'), /unterminated double-quoted string/);
+    });
+
+    it('folds values that go on over more indented lines', () => {
+        assert.deepStrictEqual(parseYaml([
+            'plain: one',
+            '  two',
+            'quoted: "three # kept',
+            '  four"',
+            'flow: [1,',
+            '  2]',
+            'list:',
+            '  - five',
+            '    six',
+            'steps:',
+            '  - send: seven',
+            '      eight'
+        ].join('\n')), {
+            plain: 'one two',
+            quoted: 'three # kept four',
+            flow: [1, 2],
+            list: ['five six'],
+            steps: [{ send: 'seven eight' }]
+        });
+        assert.throws(() => parseYaml('text: |\n  hello'), /line 1: block scalars \(\| and >\) are not supported/);
+        assert.throws(() => parseYaml('text: >-\n  hello'), /block scalars/);
+    });
+
+    it('rejects bad indentation with the line it is on', () => {
+        const invalid = {
+            'a:\n    b: 1\n  c: 2': /line 3: unexpected indentation/,
+            'a: 1\n  b: 2': /line 2: unexpected indentation/,
+            '- a\n - b': /line 2: unexpected indentation/,
+            'a:\n  - 1\n   - 2': /line 3: unexpected indentation/,
+            'a:\n  b: 1\nc': /line 3: expected "key: value", got "c"/,
+            'a:\n\t b: 1': /line 2: tabs are not allowed in indentation/
+        };
+        for (const [text, error] of Object.entries(invalid)) {
+            assert.throws(() => parseYaml(text), error, JSON.stringify(text));
+        }
+        assert.throws(() => parseYaml('a: 1\n  b: 2', 'bots.yaml'), YamlError);
+    });
+
+    it('rejects anchors, aliases, tags and merge keys', () => {
+        const invalid = {
+            'base: &base\n  a: 1': /line 1: anchors, aliases and tags are not supported/,
+            'a: 1\nb: *a': /line 2: anchors, aliases and tags are not supported/,
+            'a: !!str 1': /anchors, aliases and tags/,
+            '- !custom value': /anchors, aliases and tags/,
+            'a: [&x 1]': /anchors, aliases and tags/,
+            '!key a: 1': /anchors, aliases and tags/,
+            'a:\n  <<: {b: 1}': /line 2: merge keys \(<<\) are not supported/,
+            'a: 1\n---\nb: 2': /line 2: multiple documents are not supported/
+        };
+        for (const [text, error] of Object.entries(invalid)) {
+            assert.throws(() => parseYaml(text), error, JSON.stringify(text));
+        }
+    });
+});